@@ -0,0 +1,299 @@
+/**
+ * @jest-environment jsdom
+ */
+
+/**
+ * Accessibility Tests for the Survey Form
+ * Renders the form and checks it with axe-core, plus keyboard and
+ * screen-reader behaviour of the ranking grid
+ * Run with: npm test
+ */
+
+/* eslint-disable no-undef */
+// Tests use Jest globals: describe, it, expect, beforeEach, afterEach
+
+import { createRoot } from "react-dom/client";
+import { act } from "react";
+import axe from "axe-core";
+import SurveyForm from "../components/SurveyForm";
+import { applyDefinitionDefaults } from "../utils/surveyDefinition";
+import { createSubmissionBackend } from "../services/backends";
+import { saveDraft } from "../utils/draftStorage";
+
+globalThis.IS_REACT_ACT_ENVIRONMENT = true;
+
+const definition = applyDefinitionDefaults({
+  id: "a11y-survey",
+  version: "1.0.0",
+  title: "Accessibility Survey",
+  rankScale: { values: ["1", "2", "No"], legend: "1 = Most important" },
+  questions: [
+    {
+      id: "q1",
+      section: "Section 1",
+      text: "Rank these attractions",
+      options: ["Forest trails", "Bird watching", "Tea gardens"],
+    },
+    {
+      id: "q2",
+      text: "Order these facilities",
+      widget: "list",
+      options: ["Toilets", "Parking"],
+      required: false,
+    },
+    {
+      id: "q3",
+      type: "likert",
+      text: "The visit was good value",
+      options: ["Disagree", "Neutral", "Agree"],
+      required: false,
+    },
+    {
+      id: "q4",
+      type: "number",
+      text: "How many nights did you stay?",
+      min: 0,
+      required: false,
+    },
+  ],
+});
+
+let container;
+let root;
+
+beforeEach(async () => {
+  localStorage.clear();
+  container = document.createElement("div");
+  document.body.appendChild(container);
+  root = createRoot(container);
+  // No URL, as in a build without submission settings
+  const backend = createSubmissionBackend({});
+  await act(async () =>
+    root.render(<SurveyForm definition={definition} backend={backend} />)
+  );
+});
+
+afterEach(() => {
+  act(() => root.unmount());
+  container.remove();
+});
+
+/**
+ * Find a ranking cell in the desktop grid by its accessible name
+ * @param {string} name - aria-label of the cell
+ * @returns {HTMLElement} Cell
+ */
+function getDesktopCell(name) {
+  return container.querySelector(
+    `.md\\:block [role="radio"][aria-label="${name}"]`
+  );
+}
+
+describe("axe check", () => {
+  it("should find no accessibility violations", async () => {
+    const results = await axe.run(container, {
+      // jsdom does not lay out pages, so contrast cannot be measured
+      rules: { "color-contrast": { enabled: false } },
+    });
+
+    expect(results.violations.map((v) => v.id)).toEqual([]);
+  });
+});
+
+describe("ranking grid", () => {
+  it("should label each cell with its option and rank", () => {
+    const groups = container.querySelectorAll(
+      '.md\\:block [role="radiogroup"]'
+    );
+    expect(groups).toHaveLength(3);
+    expect(getDesktopCell("Bird watching, rank 1")).not.toBeNull();
+    expect(getDesktopCell("Bird watching, No")).not.toBeNull();
+  });
+
+  it("should keep one cell per option in the tab order", () => {
+    const group = container.querySelector('.md\\:block [role="radiogroup"]');
+    const tabbable = group.querySelectorAll('[tabindex="0"]');
+    expect(tabbable).toHaveLength(1);
+  });
+
+  it("should move focus with the arrow keys and pick with Space", async () => {
+    const first = getDesktopCell("Forest trails, rank 1");
+    await act(async () => first.focus());
+
+    await act(async () => {
+      first.dispatchEvent(
+        new KeyboardEvent("keydown", { key: "ArrowDown", bubbles: true })
+      );
+    });
+    const below = getDesktopCell("Bird watching, rank 1");
+    expect(document.activeElement).toBe(below);
+
+    await act(async () => {
+      below.dispatchEvent(
+        new KeyboardEvent("keydown", { key: " ", bubbles: true })
+      );
+    });
+    expect(below.getAttribute("aria-checked")).toBe("true");
+    expect(below.getAttribute("tabindex")).toBe("0");
+  });
+
+  it("should announce when a rank moves to another option", async () => {
+    await act(async () => getDesktopCell("Forest trails, rank 1").click());
+    await act(async () => getDesktopCell("Tea gardens, rank 1").click());
+
+    const status = container.querySelector('[role="status"][aria-live]');
+    expect(status.textContent).toBe(
+      "Rank 1 moved from Forest trails to Tea gardens."
+    );
+  });
+});
+
+describe("error summary", () => {
+  it("should receive focus when validation fails", async () => {
+    const submit = [...container.querySelectorAll("button")].find(
+      (b) => b.textContent === "Submit"
+    );
+
+    await act(async () => {
+      submit.click();
+      await new Promise((resolve) => setTimeout(resolve, 0));
+    });
+
+    const summary = container.querySelector(
+      '[aria-labelledby="error-summary-title"]'
+    );
+    expect(document.activeElement).toBe(summary);
+  });
+});
+
+describe("review step", () => {
+  /**
+   * Find a button by its text
+   * @param {string} text - Button text
+   * @returns {HTMLElement} Button
+   */
+  const getButton = (text) =>
+    [...container.querySelectorAll("button")].find(
+      (b) => b.textContent === text
+    );
+
+  beforeEach(async () => {
+    await act(async () => getDesktopCell("Tea gardens, rank 1").click());
+    await act(async () => getDesktopCell("Forest trails, rank 2").click());
+    await act(async () => getDesktopCell("Bird watching, No").click());
+    await act(async () => getButton("Submit").click());
+  });
+
+  it("should list the answers by rank before anything is sent", async () => {
+    const review = container.querySelector('[aria-labelledby="review-title"]');
+    expect(document.activeElement.id).toBe("review-title");
+    expect(
+      [...review.querySelector("ol").querySelectorAll("li")].map(
+        (li) => li.textContent
+      )
+    ).toEqual([
+      "Rank 1Tea gardens",
+      "Rank 2Forest trails",
+      "NoBird watching",
+    ]);
+    expect(getButton("Confirm and submit")).not.toBeUndefined();
+
+    const results = await axe.run(container, {
+      rules: { "color-contrast": { enabled: false } },
+    });
+    expect(results.violations.map((v) => v.id)).toEqual([]);
+  });
+
+  it("should keep the answers editable after a cancelled submission", async () => {
+    const sent = [];
+    const backend = {
+      name: "pending",
+      getConfigurationError: () => null,
+      send: (data, { signal }) =>
+        new Promise((resolve, reject) => {
+          sent.push(data);
+          signal.addEventListener("abort", () =>
+            reject(new DOMException("Aborted", "AbortError"))
+          );
+        }),
+    };
+    await act(async () =>
+      root.render(<SurveyForm definition={definition} backend={backend} />)
+    );
+
+    await act(async () => getButton("Confirm and submit").click());
+    expect(sent).toHaveLength(1);
+    expect(getButton("Submitting...").disabled).toBe(true);
+
+    await act(async () => getButton("Cancel").click());
+    expect(getButton("Cancel")).toBeUndefined();
+    expect(getButton("Confirm and submit").disabled).toBe(false);
+    expect(container.querySelector(".bg-red-50")).toBeNull();
+
+    await act(async () => getButton("Back to the form").click());
+    const teaGardens = getDesktopCell("Tea gardens, rank 1");
+    expect(teaGardens.getAttribute("aria-checked")).toBe("true");
+
+    await act(async () => getDesktopCell("Tea gardens, rank 2").click());
+    expect(teaGardens.getAttribute("aria-checked")).toBe("false");
+    expect(
+      getDesktopCell("Tea gardens, rank 2").getAttribute("aria-checked")
+    ).toBe("true");
+  });
+
+  it("should jump back to the question from its Edit link", async () => {
+    const edit = container.querySelector(
+      'button[aria-label="Edit answer: Rank these attractions"]'
+    );
+
+    await act(async () => {
+      edit.click();
+      await new Promise((resolve) => setTimeout(resolve, 0));
+    });
+
+    expect(container.querySelector("#review-title")).toBeNull();
+    expect(
+      container.querySelector("#question-q1").contains(document.activeElement)
+    ).toBe(true);
+  });
+});
+
+describe("saved draft", () => {
+  /**
+   * Find a button by its text
+   * @param {string} text - Button text
+   * @returns {HTMLElement} Button
+   */
+  const getButton = (text) =>
+    [...container.querySelectorAll("button")].find(
+      (b) => b.textContent === text
+    );
+
+  beforeEach(async () => {
+    saveDraft(definition, {
+      responses: { q1: { 2: "1" } },
+      otherText: {},
+      finalComment: "",
+    });
+    act(() => root.unmount());
+    root = createRoot(container);
+    const backend = createSubmissionBackend({});
+    await act(async () =>
+      root.render(<SurveyForm definition={definition} backend={backend} />)
+    );
+  });
+
+  it("should hold back the questions until the respondent decides", () => {
+    expect(getButton("Resume your draft")).not.toBeUndefined();
+    expect(container.querySelector("#question-q1")).toBeNull();
+  });
+
+  it("should show the saved answers after resuming", async () => {
+    await act(async () => getButton("Resume your draft").click());
+
+    expect(getButton("Resume your draft")).toBeUndefined();
+    expect(
+      getDesktopCell("Tea gardens, rank 1").getAttribute("aria-checked")
+    ).toBe("true");
+  });
+});
@@ -0,0 +1,153 @@
+/**
+ * Unit Tests for Anti-Bot Signals
+ * Run with: npm test
+ */
+
+/* eslint-disable no-undef */
+// Tests use Jest globals: describe, it, expect
+
+import {
+  ANTI_BOT_DEFAULTS,
+  getAntiBotConfigFromEnv,
+  getRecentSubmissions,
+  recordSubmission,
+  solveProofOfWork,
+  verifyProofOfWork,
+  waitUnlessAborted,
+  collectAntiBotSignals,
+} from "../utils/antiBot";
+import { normalizeFormData } from "../services/formSubmissionService";
+import { createMemoryStorage } from "../testUtils/memoryStorage";
+
+const HOUR = 60 * 60 * 1000;
+const NOW = Date.parse("2026-06-01T12:00:00Z");
+
+describe("getAntiBotConfigFromEnv", () => {
+  it("should use the defaults without configuration", () => {
+    expect(getAntiBotConfigFromEnv({})).toEqual(ANTI_BOT_DEFAULTS);
+  });
+
+  it("should read seconds, minutes and difficulty", () => {
+    expect(
+      getAntiBotConfigFromEnv({
+        VITE_ANTIBOT_MIN_FILL_SECONDS: "30",
+        VITE_ANTIBOT_RATE_LIMIT: "0",
+        VITE_ANTIBOT_RATE_WINDOW_MINUTES: "1440",
+        VITE_ANTIBOT_POW_DIFFICULTY: "12",
+      })
+    ).toEqual({
+      minFillTimeMs: 30000,
+      rateLimit: 0,
+      rateWindowMs: 24 * HOUR,
+      powDifficulty: 12,
+    });
+  });
+
+  it("should ignore invalid values and cap the difficulty", () => {
+    const config = getAntiBotConfigFromEnv({
+      VITE_ANTIBOT_RATE_LIMIT: "lots",
+      VITE_ANTIBOT_MIN_FILL_SECONDS: "-5",
+      VITE_ANTIBOT_POW_DIFFICULTY: "64",
+    });
+    expect(config.rateLimit).toBe(ANTI_BOT_DEFAULTS.rateLimit);
+    expect(config.minFillTimeMs).toBe(ANTI_BOT_DEFAULTS.minFillTimeMs);
+    expect(config.powDifficulty).toBe(24);
+  });
+});
+
+describe("submission rate log", () => {
+  it("should count submissions inside the window only", () => {
+    const storage = createMemoryStorage();
+    recordSubmission("s", { now: NOW - 2 * HOUR, storage });
+    recordSubmission("s", { now: NOW - HOUR / 2, windowMs: 3 * HOUR, storage });
+    recordSubmission("s", { now: NOW, storage });
+
+    expect(getRecentSubmissions("s", { now: NOW, storage })).toEqual([
+      NOW - HOUR / 2,
+      NOW,
+    ]);
+    expect(getRecentSubmissions("other", { now: NOW, storage })).toEqual([]);
+  });
+
+  it("should treat an unreadable log as empty", () => {
+    const storage = createMemoryStorage();
+    storage.setItem("survey-submissions:s", "{not json");
+    expect(getRecentSubmissions("s", { now: NOW, storage })).toEqual([]);
+  });
+});
+
+describe("proof of work", () => {
+  it("should find a nonce the receiving end accepts", async () => {
+    const proof = await solveProofOfWork("response-1", 8);
+    expect(proof.challenge).toBe("response-1");
+    expect(await verifyProofOfWork(proof)).toBe(true);
+  });
+
+  it("should reject a proof for another challenge or nonce", async () => {
+    const proof = await solveProofOfWork("response-1", 8);
+    expect(
+      await verifyProofOfWork({
+        ...proof,
+        nonce: proof.nonce + 1,
+        difficulty: 16,
+      })
+    ).toBe(false);
+    expect(await verifyProofOfWork(null)).toBe(false);
+  });
+
+  it("should stop when aborted", async () => {
+    const controller = new AbortController();
+    controller.abort();
+    await expect(
+      solveProofOfWork("response-1", 24, { signal: controller.signal })
+    ).rejects.toThrow("Proof of work cancelled");
+  });
+
+  it("should stop waiting for an unfinished proof when cancelled", async () => {
+    const controller = new AbortController();
+    const never = new Promise(() => {});
+    const wait = waitUnlessAborted(never, controller.signal);
+    controller.abort();
+    await expect(wait).rejects.toMatchObject({ name: "AbortError" });
+    await expect(waitUnlessAborted(Promise.resolve(7))).resolves.toBe(7);
+  });
+});
+
+describe("collectAntiBotSignals", () => {
+  it("should flag a filled honeypot and a fast submission", () => {
+    const signals = collectAntiBotSignals({
+      honeypot: "http://spam.example",
+      startedAt: NOW,
+      submittedAt: NOW + 1500,
+    });
+    expect(signals).toEqual({
+      fillTimeMs: 1500,
+      recentSubmissions: 0,
+      proofOfWork: null,
+      flags: ["honeypot", "too-fast"],
+    });
+  });
+
+  it("should raise no flags for an ordinary response", () => {
+    const signals = collectAntiBotSignals({
+      honeypot: "",
+      startedAt: NOW,
+      submittedAt: NOW + 5 * 60 * 1000,
+      recentSubmissions: 1,
+    });
+    expect(signals.flags).toEqual([]);
+    expect(signals.recentSubmissions).toBe(1);
+  });
+
+  it("should be sent with the response", () => {
+    const antiBot = collectAntiBotSignals({
+      startedAt: NOW,
+      submittedAt: NOW + 60000,
+    });
+    const questions = [{ id: "q1", text: "Rank", options: ["A"] }];
+    expect(normalizeFormData(questions, {}, {}, "", { antiBot }).antiBot).toBe(
+      antiBot
+    );
+    expect(normalizeFormData(questions, {}, {}, "").antiBot).toBeNull();
+  });
+});
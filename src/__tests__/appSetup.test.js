@@ -0,0 +1,37 @@
+/**
+ * Unit Tests for the App Setup
+ * Run with: npm test
+ */
+
+/* eslint-disable no-undef */
+// Tests use Jest globals: describe, it, expect
+
+import { createAppSetup } from "../services/appSetup";
+
+describe("createAppSetup", () => {
+  it("should build the backend and verifier from the environment", () => {
+    const setup = createAppSetup({
+      VITE_SUBMISSION_BACKEND: "rest",
+      VITE_SUBMISSION_URL: "https://api.example.org/responses",
+    });
+    expect(setup.setupError).toBeNull();
+    expect(setup.submissionBackend.name).toBe("rest");
+    expect(setup.invitationVerifier.name).toBe("none");
+  });
+
+  it("should report an unknown backend type instead of throwing", () => {
+    const setup = createAppSetup({ VITE_SUBMISSION_BACKEND: "ftp" });
+    expect(setup.submissionBackend).toBeNull();
+    expect(setup.setupError.message).toBe(
+      'Submission backend "ftp" is not configured'
+    );
+  });
+
+  it("should report an unknown invitation verifier", () => {
+    const setup = createAppSetup({ VITE_INVITATION_VERIFIER: "ldap" });
+    expect(setup.invitationVerifier).toBeNull();
+    expect(setup.setupError.message).toBe(
+      'Invitation verifier "ldap" is not configured'
+    );
+  });
+});
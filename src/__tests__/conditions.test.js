@@ -0,0 +1,147 @@
+/**
+ * Unit Tests for Conditional (Skip) Logic
+ * Run with: npm test
+ */
+
+/* eslint-disable no-undef */
+// Tests use Jest globals: describe, it, expect
+
+import {
+  evaluateCondition,
+  getVisibleQuestions,
+  validateCondition,
+} from "../utils/conditions";
+import { validateForm } from "../utils/formValidation";
+import { normalizeFormData } from "../services/formSubmissionService";
+import { validateSurveyDefinition } from "../utils/surveyDefinition";
+
+const rankedTopTwo = { question: "q1", rankIn: ["1", "2"] };
+
+const questions = [
+  { id: "q1", section: "Section 1", text: "Question 1", options: ["A", "B"] },
+  {
+    id: "q2",
+    text: "Question 2",
+    options: ["C", "D"],
+    showIf: rankedTopTwo,
+  },
+  {
+    id: "q3",
+    section: "Section 2",
+    sectionShowIf: { question: "q2", answered: true },
+    text: "Question 3",
+    options: ["E", "F"],
+  },
+  { id: "q4", text: "Question 4", options: ["G", "H"] },
+];
+
+describe("evaluateCondition", () => {
+  it("should pass when there is no condition", () => {
+    expect(evaluateCondition(undefined, {})).toBe(true);
+  });
+
+  it("should match any option ranked in the list", () => {
+    expect(evaluateCondition(rankedTopTwo, { q1: { 1: "2" } })).toBe(true);
+    expect(evaluateCondition(rankedTopTwo, { q1: { 1: "3" } })).toBe(false);
+  });
+
+  it("should match a specific option", () => {
+    const condition = { question: "q1", option: 0, rankIn: ["1"] };
+    expect(evaluateCondition(condition, { q1: { 0: "1" } })).toBe(true);
+    expect(evaluateCondition(condition, { q1: { 1: "1" } })).toBe(false);
+  });
+
+  it("should support answered and combinators", () => {
+    const responses = { q1: { 0: "1" } };
+    expect(
+      evaluateCondition(
+        {
+          all: [
+            { question: "q1", answered: true },
+            { not: { question: "q2", answered: true } },
+          ],
+        },
+        responses
+      )
+    ).toBe(true);
+    expect(
+      evaluateCondition(
+        {
+          any: [
+            { question: "q2", answered: true },
+            { question: "q1", rankIn: ["5"] },
+          ],
+        },
+        responses
+      )
+    ).toBe(false);
+  });
+});
+
+describe("getVisibleQuestions", () => {
+  it("should hide questions whose condition fails", () => {
+    const visible = getVisibleQuestions(questions, { q1: { 0: "3" } });
+    expect(visible.map((q) => q.id)).toEqual(["q1"]);
+  });
+
+  it("should hide a whole section", () => {
+    const visible = getVisibleQuestions(questions, { q1: { 0: "1" } });
+    expect(visible.map((q) => q.id)).toEqual(["q1", "q2"]);
+  });
+
+  it("should ignore answers to hidden questions", () => {
+    const visible = getVisibleQuestions(questions, {
+      q1: { 0: "4" },
+      q2: { 0: "1" },
+    });
+    expect(visible.map((q) => q.id)).toEqual(["q1"]);
+  });
+
+  it("should annotate section titles", () => {
+    const visible = getVisibleQuestions(questions, {
+      q1: { 0: "1" },
+      q2: { 0: "1" },
+    });
+    expect(visible.map((q) => q.sectionTitle)).toEqual([
+      "Section 1",
+      "Section 1",
+      "Section 2",
+      "Section 2",
+    ]);
+  });
+});
+
+describe("skip logic in validation and normalization", () => {
+  it("should not require hidden questions", () => {
+    const result = validateForm(questions, { q1: { 0: "No" } }, "");
+    expect(result.isValid).toBe(true);
+  });
+
+  it("should leave hidden questions out of the payload", () => {
+    const data = normalizeFormData(
+      questions,
+      { q1: { 0: "No" }, q2: { 0: "1" } },
+      { q2: "Hidden other" },
+      ""
+    );
+    expect(Object.keys(data.responses)).toEqual(["q1"]);
+    expect(data.otherText).toEqual({});
+  });
+});
+
+describe("validateCondition", () => {
+  it("should require references to earlier questions", () => {
+    const errors = validateCondition(rankedTopTwo, "showIf", new Set());
+    expect(errors[0].path).toBe("showIf.question");
+  });
+
+  it("should be checked as part of the survey definition", () => {
+    const result = validateSurveyDefinition({
+      id: "s",
+      version: "1",
+      title: "S",
+      questions: [{ ...questions[1] }, { ...questions[0] }],
+    });
+    expect(result.errors[0].path).toBe("questions[0].showIf.question");
+  });
+});
@@ -0,0 +1,66 @@
+/**
+ * Unit Tests for CSV Parsing
+ * Run with: npm test
+ */
+
+/* eslint-disable no-undef */
+// Tests use Jest globals: describe, it, expect
+
+import { parseCsv, parseCsvRows, parseCsvRecords } from "../utils/csv";
+
+describe("parseCsv", () => {
+  it("should split plain rows and skip blank lines", () => {
+    expect(parseCsv("a,b,c\n1,2,3\n\n4,,6\n")).toEqual([
+      ["a", "b", "c"],
+      ["1", "2", "3"],
+      ["4", "", "6"],
+    ]);
+  });
+
+  it("should read quoted fields with commas, quotes and line breaks", () => {
+    expect(parseCsv('id,text\r\n1,"Hello, ""world""\r\nagain"\r\n')).toEqual([
+      ["id", "text"],
+      ["1", 'Hello, "world"\r\nagain'],
+    ]);
+  });
+
+  it("should ignore a byte order mark and keep empty trailing fields", () => {
+    expect(parseCsv("\uFEFFa,b\n1,")).toEqual([
+      ["a", "b"],
+      ["1", ""],
+    ]);
+  });
+
+  it("should report an unterminated quoted field", () => {
+    expect(() => parseCsv('a\n"open\nfield')).toThrow(
+      "Unterminated quoted field starting on line 2"
+    );
+  });
+});
+
+describe("parseCsvRows", () => {
+  it("should give the line each row starts on", () => {
+    expect(
+      parseCsvRows('a,b\n\n1,"x\r\ny"\r\n2,z\r\n\r\n3,"\n"\n4,w')
+    ).toEqual([
+      { line: 1, fields: ["a", "b"] },
+      { line: 3, fields: ["1", "x\r\ny"] },
+      { line: 5, fields: ["2", "z"] },
+      { line: 7, fields: ["3", "\n"] },
+      { line: 9, fields: ["4", "w"] },
+    ]);
+  });
+});
+
+describe("parseCsvRecords", () => {
+  it("should key each row by the header", () => {
+    expect(parseCsvRecords(" id ,rank\n1,2\n3")).toEqual([
+      { id: "1", rank: "2" },
+      { id: "3", rank: "" },
+    ]);
+  });
+
+  it("should return no records for an empty file", () => {
+    expect(parseCsvRecords("")).toEqual([]);
+  });
+});
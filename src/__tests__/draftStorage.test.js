@@ -0,0 +1,130 @@
+/**
+ * Unit Tests for Draft Storage
+ * Run with: npm test
+ */
+
+/* eslint-disable no-undef */
+// Tests use Jest globals: describe, it, expect
+
+import {
+  saveDraft,
+  loadDraft,
+  clearDraft,
+  migrateDraft,
+  getDraftKey,
+  isDraftEmpty,
+} from "../utils/draftStorage";
+import { createMemoryStorage } from "../testUtils/memoryStorage";
+
+const definition = {
+  id: "test-survey",
+  version: "1.0.0",
+  questions: [
+    { id: "q1", text: "Question 1", options: ["A", "B"] },
+    { id: "q2", text: "Question 2", options: ["X", "Y"] },
+  ],
+};
+
+const draft = {
+  responses: { q1: { 0: "1" }, q2: { 1: "2" } },
+  otherText: { q2: "Something else" },
+  finalComment: "Half-written comment",
+};
+
+describe("draftStorage", () => {
+  describe("isDraftEmpty", () => {
+    it("should treat cleared ranks and blank text as empty", () => {
+      expect(
+        isDraftEmpty({
+          responses: { q1: { 0: "" } },
+          otherText: { q1: "  " },
+          finalComment: "",
+        })
+      ).toBe(true);
+    });
+
+    it("should detect any entered value", () => {
+      expect(isDraftEmpty(draft)).toBe(false);
+    });
+  });
+
+  describe("saveDraft / loadDraft", () => {
+    it("should round-trip a draft for the same version", () => {
+      const storage = createMemoryStorage();
+      saveDraft(definition, draft, storage);
+
+      const loaded = loadDraft(definition, storage);
+      expect(loaded.migrated).toBe(false);
+      expect(loaded.draft).toEqual(draft);
+      expect(loaded.savedAt).toBeDefined();
+    });
+
+    it("should return null when there is no draft", () => {
+      expect(loadDraft(definition, createMemoryStorage())).toBe(null);
+    });
+
+    it("should discard unreadable drafts", () => {
+      const storage = createMemoryStorage();
+      storage.setItem(getDraftKey(definition.id), "{not json");
+
+      expect(loadDraft(definition, storage)).toBe(null);
+      expect(storage.getItem(getDraftKey(definition.id))).toBe(null);
+    });
+
+    it("should not throw when storage is unavailable", () => {
+      const storage = {
+        setItem: () => {
+          throw new Error("QuotaExceededError");
+        },
+      };
+      expect(saveDraft(definition, draft, storage)).toBe(false);
+    });
+  });
+
+  describe("clearDraft", () => {
+    it("should remove the saved draft", () => {
+      const storage = createMemoryStorage();
+      saveDraft(definition, draft, storage);
+      clearDraft(definition, storage);
+
+      expect(loadDraft(definition, storage)).toBe(null);
+    });
+  });
+
+  describe("migrateDraft", () => {
+    it("should keep answers to unchanged questions from an older version", () => {
+      const storage = createMemoryStorage();
+      saveDraft(definition, draft, storage);
+      const stored = JSON.parse(storage.getItem(getDraftKey(definition.id)));
+
+      const updated = {
+        ...definition,
+        version: "1.1.0",
+        questions: [
+          definition.questions[0],
+          { id: "q2", text: "Question 2", options: ["X", "Y", "Z"] },
+        ],
+      };
+      const result = migrateDraft(stored, updated);
+
+      expect(result.migrated).toBe(true);
+      expect(result.draft.responses).toEqual({ q1: { 0: "1" } });
+      expect(result.draft.otherText).toEqual({});
+      expect(result.draft.finalComment).toBe("Half-written comment");
+    });
+
+    it("should discard drafts with nothing usable left", () => {
+      const stored = {
+        surveyId: "test-survey",
+        version: "0.9.0",
+        questionSignature: { q1: "Old" },
+        responses: { q1: { 0: "1" } },
+      };
+      expect(migrateDraft(stored, definition)).toBe(null);
+    });
+
+    it("should ignore drafts for another survey", () => {
+      expect(migrateDraft({ surveyId: "other" }, definition)).toBe(null);
+    });
+  });
+});
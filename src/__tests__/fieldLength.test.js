@@ -0,0 +1,159 @@
+/**
+ * Unit Tests for Free-Text Length Limits
+ * Run with: npm test
+ */
+
+/* eslint-disable no-undef */
+// Tests use Jest globals: describe, it, expect
+
+import {
+  validateSurveyDefinition,
+  applyDefinitionDefaults,
+} from "../utils/surveyDefinition";
+import {
+  validateForm,
+  validateAnswer,
+  getFirstUnansweredElementId,
+} from "../utils/formValidation";
+import {
+  sanitize,
+  MAX_TEXT_LENGTH,
+  MAX_COMMENT_LENGTH,
+} from "../utils/sanitization";
+import { createTranslator } from "../utils/i18n";
+
+const base = {
+  id: "s",
+  version: "1",
+  title: "S",
+  questions: [
+    {
+      id: "q1",
+      text: "Rank these",
+      options: ["A", "B"],
+      required: false,
+      otherMaxLength: 10,
+    },
+    { id: "q2", type: "short-text", text: "Why?", maxLength: 5 },
+    { id: "q3", type: "long-text", text: "Anything else?", required: false },
+  ],
+  finalComment: { text: "Comments", maxLength: 20 },
+};
+const definition = applyDefinitionDefaults(base);
+const [ranking, shortText, longText] = definition.questions;
+
+describe("length limits in the definition", () => {
+  it("should keep declared limits and fill in the defaults", () => {
+    expect(ranking.otherMaxLength).toBe(10);
+    expect(shortText.maxLength).toBe(5);
+    expect(longText.maxLength).toBe(MAX_COMMENT_LENGTH);
+    expect(definition.finalComment.maxLength).toBe(20);
+
+    const plain = applyDefinitionDefaults({
+      ...base,
+      questions: [{ id: "q1", text: "Rank", options: ["A"] }],
+      finalComment: undefined,
+    });
+    expect(plain.questions[0].otherMaxLength).toBe(MAX_TEXT_LENGTH);
+    expect(plain.finalComment.maxLength).toBe(MAX_COMMENT_LENGTH);
+  });
+
+  it("should reject limits that are not positive whole numbers", () => {
+    const { errors } = validateSurveyDefinition({
+      ...base,
+      questions: [
+        { id: "q1", text: "Rank", options: ["A"], otherMaxLength: 0 },
+        { id: "q2", type: "short-text", text: "Why?", maxLength: 2.5 },
+      ],
+      finalComment: { text: "Comments", maxLength: "long" },
+    });
+    expect(errors.map((e) => e.path)).toEqual([
+      "questions[0].otherMaxLength",
+      "questions[1].maxLength",
+      "finalComment.maxLength",
+    ]);
+  });
+
+  it("should reject limits on question types without that field", () => {
+    const { errors } = validateSurveyDefinition({
+      ...base,
+      questions: [
+        { id: "q1", type: "number", text: "How many?", otherMaxLength: 5 },
+        { id: "q2", text: "Rank", options: ["A"], maxLength: 5 },
+      ],
+    });
+    expect(errors.map((e) => e.path)).toEqual([
+      "questions[0].otherMaxLength",
+      "questions[1].maxLength",
+    ]);
+  });
+});
+
+describe("validateForm length checks", () => {
+  // A typed "Other" answer must be ranked too
+  const ranked = { q1: { other: "1" }, q2: "ok" };
+
+  it("should report a long Other answer against its question", () => {
+    const { errors } = validateForm(definition.questions, ranked, "", {
+      otherText: { q1: "x".repeat(11) },
+    });
+    expect(errors).toEqual([
+      {
+        type: "other-text",
+        qId: "q1",
+        qIdx: 0,
+        message:
+          'Question 1: please shorten your "Other" answer to 10 characters or fewer',
+      },
+    ]);
+    expect(getFirstUnansweredElementId(errors)).toBe("q1-other");
+  });
+
+  it("should ignore surrounding whitespace when counting", () => {
+    const { isValid } = validateForm(definition.questions, ranked, "", {
+      otherText: { q1: `  ${"x".repeat(10)}  ` },
+    });
+    expect(isValid).toBe(true);
+  });
+
+  it("should check text answers against maxLength", () => {
+    expect(validateAnswer(shortText, "123456")).toBe(
+      "shorten your answer to 5 characters or fewer"
+    );
+    expect(validateAnswer(shortText, "12345")).toBeNull();
+  });
+
+  it("should check the final comment only when given a limit", () => {
+    const comment = "c".repeat(21);
+    const { errors } = validateForm(
+      definition.questions,
+      { q2: "ok" },
+      comment,
+      {
+        finalCommentMaxLength: definition.finalComment.maxLength,
+      }
+    );
+    expect(errors[0].type).toBe("final-comment");
+    expect(getFirstUnansweredElementId(errors)).toBe("final-comments");
+
+    expect(
+      validateForm(definition.questions, { q2: "ok" }, comment).isValid
+    ).toBe(true);
+  });
+
+  it("should translate the messages", () => {
+    const { errors } = validateForm(definition.questions, ranked, "", {
+      otherText: { q1: "x".repeat(11) },
+      t: createTranslator("bn"),
+    });
+    expect(errors[0].message).toMatch(/^প্রশ্ন 1:/);
+  });
+});
+
+describe("sanitizing without truncation", () => {
+  it("should not cut long text unless asked to", () => {
+    const long = "a".repeat(MAX_COMMENT_LENGTH + 1);
+    expect(sanitize(long)).toHaveLength(MAX_COMMENT_LENGTH + 1);
+    expect(sanitize(long, { maxLength: 3 })).toBe("aaa");
+  });
+});
@@ -87,14 +87,16 @@ describe("formValidation", () => {
       expect(result.errors[0].message).toContain("Question 2");
     });
 
-    it("should identify missing final comment", () => {
+    it("should identify missing final comment when required", () => {
       const responses = {
         q1: { 0: "1" },
         q2: { 0: "2" },
       };
       const finalComment = "";
 
-      const result = validateForm(mockQuestions, responses, finalComment);
+      const result = validateForm(mockQuestions, responses, finalComment, {
+        requireFinalComment: true,
+      });
 
       expect(result.isValid).toBe(false);
       expect(result.errors).toHaveLength(1);
@@ -108,7 +110,9 @@ describe("formValidation", () => {
       };
       const finalComment = ""; // missing
 
-      const result = validateForm(mockQuestions, responses, finalComment);
+      const result = validateForm(mockQuestions, responses, finalComment, {
+        requireFinalComment: true,
+      });
 
       expect(result.isValid).toBe(false);
       expect(result.errors).toHaveLength(2);
@@ -116,6 +120,16 @@ describe("formValidation", () => {
       expect(result.errors.some((e) => e.type === "final-comment")).toBe(true);
     });
 
+    it("should skip unanswered questions that are not required", () => {
+      const questions = [
+        mockQuestions[0],
+        { ...mockQuestions[1], required: false },
+      ];
+      const result = validateForm(questions, { q1: { 0: "1" } }, "");
+
+      expect(result.isValid).toBe(true);
+    });
+
     it("should handle whitespace-only final comment as invalid", () => {
       const responses = {
         q1: { 0: "1" },
@@ -123,7 +137,9 @@ describe("formValidation", () => {
       };
       const finalComment = "   \n\t  ";
 
-      const result = validateForm(mockQuestions, responses, finalComment);
+      const result = validateForm(mockQuestions, responses, finalComment, {
+        requireFinalComment: true,
+      });
 
       expect(result.isValid).toBe(false);
       expect(result.errors[0].type).toBe("final-comment");
@@ -276,16 +292,14 @@ describe("Input Sanitization", () => {
       );
     });
 
-    it("should remove javascript protocol", () => {
+    it("should keep a javascript: prefix as text, since plain text has no links", () => {
       expect(sanitizeTextInput("javascript:alert('xss')")).toBe(
-        "alert('xss')"
+        "javascript:alert('xss')"
       );
     });
 
     it("should remove onerror attributes", () => {
-      expect(sanitizeTextInput('<img onerror="alert(\'xss\')">')).toBe(
-        '<img >'
-      );
+      expect(sanitizeTextInput('<img onerror="alert(\'xss\')">')).toBe("");
     });
 
     it("should enforce max length", () => {
@@ -423,6 +437,21 @@ describe("Form Submission Service", () => {
       expect(new Date(data.timestamp).toISOString()).toBe(data.timestamp);
     });
 
+    it("should stamp a response ID and attempt counter", () => {
+      const data = normalizeFormData(mockQuestions, {}, {}, "Comment");
+      expect(data.responseId).toMatch(
+        /^[0-9a-f]{8}-[0-9a-f]{4}-4[0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/
+      );
+      expect(data.attempt).toBe(0);
+    });
+
+    it("should reuse a provided response ID", () => {
+      const data = normalizeFormData(mockQuestions, {}, {}, "Comment", {
+        responseId: "fixed-id",
+      });
+      expect(data.responseId).toBe("fixed-id");
+    });
+
     it("should include otherText and finalComment", () => {
       const otherText = { q1: "Custom response" };
       const finalComment = "This is my final comment";
@@ -0,0 +1,312 @@
+/**
+ * Unit Tests for Internationalization
+ * Run with: npm test
+ */
+
+/* eslint-disable no-undef */
+// Tests use Jest globals: describe, it, expect
+
+import {
+  CATALOGS,
+  interpolate,
+  createTranslator,
+  translate,
+  getAvailableLocales,
+  resolveLocale,
+  localizeDefinition,
+} from "../utils/i18n";
+import {
+  validateSurveyDefinition,
+  validateTranslation,
+  applyDefinitionDefaults,
+} from "../utils/surveyDefinition";
+import { validateForm } from "../utils/formValidation";
+import {
+  normalizeFormData,
+  getErrorMessage,
+} from "../services/formSubmissionService";
+import {
+  loadSurveyDefinition,
+  resolveTranslationUrl,
+} from "../services/surveyDefinitionService";
+
+const definition = applyDefinitionDefaults({
+  id: "park-survey",
+  version: "1.0.0",
+  title: "Park Survey",
+  locale: "en",
+  rankScale: { values: ["1", "2", "No"], legend: "1 = Best" },
+  questions: [
+    {
+      id: "q1",
+      section: "Section 1: Trails",
+      text: "Which trails matter most?",
+      options: ["Short loop", "Long loop"],
+    },
+    { id: "q2", type: "number", text: "How many visits?", min: 0 },
+  ],
+  translations: {
+    bn: {
+      title: "উদ্যান জরিপ",
+      rankScale: { legend: "1 = সেরা", labels: { No: "না" } },
+      questions: {
+        q1: {
+          section: "অংশ ১: পথ",
+          text: "কোন পথগুলো সবচেয়ে গুরুত্বপূর্ণ?",
+          options: ["ছোট পথ", "লম্বা পথ"],
+        },
+      },
+    },
+  },
+});
+
+/**
+ * Build a fetch stub answering by URL
+ * @param {Object} files - Response bodies by URL
+ * @returns {Function} fetch implementation
+ */
+function mockFetch(files) {
+  return async (url) => ({
+    ok: url in files,
+    status: url in files ? 200 : 404,
+    headers: { get: () => "" },
+    text: async () => files[url],
+  });
+}
+
+/**
+ * Run a function with console.warn silenced, collecting the warnings
+ * @param {Function} fn - Async function to run
+ * @returns {Promise<Array>} Arguments of each warning
+ */
+async function collectWarnings(fn) {
+  const warnings = [];
+  const original = console.warn;
+  console.warn = (...args) => warnings.push(args);
+  try {
+    await fn();
+  } finally {
+    console.warn = original;
+  }
+  return warnings;
+}
+
+describe("message catalogs", () => {
+  it("should give every catalog the same keys as English", () => {
+    const englishKeys = Object.keys(CATALOGS.en).sort();
+    Object.values(CATALOGS).forEach((catalog) => {
+      expect(Object.keys(catalog).sort()).toEqual(englishKeys);
+    });
+  });
+
+  it("should keep the placeholders of each English message", () => {
+    const placeholders = (message) => (message.match(/\{\w+\}/g) || []).sort();
+    Object.entries(CATALOGS.en).forEach(([key, message]) => {
+      expect(placeholders(CATALOGS.bn[key])).toEqual(placeholders(message));
+    });
+  });
+});
+
+describe("translator", () => {
+  it("should fill placeholders and leave unknown ones alone", () => {
+    expect(interpolate("Step {step} of {total}", { step: 1 })).toBe(
+      "Step 1 of {total}"
+    );
+  });
+
+  it("should translate into Bangla", () => {
+    const t = createTranslator("bn");
+    expect(t("progress.step", { step: 2, total: 3 })).toBe("ধাপ 2 / 3");
+  });
+
+  it("should fall back to English, then to the key", () => {
+    expect(createTranslator("fr")("form.submit")).toBe("Submit");
+    expect(translate("no.such.key")).toBe("no.such.key");
+  });
+});
+
+describe("resolveLocale", () => {
+  const available = ["en", "bn"];
+
+  it("should prefer ?lang= over the stored choice", () => {
+    expect(resolveLocale("?lang=bn", available, "en")).toBe("bn");
+  });
+
+  it("should use the stored choice without ?lang=", () => {
+    expect(resolveLocale("", available, "bn")).toBe("bn");
+  });
+
+  it("should ignore languages the survey is not available in", () => {
+    expect(resolveLocale("?lang=fr", available, "de")).toBe("en");
+  });
+
+  it("should list the definition's own language first", () => {
+    expect(getAvailableLocales(definition)).toEqual(["en", "bn"]);
+  });
+});
+
+describe("localizeDefinition", () => {
+  const bn = localizeDefinition(definition, "bn");
+
+  it("should translate text by question ID", () => {
+    expect(bn.title).toBe("উদ্যান জরিপ");
+    expect(bn.questions[0].text).toBe("কোন পথগুলো সবচেয়ে গুরুত্বপূর্ণ?");
+    expect(bn.questions[0].options).toEqual(["ছোট পথ", "লম্বা পথ"]);
+    expect(bn.questions[0].section).toBe("অংশ ১: পথ");
+    expect(bn.rankScale.labels).toEqual({ No: "না" });
+  });
+
+  it("should keep untranslated text and everything that is not text", () => {
+    expect(bn.questions[1].text).toBe("How many visits?");
+    expect(bn.questions[1].min).toBe(0);
+    expect(bn.questions[0].rankRules).toEqual(
+      definition.questions[0].rankRules
+    );
+    expect(bn.rankScale.values).toEqual(["1", "2", "No"]);
+  });
+
+  it("should return the definition unchanged for its own language", () => {
+    expect(localizeDefinition(definition, "en")).toBe(definition);
+    expect(localizeDefinition(definition, "fr")).toBe(definition);
+  });
+});
+
+describe("validateTranslation", () => {
+  it("should accept a translation keyed by existing question IDs", () => {
+    const result = validateTranslation(definition.translations.bn, definition);
+    expect(result.isValid).toBe(true);
+  });
+
+  it("should reject unknown question IDs", () => {
+    const result = validateTranslation(
+      { questions: { q9: { text: "..." } } },
+      definition
+    );
+    expect(result.errors[0].path).toBe("questions.q9");
+  });
+
+  it("should reject a different number of options", () => {
+    const result = validateTranslation(
+      { questions: { q1: { options: ["ছোট পথ"] } } },
+      definition
+    );
+    expect(result.errors[0].path).toBe("questions.q1.options");
+  });
+
+  it("should reject a section on a question that does not start one", () => {
+    const result = validateTranslation(
+      { questions: { q2: { section: "অংশ" } } },
+      definition
+    );
+    expect(result.errors[0].path).toBe("questions.q2.section");
+  });
+
+  it("should check the translations entry of a definition", () => {
+    const result = validateSurveyDefinition({
+      id: "x",
+      version: "1",
+      title: "X",
+      questions: [{ id: "q1", text: "Q", options: ["A"] }],
+      translations: { bn: 42 },
+    });
+    expect(result.errors[0].path).toBe("translations.bn");
+  });
+});
+
+describe("translated messages", () => {
+  const t = createTranslator("bn");
+
+  it("should translate validateForm messages", () => {
+    const bn = localizeDefinition(definition, "bn");
+    const { errors } = validateForm(bn.questions, { q2: "-1" }, "", { t });
+    expect(errors[0].message).toBe(
+      "প্রশ্ন 1: কোন পথগুলো সবচেয়ে গুরুত্বপূর্ণ?..."
+    );
+    expect(errors[1].message).toBe(
+      "প্রশ্ন 2: অনুগ্রহ করে অন্তত 0 বা তার বেশি একটি সংখ্যা লিখুন"
+    );
+  });
+
+  it("should keep the English messages by default", () => {
+    const { errors } = validateForm(definition.questions, { q2: "-1" }, "");
+    expect(errors[1].message).toBe(
+      "Question 2: please enter a number of at least 0"
+    );
+  });
+
+  it("should translate getErrorMessage", () => {
+    const error = new Error("Network error");
+    expect(getErrorMessage(error)).toBe(
+      "Unable to connect to the server. Please check your internet connection."
+    );
+    expect(getErrorMessage(error, t)).toBe(CATALOGS.bn["submitError.network"]);
+  });
+});
+
+describe("normalizeFormData locale", () => {
+  it("should record the language the survey was answered in", () => {
+    const data = normalizeFormData(definition.questions, {}, {}, "", {
+      locale: "bn",
+    });
+    expect(data.locale).toBe("bn");
+  });
+
+  it("should default to English", () => {
+    expect(normalizeFormData(definition.questions, {}, {}, "").locale).toBe(
+      "en"
+    );
+  });
+});
+
+describe("loading translations", () => {
+  const base = {
+    id: "park-survey",
+    version: "1.0.0",
+    title: "Park Survey",
+    questions: [{ id: "q1", text: "Which trails?", options: ["A", "B"] }],
+  };
+
+  it("should resolve translation files next to the definition", () => {
+    expect(resolveTranslationUrl("s.bn.json", "/surveys/s.json?x=1")).toBe(
+      "/surveys/s.bn.json"
+    );
+    expect(resolveTranslationUrl("/other/s.bn.json", "/surveys/s.json")).toBe(
+      "/other/s.bn.json"
+    );
+  });
+
+  it("should load translation files listed in the definition", async () => {
+    const loaded = await loadSurveyDefinition("/surveys/s.json", {
+      fetchImpl: mockFetch({
+        "/surveys/s.json": JSON.stringify({
+          ...base,
+          translations: { bn: "s.bn.json" },
+        }),
+        "/surveys/s.bn.json": JSON.stringify({
+          questions: { q1: { text: "কোন পথ?" } },
+        }),
+      }),
+    });
+    expect(loaded.locale).toBe("en");
+    expect(loaded.translations.bn.questions.q1.text).toBe("কোন পথ?");
+  });
+
+  it("should drop translations that are missing or do not match", async () => {
+    let loaded;
+    const warnings = await collectWarnings(async () => {
+      loaded = await loadSurveyDefinition("/surveys/s.json", {
+        fetchImpl: mockFetch({
+          "/surveys/s.json": JSON.stringify({
+            ...base,
+            translations: {
+              bn: "missing.json",
+              hi: { questions: { q1: { options: ["A"] } } },
+            },
+          }),
+        }),
+      });
+    });
+    expect(loaded.translations).toEqual({});
+    expect(warnings).toHaveLength(2);
+  });
+});
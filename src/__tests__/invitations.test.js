@@ -0,0 +1,298 @@
+/**
+ * Unit Tests for Invitation Tokens
+ * Run with: npm test
+ */
+
+/* eslint-disable no-undef */
+// Tests use Jest globals: describe, it, expect
+
+import {
+  createInvitationVerifier,
+  createListVerifier,
+  createRestVerifier,
+  hashInvitationToken,
+  MIN_LIST_TOKEN_LENGTH,
+  getInvitationConfigFromEnv,
+  resolveInvitationToken,
+  checkInvitation,
+  canAnswer,
+} from "../services/invitations";
+import { normalizeFormData } from "../services/formSubmissionService";
+import { createMemoryStorage } from "../testUtils/memoryStorage";
+
+const TOKEN = "invite-token-0001-k3Xq9v";
+const DAY = 24 * 60 * 60 * 1000;
+const NOW = Date.parse("2026-06-01T00:00:00Z");
+
+/**
+ * Build a fetch stub serving a token list and counting requests
+ * @param {Array} invitations - Entries of the list
+ * @returns {Function} fetch implementation with a `calls` counter
+ */
+function listFetch(invitations) {
+  const doFetch = async () => {
+    doFetch.calls += 1;
+    return { ok: true, status: 200, json: async () => ({ invitations }) };
+  };
+  doFetch.calls = 0;
+  return doFetch;
+}
+
+/**
+ * Run a function with console.warn silenced, collecting the warnings
+ * @param {Function} fn - Async function to run
+ * @returns {Promise<Array>} Arguments of each warning
+ */
+async function collectWarnings(fn) {
+  const warnings = [];
+  const original = console.warn;
+  console.warn = (...args) => warnings.push(args);
+  try {
+    await fn();
+  } finally {
+    console.warn = original;
+  }
+  return warnings;
+}
+
+describe("list verifier", () => {
+  /**
+   * Create a list verifier over one entry for TOKEN
+   * @param {Object} entry - Extra fields of the entry
+   * @param {Object} storage - Storage for used tokens
+   * @returns {Promise<Object>} Verifier
+   */
+  const verifierFor = async (entry = {}, storage = createMemoryStorage()) =>
+    createListVerifier({
+      url: "/invitations.json",
+      fetchImpl: listFetch([
+        { hash: await hashInvitationToken(TOKEN), ...entry },
+      ]),
+      storage,
+      now: () => NOW,
+    });
+
+  it("should hash tokens as hex SHA-256", async () => {
+    expect(await hashInvitationToken("abc")).toBe(
+      "ba7816bf8f01cfea414140de5dae2223b00361a396177a9cb410ff61f20015ad"
+    );
+  });
+
+  it("should accept a listed token and reject others", async () => {
+    const verifier = await verifierFor();
+    expect(await verifier.verify(TOKEN)).toEqual({ status: "valid" });
+    expect(await verifier.verify("someone-else-0001-k3Xq9v")).toEqual({
+      status: "invalid",
+    });
+  });
+
+  it("should refuse tokens too short to resist guessing offline", async () => {
+    const short = TOKEN.slice(0, MIN_LIST_TOKEN_LENGTH - 1);
+    const fetchImpl = listFetch([{ hash: await hashInvitationToken(short) }]);
+    const verifier = createListVerifier({
+      url: "/invitations.json",
+      fetchImpl,
+      storage: createMemoryStorage(),
+    });
+    expect(await verifier.verify(short)).toEqual({ status: "invalid" });
+    expect(fetchImpl.calls).toBe(0);
+  });
+
+  it("should report expired and used entries", async () => {
+    const expired = await verifierFor({
+      expiresAt: new Date(NOW - DAY).toISOString(),
+    });
+    expect((await expired.verify(TOKEN)).status).toBe("expired");
+
+    const used = await verifierFor({ used: true });
+    expect((await used.verify(TOKEN)).status).toBe("used");
+  });
+
+  it("should remember tokens used on this device", async () => {
+    const storage = createMemoryStorage();
+    const verifier = await verifierFor({}, storage);
+    await verifier.markUsed(TOKEN);
+    expect((await verifier.verify(TOKEN)).status).toBe("used");
+  });
+
+  it("should fetch the list only once", async () => {
+    const fetchImpl = listFetch([]);
+    const verifier = createListVerifier({
+      url: "/invitations.json",
+      fetchImpl,
+      storage: createMemoryStorage(),
+    });
+    await verifier.verify(TOKEN);
+    await verifier.verify(TOKEN);
+    expect(fetchImpl.calls).toBe(1);
+  });
+});
+
+describe("rest verifier", () => {
+  /**
+   * Build a fetch stub recording requests
+   * @param {number} status - HTTP status to answer with
+   * @param {Object} body - JSON body
+   * @returns {Function} fetch implementation with a `requests` list
+   */
+  const restFetch = (status, body) => {
+    const doFetch = async (url, init = {}) => {
+      doFetch.requests.push({ url, ...init });
+      return {
+        ok: status >= 200 && status < 300,
+        status,
+        statusText: "",
+        json: async () => body,
+      };
+    };
+    doFetch.requests = [];
+    return doFetch;
+  };
+
+  it("should pass on the status reported by the server", async () => {
+    const fetchImpl = restFetch(200, { status: "used" });
+    const verifier = createRestVerifier({
+      url: "https://example.org/invitations/",
+      headers: { Authorization: "Bearer k" },
+      fetchImpl,
+    });
+    expect(await verifier.verify(TOKEN)).toEqual({ status: "used" });
+    expect(fetchImpl.requests[0].url).toBe(
+      `https://example.org/invitations/${TOKEN}`
+    );
+    expect(fetchImpl.requests[0].headers.Authorization).toBe("Bearer k");
+  });
+
+  it("should treat unknown tokens as invalid", async () => {
+    const verifier = createRestVerifier({
+      url: "/api/invitations",
+      fetchImpl: restFetch(404, null),
+    });
+    expect(await verifier.verify(TOKEN)).toEqual({ status: "invalid" });
+  });
+
+  it("should post the response ID when marking a token used", async () => {
+    const fetchImpl = restFetch(204, null);
+    const verifier = createRestVerifier({ url: "/api/invitations", fetchImpl });
+    await verifier.markUsed(TOKEN, { responseId: "r-1" });
+    expect(fetchImpl.requests[0].url).toBe(`/api/invitations/${TOKEN}/use`);
+    expect(fetchImpl.requests[0].method).toBe("POST");
+    expect(JSON.parse(fetchImpl.requests[0].body)).toEqual({
+      responseId: "r-1",
+    });
+  });
+
+  it("should throw on server errors", async () => {
+    const verifier = createRestVerifier({
+      url: "/api/invitations",
+      fetchImpl: restFetch(500, null),
+    });
+    await expect(verifier.verify(TOKEN)).rejects.toThrow();
+  });
+});
+
+describe("checkInvitation", () => {
+  const open = createInvitationVerifier();
+
+  it("should read the token from the URL", () => {
+    expect(resolveInvitationToken(`?lang=bn&token=${TOKEN}`)).toBe(TOKEN);
+    expect(resolveInvitationToken("?lang=bn")).toBeNull();
+  });
+
+  it("should let visitors without a token in unless one is required", async () => {
+    expect((await checkInvitation(null, open)).status).toBe("none");
+    expect((await checkInvitation(null, open, { required: true })).status).toBe(
+      "missing"
+    );
+  });
+
+  it("should reject malformed tokens without asking the verifier", async () => {
+    expect((await checkInvitation("a b<c>", open)).status).toBe("invalid");
+  });
+
+  it("should still show the form when the verifier is unreachable", async () => {
+    const verifier = createListVerifier({
+      url: "/invitations.json",
+      fetchImpl: async () => {
+        throw new Error("Network error");
+      },
+    });
+    let result;
+    const warnings = await collectWarnings(async () => {
+      result = await checkInvitation(TOKEN, verifier);
+    });
+    expect(result).toEqual({ status: "unverified", token: TOKEN });
+    expect(warnings).toHaveLength(1);
+  });
+
+  it("should only let valid, unverified or absent tokens answer", () => {
+    expect(["valid", "unverified", "none"].every(canAnswer)).toBe(true);
+    expect(["used", "expired", "invalid", "missing"].some(canAnswer)).toBe(
+      false
+    );
+  });
+});
+
+describe("invitation configuration", () => {
+  it("should read the verifier from the environment", () => {
+    const config = getInvitationConfigFromEnv({
+      VITE_INVITATION_VERIFIER: "rest",
+      VITE_INVITATION_URL: "/api/invitations",
+      VITE_INVITATION_REQUIRED: "true",
+    });
+    expect(config).toEqual({
+      type: "rest",
+      url: "/api/invitations",
+      required: true,
+    });
+  });
+
+  it("should not put an API key into the client", () => {
+    const config = getInvitationConfigFromEnv({
+      VITE_INVITATION_VERIFIER: "rest",
+      VITE_INVITATION_API_KEY: "secret",
+    });
+    expect(JSON.stringify(config)).not.toContain("secret");
+  });
+
+  it("should default to accepting any link", () => {
+    const config = getInvitationConfigFromEnv({});
+    expect(config.type).toBe("none");
+    expect(config.required).toBe(false);
+  });
+
+  it("should reject unknown verifier types", () => {
+    expect(() => createInvitationVerifier({ type: "ldap" })).toThrow(
+      'Invitation verifier "ldap" is not configured'
+    );
+  });
+
+  it("should reject list and rest verifiers without a URL", () => {
+    expect(() => createInvitationVerifier({ type: "list" })).toThrow(
+      'Invitation verifier "list" needs a URL'
+    );
+    expect(() =>
+      createInvitationVerifier(
+        getInvitationConfigFromEnv({
+          VITE_INVITATION_VERIFIER: "rest",
+          VITE_INVITATION_URL: " ",
+        })
+      )
+    ).toThrow('Invitation verifier "rest" needs a URL');
+  });
+});
+
+describe("normalizeFormData invitation token", () => {
+  const questions = [{ id: "q1", text: "Rank these", options: ["A", "B"] }];
+
+  it("should carry the token in the payload", () => {
+    const data = normalizeFormData(questions, {}, {}, "", {
+      invitationToken: TOKEN,
+    });
+    expect(data.invitationToken).toBe(TOKEN);
+  });
+
+  it("should send null for open links", () => {
+    expect(normalizeFormData(questions, {}, {}, "").invitationToken).toBeNull();
+  });
+});
@@ -0,0 +1,144 @@
+/**
+ * Unit Tests for Ranking the "Other" Answer
+ * Run with: npm test
+ */
+
+/* eslint-disable no-undef */
+// Tests use Jest globals: describe, it, expect
+
+import {
+  OTHER_KEY,
+  applyRank,
+  getDisplacedOptions,
+  getRankedOrder,
+  getRankingRowLabel,
+  getRankingRows,
+  moveInOrder,
+  ranksFromOrder,
+  resolveRankRules,
+} from "../utils/rankingRules";
+import {
+  validateForm,
+  getFirstUnansweredElementId,
+} from "../utils/formValidation";
+import { normalizeFormData } from "../services/formSubmissionService";
+
+const question = {
+  id: "q1",
+  text: "Rank these",
+  options: ["Trails", "Birding", "Canopy walk"],
+  required: false,
+};
+
+describe("the Other row", () => {
+  it("should only be listed when asked for", () => {
+    expect(getRankingRows(question, false)).toEqual([0, 1, 2]);
+    expect(getRankingRows(question, true)).toEqual([0, 1, 2, OTHER_KEY]);
+  });
+
+  it("should be labelled with the Other text", () => {
+    expect(getRankingRowLabel(question, 1, "")).toBe("Birding");
+    expect(getRankingRowLabel(question, OTHER_KEY, "  Boating ")).toBe(
+      "Other: Boating"
+    );
+    expect(getRankingRowLabel(question, OTHER_KEY, "")).toBe(
+      "Other (not specified)"
+    );
+  });
+
+  it("should take part in rank exclusivity", () => {
+    const rules = resolveRankRules(question);
+    const qData = { 0: "1", 1: "2", 2: "" };
+
+    expect(getDisplacedOptions(qData, OTHER_KEY, "1", rules)).toEqual([0]);
+    expect(applyRank(qData, OTHER_KEY, "1", rules)).toEqual({
+      0: "",
+      1: "2",
+      2: "",
+      other: "1",
+    });
+
+    const withOther = { 0: "", 1: "2", other: "1" };
+    expect(getDisplacedOptions(withOther, 0, "1", rules)).toEqual([OTHER_KEY]);
+    expect(applyRank(withOther, 0, "1", rules)).toEqual({
+      0: "1",
+      1: "2",
+      other: "",
+    });
+  });
+
+  it("should be ordered and reordered like an option", () => {
+    expect(getRankedOrder({ 0: "2", 1: "", other: "1" })).toEqual([
+      OTHER_KEY,
+      0,
+    ]);
+    // Ties keep option order with Other last
+    expect(getRankedOrder({ 0: "1", other: "1", 1: "1" })).toEqual([
+      0,
+      1,
+      OTHER_KEY,
+    ]);
+
+    const order = moveInOrder([0], OTHER_KEY, 0);
+    expect(order).toEqual([OTHER_KEY, 0]);
+    expect(ranksFromOrder(order, 3)).toEqual({
+      0: "2",
+      1: "",
+      2: "",
+      other: "1",
+    });
+    expect(ranksFromOrder([0], 3)).toEqual({ 0: "1", 1: "", 2: "" });
+  });
+});
+
+describe("validating the Other answer", () => {
+  const validate = (qData, other) =>
+    validateForm([question], { q1: qData }, "", {
+      otherText: { q1: other },
+    });
+
+  it("should require text for a ranked Other row", () => {
+    const { isValid, errors } = validate({ 0: "1", other: "2" }, "  ");
+    expect(isValid).toBe(false);
+    expect(errors[0]).toMatchObject({ type: "other-text", qId: "q1" });
+    expect(errors[0].message).toContain('"Other" option you ranked');
+    expect(getFirstUnansweredElementId(errors)).toBe("q1-other");
+  });
+
+  it("should require a rank for typed Other text", () => {
+    const { isValid, errors } = validate({ 0: "1" }, "Boating");
+    expect(isValid).toBe(false);
+    expect(errors[0]).toMatchObject({ type: "question", qId: "q1" });
+    expect(errors[0].message).toContain('rank your "Other" answer');
+  });
+
+  it("should accept Other text with a rank, including No", () => {
+    expect(validate({ 0: "1", other: "2" }, "Boating").isValid).toBe(true);
+    expect(validate({ 0: "1", other: "No" }, "Boating").isValid).toBe(true);
+    expect(validate({ 0: "1", other: "" }, "").isValid).toBe(true);
+  });
+});
+
+describe("submitting the Other rank", () => {
+  const normalize = (qData, other) =>
+    normalizeFormData([question], { q1: qData }, { q1: other }, "", {
+      responseId: "r",
+    }).responses.q1;
+
+  it("should send the Other rank next to the option ranks", () => {
+    expect(normalize({ 0: "2", other: "1" }, "Boating")).toEqual({
+      0: "2",
+      1: "No",
+      2: "No",
+      other: "1",
+    });
+  });
+
+  it("should leave Other out when no text was given", () => {
+    expect(normalize({ 0: "1", other: "" }, "")).toEqual({
+      0: "1",
+      1: "No",
+      2: "No",
+    });
+  });
+});
@@ -0,0 +1,205 @@
+/**
+ * Unit Tests for Question Types
+ * Run with: npm test
+ */
+
+/* eslint-disable no-undef */
+// Tests use Jest globals: describe, it, expect
+
+import { isAnswered } from "../utils/questionTypes";
+import { validateForm, validateAnswer } from "../utils/formValidation";
+import { normalizeFormData } from "../services/formSubmissionService";
+import { evaluateCondition } from "../utils/conditions";
+import { validateSurveyDefinition } from "../utils/surveyDefinition";
+import { isDraftEmpty, getQuestionSignature } from "../utils/draftStorage";
+
+const likert = {
+  id: "q1",
+  type: "likert",
+  text: "The trail was well maintained",
+  options: ["Disagree", "Neutral", "Agree"],
+};
+const single = {
+  id: "q2",
+  type: "single-choice",
+  text: "How did you arrive?",
+  options: ["Bus", "Car", "On foot"],
+};
+const multiple = {
+  id: "q3",
+  type: "multiple-choice",
+  text: "Which activities did you do?",
+  options: ["Hiking", "Birding", "Camping"],
+  minSelections: 1,
+  maxSelections: 2,
+};
+const number = {
+  id: "q4",
+  type: "number",
+  text: "How many nights did you stay?",
+  min: 0,
+  max: 30,
+  integer: true,
+};
+const shortText = { id: "q5", type: "short-text", text: "Home district" };
+const longText = {
+  id: "q6",
+  type: "long-text",
+  text: "Describe your visit",
+  required: false,
+};
+
+const questions = [likert, single, multiple, number, shortText, longText];
+
+describe("isAnswered", () => {
+  it("should recognise answers of every shape", () => {
+    expect(isAnswered(0)).toBe(true);
+    expect(isAnswered([1])).toBe(true);
+    expect(isAnswered("3")).toBe(true);
+    expect(isAnswered({ 0: "1" })).toBe(true);
+  });
+
+  it("should treat blanks as unanswered", () => {
+    expect(isAnswered(undefined)).toBe(false);
+    expect(isAnswered([])).toBe(false);
+    expect(isAnswered("   ")).toBe(false);
+    expect(isAnswered({ 0: "" })).toBe(false);
+  });
+});
+
+describe("validateAnswer", () => {
+  it("should check choice indices", () => {
+    expect(validateAnswer(single, 2)).toBeNull();
+    expect(validateAnswer(single, 3)).not.toBeNull();
+  });
+
+  it("should check selection counts", () => {
+    expect(validateAnswer(multiple, [0, 1])).toBeNull();
+    expect(validateAnswer(multiple, [0, 1, 2])).toBe("select at most 2");
+  });
+
+  it("should check numeric bounds and whole numbers", () => {
+    expect(validateAnswer(number, "4")).toBeNull();
+    expect(validateAnswer(number, "31")).toBe(
+      "enter a number no greater than 30"
+    );
+    expect(validateAnswer(number, "-1")).toBe("enter a number of at least 0");
+    expect(validateAnswer(number, "2.5")).toBe("enter a whole number");
+    expect(validateAnswer(number, "abc")).toBe("enter a number");
+  });
+
+  it("should leave unanswered questions to validateForm", () => {
+    expect(validateAnswer(number, "")).toBeNull();
+  });
+});
+
+describe("validateForm with question types", () => {
+  const answers = {
+    q1: 0,
+    q2: 1,
+    q3: [2],
+    q4: "3",
+    q5: "Sylhet",
+  };
+
+  it("should accept valid answers of every type", () => {
+    const result = validateForm(questions, answers, "");
+    expect(result.isValid).toBe(true);
+  });
+
+  it("should report missing and invalid answers", () => {
+    const result = validateForm(
+      questions,
+      { ...answers, q1: undefined, q4: "45" },
+      ""
+    );
+
+    expect(result.errors.map((e) => e.qId)).toEqual(["q1", "q4"]);
+    expect(result.errors[1].message).toBe(
+      "Question 4: please enter a number no greater than 30"
+    );
+  });
+});
+
+describe("normalizeFormData with question types", () => {
+  it("should normalize each answer for its type", () => {
+    const data = normalizeFormData(
+      questions,
+      { q1: 2, q3: [2, 0], q4: "7", q5: "  Sylhet " },
+      {},
+      ""
+    );
+
+    expect(data.responses).toEqual({
+      q1: 2,
+      q2: null,
+      q3: [0, 2],
+      q4: 7,
+      q5: "Sylhet",
+      q6: "",
+    });
+  });
+});
+
+describe("conditions on choice questions", () => {
+  it("should match picked options with valueIn", () => {
+    expect(evaluateCondition({ question: "q2", valueIn: [1] }, { q2: 1 })).toBe(
+      true
+    );
+    expect(
+      evaluateCondition({ question: "q3", valueIn: [1] }, { q3: [0, 2] })
+    ).toBe(false);
+  });
+
+  it("should treat option 0 as answered", () => {
+    expect(
+      evaluateCondition({ question: "q1", answered: true }, { q1: 0 })
+    ).toBe(true);
+  });
+});
+
+describe("survey definitions with question types", () => {
+  const definition = {
+    id: "follow-up",
+    version: "1.0.0",
+    title: "Follow-up",
+    questions,
+  };
+
+  it("should accept every question type", () => {
+    expect(validateSurveyDefinition(definition).isValid).toBe(true);
+  });
+
+  it("should reject unknown types and bad bounds", () => {
+    const result = validateSurveyDefinition({
+      ...definition,
+      questions: [
+        { id: "a", type: "slider", text: "A" },
+        { id: "b", type: "number", text: "B", min: 10, max: 1 },
+        { id: "c", type: "single-choice", text: "C" },
+      ],
+    });
+
+    expect(result.errors.map((e) => e.path)).toEqual([
+      "questions[0].type",
+      "questions[1].min",
+      "questions[2].options",
+    ]);
+  });
+});
+
+describe("drafts with question types", () => {
+  it("should keep drafts that only have non-ranking answers", () => {
+    expect(isDraftEmpty({ responses: { q1: 0 } })).toBe(false);
+  });
+
+  it("should include the type in non-ranking signatures", () => {
+    expect(
+      getQuestionSignature([{ id: "q0", options: ["A", "B"] }, likert, number])
+    ).toEqual({
+      q0: "A␞B",
+      q1: "likert:Disagree␞Neutral␞Agree",
+      q4: "number:",
+    });
+  });
+});
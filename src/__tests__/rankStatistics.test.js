@@ -0,0 +1,171 @@
+/**
+ * Unit Tests for Response Files and Rank Statistics
+ * Run with: npm test
+ */
+
+/* eslint-disable no-undef */
+// Tests use Jest globals: describe, it, expect
+
+import {
+  getRankColumn,
+  getOtherTextColumn,
+  recordToPayload,
+  parseResponseFile,
+  dropDuplicateResponses,
+} from "../utils/responseFiles";
+import {
+  summarizeRanking,
+  summarizeResults,
+  formatStatistic,
+} from "../utils/rankStatistics";
+
+const questions = [
+  {
+    id: "q1",
+    section: "Section 1: Nature",
+    text: "Rank these",
+    options: ["Trails", "Birding", "Canopy walk"],
+  },
+  { id: "q2", type: "multiple-choice", text: "Pick", options: ["A", "B"] },
+  {
+    id: "q3",
+    section: "Section 2: Visits",
+    type: "single-choice",
+    text: "One",
+    options: ["A", "B"],
+  },
+  { id: "q4", text: "Rank again", options: ["X", "Y"] },
+];
+
+const payload = (responseId, q1) => ({
+  responseId,
+  responses: { q1 },
+  otherText: {},
+  finalComment: "",
+});
+
+describe("response files", () => {
+  it("should name the CSV columns", () => {
+    expect(getRankColumn("q1", 2)).toBe("q1_opt3");
+    expect(getRankColumn("q1", "other")).toBe("q1_other");
+    expect(getOtherTextColumn("q1")).toBe("q1_other_text");
+  });
+
+  it("should turn a CSV record into a payload", () => {
+    const record = {
+      responseId: "r1",
+      locale: "bn",
+      q1_opt1: "2",
+      q1_opt2: "No",
+      q1_opt3: "",
+      q1_other: "1",
+      q1_other_text: "Boating",
+      q2: "0;1",
+      q3: "",
+      q4_opt1: "",
+      q4_opt2: "",
+      final_comment: " Thanks ",
+    };
+    expect(recordToPayload(record, questions)).toEqual({
+      responseId: "r1",
+      timestamp: null,
+      locale: "bn",
+      responses: {
+        q1: { 0: "2", 1: "No", 2: "", other: "1" },
+        q2: [0, 1],
+      },
+      otherText: { q1: "Boating" },
+      finalComment: "Thanks",
+    });
+  });
+
+  it("should read a CSV file", () => {
+    const csv = "responseId,q1_opt1,q1_opt2,q1_opt3\nr1,1,2,No\nr2,2,1,3\n";
+    const payloads = parseResponseFile(csv, "export.CSV", questions);
+    expect(payloads.map((p) => p.responses.q1[0])).toEqual(["1", "2"]);
+  });
+
+  it("should read a JSON list or a single payload", () => {
+    const one = payload("r1", { 0: "1" });
+    expect(parseResponseFile(JSON.stringify([one]), "a.json", [])).toEqual([
+      one,
+    ]);
+    expect(parseResponseFile(JSON.stringify(one), "a.json", [])).toEqual([one]);
+  });
+
+  it("should reject files that are not responses", () => {
+    expect(() => parseResponseFile("{", "a.json", [])).toThrow(
+      "Not a valid JSON file"
+    );
+    expect(() =>
+      parseResponseFile('[{"responses": {}}, {"id": 1}]', "a.json", [])
+    ).toThrow("Entry 2 is not a survey response");
+  });
+
+  it("should keep the first copy of a repeated response", () => {
+    const first = payload("r1", { 0: "1" });
+    const { payloads, duplicates } = dropDuplicateResponses([
+      first,
+      payload("r2", {}),
+      payload("r1", { 0: "2" }),
+      payload(null, {}),
+      payload(null, {}),
+    ]);
+    expect(payloads).toHaveLength(4);
+    expect(payloads[0]).toBe(first);
+    expect(duplicates).toBe(1);
+  });
+});
+
+describe("summarizeRanking", () => {
+  const payloads = [
+    payload("r1", { 0: "1", 1: "2", 2: "No" }),
+    payload("r2", { 0: "2", 1: "1", 2: "3" }),
+    payload("r3", { 0: "1", 1: "No", 2: "No", other: "2" }),
+    { responseId: "r4", responses: {} },
+  ];
+
+  it("should compute mean rank, Borda count, first choice and No rate", () => {
+    const summary = summarizeRanking(questions[0], payloads);
+    expect(summary.respondents).toBe(3);
+
+    const [trails, birding, canopy, other] = summary.rows;
+    expect(trails).toMatchObject({ key: 0, ranked: 3, borda: 8 });
+    expect(trails.meanRank).toBeCloseTo(4 / 3);
+    expect(trails.firstShare).toBeCloseTo(2 / 3);
+    expect(trails.noRate).toBe(0);
+
+    expect(birding).toMatchObject({ meanRank: 1.5, borda: 5 });
+    expect(birding.noRate).toBeCloseTo(1 / 3);
+    expect(canopy).toMatchObject({ meanRank: 3, borda: 1, firstShare: 0 });
+    expect(canopy.noRate).toBeCloseTo(2 / 3);
+
+    expect(other).toMatchObject({ key: "other", ranked: 1, borda: 2 });
+  });
+
+  it("should leave out the Other row and means when nothing was ranked", () => {
+    const summary = summarizeRanking(questions[3], [
+      payload("r1", {}),
+      { responseId: "r2", responses: { q4: { 0: "No", 1: "No" } } },
+    ]);
+    expect(summary.respondents).toBe(1);
+    expect(summary.rows.map((row) => row.key)).toEqual([0, 1]);
+    expect(summary.rows[0]).toMatchObject({ meanRank: null, noRate: 1 });
+  });
+
+  it("should group ranking questions by section", () => {
+    const sections = summarizeResults(questions, payloads);
+    expect(sections.map((s) => s.title)).toEqual([
+      "Section 1: Nature",
+      "Section 2: Visits",
+    ]);
+    expect(sections[1].questions.map((s) => s.question.id)).toEqual(["q4"]);
+  });
+
+  it("should format statistics for display", () => {
+    expect(formatStatistic("meanRank", 4 / 3)).toBe("1.33");
+    expect(formatStatistic("meanRank", null)).toBe("–");
+    expect(formatStatistic("borda", 8)).toBe("8");
+    expect(formatStatistic("firstShare", 2 / 3)).toBe("67%");
+  });
+});
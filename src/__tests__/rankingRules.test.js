@@ -0,0 +1,210 @@
+/**
+ * Unit Tests for Ranking Rules
+ * Run with: npm test
+ */
+
+/* eslint-disable no-undef */
+// Tests use Jest globals: describe, it, expect
+
+import {
+  resolveRankRules,
+  applyRank,
+  getDisplacedOptions,
+  getRankViolations,
+  getRankedOrder,
+  ranksFromOrder,
+  moveInOrder,
+} from "../utils/rankingRules";
+import { validateForm } from "../utils/formValidation";
+import { validateSurveyDefinition } from "../utils/surveyDefinition";
+
+const eightOptions = {
+  id: "q1",
+  text: "Rank the attractions",
+  options: ["A", "B", "C", "D", "E", "F", "G", "H"],
+};
+
+describe("resolveRankRules", () => {
+  it("should default to ranks 1..option count plus No", () => {
+    const rules = resolveRankRules(eightOptions);
+
+    expect(rules.values).toEqual([
+      "1",
+      "2",
+      "3",
+      "4",
+      "5",
+      "6",
+      "7",
+      "8",
+      "No",
+    ]);
+    expect(rules.exclusive).toEqual(["1", "2", "3", "4", "5", "6", "7", "8"]);
+    expect(rules.contiguous).toBe(false);
+    expect(rules.maxRanked).toBeNull();
+  });
+
+  it("should use the survey rank scale when one is set", () => {
+    const rules = resolveRankRules(eightOptions, { values: ["1", "2", "No"] });
+    expect(rules.values).toEqual(["1", "2", "No"]);
+  });
+
+  it("should let maxRank override the scale but keep its extra values", () => {
+    const rules = resolveRankRules(
+      { ...eightOptions, rankRules: { maxRank: 3 } },
+      { values: ["1", "2", "N/A"] }
+    );
+    expect(rules.values).toEqual(["1", "2", "3", "N/A"]);
+  });
+
+  it("should return rules that are already resolved unchanged", () => {
+    const rules = resolveRankRules(eightOptions);
+    expect(resolveRankRules({ ...eightOptions, rankRules: rules })).toBe(rules);
+  });
+});
+
+describe("applyRank", () => {
+  const rules = resolveRankRules({
+    ...eightOptions,
+    rankRules: { exclusive: ["1"] },
+  });
+
+  it("should move exclusive values to the newly ranked option", () => {
+    expect(applyRank({ 0: "1" }, 1, "1", rules)).toEqual({ 0: "", 1: "1" });
+    expect(getDisplacedOptions({ 0: "1" }, 1, "1", rules)).toEqual([0]);
+  });
+
+  it("should let non-exclusive values be shared", () => {
+    expect(applyRank({ 0: "2" }, 1, "2", rules)).toEqual({ 0: "2", 1: "2" });
+    expect(getDisplacedOptions({ 0: "2" }, 1, "2", rules)).toEqual([]);
+  });
+
+  it("should treat every value except No as exclusive without rules", () => {
+    expect(applyRank({ 0: "No" }, 1, "No")).toEqual({ 0: "No", 1: "No" });
+    expect(applyRank({ 0: "3" }, 1, "3")).toEqual({ 0: "", 1: "3" });
+  });
+});
+
+describe("getRankViolations", () => {
+  it("should report gaps when ranks must be contiguous", () => {
+    const rules = resolveRankRules({
+      ...eightOptions,
+      rankRules: { contiguous: true },
+    });
+
+    expect(getRankViolations({ 0: "1", 1: "3" }, rules)).toEqual([
+      "give rank 2 before using rank 3",
+    ]);
+    expect(getRankViolations({ 0: "1", 1: "2", 2: "No" }, rules)).toEqual([]);
+  });
+
+  it("should report too many ranked options", () => {
+    const rules = resolveRankRules({
+      ...eightOptions,
+      rankRules: { maxRanked: 2 },
+    });
+
+    expect(getRankViolations({ 0: "1", 1: "2", 2: "3" }, rules)).toEqual([
+      "rank at most 2 options",
+    ]);
+  });
+
+  it("should report duplicate exclusive ranks and unknown values", () => {
+    const rules = resolveRankRules(eightOptions);
+
+    expect(getRankViolations({ 0: "1", 1: "1", 2: "9" }, rules)).toEqual([
+      "use only the ranks 1, 2, 3, 4, 5, 6, 7, 8, No",
+      "give rank 1 to only one option",
+    ]);
+  });
+});
+
+describe("ranked order helpers", () => {
+  it("should list ranked options best first, ignoring No and blanks", () => {
+    expect(getRankedOrder({ 0: "2", 1: "No", 2: "1", 3: "" })).toEqual([2, 0]);
+    expect(getRankedOrder(undefined)).toEqual([]);
+  });
+
+  it("should turn an order back into the grid's ranks shape", () => {
+    expect(ranksFromOrder([2, 0], 4)).toEqual({ 0: "2", 1: "", 2: "1", 3: "" });
+  });
+
+  it("should round-trip an order through ranks", () => {
+    const order = [3, 1, 0];
+    expect(getRankedOrder(ranksFromOrder(order, 4))).toEqual(order);
+  });
+
+  it("should move options within, into and out of the order", () => {
+    expect(moveInOrder([0, 1, 2], 2, 0)).toEqual([2, 0, 1]);
+    expect(moveInOrder([0, 1], 3, 5)).toEqual([0, 1, 3]);
+    expect(moveInOrder([0, 1, 2], 1, null)).toEqual([0, 2]);
+  });
+});
+
+describe("rank rules in validation", () => {
+  it("should surface violations as validation errors", () => {
+    const question = { ...eightOptions, rankRules: { maxRanked: 1 } };
+    const result = validateForm([question], { q1: { 0: "1", 1: "2" } }, "");
+
+    expect(result.errors).toEqual([
+      {
+        type: "question",
+        qId: "q1",
+        qIdx: 0,
+        message: "Question 1: please rank at most 1 options",
+      },
+    ]);
+  });
+
+  it("should reject malformed rank rules in a definition", () => {
+    const result = validateSurveyDefinition({
+      id: "s",
+      version: "1",
+      title: "S",
+      questions: [{ ...eightOptions, rankRules: { maxRanked: 0 } }],
+    });
+
+    expect(result.errors[0].path).toBe("questions[0].rankRules.maxRanked");
+  });
+
+  it("should reject rank values written into the rules", () => {
+    const question = { ...eightOptions, rankRules: { values: ["1", "2"] } };
+    const result = validateSurveyDefinition({
+      id: "s",
+      version: "1",
+      title: "S",
+      questions: [question],
+    });
+    expect(result.errors).toEqual([
+      {
+        path: "questions[0].rankRules.values",
+        message:
+          'Unknown rank rule "values" (use maxRank, exclusive, contiguous, maxRanked)',
+      },
+    ]);
+
+    // Resolving such rules still gives complete ones that applyRank can use
+    const rules = resolveRankRules(question);
+    expect(rules.exclusive).toEqual(rules.values.filter((v) => v !== "No"));
+    expect(applyRank({ 0: "1" }, 1, "1", rules)).toMatchObject({
+      0: "",
+      1: "1",
+    });
+  });
+
+  it("should only accept known ranking widgets", () => {
+    const definition = {
+      id: "s",
+      version: "1",
+      title: "S",
+      questions: [{ ...eightOptions, widget: "list" }],
+    };
+    expect(validateSurveyDefinition(definition).isValid).toBe(true);
+
+    const result = validateSurveyDefinition({
+      ...definition,
+      questions: [{ ...eightOptions, widget: "slider" }],
+    });
+    expect(result.errors[0].path).toBe("questions[0].widget");
+  });
+});
@@ -0,0 +1,199 @@
+/**
+ * Unit Tests for the Respondent Profile
+ * Run with: npm test
+ */
+
+/* eslint-disable no-undef */
+// Tests use Jest globals: describe, it, expect
+
+import { EMPTY_PROFILE, isProfileEmpty } from "../utils/respondentProfile";
+import {
+  validateForm,
+  validateRespondentProfile,
+  getFirstUnansweredElementId,
+} from "../utils/formValidation";
+import { sanitizeRespondentProfile } from "../utils/sanitization";
+import { normalizeFormData } from "../services/formSubmissionService";
+import { migrateDraft, isDraftEmpty } from "../utils/draftStorage";
+import {
+  validateSurveyDefinition,
+  applyDefinitionDefaults,
+} from "../utils/surveyDefinition";
+import { createTranslator } from "../utils/i18n";
+
+const questions = [
+  { id: "q1", text: "Rank these", options: ["A", "B"], required: false },
+];
+
+const profile = (fields) => ({ ...EMPTY_PROFILE, ...fields });
+
+describe("validateRespondentProfile", () => {
+  it("should accept a blank profile", () => {
+    expect(validateRespondentProfile(EMPTY_PROFILE)).toEqual([]);
+  });
+
+  it("should accept a complete profile", () => {
+    const errors = validateRespondentProfile(
+      profile({
+        affiliation: "university",
+        yearsOfResearch: "4",
+        discipline: "Ornithology",
+        email: "someone@example.org",
+        contactConsent: true,
+      })
+    );
+    expect(errors).toEqual([]);
+  });
+
+  it("should reject an unknown affiliation type", () => {
+    const [error] = validateRespondentProfile(
+      profile({ affiliation: "pirate" })
+    );
+    expect(error.field).toBe("affiliation");
+  });
+
+  it("should reject years that are not a whole number in range", () => {
+    ["-1", "2.5", "abc", "61"].forEach((yearsOfResearch) => {
+      const [error] = validateRespondentProfile(profile({ yearsOfResearch }));
+      expect(error.field).toBe("yearsOfResearch");
+    });
+  });
+
+  it("should reject a malformed email", () => {
+    const [error] = validateRespondentProfile(
+      profile({ email: "not-an-email", contactConsent: true })
+    );
+    expect(error.field).toBe("email");
+    expect(error.message).toBe("About you: enter a valid email address");
+  });
+
+  it("should require consent before accepting an email", () => {
+    const [error] = validateRespondentProfile(
+      profile({ email: "someone@example.org" })
+    );
+    expect(error.field).toBe("contactConsent");
+  });
+
+  it("should translate its messages", () => {
+    const [error] = validateRespondentProfile(
+      profile({ affiliation: "pirate" }),
+      createTranslator("bn")
+    );
+    expect(error.message).toMatch(/^আপনার সম্পর্কে:/);
+  });
+});
+
+describe("validateForm with a respondent profile", () => {
+  it("should report profile errors before question errors", () => {
+    const { isValid, errors } = validateForm(questions, {}, "", {
+      respondent: profile({ yearsOfResearch: "-3" }),
+    });
+    expect(isValid).toBe(false);
+    expect(errors[0].type).toBe("respondent");
+    expect(getFirstUnansweredElementId(errors)).toBe(
+      "respondent-yearsOfResearch"
+    );
+  });
+
+  it("should not check the profile unless asked to", () => {
+    expect(validateForm(questions, {}, "").isValid).toBe(true);
+  });
+});
+
+describe("sanitizeRespondentProfile", () => {
+  it("should clean the text fields and lower-case the email", () => {
+    const clean = sanitizeRespondentProfile({
+      affiliation: " ngo ",
+      yearsOfResearch: 3,
+      discipline: "  Botany  ",
+      email: " Someone@Example.ORG ",
+      contactConsent: "yes",
+    });
+    expect(clean).toEqual({
+      affiliation: "ngo",
+      yearsOfResearch: "3",
+      discipline: "Botany",
+      email: "someone@example.org",
+      contactConsent: false,
+    });
+  });
+});
+
+describe("normalizeFormData respondent", () => {
+  it("should send the profile as a separate object", () => {
+    const data = normalizeFormData(questions, {}, {}, "", {
+      respondent: profile({
+        affiliation: "government",
+        yearsOfResearch: "12",
+        email: "someone@example.org",
+        contactConsent: true,
+      }),
+    });
+    expect(data.respondent).toEqual({
+      affiliation: "government",
+      yearsOfResearch: 12,
+      discipline: null,
+      email: "someone@example.org",
+      contactConsent: true,
+    });
+    expect(data.responses.respondent).toBeUndefined();
+  });
+
+  it("should drop the email without consent", () => {
+    const data = normalizeFormData(questions, {}, {}, "", {
+      respondent: profile({ email: "someone@example.org" }),
+    });
+    expect(data.respondent.email).toBeNull();
+  });
+
+  it("should send null when the survey has no profile", () => {
+    expect(normalizeFormData(questions, {}, {}, "").respondent).toBeNull();
+  });
+});
+
+describe("respondent profile in drafts and definitions", () => {
+  const base = {
+    id: "s",
+    version: "2",
+    title: "S",
+    respondentProfile: true,
+    questions,
+  };
+  const definition = applyDefinitionDefaults(base);
+
+  it("should count a profile as draft content", () => {
+    expect(isProfileEmpty(EMPTY_PROFILE)).toBe(true);
+    expect(
+      isDraftEmpty({ respondent: profile({ discipline: "Ecology" }) })
+    ).toBe(false);
+  });
+
+  it("should keep the profile when the questions change", () => {
+    const result = migrateDraft(
+      {
+        surveyId: "s",
+        version: "1",
+        questionSignature: { q1: "Old option" },
+        responses: { q1: { 0: "1" } },
+        respondent: profile({ discipline: "Ecology" }),
+      },
+      definition
+    );
+    expect(result.migrated).toBe(true);
+    expect(result.draft.responses).toEqual({});
+    expect(result.draft.respondent.discipline).toBe("Ecology");
+  });
+
+  it("should default the profile to off and check the flag", () => {
+    expect(definition.respondentProfile).toBe(true);
+    expect(
+      applyDefinitionDefaults({ ...base, respondentProfile: undefined })
+        .respondentProfile
+    ).toBe(false);
+    const { errors } = validateSurveyDefinition({
+      ...base,
+      respondentProfile: "yes",
+    });
+    expect(errors[0].path).toBe("respondentProfile");
+  });
+});
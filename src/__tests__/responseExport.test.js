@@ -0,0 +1,144 @@
+/**
+ * Unit Tests for Response Export
+ * Run with: npm test
+ */
+
+/* eslint-disable no-undef */
+// Tests use Jest globals: describe, it, expect
+
+import { toWideCsv, toLongCsv, toCodebookCsv } from "../utils/responseExport";
+import { formatCsv, parseCsv, parseCsvRecords } from "../utils/csv";
+import { parseResponseFile } from "../utils/responseFiles";
+import { applyDefinitionDefaults } from "../utils/surveyDefinition";
+
+const definition = applyDefinitionDefaults({
+  id: "s",
+  version: "1",
+  title: "S",
+  questions: [
+    { id: "q1", text: "Rank these", options: ["Trails", "Birding"] },
+    {
+      id: "q2",
+      type: "multiple-choice",
+      text: "Pick, any",
+      options: ["A", "B", "C"],
+    },
+    { id: "q3", type: "number", text: "Visits", min: 0 },
+  ],
+  finalComment: { text: "Anything else?" },
+});
+
+const payloads = [
+  {
+    responseId: "r1",
+    timestamp: "2026-01-01T00:00:00.000Z",
+    locale: "en",
+    responses: {
+      q1: { 0: "2", 1: "No", other: "1" },
+      q2: [0, 2],
+      q3: 4,
+    },
+    otherText: { q1: 'Boating, "kayak"' },
+    finalComment: "Line one\nline two",
+  },
+  {
+    responseId: "r2",
+    timestamp: "2026-01-02T00:00:00.000Z",
+    locale: "bn",
+    responses: { q1: { 0: "1", 1: "2" }, q2: [], q3: null },
+    otherText: {},
+    finalComment: "",
+  },
+];
+
+describe("formatCsv", () => {
+  it("should quote only fields that need it", () => {
+    expect(formatCsv([["a", 'say "hi"', "x,y", null, 3]])).toBe(
+      'a,"say ""hi""","x,y",,3\r\n'
+    );
+  });
+});
+
+describe("toWideCsv", () => {
+  it("should write one column per question option", () => {
+    const [header, first, second] = parseCsv(toWideCsv(payloads, definition));
+    expect(header).toEqual([
+      "responseId",
+      "timestamp",
+      "locale",
+      "q1_opt1",
+      "q1_opt2",
+      "q1_other",
+      "q1_other_text",
+      "q2",
+      "q3",
+      "final_comment",
+    ]);
+    expect(first).toEqual([
+      "r1",
+      "2026-01-01T00:00:00.000Z",
+      "en",
+      "2",
+      "No",
+      "1",
+      'Boating, "kayak"',
+      "0;2",
+      "4",
+      "Line one\nline two",
+    ]);
+    expect(second.slice(3)).toEqual(["1", "2", "", "", "", "", ""]);
+  });
+
+  it("should be readable by the results dashboard", () => {
+    const [first] = parseResponseFile(
+      toWideCsv(payloads, definition),
+      "s-wide.csv",
+      definition.questions
+    );
+    expect(first).toEqual(payloads[0]);
+  });
+});
+
+describe("toLongCsv", () => {
+  it("should write one row per response, question and option", () => {
+    expect(parseCsv(toLongCsv(payloads, definition))).toEqual([
+      ["respondent", "question", "option", "rank"],
+      ["r1", "q1", "1", "2"],
+      ["r1", "q1", "2", "No"],
+      ["r1", "q1", "other", "1"],
+      ["r2", "q1", "1", "1"],
+      ["r2", "q1", "2", "2"],
+    ]);
+  });
+
+  it("should skip questions a respondent was not shown", () => {
+    const hidden = { responseId: "r3", responses: {} };
+    expect(parseCsv(toLongCsv([hidden], definition))).toHaveLength(1);
+  });
+});
+
+describe("toCodebookCsv", () => {
+  it("should map every wide column to its question and option", () => {
+    const codebook = parseCsvRecords(toCodebookCsv(definition));
+    expect(codebook.map((row) => row.column)).toEqual(
+      parseCsv(toWideCsv([], definition))[0]
+    );
+
+    const byColumn = Object.fromEntries(
+      codebook.map((row) => [row.column, row])
+    );
+    expect(byColumn.q1_opt2).toEqual({
+      column: "q1_opt2",
+      question_id: "q1",
+      question_text: "Rank these",
+      option: "2",
+      option_text: "Birding",
+      values: "Rank: 1, 2, No",
+    });
+    expect(byColumn.q2.values).toBe(
+      'Option indices separated by ";": 0 = A; 1 = B; 2 = C'
+    );
+    expect(byColumn.q3.values).toBe("Number, min 0");
+    expect(byColumn.final_comment.values).toBe("Free text: Anything else?");
+  });
+});
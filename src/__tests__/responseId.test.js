@@ -0,0 +1,49 @@
+/**
+ * Unit Tests for Response IDs
+ * Run with: npm test
+ */
+
+/* eslint-disable no-undef */
+// Tests use Jest globals: describe, it, expect
+
+import { generateResponseId, isResponseId } from "../utils/responseId";
+import { submitForm } from "../services/formSubmissionService";
+
+describe("responseId", () => {
+  it("should generate UUID v4 strings", () => {
+    expect(isResponseId(generateResponseId())).toBe(true);
+  });
+
+  it("should fall back to getRandomValues", () => {
+    const id = generateResponseId({
+      getRandomValues: (bytes) => bytes.fill(0xff),
+    });
+    expect(id).toBe("ffffffff-ffff-4fff-bfff-ffffffffffff");
+  });
+
+  it("should generate distinct IDs", () => {
+    expect(generateResponseId()).not.toBe(generateResponseId());
+  });
+
+  it("should send the same response ID with an incremented attempt", async () => {
+    const sent = [];
+    let calls = 0;
+    const backend = {
+      name: "test",
+      getConfigurationError: () => null,
+      send: async (data) => {
+        sent.push(data);
+        calls++;
+        if (calls < 2) throw new Error("Request timeout");
+        return { confirmed: true };
+      },
+    };
+
+    await submitForm({ responseId: "abc", attempt: 0 }, backend, {
+      initialRetryDelay: 0,
+    });
+
+    expect(sent.map((d) => d.responseId)).toEqual(["abc", "abc"]);
+    expect(sent.map((d) => d.attempt)).toEqual([1, 2]);
+  });
+});
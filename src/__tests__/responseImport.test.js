@@ -0,0 +1,189 @@
+/**
+ * Unit Tests for Importing Typed-In Responses
+ * Run with: npm test
+ */
+
+/* eslint-disable no-undef */
+// Tests use Jest globals: describe, it, expect
+
+import { importResponses } from "../services/responseImport";
+import { applyDefinitionDefaults } from "../utils/surveyDefinition";
+import { formatCsv } from "../utils/csv";
+import { createTranslator } from "../utils/i18n";
+
+const definition = applyDefinitionDefaults({
+  id: "s",
+  version: "1",
+  title: "S",
+  questions: [
+    {
+      id: "q1",
+      text: "Rank these",
+      options: ["Trails", "Birding", "Canopy walk"],
+      otherMaxLength: 20,
+    },
+    { id: "q2", type: "short-text", text: "Why?", required: false },
+  ],
+  finalComment: { text: "Comments", maxLength: 30 },
+});
+
+const header = [
+  "responseId",
+  "q1_opt1",
+  "q1_opt2",
+  "q1_opt3",
+  "q1_other",
+  "q1_other_text",
+  "q2",
+  "final_comment",
+];
+
+/**
+ * Build CSV text from rows under the standard header
+ * @param {...Array<string>} rows - Data rows
+ * @returns {string} CSV text
+ */
+const csv = (...rows) => formatCsv([header, ...rows]);
+
+describe("importResponses", () => {
+  it("should turn valid rows into sanitized payloads", () => {
+    const { rows, payloads, invalid } = importResponses(
+      csv(
+        ["p1", "1", "2", "No", "", "", "<b>Shade</b>", "=SUM(A1)"],
+        ["p2", "2", "No", "No", "1", "Boating", "", ""]
+      ),
+      definition
+    );
+
+    expect(rows).toBe(2);
+    expect(invalid).toEqual([]);
+    expect(payloads[0]).toMatchObject({
+      responseId: "p1",
+      locale: "en",
+      responses: { q1: { 0: "1", 1: "2", 2: "No" }, q2: "Shade" },
+      finalComment: "'=SUM(A1)",
+    });
+    expect(payloads[1].responses.q1.other).toBe("1");
+    expect(payloads[1].otherText).toEqual({ q1: "Boating" });
+  });
+
+  it("should report ranks the grid would not allow together", () => {
+    const { payloads, invalid } = importResponses(
+      csv(["p1", "1", "1", "2", "1", "Boating", "", ""]),
+      definition
+    );
+    expect(payloads).toEqual([]);
+    expect(invalid).toEqual([
+      {
+        line: 2,
+        responseId: "p1",
+        errors: [
+          "Question 1: rank 1 is given to more than one option (Trails, Birding, Other: Boating)",
+        ],
+      },
+    ]);
+  });
+
+  it("should report missing answers and oversized text", () => {
+    const { invalid } = importResponses(
+      csv(
+        ["p1", "", "", "", "", "", "", ""],
+        ["p2", "1", "No", "No", "2", "x".repeat(21), "", "y".repeat(31)]
+      ),
+      definition
+    );
+    expect(invalid.map((entry) => entry.line)).toEqual([2, 3]);
+    expect(invalid[0].errors[0]).toMatch(/^Question 1: Rank these/);
+    expect(invalid[1].errors).toEqual([
+      'Question 1: please shorten your "Other" answer to 20 characters or fewer',
+      "Please shorten your additional comments to 30 characters or fewer",
+    ]);
+  });
+
+  it("should tell a mistyped cell from an empty one", () => {
+    const scored = applyDefinitionDefaults({
+      id: "s",
+      version: "1",
+      title: "S",
+      questions: [
+        { id: "q1", text: "Rank these", options: ["Trails", "Birding"] },
+        {
+          id: "q2",
+          type: "likert",
+          text: "Value",
+          options: ["Poor", "Good"],
+        },
+        { id: "q3", type: "number", text: "Visits", required: false },
+      ],
+    });
+    const { invalid } = importResponses(
+      formatCsv([
+        ["responseId", "q1_opt1", "q1_opt2", "q2", "q3"],
+        ["p1", "abc", "1", "good", "x"],
+        ["p2", "1", "2", "", ""],
+      ]),
+      scored
+    );
+
+    expect(invalid[0].errors).toEqual([
+      'Question 2: "good" is not a number',
+      'Question 3: "x" is not a number',
+      "Question 1: please use only the ranks 1, 2, No",
+    ]);
+    expect(invalid[1].errors).toEqual([
+      expect.stringMatching(/^Question 2: Value/),
+    ]);
+  });
+
+  it("should report a response ID used twice", () => {
+    const row = ["p1", "1", "2", "3", "", "", "", ""];
+    const { payloads, invalid } = importResponses(csv(row, row), definition);
+    expect(payloads).toHaveLength(1);
+    expect(invalid[0]).toMatchObject({
+      line: 3,
+      errors: ["Response ID p1 is already used on line 2"],
+    });
+  });
+
+  it("should report the line a row starts on in the file", () => {
+    const text = [
+      header.join(","),
+      "p1,1,2,3,,,,",
+      "",
+      'p2,1,2,3,,,"two',
+      'lines",',
+      "p2,1,2,3,,,,",
+      ",1,1,,,,,",
+    ].join("\n");
+
+    const { payloads, invalid } = importResponses(text, definition);
+
+    expect(payloads).toHaveLength(2);
+    expect(payloads[1].responses.q2).toBe("two\nlines");
+    expect(invalid).toEqual([
+      {
+        line: 6,
+        responseId: "p2",
+        errors: ["Response ID p2 is already used on line 4"],
+      },
+      expect.objectContaining({ line: 7, responseId: null }),
+    ]);
+  });
+
+  it("should give rows without an ID a new one", () => {
+    const { payloads } = importResponses(
+      csv(["", "1", "2", "3", "", "", "", ""]),
+      definition
+    );
+    expect(payloads[0].responseId).toMatch(/^[0-9a-f-]{36}$/);
+  });
+
+  it("should translate the report", () => {
+    const { invalid } = importResponses(
+      csv(["p1", "1", "1", "", "", "", "", ""]),
+      definition,
+      { t: createTranslator("bn") }
+    );
+    expect(invalid[0].errors[0]).toMatch(/^প্রশ্ন 1:/);
+  });
+});
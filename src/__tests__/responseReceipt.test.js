@@ -0,0 +1,114 @@
+/**
+ * Unit Tests for the Response Receipt
+ * Run with: npm test
+ */
+
+/* eslint-disable no-undef */
+// Tests use Jest globals: describe, it, expect
+
+import {
+  buildReceipt,
+  receiptToHtml,
+  receiptToJson,
+} from "../utils/responseReceipt";
+import { applyDefinitionDefaults } from "../utils/surveyDefinition";
+import { createTranslator, localizeDefinition } from "../utils/i18n";
+
+const definition = applyDefinitionDefaults({
+  id: "s",
+  version: "2",
+  title: "Park survey",
+  rankScale: { values: ["1", "2", "No"], labels: { No: "Not for me" } },
+  questions: [
+    { id: "q1", text: "Rank these", options: ["Trails", "Birding"] },
+    {
+      id: "q2",
+      type: "multiple-choice",
+      text: "Pick any",
+      options: ["A", "B", "C"],
+      required: false,
+    },
+    { id: "q3", type: "number", text: "Visits", required: false },
+  ],
+  finalComment: { text: "Anything else?" },
+  translations: {
+    bn: { questions: { q1: { text: "এগুলো সাজান" } } },
+  },
+});
+
+const payload = {
+  responseId: "r-123",
+  attempt: 0,
+  timestamp: "2026-03-01T10:00:00.000Z",
+  locale: "en",
+  invitationToken: null,
+  antiBot: { honeypot: "", fillTimeMs: 5000 },
+  respondent: null,
+  responses: {
+    q1: { 0: "No", 1: "2", other: "1" },
+    q2: [2, 0],
+  },
+  otherText: { q1: "<Boating>" },
+  finalComment: "",
+};
+
+describe("buildReceipt", () => {
+  it("should give each answer in readable text", () => {
+    const receipt = buildReceipt(payload, definition);
+    expect(receipt).toMatchObject({
+      referenceId: "r-123",
+      survey: { id: "s", version: "2", title: "Park survey" },
+      submittedAt: "2026-03-01T10:00:00.000Z",
+      status: "recorded",
+      finalComment: { question: "Anything else?", answer: "" },
+    });
+    expect(receipt.answers).toEqual([
+      {
+        questionId: "q1",
+        question: "Rank these",
+        answer: [
+          { label: "Other: <Boating>", rank: "1", rankText: "Rank 1" },
+          { label: "Birding", rank: "2", rankText: "Rank 2" },
+          { label: "Trails", rank: "No", rankText: "Not for me" },
+        ],
+      },
+      {
+        questionId: "q2",
+        question: "Pick any",
+        answer: [{ label: "A" }, { label: "C" }],
+      },
+    ]);
+  });
+
+  it("should keep the payload without the anti-bot signals", () => {
+    const receipt = buildReceipt(payload, definition, { queued: true });
+    expect(receipt.status).toBe("queued");
+    expect(receipt.payload.antiBot).toBeUndefined();
+    expect(receipt.payload.responses).toEqual(payload.responses);
+    expect(JSON.parse(receiptToJson(receipt))).toEqual(receipt);
+  });
+
+  it("should use the definition's language", () => {
+    const receipt = buildReceipt(
+      { ...payload, locale: "bn" },
+      localizeDefinition(definition, "bn"),
+      { t: createTranslator("bn") }
+    );
+    expect(receipt.answers[0].question).toBe("এগুলো সাজান");
+    expect(receipt.answers[0].answer[1].rankText).toMatch(/^র/);
+  });
+});
+
+describe("receiptToHtml", () => {
+  it("should write an escaped, standalone page", () => {
+    const html = receiptToHtml(buildReceipt(payload, definition));
+    expect(html).toMatch(/^<!DOCTYPE html>/);
+    expect(html).toContain('<html lang="en">');
+    expect(html).toContain("<code>r-123</code>");
+    expect(html).toContain('datetime="2026-03-01T10:00:00.000Z"');
+    expect(html).toContain("Other: &lt;Boating&gt;");
+    expect(html).not.toContain("<Boating>");
+    expect(html).not.toMatch(/<script|<link/);
+    expect(html).toContain('<p class="empty">Not answered</p>');
+  });
+});
@@ -0,0 +1,75 @@
+/**
+ * Unit Tests for the Response Summary
+ * Run with: npm test
+ */
+
+/* eslint-disable no-undef */
+// Tests use Jest globals: describe, it, expect
+
+import { summarizeAnswer } from "../utils/responseSummary";
+import { createTranslator } from "../utils/i18n";
+
+const ranking = {
+  id: "q1",
+  text: "Rank these",
+  options: ["Trails", "Birding", "Canopy walk", "Boating"],
+};
+
+describe("summarizeAnswer", () => {
+  it("should list ranking rows by rank, then other values, then blanks", () => {
+    expect(
+      summarizeAnswer(ranking, { 0: "No", 1: "2", 2: "", 3: "1" })
+    ).toEqual([
+      { label: "Boating", rank: "1" },
+      { label: "Birding", rank: "2" },
+      { label: "Trails", rank: "No" },
+      { label: "Canopy walk", rank: "" },
+    ]);
+  });
+
+  it("should rank the Other row with its text", () => {
+    expect(
+      summarizeAnswer(
+        ranking,
+        { 0: "2", 1: "No", 2: "No", 3: "No", other: "1" },
+        { otherText: " Kayaking " }
+      ).slice(0, 2)
+    ).toEqual([
+      { label: "Other: Kayaking", rank: "1" },
+      { label: "Trails", rank: "2" },
+    ]);
+  });
+
+  it("should label an empty Other row in the display language", () => {
+    const lines = summarizeAnswer(
+      ranking,
+      { 0: "1", 1: "No", 2: "No", 3: "No", other: "No" },
+      { t: createTranslator("bn") }
+    );
+    expect(lines[4].rank).toBe("No");
+    expect(lines[4].label).not.toBe("Other (not specified)");
+  });
+
+  it("should give the chosen option text for choice questions", () => {
+    const choice = {
+      id: "q2",
+      type: "multiple-choice",
+      options: ["A", "B", "C"],
+    };
+    expect(summarizeAnswer(choice, [2, 0])).toEqual([
+      { label: "A" },
+      { label: "C" },
+    ]);
+    expect(summarizeAnswer({ ...choice, type: "likert" }, 1)).toEqual([
+      { label: "B" },
+    ]);
+  });
+
+  it("should give typed answers as entered and skip unanswered ones", () => {
+    expect(summarizeAnswer({ id: "q3", type: "number" }, "4")).toEqual([
+      { label: "4" },
+    ]);
+    expect(summarizeAnswer({ id: "q4", type: "long-text" }, "  ")).toEqual([]);
+    expect(summarizeAnswer({ id: "q5", type: "single-choice" })).toEqual([]);
+  });
+});
@@ -0,0 +1,287 @@
+/**
+ * Unit Tests for the Submission Retry Policy
+ * Run with: npm test
+ */
+
+/* eslint-disable no-undef */
+// Tests use Jest globals: describe, it, expect
+
+import {
+  createRetryPolicy,
+  classifySubmissionError,
+  SubmissionError,
+} from "../services/retryPolicy";
+import { submitForm } from "../services/formSubmissionService";
+import { createRestBackend, HttpError } from "../services/backends";
+
+/**
+ * Fake clock that resolves backoff delays immediately and records them
+ * The request timeout timer (default 5000ms) is never fired
+ */
+function createFakeClock() {
+  const delays = [];
+  return {
+    delays,
+    setTimeout: (callback, ms) => {
+      if (typeof callback === "function" && ms !== 5000) {
+        delays.push(ms);
+        Promise.resolve().then(callback);
+      }
+      return delays.length;
+    },
+    clearTimeout: () => {},
+  };
+}
+
+function failingFetch(errors) {
+  let calls = 0;
+  const fetchImpl = async () => {
+    const error = errors[Math.min(calls, errors.length - 1)];
+    calls++;
+    if (error) throw error;
+    return { ok: true, status: 200, headers: { get: () => "" } };
+  };
+  fetchImpl.calls = () => calls;
+  return fetchImpl;
+}
+
+describe("createRetryPolicy", () => {
+  it("should grow delays exponentially without jitter", () => {
+    const policy = createRetryPolicy({ initialDelay: 100, jitter: "none" });
+    expect([1, 2, 3, 4].map((a) => policy.getDelay(a))).toEqual([
+      100, 200, 400, 800,
+    ]);
+  });
+
+  it("should cap delays at maxDelay", () => {
+    const policy = createRetryPolicy({
+      initialDelay: 1000,
+      maxDelay: 3000,
+      jitter: "none",
+    });
+    expect(policy.getDelay(5)).toBe(3000);
+  });
+
+  it("should apply full jitter within [0, capped delay]", () => {
+    const policy = createRetryPolicy({ initialDelay: 1000, random: () => 0.5 });
+    expect(policy.getDelay(2)).toBe(1000);
+  });
+
+  it("should stop retrying after maxRetries", () => {
+    const policy = createRetryPolicy({ maxRetries: 2 });
+    const error = new SubmissionError("x", { retryable: true });
+    expect(policy.shouldRetry(error, 1)).toBe(true);
+    expect(policy.shouldRetry(error, 2)).toBe(false);
+  });
+});
+
+describe("classifySubmissionError", () => {
+  it("should retry timeouts", () => {
+    const abort = new Error("aborted");
+    abort.name = "AbortError";
+    const error = classifySubmissionError(abort, { timeout: 5000 });
+    expect(error.kind).toBe("timeout");
+    expect(error.retryable).toBe(true);
+    expect(error.message).toBe("Request timeout after 5000ms");
+  });
+
+  it("should retry network errors", async () => {
+    const backend = createRestBackend({
+      url: "https://api",
+      fetchImpl: failingFetch([new TypeError("Failed to fetch")]),
+    });
+    const error = classifySubmissionError(
+      await backend.send({}).catch((e) => e)
+    );
+    expect(error.kind).toBe("network");
+    expect(error.retryable).toBe(true);
+  });
+
+  it("should fail fast on a TypeError from outside the network call", () => {
+    const error = classifySubmissionError(
+      new TypeError("Cannot read properties of undefined (reading 'q1')")
+    );
+    expect(error.kind).toBe("internal");
+    expect(error.retryable).toBe(false);
+  });
+
+  it("should fail fast on 4xx responses", () => {
+    const error = classifySubmissionError(new HttpError(400));
+    expect(error.kind).toBe("client");
+    expect(error.retryable).toBe(false);
+  });
+
+  it("should retry 429 and 5xx responses", () => {
+    expect(classifySubmissionError(new HttpError(429)).retryable).toBe(true);
+    expect(classifySubmissionError(new HttpError(503)).kind).toBe("server");
+  });
+});
+
+describe("submitForm retry behaviour", () => {
+  it("should fail fast when the URL is missing", async () => {
+    const error = await submitForm({}, "").catch((e) => e);
+    expect(error.kind).toBe("configuration");
+  });
+
+  it("should retry network errors with backoff from the policy", async () => {
+    const clock = createFakeClock();
+    const fetchImpl = failingFetch([
+      new TypeError("Failed to fetch"),
+      new TypeError("Failed to fetch"),
+      null,
+    ]);
+
+    const result = await submitForm({}, "https://script", {
+      clock,
+      fetchImpl,
+      retryPolicy: createRetryPolicy({ initialDelay: 100, jitter: "none" }),
+    });
+
+    expect(result.success).toBe(true);
+    expect(fetchImpl.calls()).toBe(3);
+    expect(clock.delays).toEqual([100, 200]);
+  });
+
+  it("should not retry 4xx responses", async () => {
+    const clock = createFakeClock();
+    let calls = 0;
+    const backend = createRestBackend({
+      url: "https://api",
+      fetchImpl: async () => {
+        calls++;
+        return { ok: false, status: 400, statusText: "Bad Request" };
+      },
+    });
+
+    const error = await submitForm({}, backend, { clock }).catch((e) => e);
+
+    expect(calls).toBe(1);
+    expect(error.kind).toBe("client");
+    expect(error.message).toContain("after 1 attempt:");
+  });
+
+  it("should not retry a bug in the backend", async () => {
+    let calls = 0;
+    const backend = {
+      name: "broken",
+      getConfigurationError: () => null,
+      send: async () => {
+        calls++;
+        return null.confirmed;
+      },
+    };
+
+    const error = await submitForm({}, backend, {
+      clock: createFakeClock(),
+    }).catch((e) => e);
+
+    expect(calls).toBe(1);
+    expect(error.kind).toBe("internal");
+  });
+
+  it("should report the last attempt to onRetry", async () => {
+    const calls = [];
+    await submitForm({}, "https://script", {
+      clock: createFakeClock(),
+      fetchImpl: failingFetch([new TypeError("Failed to fetch")]),
+      maxRetries: 2,
+      onRetry: (attempt, error, delayMs, isLastAttempt) =>
+        calls.push([attempt, isLastAttempt]),
+    }).catch(() => {});
+
+    expect(calls).toEqual([
+      [1, false],
+      [2, true],
+    ]);
+  });
+});
+
+describe("submitForm cancellation and timers", () => {
+  /**
+   * Clock that tracks live timers so leaks can be detected
+   */
+  function createTrackingClock() {
+    const live = new Map();
+    let nextId = 1;
+    return {
+      live,
+      setTimeout: (callback, ms) => {
+        const id = nextId++;
+        live.set(id, ms);
+        if (ms !== 5000) {
+          Promise.resolve().then(() => {
+            if (live.delete(id)) callback();
+          });
+        }
+        return id;
+      },
+      clearTimeout: (id) => {
+        live.delete(id);
+      },
+    };
+  }
+
+  it("should clear every timer when all attempts fail", async () => {
+    const clock = createTrackingClock();
+
+    await submitForm({}, "https://script", {
+      clock,
+      fetchImpl: failingFetch([new TypeError("Failed to fetch")]),
+    }).catch(() => {});
+
+    expect(clock.live.size).toBe(0);
+  });
+
+  it("should clear the timeout timer on success", async () => {
+    const clock = createTrackingClock();
+
+    await submitForm({}, "https://script", {
+      clock,
+      fetchImpl: failingFetch([null]),
+    });
+
+    expect(clock.live.size).toBe(0);
+  });
+
+  it("should not start when the signal is already aborted", async () => {
+    const controller = new AbortController();
+    controller.abort();
+    const fetchImpl = failingFetch([null]);
+
+    const error = await submitForm({}, "https://script", {
+      fetchImpl,
+      signal: controller.signal,
+    }).catch((e) => e);
+
+    expect(error.kind).toBe("cancelled");
+    expect(fetchImpl.calls()).toBe(0);
+  });
+
+  it("should abort the request in flight and stop retrying", async () => {
+    const controller = new AbortController();
+    const clock = createTrackingClock();
+    let calls = 0;
+    const fetchImpl = (url, init) => {
+      calls++;
+      return new Promise((resolve, reject) => {
+        init.signal.addEventListener("abort", () => {
+          const error = new Error("aborted");
+          error.name = "AbortError";
+          reject(error);
+        });
+      });
+    };
+
+    const pending = submitForm({}, "https://script", {
+      clock,
+      fetchImpl,
+      signal: controller.signal,
+    }).catch((e) => e);
+    controller.abort();
+    const error = await pending;
+
+    expect(error.kind).toBe("cancelled");
+    expect(calls).toBe(1);
+    expect(clock.live.size).toBe(0);
+  });
+});
@@ -0,0 +1,133 @@
+/**
+ * Unit Tests for Sanitization Policies
+ * Run with: npm test
+ */
+
+/* eslint-disable no-undef */
+// Tests use Jest globals: describe, it, expect
+
+import {
+  sanitize,
+  sanitizeTextInput,
+  decodeEntities,
+  stripMarkup,
+  removeControlCharacters,
+  neutralizeFormula,
+} from "../utils/sanitization";
+
+describe("plain policy", () => {
+  it("should strip tags the old pattern list missed", () => {
+    expect(sanitize('<svg onload="alert(1)">hi</svg>')).toBe("hi");
+    expect(sanitize("<body onload=alert(1)>")).toBe("");
+    expect(sanitize("<a href='x'>link</a> text")).toBe("link text");
+  });
+
+  it("should strip encoded and nested tags", () => {
+    expect(sanitize("&lt;script&gt;alert(1)&lt;/script&gt;")).toBe("alert(1)");
+    expect(sanitize("&#60;img src=x onerror=alert(1)&#62;")).toBe("");
+    expect(sanitize("<scr<script>ipt>alert(1)")).toBe("alert(1)");
+    expect(sanitize("<script async>alert(1)")).toBe("alert(1)");
+    expect(sanitize("<!-- note --><?xml version='1.0'?>x")).toBe("x");
+  });
+
+  it("should strip tags without spaces, bare attributes or an end", () => {
+    expect(sanitize("<svg/onload=alert(1)>")).toBe("");
+    expect(sanitize("<img/src=x/onerror=alert(1)>")).toBe("");
+    expect(sanitize("<img src onerror >")).toBe("");
+    expect(sanitize('<div style="x"onmouseover=alert(1)>')).toBe("");
+    expect(sanitize("<img src=x onerror=alert(1)//")).toBe("");
+    expect(sanitize("<b onload>x</b>")).toBe("x");
+    expect(sanitize("x<b and c>d")).toBe("xd");
+  });
+
+  it("should leave ordinary text alone", () => {
+    [
+      "Trails < 2 km are best",
+      "Rank 1 > rank 2",
+      "Fish & birds",
+      "Don't know",
+      "এই উদ্যানটি সুন্দর",
+      "Our data: 12 sites",
+      "javascript: is a language",
+      "a<b, c>d",
+    ].forEach((text) => expect(sanitize(text)).toBe(text));
+  });
+
+  it("should decode entities instead of deleting them", () => {
+    expect(sanitize("Fish &amp; birds")).toBe("Fish & birds");
+  });
+
+  it("should remove control characters but keep line breaks and joiners", () => {
+    expect(sanitize("one\r\ntwo\u0000\u202Ethree\u200B")).toBe("one\ntwothree");
+    expect(sanitize("\u0995\u09CD\u200D\u09B7")).toBe(
+      "\u0995\u09CD\u200D\u09B7"
+    );
+  });
+
+  it("should normalize Unicode to NFC", () => {
+    expect(sanitize("e\u0301cole")).toBe("\u00E9cole");
+  });
+
+  it("should reject unknown policies", () => {
+    expect(() => sanitize("x", { policy: "html" })).toThrow(
+      'Unknown sanitization policy "html"'
+    );
+  });
+});
+
+describe("markdown policy", () => {
+  const markdown = (text) => sanitize(text, { policy: "markdown" });
+
+  it("should keep emphasis, lists and safe links", () => {
+    const text = "**Trails**\n\n* one\n* `two`\n\n[Park](https://example.org)";
+    expect(markdown(text)).toBe(text);
+  });
+
+  it("should reduce unsafe links and images to text", () => {
+    expect(markdown("[click](javascript:alert(1))")).toBe("click");
+    expect(markdown("![tracker](https://example.org/t.gif)")).toBe("tracker");
+    expect(markdown("see\n[ref]: javascript:alert(1)")).toBe("see");
+  });
+
+  it("should keep list markers at the start", () => {
+    expect(markdown("- item one\n- item two")).toBe("- item one\n- item two");
+    expect(markdown("+ item")).toBe("+ item");
+  });
+
+  it("should keep autolinks and strip HTML", () => {
+    expect(markdown("<https://example.org> <b>bold</b>")).toBe(
+      "https://example.org bold"
+    );
+  });
+});
+
+describe("formula injection", () => {
+  it("should prefix values a spreadsheet would run", () => {
+    ["=SUM(A1:A9)", "+1+1", "-2+3", "@cmd"].forEach((value) =>
+      expect(sanitizeTextInput(value)).toBe(`'${value}`)
+    );
+  });
+
+  it("should check the value after trimming", () => {
+    expect(sanitizeTextInput("  =HYPERLINK(1)")).toBe("'=HYPERLINK(1)");
+  });
+
+  it("should leave other values and opted-out callers alone", () => {
+    expect(neutralizeFormula("Bird watching")).toBe("Bird watching");
+    expect(sanitize("=1", { neutralizeFormulas: false })).toBe("=1");
+  });
+});
+
+describe("building blocks", () => {
+  it("should decode numeric and named entities", () => {
+    expect(decodeEntities("&#x41;&#66;&lt;&unknown;")).toBe("AB<&unknown;");
+  });
+
+  it("should strip markup repeatedly", () => {
+    expect(stripMarkup("&amp;lt;b&amp;gt;x")).toBe("x");
+  });
+
+  it("should drop bidirectional overrides", () => {
+    expect(removeControlCharacters("a\u202Eb\u2066c")).toBe("abc");
+  });
+});
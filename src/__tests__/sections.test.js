@@ -0,0 +1,99 @@
+/**
+ * Unit Tests for Sections and Paged Mode
+ * Run with: npm test
+ */
+
+/* eslint-disable no-undef */
+// Tests use Jest globals: describe, it, expect
+
+import { assignSections, groupQuestionsIntoSections } from "../utils/sections";
+import { getVisibleQuestions } from "../utils/conditions";
+import { validateForm } from "../utils/formValidation";
+import { parseStepHash } from "../hooks/useWizardStep";
+import { resolveLayout } from "../services/surveyDefinitionService";
+
+const questions = [
+  { id: "q1", section: "Section 1", text: "Question 1", options: ["A"] },
+  { id: "q2", text: "Question 2", options: ["B"] },
+  {
+    id: "q3",
+    section: "Section 2",
+    text: "Question 3",
+    options: ["C"],
+    showIf: { question: "q1", rankIn: ["1"] },
+  },
+  { id: "q4", text: "Question 4", options: ["D"] },
+];
+
+describe("assignSections", () => {
+  it("should carry the section title forward", () => {
+    expect(assignSections(questions).map((q) => q.sectionTitle)).toEqual([
+      "Section 1",
+      "Section 1",
+      "Section 2",
+      "Section 2",
+    ]);
+  });
+});
+
+describe("groupQuestionsIntoSections", () => {
+  it("should group consecutive questions by section", () => {
+    const sections = groupQuestionsIntoSections(questions);
+    expect(sections.map((s) => s.title)).toEqual(["Section 1", "Section 2"]);
+    expect(sections[1].questions.map((q) => q.id)).toEqual(["q3", "q4"]);
+  });
+
+  it("should keep a section whose header question is hidden", () => {
+    const visible = getVisibleQuestions(questions, {});
+    const sections = groupQuestionsIntoSections(visible);
+    expect(sections.map((s) => s.title)).toEqual(["Section 1", "Section 2"]);
+    expect(sections[1].questions.map((q) => q.id)).toEqual(["q4"]);
+  });
+
+  it("should put questions before the first header in an untitled section", () => {
+    const sections = groupQuestionsIntoSections([
+      { id: "q0", text: "Intro", options: ["A"] },
+      ...questions,
+    ]);
+    expect(sections[0].title).toBe("");
+  });
+});
+
+describe("validateForm scoped to a step", () => {
+  it("should only report the given questions", () => {
+    const result = validateForm(questions, {}, "", {
+      questionIds: ["q1", "q2"],
+    });
+    expect(result.errors.map((e) => e.qId)).toEqual(["q1", "q2"]);
+  });
+
+  it("should still apply skip logic from earlier steps", () => {
+    const result = validateForm(questions, { q1: { 0: "2" } }, "", {
+      questionIds: ["q3", "q4"],
+    });
+    expect(result.errors.map((e) => e.qId)).toEqual(["q4"]);
+  });
+});
+
+describe("parseStepHash", () => {
+  it("should read 1-based step hashes", () => {
+    expect(parseStepHash("#step-3")).toBe(2);
+  });
+
+  it("should default to the first step", () => {
+    expect(parseStepHash("")).toBe(0);
+    expect(parseStepHash("#question-q1")).toBe(0);
+  });
+});
+
+describe("resolveLayout", () => {
+  it("should prefer the URL parameter", () => {
+    expect(resolveLayout("?layout=paged", { layout: "single-page" })).toBe(
+      "paged"
+    );
+  });
+
+  it("should ignore unknown layouts", () => {
+    expect(resolveLayout("?layout=grid", { layout: "paged" })).toBe("paged");
+  });
+});
@@ -0,0 +1,150 @@
+/**
+ * Unit Tests for Submission Backends
+ * Run with: npm test
+ */
+
+/* eslint-disable no-undef */
+// Tests use Jest globals: describe, it, expect
+
+import {
+  createSubmissionBackend,
+  createAppsScriptBackend,
+  createRestBackend,
+  createConsoleBackend,
+  getBackendConfigFromEnv,
+  HttpError,
+} from "../services/backends";
+import { submitForm } from "../services/formSubmissionService";
+
+const payload = { timestamp: "2025-01-01T10:00:00.000Z", responses: {} };
+
+function mockResponse({ ok = true, status = 200, json = null } = {}) {
+  return {
+    ok,
+    status,
+    statusText: "",
+    headers: { get: () => (json ? "application/json" : "") },
+    json: async () => json,
+  };
+}
+
+describe("Submission Backends", () => {
+  describe("createSubmissionBackend", () => {
+    it("should default to Apps Script", () => {
+      expect(createSubmissionBackend({ url: "https://x" }).name).toBe(
+        "apps-script"
+      );
+    });
+
+    it("should create the configured backend", () => {
+      expect(createSubmissionBackend({ type: "rest" }).name).toBe("rest");
+      expect(createSubmissionBackend({ type: "console" }).name).toBe("console");
+    });
+
+    it("should report unknown backends as a configuration error", () => {
+      expect(() => createSubmissionBackend({ type: "ftp" })).toThrow(
+        "not configured"
+      );
+    });
+  });
+
+  describe("getBackendConfigFromEnv", () => {
+    it("should fall back to the Apps Script URL", () => {
+      const config = getBackendConfigFromEnv({
+        VITE_GOOGLE_SCRIPT_URL: "https://script",
+      });
+      expect(config).toMatchObject({
+        type: "apps-script",
+        url: "https://script",
+      });
+    });
+
+    it("should not put an API key into the client", () => {
+      const config = getBackendConfigFromEnv({
+        VITE_SUBMISSION_BACKEND: "rest",
+        VITE_SUBMISSION_URL: "https://api",
+        VITE_SUBMISSION_API_KEY: "secret",
+      });
+      expect(JSON.stringify(config)).not.toContain("secret");
+    });
+  });
+
+  describe("Apps Script backend", () => {
+    it("should post in no-cors mode without confirming", async () => {
+      const calls = [];
+      const backend = createAppsScriptBackend({
+        url: "https://script",
+        fetchImpl: async (url, init) => calls.push({ url, init }),
+      });
+
+      const result = await backend.send(payload);
+
+      expect(calls[0].init.mode).toBe("no-cors");
+      expect(result.confirmed).toBe(false);
+    });
+
+    it("should require a URL", () => {
+      expect(createAppsScriptBackend({}).getConfigurationError()).toContain(
+        "not configured"
+      );
+    });
+  });
+
+  describe("REST backend", () => {
+    it("should confirm successful writes", async () => {
+      const backend = createRestBackend({
+        url: "https://api",
+        fetchImpl: async () => mockResponse({ json: { id: 1 } }),
+      });
+
+      const result = await backend.send(payload);
+
+      expect(result).toEqual({ confirmed: true, status: 200, body: { id: 1 } });
+    });
+
+    it("should throw HttpError for non-2xx responses", async () => {
+      const backend = createRestBackend({
+        url: "https://api",
+        fetchImpl: async () => mockResponse({ ok: false, status: 422 }),
+      });
+
+      const error = await backend.send(payload).catch((e) => e);
+
+      expect(error).toBeInstanceOf(HttpError);
+      expect(error.status).toBe(422);
+    });
+  });
+
+  describe("Console backend", () => {
+    it("should log the payload", async () => {
+      const logged = [];
+      const backend = createConsoleBackend({
+        logger: { info: (...args) => logged.push(args) },
+      });
+
+      await backend.send(payload);
+
+      expect(logged[0][1]).toBe(payload);
+    });
+  });
+
+  describe("submitForm with a backend", () => {
+    it("should report which backend confirmed the write", async () => {
+      const backend = createConsoleBackend({ logger: { info: () => {} } });
+
+      const result = await submitForm(payload, backend);
+
+      expect(result).toEqual({
+        success: true,
+        confirmed: true,
+        backend: "console",
+      });
+    });
+
+    it("should still accept an Apps Script URL", async () => {
+      await expect(submitForm(payload, "")).rejects.toThrow(
+        "Google Apps Script URL is not configured"
+      );
+    });
+  });
+});
@@ -0,0 +1,161 @@
+/**
+ * Unit Tests for the Offline Submission Queue
+ * Run with: npm test
+ */
+
+/* eslint-disable no-undef */
+// Tests use Jest globals: describe, it, expect
+
+import {
+  enqueueSubmission,
+  getQueuedSubmissions,
+  replayQueue,
+  getQueueItemId,
+  shouldQueueSubmission,
+} from "../services/submissionQueue";
+import { SubmissionError } from "../services/retryPolicy";
+
+function createMemoryStore() {
+  const items = new Map();
+  return {
+    getAll: async () => [...items.values()],
+    put: async (item) => {
+      items.set(item.id, item);
+    },
+    delete: async (id) => {
+      items.delete(id);
+    },
+  };
+}
+
+const payload = {
+  timestamp: "2025-01-01T10:00:00.000Z",
+  responses: { q1: { 0: "1", 1: "No" } },
+  otherText: {},
+  finalComment: "",
+};
+
+describe("submissionQueue", () => {
+  describe("getQueueItemId", () => {
+    it("should be stable for the same payload", () => {
+      expect(getQueueItemId(payload)).toBe(getQueueItemId({ ...payload }));
+    });
+
+    it("should differ when the content differs", () => {
+      expect(getQueueItemId(payload)).not.toBe(
+        getQueueItemId({ ...payload, finalComment: "Changed" })
+      );
+    });
+  });
+
+  describe("shouldQueueSubmission", () => {
+    it("should not queue configuration errors", () => {
+      expect(
+        shouldQueueSubmission(
+          new Error("Google Apps Script URL is not configured")
+        )
+      ).toBe(false);
+    });
+
+    it("should not queue errors in the code", () => {
+      expect(
+        shouldQueueSubmission(
+          new SubmissionError("x is not a function", { kind: "internal" })
+        )
+      ).toBe(false);
+    });
+
+    it("should queue network failures", () => {
+      expect(shouldQueueSubmission(new Error("Failed to fetch"))).toBe(true);
+    });
+  });
+
+  describe("enqueueSubmission", () => {
+    it("should keep the original timestamp", async () => {
+      const store = createMemoryStore();
+      await enqueueSubmission(payload, store);
+
+      const [item] = await getQueuedSubmissions(store);
+      expect(item.data.timestamp).toBe(payload.timestamp);
+    });
+
+    it("should store the same payload only once", async () => {
+      const store = createMemoryStore();
+      await enqueueSubmission(payload, store);
+      await enqueueSubmission(payload, store);
+
+      expect(await getQueuedSubmissions(store)).toHaveLength(1);
+    });
+  });
+
+  describe("replayQueue", () => {
+    it("should remove items that were sent", async () => {
+      const store = createMemoryStore();
+      await enqueueSubmission(payload, store);
+      const sent = [];
+
+      const result = await replayQueue(async (data) => sent.push(data), store);
+
+      expect(result).toEqual({ sent: 1, remaining: 0, dropped: [] });
+      expect(sent).toEqual([payload]);
+      expect(await getQueuedSubmissions(store)).toHaveLength(0);
+    });
+
+    it("should keep failed items and record the error", async () => {
+      const store = createMemoryStore();
+      await enqueueSubmission(payload, store);
+
+      const result = await replayQueue(async () => {
+        throw new Error("Network error");
+      }, store);
+
+      const [item] = await getQueuedSubmissions(store);
+      expect(result).toEqual({ sent: 0, remaining: 1, dropped: [] });
+      expect(item.attempts).toBe(1);
+      expect(item.lastError).toBe("Network error");
+    });
+
+    it("should drop items the server will never accept", async () => {
+      const store = createMemoryStore();
+      const id = await enqueueSubmission(payload, store);
+      const other = { ...payload, timestamp: "2025-01-02T10:00:00.000Z" };
+      await enqueueSubmission(other, store);
+      let calls = 0;
+
+      const result = await replayQueue(async (data) => {
+        calls++;
+        if (data === payload) {
+          throw new SubmissionError("Bad request", { kind: "client" });
+        }
+        throw new SubmissionError("Server error", { kind: "server" });
+      }, store);
+
+      expect(result).toEqual({
+        sent: 0,
+        remaining: 1,
+        dropped: [{ id, error: "Bad request" }],
+      });
+      expect(await getQueuedSubmissions(store)).toEqual([
+        expect.objectContaining({ data: other }),
+      ]);
+
+      await replayQueue(async () => {
+        calls++;
+      }, store);
+      expect(calls).toBe(3);
+    });
+
+    it("should share a replay between concurrent calls", async () => {
+      const store = createMemoryStore();
+      await enqueueSubmission(payload, store);
+      let calls = 0;
+      const send = async () => {
+        calls++;
+      };
+
+      await Promise.all([replayQueue(send, store), replayQueue(send, store)]);
+
+      expect(calls).toBe(1);
+    });
+  });
+});
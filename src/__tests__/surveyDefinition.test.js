@@ -0,0 +1,176 @@
+/**
+ * Unit Tests for Survey Definition Loading
+ * Run with: npm test
+ */
+
+/* eslint-disable no-undef */
+// Tests use Jest globals: describe, it, expect
+
+import {
+  validateSurveyDefinition,
+  applyDefinitionDefaults,
+} from "../utils/surveyDefinition";
+import {
+  loadSurveyDefinition,
+  resolveDefinitionUrl,
+  parseDefinitionText,
+  SurveyDefinitionError,
+  DEFAULT_DEFINITION_URL,
+} from "../services/surveyDefinitionService";
+
+const validDefinition = {
+  id: "test-survey",
+  version: "1.0.0",
+  title: "Test Survey",
+  questions: [
+    {
+      id: "q1",
+      section: "Section 1",
+      text: "What is your favorite color?",
+      options: ["Red", "Blue"],
+    },
+    {
+      id: "q2",
+      text: "What is your favorite animal?",
+      options: ["Cat", "Dog"],
+      required: false,
+    },
+  ],
+};
+
+function mockFetch(body, { ok = true, status = 200, contentType = "" } = {}) {
+  return async () => ({
+    ok,
+    status,
+    headers: { get: () => contentType },
+    text: async () => body,
+  });
+}
+
+describe("validateSurveyDefinition", () => {
+  it("should accept a well-formed definition", () => {
+    const result = validateSurveyDefinition(validDefinition);
+    expect(result.isValid).toBe(true);
+    expect(result.errors).toHaveLength(0);
+  });
+
+  it("should reject non-object definitions", () => {
+    expect(validateSurveyDefinition(null).isValid).toBe(false);
+    expect(validateSurveyDefinition([]).isValid).toBe(false);
+  });
+
+  it("should require id, version and title", () => {
+    const result = validateSurveyDefinition({
+      questions: validDefinition.questions,
+    });
+    const paths = result.errors.map((e) => e.path);
+    expect(paths).toEqual(expect.arrayContaining(["id", "version", "title"]));
+  });
+
+  it("should reject an empty question list", () => {
+    const result = validateSurveyDefinition({
+      ...validDefinition,
+      questions: [],
+    });
+    expect(result.errors[0].path).toBe("questions");
+  });
+
+  it("should report duplicate question IDs", () => {
+    const result = validateSurveyDefinition({
+      ...validDefinition,
+      questions: [validDefinition.questions[0], validDefinition.questions[0]],
+    });
+    expect(result.isValid).toBe(false);
+    expect(result.errors[0].message).toContain("Duplicate");
+  });
+
+  it("should point at the malformed question field", () => {
+    const result = validateSurveyDefinition({
+      ...validDefinition,
+      questions: [{ id: "q1", text: "Text", options: [] }],
+    });
+    expect(result.errors[0].path).toBe("questions[0].options");
+  });
+
+  it("should reject duplicate rank scale values", () => {
+    const result = validateSurveyDefinition({
+      ...validDefinition,
+      rankScale: { values: ["1", "1", "No"] },
+    });
+    expect(result.errors[0].path).toBe("rankScale.values");
+  });
+});
+
+describe("applyDefinitionDefaults", () => {
+  it("should default questions to required", () => {
+    const definition = applyDefinitionDefaults(validDefinition);
+    expect(definition.questions[0].required).toBe(true);
+    expect(definition.questions[1].required).toBe(false);
+  });
+
+  it("should default each ranking question to ranks 1..option count", () => {
+    const definition = applyDefinitionDefaults(validDefinition);
+    const { options, rankRules } = definition.questions[0];
+    expect(rankRules.values).toHaveLength(options.length + 1);
+    expect(rankRules.values[options.length]).toBe("No");
+  });
+
+  it("should default the final comment to optional", () => {
+    const definition = applyDefinitionDefaults(validDefinition);
+    expect(definition.finalComment.required).toBe(false);
+  });
+});
+
+describe("resolveDefinitionUrl", () => {
+  it("should use the survey URL parameter when present", () => {
+    expect(resolveDefinitionUrl("?survey=/surveys/other.json")).toBe(
+      "/surveys/other.json"
+    );
+  });
+
+  it("should fall back to the default definition", () => {
+    expect(resolveDefinitionUrl("")).toBe(DEFAULT_DEFINITION_URL);
+  });
+});
+
+describe("parseDefinitionText", () => {
+  it("should parse YAML definitions by extension", async () => {
+    const definition = await parseDefinitionText(
+      "id: test\nversion: '1'\n",
+      "/surveys/test.yaml"
+    );
+    expect(definition).toEqual({ id: "test", version: "1" });
+  });
+
+  it("should throw SurveyDefinitionError for invalid JSON", async () => {
+    await expect(parseDefinitionText("{ nope", "/a.json")).rejects.toThrow(
+      SurveyDefinitionError
+    );
+  });
+});
+
+describe("loadSurveyDefinition", () => {
+  it("should return the definition with defaults applied", async () => {
+    const definition = await loadSurveyDefinition("/survey.json", {
+      fetchImpl: mockFetch(JSON.stringify(validDefinition)),
+    });
+    expect(definition.id).toBe("test-survey");
+    expect(definition.questions[0].required).toBe(true);
+  });
+
+  it("should throw with details for a malformed definition", async () => {
+    const error = await loadSurveyDefinition("/survey.json", {
+      fetchImpl: mockFetch(JSON.stringify({ id: "x" })),
+    }).catch((e) => e);
+    expect(error).toBeInstanceOf(SurveyDefinitionError);
+    expect(error.details.length).toBeGreaterThan(0);
+  });
+
+  it("should throw on HTTP errors", async () => {
+    await expect(
+      loadSurveyDefinition("/missing.json", {
+        fetchImpl: mockFetch("", { ok: false, status: 404 }),
+      })
+    ).rejects.toThrow("HTTP 404");
+  });
+});
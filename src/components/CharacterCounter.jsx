@@ -0,0 +1,32 @@
+import { useTranslation } from "../hooks/useTranslation";
+
+/**
+ * Live character count for a free-text field
+ * Inputs point at it with aria-describedby; going over the limit is also
+ * announced through a live region, the count itself is not (it would be
+ * read out on every keystroke)
+ *
+ * @param {Object} props
+ * @param {string} props.id - Element ID, referenced by the input
+ * @param {string} props.value - Current text
+ * @param {number} props.max - Length limit
+ */
+export default function CharacterCounter({ id, value, max }) {
+  const { t } = useTranslation();
+  const count = (value || "").trim().length;
+  const over = count - max;
+
+  return (
+    <p
+      id={id}
+      className={`text-xs mt-1 text-right ${
+        over > 0 ? "text-red-600 font-medium" : "text-gray-500"
+      }`}
+    >
+      {t("length.counter", { count, max })}
+      <span aria-live="polite">
+        {over > 0 && ` — ${t("length.over", { count: over })}`}
+      </span>
+    </p>
+  );
+}
@@ -0,0 +1,47 @@
+import { useTranslation } from "../hooks/useTranslation";
+
+/**
+ * Error screen shown when the survey definition cannot be loaded
+ *
+ * @param {Object} props
+ * @param {Error} props.error - Load error (SurveyDefinitionError carries `details`)
+ * @param {string} props.url - Definition URL that was requested (omitted
+ *   for configuration errors)
+ */
+export default function DefinitionErrorScreen({ error, url }) {
+  const { t } = useTranslation();
+  const details = error?.details || [];
+
+  return (
+    <div className="min-h-screen bg-purple-50 flex items-center justify-center p-4">
+      <div
+        role="alert"
+        className="bg-white p-6 sm:p-8 rounded-lg shadow max-w-xl w-full border-t-4 border-red-500"
+      >
+        <h2 className="text-xl font-bold text-gray-800 mb-2">
+          {t("definitionError.title")}
+        </h2>
+        <p className="text-sm text-gray-600 mb-4">
+          {error?.message || t("definitionError.unknown")}
+        </p>
+        {details.length > 0 && (
+          <ul className="mb-4 space-y-1 bg-red-50 border border-red-200 rounded p-3">
+            {details.map((detail, idx) => (
+              <li key={idx} className="text-sm text-red-700">
+                {detail.path && (
+                  <code className="font-mono text-xs mr-2">{detail.path}</code>
+                )}
+                {detail.message}
+              </li>
+            ))}
+          </ul>
+        )}
+        {url && (
+          <p className="text-xs text-gray-500 break-all">
+            {t("definitionError.source", { url })}
+          </p>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,29 @@
+import { HONEYPOT_FIELD } from "../utils/antiBot";
+
+/**
+ * Text field hidden from people (off-screen and out of the tab order) but
+ * left in the page for bots that fill in every input
+ *
+ * @param {Object} props
+ * @param {string} props.value - Current value (should stay empty)
+ * @param {Function} props.onChange - Called with the new value
+ */
+export default function HoneypotField({ value, onChange }) {
+  return (
+    <div
+      aria-hidden="true"
+      className="absolute -left-[10000px] top-auto w-px h-px overflow-hidden"
+    >
+      <label htmlFor={HONEYPOT_FIELD}>Website</label>
+      <input
+        id={HONEYPOT_FIELD}
+        name={HONEYPOT_FIELD}
+        type="text"
+        tabIndex={-1}
+        autoComplete="off"
+        value={value}
+        onChange={(e) => onChange(e.target.value)}
+      />
+    </div>
+  );
+}
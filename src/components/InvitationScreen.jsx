@@ -0,0 +1,27 @@
+import { useTranslation } from "../hooks/useTranslation";
+
+/**
+ * Screen shown instead of the form when the invitation link cannot be used
+ *
+ * @param {Object} props
+ * @param {string} props.status - "used", "expired", "invalid" or "missing"
+ */
+export default function InvitationScreen({ status }) {
+  const { t } = useTranslation();
+
+  return (
+    <div className="min-h-screen bg-purple-50 flex items-center justify-center p-4">
+      <div
+        role="alert"
+        className="bg-white p-6 sm:p-8 rounded-lg shadow max-w-xl w-full border-t-4 border-purple-600"
+      >
+        <h2 className="text-xl font-bold text-gray-800 mb-2">
+          {t(`invitation.${status}.title`)}
+        </h2>
+        <p className="text-sm text-gray-600">
+          {t(`invitation.${status}.body`)}
+        </p>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,32 @@
+import { useTranslation } from "../hooks/useTranslation";
+import { getLanguageName } from "../utils/i18n";
+
+/**
+ * Language picker for surveys available in more than one language
+ * Each language is listed by its own name (e.g. "বাংলা")
+ */
+export default function LanguageSwitcher() {
+  const { locale, locales, setLocale, t } = useTranslation();
+
+  if (locales.length < 2) {
+    return null;
+  }
+
+  return (
+    <div className="flex items-center gap-2 text-xs sm:text-sm text-gray-600">
+      <label htmlFor="language-switcher">{t("language.label")}</label>
+      <select
+        id="language-switcher"
+        value={locale}
+        onChange={(e) => setLocale(e.target.value)}
+        className="border border-gray-300 rounded px-2 py-1 bg-white focus:outline-none focus:ring-2 focus:ring-purple-500"
+      >
+        {locales.map((code) => (
+          <option key={code} value={code} lang={code}>
+            {getLanguageName(code)}
+          </option>
+        ))}
+      </select>
+    </div>
+  );
+}
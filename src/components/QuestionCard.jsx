@@ -0,0 +1,168 @@
+import RankingQuestion from "./questions/RankingQuestion";
+import ReorderRankingQuestion from "./questions/ReorderRankingQuestion";
+import LikertQuestion from "./questions/LikertQuestion";
+import ChoiceQuestion from "./questions/ChoiceQuestion";
+import NumberQuestion from "./questions/NumberQuestion";
+import TextQuestion from "./questions/TextQuestion";
+import { getQuestionType } from "../utils/questionTypes";
+import { resolveRankRules } from "../utils/rankingRules";
+import { useTranslation } from "../hooks/useTranslation";
+import CharacterCounter from "./CharacterCounter";
+
+/**
+ * Card for a single question: prompt, the input for its type and, for
+ * ranking questions, the "Other (please specify)" input with its length counter
+ *
+ * @param {Object} props
+ * @param {Object} props.question - Question object
+ * @param {string} props.rankLegend - Explanation of the rank values
+ * @param {Object} props.rankLabels - Display text by rank value
+ * @param {*} props.value - Current answer for this question
+ * @param {string} props.otherText - Current "Other" text
+ * @param {boolean} props.hasError - Highlight the card as failing validation
+ * @param {boolean} props.otherError - Highlight the "Other" input as too long
+ * @param {Function} props.onRankChange - Called with (optIdx, rank) for ranking questions
+ * @param {Function} props.onAnswerChange - Called with the new answer for other types
+ *   (and with the full ranks from the list ranking widget)
+ * @param {Function} props.onOtherTextChange - Called with the new text
+ */
+export default function QuestionCard({
+  question: q,
+  rankLegend,
+  rankLabels,
+  value,
+  otherText,
+  hasError,
+  otherError = false,
+  onRankChange,
+  onAnswerChange,
+  onOtherTextChange,
+}) {
+  const { t } = useTranslation();
+  const type = getQuestionType(q);
+  const labelId = `${q.id}-label`;
+
+  const renderInput = () => {
+    switch (type) {
+      case "likert":
+        return (
+          <LikertQuestion
+            question={q}
+            labelId={labelId}
+            value={value}
+            onChange={onAnswerChange}
+          />
+        );
+      case "single-choice":
+      case "multiple-choice":
+        return (
+          <ChoiceQuestion
+            question={q}
+            labelId={labelId}
+            multiple={type === "multiple-choice"}
+            value={value}
+            onChange={onAnswerChange}
+          />
+        );
+      case "number":
+        return (
+          <NumberQuestion
+            question={q}
+            labelId={labelId}
+            value={value}
+            onChange={onAnswerChange}
+          />
+        );
+      case "short-text":
+      case "long-text":
+        return (
+          <TextQuestion
+            question={q}
+            labelId={labelId}
+            multiline={type === "long-text"}
+            value={value}
+            onChange={onAnswerChange}
+          />
+        );
+      default:
+        if (q.widget === "list") {
+          return (
+            <ReorderRankingQuestion
+              question={q}
+              ranks={resolveRankRules(q).values}
+              value={value}
+              otherText={otherText}
+              onChange={onAnswerChange}
+            />
+          );
+        }
+        return (
+          <RankingQuestion
+            question={q}
+            ranks={resolveRankRules(q).values}
+            rankLabels={rankLabels}
+            value={value}
+            otherText={otherText}
+            onRankChange={onRankChange}
+          />
+        );
+    }
+  };
+
+  return (
+    <div
+      role="group"
+      aria-labelledby={labelId}
+      className={`bg-white rounded-lg shadow p-4 sm:p-6 mb-3 sm:mb-4 border-l-4 ${
+        hasError ? "border-red-500 ring-1 ring-red-200" : "border-purple-600"
+      }`}
+    >
+      <p id={labelId} className="text-sm sm:text-base text-gray-800 mb-4">
+        {q.text}{" "}
+        {q.required && (
+          <>
+            <span className="text-red-500" aria-hidden="true">
+              *
+            </span>
+            <span className="sr-only">{t("question.required")}</span>
+          </>
+        )}
+      </p>
+      {type === "ranking" && rankLegend && (
+        <p className="text-xs text-gray-500 mb-4 hidden sm:block">
+          ({rankLegend})
+        </p>
+      )}
+
+      {renderInput()}
+
+      {type === "ranking" && (
+        <div className="mt-4 pt-4 border-t">
+          <label
+            htmlFor={`${q.id}-other`}
+            className="text-sm text-gray-600 block mb-2"
+          >
+            {t("question.other")}
+          </label>
+          <input
+            id={`${q.id}-other`}
+            type="text"
+            className={`w-full border-b-2 ${
+              otherError ? "border-red-500" : "border-gray-300"
+            } focus:border-purple-600 outline-none py-2 text-sm bg-transparent`}
+            placeholder={t("question.placeholder")}
+            aria-describedby={`${q.id}-other-count`}
+            aria-invalid={otherError}
+            value={otherText}
+            onChange={(e) => onOtherTextChange(e.target.value)}
+          />
+          <CharacterCounter
+            id={`${q.id}-other-count`}
+            value={otherText}
+            max={q.otherMaxLength}
+          />
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,26 @@
+import { useTranslation } from "../hooks/useTranslation";
+
+/**
+ * Indicator for responses waiting in the offline outbox
+ *
+ * @param {Object} props
+ * @param {number} props.count - Number of queued responses
+ * @param {boolean} props.sending - True while the outbox is being replayed
+ */
+export default function QueueStatus({ count, sending }) {
+  const { t } = useTranslation();
+
+  if (count === 0) {
+    return null;
+  }
+
+  return (
+    <div
+      role="status"
+      className="bg-amber-50 border border-amber-200 text-amber-800 text-sm p-3 rounded-lg mt-4 mb-4"
+    >
+      {count === 1 ? t("queue.waitingOne") : t("queue.waitingMany", { count })}
+      {sending && t("queue.sending")}
+    </div>
+  );
+}
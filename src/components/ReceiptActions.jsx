@@ -0,0 +1,68 @@
+import { useTranslation } from "../hooks/useTranslation";
+import { downloadFile, printHtml } from "../utils/download";
+import {
+  buildReceipt,
+  receiptToHtml,
+  receiptToJson,
+} from "../utils/responseReceipt";
+
+/**
+ * Receipt buttons on the thank-you screen: print the receipt, or save it
+ * as an HTML page or JSON file
+ * The receipt is built in the browser from the submitted payload, in the
+ * language currently shown
+ *
+ * @param {Object} props
+ * @param {Object} props.payload - Normalized payload, as submitted
+ * @param {Object} props.definition - Survey definition in the display language
+ * @param {boolean} props.queued - The response is waiting in the offline outbox
+ */
+export default function ReceiptActions({ payload, definition, queued }) {
+  const { t } = useTranslation();
+  const fileName = `${definition.id}-receipt-${payload.responseId}`;
+
+  const getReceipt = () => buildReceipt(payload, definition, { queued, t });
+
+  const actions = [
+    {
+      name: "print",
+      run: () => printHtml(receiptToHtml(getReceipt(), { t })),
+    },
+    {
+      name: "html",
+      run: () =>
+        downloadFile(
+          receiptToHtml(getReceipt(), { t }),
+          `${fileName}.html`,
+          "text/html"
+        ),
+    },
+    {
+      name: "json",
+      run: () =>
+        downloadFile(
+          receiptToJson(getReceipt()),
+          `${fileName}.json`,
+          "application/json"
+        ),
+    },
+  ];
+
+  return (
+    <div className="mt-6 pt-4 border-t">
+      <p className="text-sm text-gray-600 mb-3">{t("receipt.intro")}</p>
+      <div className="flex flex-wrap justify-center gap-2">
+        {actions.map(({ name, run }) => (
+          <button
+            key={name}
+            type="button"
+            onClick={run}
+            className="px-3 py-2 text-sm rounded border border-purple-600 text-purple-700 hover:bg-purple-50 focus:outline-none focus:ring-2 focus:ring-purple-500"
+          >
+            {t(`receipt.${name}`)}
+          </button>
+        ))}
+      </div>
+    </div>
+  );
+}
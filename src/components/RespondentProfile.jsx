@@ -0,0 +1,128 @@
+import { useTranslation } from "../hooks/useTranslation";
+import {
+  AFFILIATION_TYPES,
+  MAX_YEARS_OF_RESEARCH,
+} from "../utils/respondentProfile";
+
+/**
+ * Optional "About you" block shown before the questions
+ * Every field may be left blank; the email is only sent when the
+ * respondent ticks the consent box
+ *
+ * @param {Object} props
+ * @param {Object} props.value - Current profile (see respondentProfile.js)
+ * @param {Array<string>} props.errorFields - Fields failing validation
+ * @param {Function} props.onChange - Called with (field, value)
+ */
+export default function RespondentProfile({ value, errorFields, onChange }) {
+  const { t } = useTranslation();
+
+  const inputClass = (field) =>
+    `w-full border-b-2 ${
+      errorFields.includes(field) ? "border-red-500" : "border-gray-300"
+    } focus:border-purple-600 outline-none py-2 text-sm bg-transparent`;
+  const labelClass = "text-sm text-gray-700 block mb-1";
+
+  return (
+    <section
+      id="respondent-profile"
+      aria-labelledby="respondent-profile-title"
+      className={`bg-white rounded-lg shadow p-4 sm:p-6 mb-3 sm:mb-4 border-l-4 ${
+        errorFields.length > 0
+          ? "border-red-500 ring-1 ring-red-200"
+          : "border-purple-600"
+      }`}
+    >
+      <h2
+        id="respondent-profile-title"
+        className="text-sm sm:text-base font-medium text-gray-800 mb-1"
+      >
+        {t("profile.title")}
+      </h2>
+      <p className="text-xs text-gray-500 mb-4">{t("profile.intro")}</p>
+
+      <div className="grid gap-4 sm:grid-cols-2">
+        <div>
+          <label htmlFor="respondent-affiliation" className={labelClass}>
+            {t("profile.affiliation")}
+          </label>
+          <select
+            id="respondent-affiliation"
+            className={inputClass("affiliation")}
+            aria-invalid={errorFields.includes("affiliation")}
+            value={value.affiliation}
+            onChange={(e) => onChange("affiliation", e.target.value)}
+          >
+            <option value="">{t("profile.affiliationPlaceholder")}</option>
+            {AFFILIATION_TYPES.map((type) => (
+              <option key={type} value={type}>
+                {t(`profile.affiliation.${type}`)}
+              </option>
+            ))}
+          </select>
+        </div>
+
+        <div>
+          <label htmlFor="respondent-yearsOfResearch" className={labelClass}>
+            {t("profile.years")}
+          </label>
+          <input
+            id="respondent-yearsOfResearch"
+            type="number"
+            inputMode="numeric"
+            min={0}
+            max={MAX_YEARS_OF_RESEARCH}
+            step={1}
+            className={inputClass("yearsOfResearch")}
+            aria-invalid={errorFields.includes("yearsOfResearch")}
+            value={value.yearsOfResearch}
+            onChange={(e) => onChange("yearsOfResearch", e.target.value)}
+          />
+        </div>
+
+        <div className="sm:col-span-2">
+          <label htmlFor="respondent-discipline" className={labelClass}>
+            {t("profile.discipline")}
+          </label>
+          <input
+            id="respondent-discipline"
+            type="text"
+            className={inputClass("discipline")}
+            value={value.discipline}
+            onChange={(e) => onChange("discipline", e.target.value)}
+          />
+        </div>
+
+        <div className="sm:col-span-2">
+          <label htmlFor="respondent-email" className={labelClass}>
+            {t("profile.email")}
+          </label>
+          <input
+            id="respondent-email"
+            type="email"
+            autoComplete="email"
+            aria-describedby="respondent-email-hint"
+            className={inputClass("email")}
+            aria-invalid={errorFields.includes("email")}
+            value={value.email}
+            onChange={(e) => onChange("email", e.target.value)}
+          />
+          <p id="respondent-email-hint" className="text-xs text-gray-500 mt-1">
+            {t("profile.emailHint")}
+          </p>
+          <label className="flex items-start gap-3 mt-3 text-sm text-gray-700 cursor-pointer">
+            <input
+              id="respondent-contactConsent"
+              type="checkbox"
+              className="mt-0.5"
+              aria-invalid={errorFields.includes("contactConsent")}
+              checked={value.contactConsent}
+              onChange={(e) => onChange("contactConsent", e.target.checked)}
+            />
+            {t("profile.consent")}
+          </label>
+        </div>
+      </div>
+    </section>
+  );
+}
@@ -0,0 +1,193 @@
+import { useEffect, useRef } from "react";
+import { useTranslation } from "../hooks/useTranslation";
+import { getQuestionType } from "../utils/questionTypes";
+import { formatRankValue, summarizeAnswer } from "../utils/responseSummary";
+
+/**
+ * Summary shown after the form passes validation and before anything is
+ * sent: every question with its answer (ranking rows sorted by rank, the
+ * "Other" text as its own row) and the final comment
+ * Each item has an "Edit" link back to the question in the form
+ *
+ * @param {Object} props
+ * @param {Array} props.questions - Visible questions, in the display language
+ * @param {Object} props.responses - Current answers
+ * @param {Object} props.otherText - "Other" text by question ID
+ * @param {Object} props.finalComment - { text, value }
+ * @param {Object} props.rankLabels - Display text by rank value
+ * @param {boolean} props.loading - True while the response is being sent
+ * @param {Function} props.onEdit - Called with the location to edit:
+ *   { type: "question", qId } or { type: "final-comment" }
+ * @param {Function} props.onBack - Return to the form
+ * @param {Function} props.onSubmit - Send the response
+ * @param {Function} props.onCancel - Stop a submission in progress
+ */
+export default function ReviewScreen({
+  questions,
+  responses,
+  otherText,
+  finalComment,
+  rankLabels,
+  loading,
+  onEdit,
+  onBack,
+  onSubmit,
+  onCancel,
+}) {
+  const { t } = useTranslation();
+  const headingRef = useRef(null);
+
+  // Start reading (and tabbing) from the top of the summary
+  useEffect(() => {
+    headingRef.current?.focus();
+  }, []);
+
+  /**
+   * "Edit" link for one item
+   * @param {Object} location - Passed to onEdit
+   * @param {string} label - What is being edited, for screen readers
+   */
+  const renderEdit = (location, label) => (
+    <button
+      type="button"
+      onClick={() => onEdit(location)}
+      disabled={loading}
+      aria-label={t("review.editLabel", { question: label })}
+      className="flex-shrink-0 text-sm text-purple-700 underline hover:text-purple-900 disabled:opacity-50"
+    >
+      {t("review.edit")}
+    </button>
+  );
+
+  /**
+   * Answer lines for one question
+   * Lines are keyed by position: option texts need not be unique
+   * @param {Object} q - Question object
+   */
+  const renderAnswer = (q) => {
+    const lines = summarizeAnswer(q, responses[q.id], {
+      otherText: otherText[q.id] || "",
+      rankLabels,
+      t,
+    });
+
+    if (lines.length === 0) {
+      return (
+        <p className="text-sm text-gray-500 italic">{t("review.noAnswer")}</p>
+      );
+    }
+
+    if (getQuestionType(q) === "ranking") {
+      return (
+        <ol className="space-y-1">
+          {lines.map(({ label, rank }, idx) => (
+            <li
+              key={`${q.id}-${idx}`}
+              className="flex gap-3 text-sm text-gray-800"
+            >
+              <span
+                className={`w-20 flex-shrink-0 ${
+                  rank ? "font-medium text-purple-700" : "text-gray-500 italic"
+                }`}
+              >
+                {formatRankValue(rank, { rankLabels, t })}
+              </span>
+              <span>{label}</span>
+            </li>
+          ))}
+        </ol>
+      );
+    }
+
+    return (
+      <ul className="space-y-1">
+        {lines.map(({ label }, idx) => (
+          <li
+            key={`${q.id}-${idx}`}
+            className="text-sm text-gray-800 whitespace-pre-wrap break-words"
+          >
+            {label}
+          </li>
+        ))}
+      </ul>
+    );
+  };
+
+  return (
+    <section aria-labelledby="review-title">
+      <div className="bg-white rounded-lg shadow p-4 sm:p-6 mb-3 sm:mb-4 border-t-4 border-purple-600">
+        <h2
+          id="review-title"
+          ref={headingRef}
+          tabIndex={-1}
+          className="text-lg font-medium text-gray-800 focus:outline-none"
+        >
+          {t("review.title")}
+        </h2>
+        <p className="text-sm text-gray-600 mt-1">{t("review.intro")}</p>
+      </div>
+
+      {questions.map((q, idx) => (
+        <div key={q.id}>
+          {q.sectionTitle &&
+            q.sectionTitle !== questions[idx - 1]?.sectionTitle && (
+              <h3 className="text-sm font-medium text-purple-800 mt-4 sm:mt-6 mb-2">
+                {q.sectionTitle}
+              </h3>
+            )}
+          <div className="bg-white rounded-lg shadow p-4 sm:p-5 mb-3">
+            <div className="flex items-start justify-between gap-3 mb-2">
+              <p className="text-sm sm:text-base text-gray-800">{q.text}</p>
+              {renderEdit({ type: "question", qId: q.id }, q.text)}
+            </div>
+            {renderAnswer(q)}
+          </div>
+        </div>
+      ))}
+
+      <div className="bg-white rounded-lg shadow p-4 sm:p-5 mb-3 sm:mb-4">
+        <div className="flex items-start justify-between gap-3 mb-2">
+          <p className="text-sm sm:text-base text-gray-800">
+            {finalComment.text}
+          </p>
+          {renderEdit({ type: "final-comment" }, finalComment.text)}
+        </div>
+        {finalComment.value.trim() ? (
+          <p className="text-sm text-gray-800 whitespace-pre-wrap break-words">
+            {finalComment.value}
+          </p>
+        ) : (
+          <p className="text-sm text-gray-500 italic">{t("review.noAnswer")}</p>
+        )}
+      </div>
+
+      <div className="flex flex-col sm:flex-row gap-3">
+        <button
+          type="button"
+          onClick={onBack}
+          disabled={loading}
+          className="border border-purple-600 text-purple-700 px-8 py-2.5 rounded font-medium hover:bg-purple-50 disabled:opacity-50 w-full sm:w-auto"
+        >
+          {t("review.back")}
+        </button>
+        <button
+          type="button"
+          onClick={onSubmit}
+          disabled={loading}
+          className="bg-purple-600 text-white px-8 py-2.5 rounded font-medium hover:bg-purple-700 disabled:bg-gray-400 w-full sm:w-auto"
+        >
+          {loading ? t("form.submitting") : t("review.confirm")}
+        </button>
+        {loading && (
+          <button
+            type="button"
+            onClick={onCancel}
+            className="border border-gray-400 text-gray-700 px-8 py-2.5 rounded font-medium hover:bg-gray-100 w-full sm:w-auto"
+          >
+            {t("form.cancel")}
+          </button>
+        )}
+      </div>
+    </section>
+  );
+}
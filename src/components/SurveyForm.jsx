@@ -0,0 +1,814 @@
+import { useState, useCallback, useRef, useMemo } from "react";
+import { useExclusiveRanking } from "../hooks/useExclusiveRanking";
+import { useDraftAutosave } from "../hooks/useDraftAutosave";
+import { useSubmissionQueue } from "../hooks/useSubmissionQueue";
+import { useWizardStep } from "../hooks/useWizardStep";
+import { useTranslation } from "../hooks/useTranslation";
+import { useAntiBot } from "../hooks/useAntiBot";
+import {
+  validateForm,
+  focusElement,
+  getFirstUnansweredElementId,
+} from "../utils/formValidation";
+import {
+  getDisplacedOptions,
+  getRankingRowLabel,
+} from "../utils/rankingRules";
+import { getVisibleQuestions } from "../utils/conditions";
+import { groupQuestionsIntoSections } from "../utils/sections";
+import {
+  submitForm,
+  normalizeFormData,
+  getErrorMessage,
+} from "../services/formSubmissionService";
+import { shouldQueueSubmission } from "../services/submissionQueue";
+import {
+  sanitize,
+  sanitizeRespondentProfile,
+} from "../utils/sanitization";
+import { generateResponseId } from "../utils/responseId";
+import { getQuestionType, TEXT_TYPES } from "../utils/questionTypes";
+import { localizeDefinition } from "../utils/i18n";
+import { EMPTY_PROFILE } from "../utils/respondentProfile";
+import { getAntiBotConfigFromEnv } from "../utils/antiBot";
+import QueueStatus from "./QueueStatus";
+import QuestionCard from "./QuestionCard";
+import LanguageSwitcher from "./LanguageSwitcher";
+import RespondentProfile from "./RespondentProfile";
+import HoneypotField from "./HoneypotField";
+import CharacterCounter from "./CharacterCounter";
+import ReviewScreen from "./ReviewScreen";
+import ReceiptActions from "./ReceiptActions";
+
+const antiBotConfig = getAntiBotConfigFromEnv(import.meta.env);
+
+/**
+ * Send a response from the offline outbox
+ * Replays use a single attempt; the outbox itself retries on the next trigger
+ *
+ * @param {Object} data - Normalized form data
+ * @param {Object} backend - Submission backend
+ * @returns {Promise<{success: boolean}>}
+ */
+function sendQueuedResponse(data, backend) {
+  return submitForm(data, backend, {
+    maxRetries: 1,
+    timeout: 5000,
+  });
+}
+
+/**
+ * Survey form rendered from a loaded survey definition
+ *
+ * In "paged" layout each section is a step with Next/Back navigation
+ * When the definition asks for a respondent profile it is shown before the
+ * questions (on the first step in paged layout)
+ * Text is shown in the current language; answers, drafts and the submitted
+ * payload use the definition's question IDs and option indices, so they do
+ * not change when the respondent switches language
+ * A response sent from an invitation link carries its token, and the token
+ * is marked used once the response is submitted or queued
+ * Anti-bot signals (honeypot, fill time, proof of work) are sent with the
+ * response; only the per-browser rate limit stops a submission here
+ * Submit first shows a review of every answer; the response is only sent
+ * once the respondent confirms it there, and the thank-you screen then
+ * offers a receipt of what was sent
+ *
+ * @param {Object} props
+ * @param {Object} props.definition - Validated survey definition
+ * @param {string} props.layout - "single-page" or "paged" (default: definition.layout)
+ * @param {Object} props.invitation - { token, markUsed(responseId) } (default: open link)
+ * @param {Object} props.backend - Submission backend (see createAppSetup)
+ */
+export default function SurveyForm({
+  definition,
+  layout = definition.layout,
+  invitation = null,
+  backend,
+}) {
+  const { t, locale } = useTranslation();
+  const shown = useMemo(
+    () => localizeDefinition(definition, locale),
+    [definition, locale]
+  );
+  const { questions } = definition;
+  const { rankScale } = shown;
+  const paged = layout === "paged";
+
+  const rankRules = useMemo(
+    () =>
+      Object.fromEntries(
+        questions.filter((q) => q.rankRules).map((q) => [q.id, q.rankRules])
+      ),
+    [questions]
+  );
+  const { responses, updateRank, setAnswer, restoreResponses } =
+    useExclusiveRanking({}, rankRules);
+  const [otherText, setOtherText] = useState({});
+  const [finalComment, setFinalComment] = useState("");
+  const [respondent, setRespondent] = useState(EMPTY_PROFILE);
+  // One ID per response, reused across retries so duplicates can be dropped
+  const [responseId] = useState(() => generateResponseId());
+  const [submitted, setSubmitted] = useState(false);
+  // Payload as sent (or queued), for the receipt
+  const [submittedData, setSubmittedData] = useState(null);
+  const [queuedOffline, setQueuedOffline] = useState(false);
+  const [reviewing, setReviewing] = useState(false);
+  const [loading, setLoading] = useState(false);
+  const [validationErrors, setValidationErrors] = useState([]);
+  const [submissionError, setSubmissionError] = useState("");
+  const [announcement, setAnnouncement] = useState("");
+  const submitControllerRef = useRef(null);
+  const errorSummaryRef = useRef(null);
+  const antiBot = useAntiBot(definition.id, responseId, antiBotConfig);
+
+  const restoreDraft = useCallback(
+    (draft) => {
+      restoreResponses(draft.responses);
+      setOtherText(draft.otherText);
+      setFinalComment(draft.finalComment);
+      if (draft.respondent) {
+        setRespondent({ ...EMPTY_PROFILE, ...draft.respondent });
+      }
+    },
+    [restoreResponses]
+  );
+
+  const { pendingDraft, resumeDraft, discardDraft, clearSavedDraft } =
+    useDraftAutosave(
+      definition,
+      { responses, otherText, finalComment, respondent },
+      restoreDraft
+    );
+
+  const sendQueued = useCallback(
+    (data) => sendQueuedResponse(data, backend),
+    [backend]
+  );
+  const { queuedCount, replaying, enqueue } = useSubmissionQueue(sendQueued);
+
+  const visibleQuestions = getVisibleQuestions(shown.questions, responses);
+  const steps = paged
+    ? groupQuestionsIntoSections(visibleQuestions)
+    : [{ title: "", questions: visibleQuestions }];
+  const { step, goToStep } = useWizardStep(steps.length);
+  const isLastStep = step === steps.length - 1;
+  const currentQuestions = paged ? steps[step].questions : visibleQuestions;
+  const showProfile = definition.respondentProfile && (!paged || step === 0);
+
+  /**
+   * Step holding a validation error (the first step for the profile, the
+   * last step for the final comment)
+   * @param {Object} error - Validation error from validateForm
+   * @returns {number} Step index
+   */
+  const getErrorStep = (error) => {
+    if (error.type === "respondent") return 0;
+    return error.qId !== undefined
+      ? steps.findIndex((s) => s.questions.some((q) => q.id === error.qId))
+      : steps.length - 1;
+  };
+
+  /**
+   * Show validation errors and move focus to the error summary
+   * In paged mode this first switches to the step holding the first error
+   *
+   * @param {Array} errors - Validation errors from validateForm
+   */
+  const showValidationErrors = (errors) => {
+    setValidationErrors(errors);
+    setSubmissionError(""); // Clear any previous submission errors
+
+    const errorStep = getErrorStep(errors[0]);
+    if (paged && errorStep !== step) {
+      goToStep(errorStep);
+    }
+    // Wait for the summary (and step) to render before focusing it
+    setTimeout(() => errorSummaryRef.current?.focus(), 0);
+  };
+
+  /**
+   * Jump from the error summary to the question it refers to
+   * @param {Object} error - Validation error from validateForm
+   */
+  const goToError = (error) => {
+    const elementId = getFirstUnansweredElementId([error]);
+    const errorStep = getErrorStep(error);
+    if (paged && errorStep !== step) {
+      goToStep(errorStep);
+      setTimeout(() => focusElement(elementId), 0);
+    } else {
+      focusElement(elementId);
+    }
+  };
+
+  /**
+   * Rank an option, announcing any rank taken from another option
+   * @param {Object} q - Ranking question
+   * @param {number|string} optIdx - Option index, or OTHER_KEY
+   * @param {string} rank - Rank value or "" to clear
+   */
+  const handleRankChange = (q, optIdx, rank) => {
+    const displaced = getDisplacedOptions(
+      responses[q.id],
+      optIdx,
+      rank,
+      q.rankRules
+    );
+    updateRank(q.id, optIdx, rank);
+    if (displaced.length > 0) {
+      const label = (key) =>
+        getRankingRowLabel(q, key, otherText[q.id], t);
+      setAnnouncement(
+        t("ranking.moved", {
+          rank,
+          from: displaced.map(label).join(", "),
+          to: label(optIdx),
+        })
+      );
+    }
+  };
+
+  const handleNext = () => {
+    const { isValid, errors } = validateForm(
+      shown.questions,
+      responses,
+      finalComment,
+      {
+        questionIds: currentQuestions.map((q) => q.id),
+        respondent: showProfile ? respondent : null,
+        otherText,
+        t,
+      }
+    );
+
+    if (!isValid) {
+      showValidationErrors(errors);
+      return;
+    }
+
+    setValidationErrors([]);
+    goToStep(step + 1);
+  };
+
+  const handleBack = () => {
+    setValidationErrors([]);
+    goToStep(step - 1);
+  };
+
+  const handleReview = () => {
+    // Validate form
+    const { isValid, errors } = validateForm(
+      shown.questions,
+      responses,
+      finalComment,
+      {
+        requireFinalComment: definition.finalComment.required,
+        finalCommentMaxLength: definition.finalComment.maxLength,
+        respondent: definition.respondentProfile ? respondent : null,
+        otherText,
+        t,
+      }
+    );
+
+    if (!isValid) {
+      showValidationErrors(errors);
+      return;
+    }
+
+    // Clear validation errors on successful validation
+    setValidationErrors([]);
+    setSubmissionError("");
+    setReviewing(true);
+    window.scrollTo({ top: 0, behavior: "smooth" });
+  };
+
+  /**
+   * Leave the review and jump to an answer in the form
+   * @param {Object} location - { type: "question", qId } or { type: "final-comment" }
+   */
+  const handleEdit = (location) => {
+    setReviewing(false);
+    setSubmissionError("");
+    if (paged) {
+      goToStep(getErrorStep(location));
+    }
+    // Wait for the form (and step) to render before focusing the answer
+    const elementId = getFirstUnansweredElementId([location]);
+    setTimeout(() => focusElement(elementId), 0);
+  };
+
+  // Send the response the respondent confirmed on the review screen
+  const handleSubmit = async () => {
+    if (antiBot.isRateLimited()) {
+      setSubmissionError(t("antiBot.rateLimited"));
+      window.scrollTo({ top: 0, behavior: "smooth" });
+      return;
+    }
+
+    setSubmissionError("");
+    setLoading(true);
+    // Created before waiting for the proof of work, so Cancel stops that too
+    const controller = new AbortController();
+    submitControllerRef.current = controller;
+
+    // Normalize and sanitize data
+    // Lengths were checked by validateForm, so nothing is truncated here
+    const sanitizedOtherText = Object.entries(otherText).reduce(
+      (acc, [key, value]) => ({
+        ...acc,
+        [key]: sanitize(value),
+      }),
+      {}
+    );
+
+    const sanitizedFinalComment = sanitize(finalComment);
+
+    // Free-text answers get the same treatment as the other text fields
+    const sanitizedResponses = questions.reduce((acc, q) => {
+      const isText = TEXT_TYPES.includes(getQuestionType(q));
+      if (isText && typeof acc[q.id] === "string") {
+        acc[q.id] = sanitize(acc[q.id]);
+      }
+      return acc;
+    }, { ...responses });
+
+    let data = null;
+
+    try {
+      const antiBotSignals = await antiBot.collectSignals({
+        signal: controller.signal,
+      });
+
+      data = normalizeFormData(
+        questions,
+        sanitizedResponses,
+        sanitizedOtherText,
+        sanitizedFinalComment,
+        {
+          responseId,
+          locale,
+          respondent: definition.respondentProfile
+            ? sanitizeRespondentProfile(respondent)
+            : null,
+          invitationToken: invitation?.token || null,
+          antiBot: antiBotSignals,
+        }
+      );
+
+      if (navigator.onLine === false) {
+        throw new Error("Network error - device is offline");
+      }
+
+      // Submit with retry logic
+      await submitForm(data, backend, {
+        maxRetries: 3,
+        timeout: 5000,
+        signal: controller.signal,
+        onRetry: (attempt, error, delayMs, isLastAttempt) => {
+          const message = isLastAttempt
+            ? `Failed to submit after ${attempt} attempts`
+            : `Retrying in ${delayMs}ms... (attempt ${attempt + 1})`;
+          console.log(`${message}: ${error.message}`);
+        },
+      });
+
+      console.log("Form Data:", JSON.stringify(data, null, 2));
+      clearSavedDraft();
+      antiBot.recordSubmitted();
+      await invitation?.markUsed(responseId);
+      setSubmittedData(data);
+      setSubmitted(true);
+    } catch (error) {
+      // Cancelled on purpose: stay where we are with the answers untouched
+      if (error.kind === "cancelled" || controller.signal.aborted) {
+        return;
+      }
+
+      console.error("Submission error:", error);
+
+      // Keep the response in the outbox so it is sent once the connection returns
+      if (data && shouldQueueSubmission(error)) {
+        try {
+          await enqueue(data);
+          clearSavedDraft();
+          antiBot.recordSubmitted();
+          await invitation?.markUsed(responseId);
+          setSubmittedData(data);
+          setQueuedOffline(true);
+          setSubmitted(true);
+          return;
+        } catch (queueError) {
+          console.error("Unable to queue submission:", queueError);
+        }
+      }
+
+      setSubmissionError(getErrorMessage(error, t));
+      window.scrollTo({ top: 0, behavior: "smooth" });
+    } finally {
+      submitControllerRef.current = null;
+      setLoading(false);
+    }
+  };
+
+  const handleCancel = () => {
+    submitControllerRef.current?.abort();
+  };
+
+  if (submitted) {
+    return (
+      <div className="min-h-screen bg-purple-50 flex items-center justify-center p-4">
+        <div className="bg-white p-8 rounded-lg shadow text-center max-w-md border-t-4 border-purple-600">
+          <div className="text-5xl mb-4 text-purple-600">✓</div>
+          <h2 className="text-2xl font-bold text-gray-800 mb-2">
+            {t("form.thankYou")}
+          </h2>
+          <p className="text-gray-600">
+            {queuedOffline ? t("form.queuedOffline") : t("form.recorded")}
+          </p>
+          <p className="text-xs text-gray-500 mt-4">
+            {t("form.receipt")}{" "}
+            <span className="font-mono text-gray-700 break-all">
+              {responseId}
+            </span>
+          </p>
+          {submittedData && (
+            <ReceiptActions
+              payload={submittedData}
+              definition={shown}
+              queued={queuedOffline}
+            />
+          )}
+          <QueueStatus count={queuedCount} sending={replaying} />
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="min-h-screen bg-purple-50 py-4 sm:py-6 px-2 sm:px-4">
+      <style>{`
+        input[type="checkbox"],
+        input[type="radio"] {
+          cursor: pointer;
+          accent-color: #9333ea;
+          width: 18px;
+          height: 18px;
+        }
+      `}</style>
+      <div className="max-w-3xl mx-auto">
+        <div className="bg-white rounded-lg shadow border-t-4 border-purple-600 p-4 sm:p-6 mb-3 sm:mb-4">
+          <div className="flex flex-col-reverse sm:flex-row sm:items-start sm:justify-between gap-2 mb-2">
+            <h1 className="text-xl sm:text-2xl font-normal text-gray-800">
+              {shown.title}
+            </h1>
+            <LanguageSwitcher />
+          </div>
+          {shown.description && (
+            <p className="text-xs sm:text-sm text-gray-600">
+              {shown.description}
+            </p>
+          )}
+        </div>
+
+        <QueueStatus count={queuedCount} sending={replaying} />
+
+        <div role="status" aria-live="polite" className="sr-only">
+          {announcement}
+        </div>
+
+        {pendingDraft && (
+          <div
+            role="region"
+            aria-label={t("draft.region")}
+            className="bg-purple-100 border border-purple-200 p-4 sm:p-5 mb-6 rounded-lg"
+          >
+            <p className="text-sm font-semibold text-purple-900">
+              {pendingDraft.savedAt
+                ? t("draft.titleWithDate", {
+                    date: new Date(pendingDraft.savedAt).toLocaleString(locale),
+                  })
+                : t("draft.title")}
+            </p>
+            {pendingDraft.migrated && (
+              <p className="text-sm text-purple-800 mt-1">
+                {t("draft.migrated")}
+              </p>
+            )}
+            <p className="text-sm text-purple-800 mt-1">{t("draft.choose")}</p>
+            <div className="flex gap-3 mt-3">
+              <button
+                onClick={resumeDraft}
+                className="bg-purple-600 text-white px-4 py-1.5 rounded text-sm font-medium hover:bg-purple-700"
+              >
+                {t("draft.resume")}
+              </button>
+              <button
+                onClick={discardDraft}
+                className="border border-purple-600 text-purple-700 px-4 py-1.5 rounded text-sm font-medium hover:bg-purple-50"
+              >
+                {t("draft.startOver")}
+              </button>
+            </div>
+          </div>
+        )}
+
+        {validationErrors.length > 0 && (
+          <div
+            ref={errorSummaryRef}
+            tabIndex={-1}
+            aria-labelledby="error-summary-title"
+            className="bg-red-50 border border-red-200 p-4 sm:p-5 mb-6 rounded-lg focus:outline-none focus:ring-2 focus:ring-red-400"
+          >
+            <div className="flex gap-3">
+              <div className="flex-shrink-0 mt-0.5">
+                <svg
+                  aria-hidden="true"
+                  className="h-5 w-5 text-red-500"
+                  fill="currentColor"
+                  viewBox="0 0 20 20"
+                >
+                  <path
+                    fillRule="evenodd"
+                    d="M10 18a8 8 0 100-16 8 8 0 000 16zM8.707 7.293a1 1 0 00-1.414 1.414L8.586 10l-1.293 1.293a1 1 0 101.414 1.414L10 11.414l1.293 1.293a1 1 0 001.414-1.414L11.414 10l1.293-1.293a1 1 0 00-1.414-1.414L10 8.586 8.707 7.293z"
+                    clipRule="evenodd"
+                  />
+                </svg>
+              </div>
+              <div className="flex-1">
+                <h2
+                  id="error-summary-title"
+                  className="text-sm font-semibold text-red-800"
+                >
+                  {t("errors.summaryTitle")}
+                </h2>
+                <p className="text-sm text-red-700 mt-1">
+                  {t("errors.summaryIntro")}
+                </p>
+                <ul className="mt-2 space-y-1">
+                  {validationErrors.map((error, idx) => (
+                    <li
+                      key={idx}
+                      className="text-sm text-red-700 flex items-start"
+                    >
+                      <span
+                        className="text-red-600 mr-2 font-bold"
+                        aria-hidden="true"
+                      >
+                        !
+                      </span>
+                      <button
+                        type="button"
+                        onClick={() => goToError(error)}
+                        className="text-left underline hover:text-red-900"
+                      >
+                        {error.message}
+                      </button>
+                    </li>
+                  ))}
+                </ul>
+              </div>
+              <button
+                onClick={() => setValidationErrors([])}
+                className="flex-shrink-0 text-red-400 hover:text-red-600 transition"
+                aria-label={t("errors.dismiss")}
+              >
+                <svg
+                  aria-hidden="true"
+                  className="h-5 w-5"
+                  fill="currentColor"
+                  viewBox="0 0 20 20"
+                >
+                  <path
+                    fillRule="evenodd"
+                    d="M4.293 4.293a1 1 0 011.414 0L10 8.586l4.293-4.293a1 1 0 111.414 1.414L11.414 10l4.293 4.293a1 1 0 01-1.414 1.414L10 11.414l-4.293 4.293a1 1 0 01-1.414-1.414L8.586 10 4.293 5.707a1 1 0 010-1.414z"
+                    clipRule="evenodd"
+                  />
+                </svg>
+              </button>
+            </div>
+          </div>
+        )}
+
+        {submissionError && (
+          <div className="bg-red-50 border border-red-200 p-4 sm:p-5 mb-6 rounded-lg">
+            <div className="flex gap-3">
+              <div className="flex-shrink-0 mt-0.5">
+                <svg
+                  className="h-5 w-5 text-red-500"
+                  fill="currentColor"
+                  viewBox="0 0 20 20"
+                >
+                  <path
+                    fillRule="evenodd"
+                    d="M10 18a8 8 0 100-16 8 8 0 000 16zM8.707 7.293a1 1 0 00-1.414 1.414L8.586 10l-1.293 1.293a1 1 0 101.414 1.414L10 11.414l1.293 1.293a1 1 0 001.414-1.414L11.414 10l1.293-1.293a1 1 0 00-1.414-1.414L10 8.586 8.707 7.293z"
+                    clipRule="evenodd"
+                  />
+                </svg>
+              </div>
+              <div className="flex-1">
+                <p className="text-sm font-semibold text-red-800">
+                  {t("errors.submissionTitle")}
+                </p>
+                <p className="text-sm text-red-700 mt-1">{submissionError}</p>
+              </div>
+              <button
+                onClick={() => setSubmissionError("")}
+                className="flex-shrink-0 text-red-400 hover:text-red-600 transition"
+                aria-label={t("errors.dismiss")}
+              >
+                <svg
+                  className="h-5 w-5"
+                  fill="currentColor"
+                  viewBox="0 0 20 20"
+                >
+                  <path
+                    fillRule="evenodd"
+                    d="M4.293 4.293a1 1 0 011.414 0L10 8.586l4.293-4.293a1 1 0 111.414 1.414L11.414 10l4.293 4.293a1 1 0 01-1.414 1.414L10 11.414l-4.293 4.293a1 1 0 01-1.414-1.414L8.586 10 4.293 5.707a1 1 0 010-1.414z"
+                    clipRule="evenodd"
+                  />
+                </svg>
+              </button>
+            </div>
+          </div>
+        )}
+
+        {reviewing ? (
+          <ReviewScreen
+            questions={visibleQuestions}
+            responses={responses}
+            otherText={otherText}
+            finalComment={{ text: shown.finalComment.text, value: finalComment }}
+            rankLabels={rankScale.labels}
+            loading={loading}
+            onEdit={handleEdit}
+            onBack={() => setReviewing(false)}
+            onSubmit={handleSubmit}
+            onCancel={handleCancel}
+          />
+        ) : pendingDraft ? null : (
+          // Questions wait for Resume / Start over: autosave is paused until
+          // then, so answers typed meanwhile would be lost on reload
+          <>
+            {(shown.instructions || rankScale.legend) && (
+              <div className="bg-white rounded-lg shadow p-3 sm:p-4 mb-3 sm:mb-4">
+                <p className="text-xs sm:text-sm text-gray-700">
+                  {shown.instructions && (
+                    <>
+                      <span className="font-medium">{t("form.instructions")}</span>{" "}
+                      {shown.instructions}
+                      <br />
+                    </>
+                  )}
+                  <span className="text-xs">{rankScale.legend}</span>
+                </p>
+              </div>
+            )}
+
+            {paged && (
+              <div className="mb-3 sm:mb-4">
+                <div className="flex justify-between text-xs text-gray-600 mb-1">
+                  <span>
+                    {t("progress.step", { step: step + 1, total: steps.length })}
+                  </span>
+                  <span>{Math.round(((step + 1) / steps.length) * 100)}%</span>
+                </div>
+                <div
+                  className="h-2 bg-purple-100 rounded-full overflow-hidden"
+                  role="progressbar"
+                  aria-label={t("progress.label")}
+                  aria-valuemin={1}
+                  aria-valuemax={steps.length}
+                  aria-valuenow={step + 1}
+                >
+                  <div
+                    className="h-full bg-purple-600 transition-all"
+                    style={{ width: `${((step + 1) / steps.length) * 100}%` }}
+                  />
+                </div>
+              </div>
+            )}
+
+            {showProfile && (
+              <RespondentProfile
+                value={respondent}
+                errorFields={validationErrors
+                  .filter((e) => e.type === "respondent")
+                  .map((e) => e.field)}
+                onChange={(field, value) =>
+                  setRespondent((prev) => ({ ...prev, [field]: value }))
+                }
+              />
+            )}
+
+            {currentQuestions.map((q, idx) => {
+              const questionId = `question-${q.id}`;
+              const showSection =
+                q.sectionTitle &&
+                q.sectionTitle !== currentQuestions[idx - 1]?.sectionTitle;
+
+              return (
+                <div key={q.id} id={questionId}>
+                  {showSection && (
+                    <div className="bg-purple-600 text-white p-3 sm:p-4 rounded-lg shadow mb-3 sm:mb-4 mt-4 sm:mt-6">
+                      <h2 className="font-medium text-sm sm:text-base">
+                        {q.sectionTitle}
+                      </h2>
+                    </div>
+                  )}
+                  <QuestionCard
+                    question={q}
+                    rankLegend={rankScale.legend}
+                    rankLabels={rankScale.labels}
+                    value={responses[q.id]}
+                    otherText={otherText[q.id] || ""}
+                    hasError={validationErrors.some((e) => e.qId === q.id)}
+                    otherError={validationErrors.some(
+                      (e) => e.type === "other-text" && e.qId === q.id
+                    )}
+                    onRankChange={(optIdx, rank) =>
+                      handleRankChange(q, optIdx, rank)
+                    }
+                    onAnswerChange={(value) => setAnswer(q.id, value)}
+                    onOtherTextChange={(value) =>
+                      setOtherText((prev) => ({ ...prev, [q.id]: value }))
+                    }
+                  />
+                </div>
+              );
+            })}
+
+            {isLastStep && (
+              <div
+                id="final-comments"
+                className={`bg-white rounded-lg shadow p-4 sm:p-6 mb-3 sm:mb-4 border-l-4 ${
+                  validationErrors.some((e) => e.type === "final-comment")
+                    ? "border-red-500 ring-1 ring-red-200"
+                    : "border-purple-600"
+                }`}
+              >
+                <p
+                  id="final-comments-label"
+                  className="text-sm sm:text-base text-gray-800 mb-4"
+                >
+                  {shown.finalComment.text}{" "}
+                  {definition.finalComment.required && (
+                    <span className="text-red-500">*</span>
+                  )}
+                </p>
+                <textarea
+                  aria-labelledby="final-comments-label"
+                  aria-describedby="final-comments-count"
+                  className="w-full border-b-2 border-gray-300 focus:border-purple-600 outline-none py-2 h-24 resize-none text-sm bg-transparent"
+                  placeholder={t("question.placeholder")}
+                  value={finalComment}
+                  onChange={(e) => setFinalComment(e.target.value)}
+                />
+                <CharacterCounter
+                  id="final-comments-count"
+                  value={finalComment}
+                  max={definition.finalComment.maxLength}
+                />
+              </div>
+            )}
+
+            <HoneypotField value={antiBot.honeypot} onChange={antiBot.setHoneypot} />
+
+            <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between gap-3">
+              <div className="flex flex-col sm:flex-row gap-3">
+                {paged && step > 0 && (
+                  <button
+                    onClick={handleBack}
+                    className="border border-purple-600 text-purple-700 px-8 py-2.5 rounded font-medium hover:bg-purple-50 w-full sm:w-auto"
+                  >
+                    {t("form.back")}
+                  </button>
+                )}
+                {isLastStep ? (
+                  <button
+                    onClick={handleReview}
+                    className="bg-purple-600 text-white px-8 py-2.5 rounded font-medium hover:bg-purple-700 w-full sm:w-auto"
+                  >
+                    {t("form.submit")}
+                  </button>
+                ) : (
+                  <button
+                    onClick={handleNext}
+                    className="bg-purple-600 text-white px-8 py-2.5 rounded font-medium hover:bg-purple-700 w-full sm:w-auto"
+                  >
+                    {t("form.next")}
+                  </button>
+                )}
+              </div>
+              <p className="text-xs text-gray-500 text-center sm:text-left">
+                {t("form.noPasswords")}
+              </p>
+            </div>
+          </>
+        )}
+
+        <div className="h-8"></div>
+      </div>
+    </div>
+  );
+}
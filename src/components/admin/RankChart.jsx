@@ -0,0 +1,100 @@
+import { useTranslation } from "../../hooks/useTranslation";
+import { OTHER_KEY } from "../../utils/rankingRules";
+import { STATISTICS, formatStatistic } from "../../utils/rankStatistics";
+
+/**
+ * Results for one ranking question: a bar per option for the chosen
+ * statistic, followed by a table with every statistic
+ * Bars are scaled to the largest value shown; the table carries the numbers
+ * for screen readers, so the bars themselves are hidden from them
+ *
+ * @param {Object} props
+ * @param {Object} props.summary - Question summary from summarizeRanking
+ * @param {number} props.number - Question number shown in the heading
+ * @param {string} props.metric - Statistic shown as bars
+ */
+export default function RankChart({ summary, number, metric }) {
+  const { t } = useTranslation();
+  const { question: q, respondents, rows } = summary;
+  const largest = Math.max(0, ...rows.map((row) => row[metric] ?? 0));
+
+  /**
+   * Label of a result row
+   * @param {number|string} key - Option index, or OTHER_KEY
+   * @returns {string} Option text
+   */
+  const getLabel = (key) =>
+    key === OTHER_KEY ? t("admin.otherRow") : q.options[key];
+
+  return (
+    <div className="bg-white rounded-lg shadow p-4 sm:p-6 mb-3 sm:mb-4 border-l-4 border-purple-600">
+      <h3 className="text-base text-gray-800 mb-1">
+        {number}. {q.text}
+      </h3>
+      <p className="text-xs text-gray-500 mb-4">
+        {t("admin.respondents", { count: respondents })}
+      </p>
+
+      <div aria-hidden="true" className="space-y-2 mb-4">
+        {rows.map((row) => (
+          <div key={row.key} className="flex items-center gap-3 text-sm">
+            <div
+              className="w-1/3 text-gray-700 truncate"
+              title={getLabel(row.key)}
+            >
+              {getLabel(row.key)}
+            </div>
+            <div className="flex-1 bg-purple-50 rounded h-4">
+              <div
+                className="bg-purple-600 h-4 rounded"
+                style={{
+                  width: largest
+                    ? `${((row[metric] ?? 0) / largest) * 100}%`
+                    : 0,
+                }}
+              />
+            </div>
+            <div className="w-14 text-right text-gray-600 tabular-nums">
+              {formatStatistic(metric, row[metric])}
+            </div>
+          </div>
+        ))}
+      </div>
+
+      <div className="overflow-x-auto">
+        <table className="w-full text-sm text-left">
+          <thead>
+            <tr className="border-b text-gray-600">
+              <th className="py-2 pr-4 font-medium">{t("admin.option")}</th>
+              <th className="py-2 pl-4 font-medium text-right">
+                {t("admin.ranked")}
+              </th>
+              {STATISTICS.map((name) => (
+                <th key={name} className="py-2 pl-4 font-medium text-right">
+                  {t(`admin.metric.${name}`)}
+                </th>
+              ))}
+            </tr>
+          </thead>
+          <tbody>
+            {rows.map((row) => (
+              <tr key={row.key} className="border-b border-gray-100">
+                <th scope="row" className="py-2 pr-4 font-normal text-gray-700">
+                  {getLabel(row.key)}
+                </th>
+                <td className="py-2 pl-4 text-right tabular-nums">
+                  {row.ranked}
+                </td>
+                {STATISTICS.map((name) => (
+                  <td key={name} className="py-2 pl-4 text-right tabular-nums">
+                    {formatStatistic(name, row[name])}
+                  </td>
+                ))}
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+}
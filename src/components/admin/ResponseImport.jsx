@@ -0,0 +1,122 @@
+import { useState } from "react";
+import { useTranslation } from "../../hooks/useTranslation";
+import { importResponses } from "../../services/responseImport";
+
+/**
+ * Import of typed-in responses (e.g. from paper questionnaires)
+ * The chosen CSV is checked with importResponses; rows with problems are
+ * listed by the line of the file they start on and only the valid rows can
+ * be added
+ *
+ * @param {Object} props
+ * @param {Object} props.definition - Validated survey definition
+ * @param {Function} props.onAdd - Called with the payloads of the valid rows
+ */
+export default function ResponseImport({ definition, onAdd }) {
+  const { t } = useTranslation();
+  const [report, setReport] = useState(null);
+  const [error, setError] = useState("");
+
+  /**
+   * Check the chosen CSV file
+   * @param {Event} e - Change event of the file input
+   */
+  const handleFile = async (e) => {
+    const file = e.target.files?.[0];
+    setReport(null);
+    setError("");
+    if (!file) return;
+
+    try {
+      const text = await file.text();
+      setReport(importResponses(text, definition, { t }));
+    } catch (err) {
+      setError(t("admin.loadError", { file: file.name, message: err.message }));
+    }
+  };
+
+  const handleAdd = () => {
+    onAdd(report.payloads);
+    setReport(null);
+  };
+
+  return (
+    <div className="bg-white rounded-lg shadow p-4 sm:p-6 mb-3 sm:mb-4">
+      <h2 className="text-base font-medium text-gray-800 mb-1">
+        {t("admin.import.title")}
+      </h2>
+      <p className="text-sm text-gray-600 mb-4">{t("admin.import.intro")}</p>
+
+      <label
+        htmlFor="import-file"
+        className="block text-sm font-medium text-gray-700 mb-1"
+      >
+        {t("admin.import.file")}
+      </label>
+      <input
+        id="import-file"
+        type="file"
+        accept=".csv,text/csv"
+        onChange={handleFile}
+        className="block w-full text-sm text-gray-700 file:mr-3 file:py-2 file:px-4 file:rounded file:border-0 file:bg-purple-600 file:text-white hover:file:bg-purple-700"
+      />
+
+      {error && (
+        <p
+          role="alert"
+          className="mt-3 text-sm text-red-700 bg-red-50 border border-red-200 rounded p-3"
+        >
+          {error}
+        </p>
+      )}
+
+      {report && (
+        <div className="mt-4" aria-live="polite">
+          <p className="text-sm text-gray-700 mb-2">
+            {t("admin.import.summary", {
+              valid: report.payloads.length,
+              rows: report.rows,
+            })}
+          </p>
+
+          {report.invalid.length > 0 && (
+            <div className="mb-3 bg-red-50 border border-red-200 rounded p-3">
+              <p className="text-sm font-medium text-red-800 mb-2">
+                {t("admin.import.problems")}
+              </p>
+              <ul className="space-y-2">
+                {report.invalid.map(({ line, responseId, errors }) => (
+                  <li key={line} className="text-sm text-red-700">
+                    <span className="font-medium">
+                      {t("admin.import.line", { line })}
+                    </span>
+                    {responseId && (
+                      <span className="font-mono text-xs ml-2 break-all">
+                        {responseId}
+                      </span>
+                    )}
+                    <ul className="list-disc ml-5 mt-1">
+                      {errors.map((message) => (
+                        <li key={message}>{message}</li>
+                      ))}
+                    </ul>
+                  </li>
+                ))}
+              </ul>
+            </div>
+          )}
+
+          {report.payloads.length > 0 && (
+            <button
+              type="button"
+              onClick={handleAdd}
+              className="px-4 py-2 text-sm rounded bg-purple-600 text-white hover:bg-purple-700 focus:outline-none focus:ring-2 focus:ring-purple-500"
+            >
+              {t("admin.import.add", { count: report.payloads.length })}
+            </button>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,250 @@
+import { useMemo, useState } from "react";
+import { useTranslation } from "../../hooks/useTranslation";
+import { localizeDefinition } from "../../utils/i18n";
+import {
+  parseResponseFile,
+  dropDuplicateResponses,
+} from "../../utils/responseFiles";
+import { STATISTICS, summarizeResults } from "../../utils/rankStatistics";
+import {
+  toWideCsv,
+  toLongCsv,
+  toCodebookCsv,
+} from "../../utils/responseExport";
+import { downloadFile } from "../../utils/download";
+import LanguageSwitcher from "../LanguageSwitcher";
+import RankChart from "./RankChart";
+import ResponseImport from "./ResponseImport";
+
+/**
+ * Results dashboard (`?admin`)
+ * Reads exported responses (JSON payloads or a CSV sheet) chosen by the
+ * researcher and shows rank statistics for every ranking question, grouped
+ * by the definition's sections. Files are only read in the browser
+ * Typed-in responses can be checked and added, and the loaded responses can
+ * be downloaded again as wide or long CSV, with a codebook for the wide
+ * columns
+ * Files chosen later and typed-in rows are added to what is already loaded
+ * (a response loaded twice is counted once) until the researcher clears it
+ *
+ * @param {Object} props
+ * @param {Object} props.definition - Validated survey definition
+ */
+export default function ResultsDashboard({ definition }) {
+  const { t, locale } = useTranslation();
+  const shown = useMemo(
+    () => localizeDefinition(definition, locale),
+    [definition, locale]
+  );
+  // Every payload read so far, repeats included
+  const [received, setReceived] = useState([]);
+  const [fileNames, setFileNames] = useState([]);
+  const [errors, setErrors] = useState([]);
+  const [metric, setMetric] = useState(STATISTICS[0]);
+
+  const { payloads, duplicates } = useMemo(
+    () => dropDuplicateResponses(received),
+    [received]
+  );
+
+  const sections = useMemo(
+    () => summarizeResults(shown.questions, payloads),
+    [shown, payloads]
+  );
+  const numbers = Object.fromEntries(
+    definition.questions.map((q, idx) => [q.id, idx + 1])
+  );
+
+  /**
+   * Read the chosen files and add them to the loaded responses; files that
+   * can't be read are reported and the rest are still loaded
+   * @param {Event} e - Change event of the file input
+   */
+  const handleFiles = async (e) => {
+    const files = Array.from(e.target.files || []);
+    // Let the same file be chosen again after the list is cleared
+    e.target.value = "";
+    const loaded = [];
+    const problems = [];
+
+    for (const file of files) {
+      try {
+        const text = await file.text();
+        loaded.push(
+          ...parseResponseFile(text, file.name, definition.questions)
+        );
+      } catch (error) {
+        problems.push(
+          t("admin.loadError", { file: file.name, message: error.message })
+        );
+      }
+    }
+
+    setReceived((current) => [...current, ...loaded]);
+    setFileNames((current) => [
+      ...current,
+      ...files
+        .map((file) => file.name)
+        .filter((name) => !current.includes(name)),
+    ]);
+    setErrors(problems);
+  };
+
+  /**
+   * Add checked typed-in responses to the loaded ones
+   * @param {Array<Object>} imported - Payloads of the valid rows
+   */
+  const handleImport = (imported) => {
+    setReceived((current) => [...current, ...imported]);
+  };
+
+  // Start again with nothing loaded
+  const handleClear = () => {
+    setReceived([]);
+    setFileNames([]);
+    setErrors([]);
+  };
+
+  const exports = [
+    { name: "wide", build: () => toWideCsv(payloads, definition) },
+    { name: "long", build: () => toLongCsv(payloads, definition) },
+    { name: "codebook", build: () => toCodebookCsv(definition) },
+  ];
+
+  return (
+    <div className="min-h-screen bg-purple-50 py-4 sm:py-6 px-2 sm:px-4">
+      <div className="max-w-4xl mx-auto">
+        <div className="bg-white rounded-lg shadow border-t-4 border-purple-600 p-4 sm:p-6 mb-3 sm:mb-4">
+          <div className="flex flex-col-reverse sm:flex-row sm:items-start sm:justify-between gap-2 mb-2">
+            <h1 className="text-xl sm:text-2xl font-normal text-gray-800">
+              {t("admin.title", { survey: shown.title })}
+            </h1>
+            <LanguageSwitcher />
+          </div>
+          <p className="text-sm text-gray-600 mb-4">{t("admin.intro")}</p>
+
+          <label
+            htmlFor="results-files"
+            className="block text-sm font-medium text-gray-700 mb-1"
+          >
+            {t("admin.files")}
+          </label>
+          <input
+            id="results-files"
+            type="file"
+            accept=".json,.csv,application/json,text/csv"
+            multiple
+            onChange={handleFiles}
+            className="block w-full text-sm text-gray-700 file:mr-3 file:py-2 file:px-4 file:rounded file:border-0 file:bg-purple-600 file:text-white hover:file:bg-purple-700"
+          />
+
+          <div aria-live="polite" className="mt-3 space-y-1">
+            {fileNames.length > 0 && (
+              <p className="text-sm text-gray-700">
+                {t("admin.loaded", { files: fileNames.join(", ") })}
+              </p>
+            )}
+            {duplicates > 0 && (
+              <p className="text-xs text-gray-500">
+                {t("admin.duplicates", { count: duplicates })}
+              </p>
+            )}
+          </div>
+          {payloads.length > 0 && (
+            <div className="mt-4 flex flex-wrap gap-2">
+              {exports.map(({ name, build }) => (
+                <button
+                  key={name}
+                  type="button"
+                  onClick={() =>
+                    downloadFile(
+                      build(),
+                      `${definition.id}-${name}.csv`,
+                      "text/csv"
+                    )
+                  }
+                  className="px-3 py-2 text-sm rounded border border-purple-600 text-purple-700 hover:bg-purple-50 focus:outline-none focus:ring-2 focus:ring-purple-500"
+                >
+                  {t(`admin.export.${name}`)}
+                </button>
+              ))}
+              <button
+                type="button"
+                onClick={handleClear}
+                className="px-3 py-2 text-sm rounded border border-gray-400 text-gray-700 hover:bg-gray-100 focus:outline-none focus:ring-2 focus:ring-purple-500"
+              >
+                {t("admin.clear")}
+              </button>
+            </div>
+          )}
+          {errors.length > 0 && (
+            <ul
+              role="alert"
+              className="mt-3 space-y-1 bg-red-50 border border-red-200 rounded p-3"
+            >
+              {errors.map((message) => (
+                <li key={message} className="text-sm text-red-700">
+                  {message}
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+
+        <ResponseImport definition={definition} onAdd={handleImport} />
+
+        {payloads.length === 0 ? (
+          <p className="text-sm text-gray-600 text-center py-6">
+            {t("admin.empty")}
+          </p>
+        ) : (
+          <>
+            <div className="flex flex-wrap items-center gap-2 mb-3 text-sm text-gray-700">
+              <span className="font-medium mr-2">
+                {t("admin.total", { count: payloads.length })}
+              </span>
+              <label htmlFor="results-metric">{t("admin.metric")}</label>
+              <select
+                id="results-metric"
+                value={metric}
+                onChange={(e) => setMetric(e.target.value)}
+                className="border border-gray-300 rounded px-2 py-1 bg-white focus:outline-none focus:ring-2 focus:ring-purple-500"
+              >
+                {STATISTICS.map((name) => (
+                  <option key={name} value={name}>
+                    {t(`admin.metric.${name}`)}
+                  </option>
+                ))}
+              </select>
+              {metric === "meanRank" && (
+                <span className="text-xs text-gray-500">
+                  {t("admin.lowerIsBetter")}
+                </span>
+              )}
+            </div>
+
+            {sections.map((section, idx) => (
+              <section key={idx}>
+                {section.title && (
+                  <div className="bg-purple-600 text-white p-3 sm:p-4 rounded-lg shadow mb-3 sm:mb-4 mt-4 sm:mt-6">
+                    <h2 className="font-medium text-sm sm:text-base">
+                      {section.title}
+                    </h2>
+                  </div>
+                )}
+                {section.questions.map((summary) => (
+                  <RankChart
+                    key={summary.question.id}
+                    summary={summary}
+                    number={numbers[summary.question.id]}
+                    metric={metric}
+                  />
+                ))}
+              </section>
+            ))}
+          </>
+        )}
+      </div>
+    </div>
+  );
+}
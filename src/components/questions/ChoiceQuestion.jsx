@@ -0,0 +1,67 @@
+import { useTranslation } from "../../hooks/useTranslation";
+
+/**
+ * Single-choice (radio) or multiple-choice (checkbox) option list
+ *
+ * @param {Object} props
+ * @param {Object} props.question - Question object
+ * @param {string} props.labelId - ID of the element holding the question text
+ * @param {boolean} props.multiple - Allow several options to be picked
+ * @param {number|Array<number>} props.value - Picked index, or indices when multiple
+ * @param {Function} props.onChange - Called with the new index or indices
+ */
+export default function ChoiceQuestion({
+  question: q,
+  labelId,
+  multiple = false,
+  value,
+  onChange,
+}) {
+  const { t } = useTranslation();
+  const picked = multiple ? value || [] : [value];
+  const hasMin = q.minSelections !== undefined;
+  const hasMax = q.maxSelections !== undefined;
+
+  const toggle = (optIdx, checked) => {
+    if (!multiple) {
+      onChange(optIdx);
+      return;
+    }
+    onChange(
+      checked ? [...picked, optIdx] : picked.filter((idx) => idx !== optIdx)
+    );
+  };
+
+  return (
+    <div
+      role={multiple ? "group" : "radiogroup"}
+      aria-labelledby={labelId}
+      className="space-y-2"
+    >
+      {multiple && (hasMin || hasMax) && (
+        <p className="text-xs text-gray-500">
+          {hasMin &&
+            hasMax &&
+            t("choice.between", { min: q.minSelections, max: q.maxSelections })}
+          {hasMin && !hasMax && t("choice.atLeast", { min: q.minSelections })}
+          {!hasMin && hasMax && t("choice.atMost", { max: q.maxSelections })}
+        </p>
+      )}
+      {q.options.map((opt, optIdx) => (
+        <label
+          key={optIdx}
+          className="flex items-center gap-3 py-2 px-2 rounded hover:bg-gray-50 cursor-pointer text-sm text-gray-700"
+        >
+          <input
+            type={multiple ? "checkbox" : "radio"}
+            name={q.id}
+            value={optIdx}
+            checked={picked.includes(optIdx)}
+            onChange={(e) => toggle(optIdx, e.target.checked)}
+          />
+          {opt}
+        </label>
+      ))}
+    </div>
+  );
+}
@@ -0,0 +1,39 @@
+/**
+ * Likert scale: one row of labelled points (stacked on mobile)
+ *
+ * @param {Object} props
+ * @param {Object} props.question - Question object (options are the scale points)
+ * @param {string} props.labelId - ID of the element holding the question text
+ * @param {number} props.value - Index of the picked point
+ * @param {Function} props.onChange - Called with the picked index
+ */
+export default function LikertQuestion({
+  question: q,
+  labelId,
+  value,
+  onChange,
+}) {
+  return (
+    <div
+      role="radiogroup"
+      aria-labelledby={labelId}
+      className="flex flex-col sm:flex-row sm:justify-between gap-2 sm:gap-1"
+    >
+      {q.options.map((label, optIdx) => (
+        <label
+          key={optIdx}
+          className="flex sm:flex-col sm:flex-1 items-center gap-2 sm:gap-1 cursor-pointer text-sm text-gray-700 sm:text-center"
+        >
+          <input
+            type="radio"
+            name={q.id}
+            value={optIdx}
+            checked={value === optIdx}
+            onChange={() => onChange(optIdx)}
+          />
+          <span className="sm:text-xs">{label}</span>
+        </label>
+      ))}
+    </div>
+  );
+}
@@ -0,0 +1,47 @@
+import { useTranslation } from "../../hooks/useTranslation";
+
+/**
+ * Numeric input with the question's min/max shown as a hint
+ * The value is kept as typed and converted when the form is submitted
+ *
+ * @param {Object} props
+ * @param {Object} props.question - Question object
+ * @param {string} props.labelId - ID of the element holding the question text
+ * @param {string} props.value - Current input
+ * @param {Function} props.onChange - Called with the new input
+ */
+export default function NumberQuestion({
+  question: q,
+  labelId,
+  value,
+  onChange,
+}) {
+  const { t } = useTranslation();
+  const hasMin = q.min !== undefined;
+  const hasMax = q.max !== undefined;
+
+  return (
+    <div>
+      <input
+        type="number"
+        aria-labelledby={labelId}
+        aria-describedby={hasMin || hasMax ? `${q.id}-range` : undefined}
+        inputMode={q.integer ? "numeric" : "decimal"}
+        className="w-full sm:w-48 border-b-2 border-gray-300 focus:border-purple-600 outline-none py-2 text-sm bg-transparent"
+        placeholder={t("question.placeholder")}
+        min={q.min}
+        max={q.max}
+        step={q.step ?? (q.integer ? 1 : "any")}
+        value={value ?? ""}
+        onChange={(e) => onChange(e.target.value)}
+      />
+      {(hasMin || hasMax) && (
+        <p id={`${q.id}-range`} className="text-xs text-gray-500 mt-1">
+          {hasMin && hasMax && t("number.between", { min: q.min, max: q.max })}
+          {hasMin && !hasMax && t("number.atLeast", { min: q.min })}
+          {!hasMin && hasMax && t("number.atMost", { max: q.max })}
+        </p>
+      )}
+    </div>
+  );
+}
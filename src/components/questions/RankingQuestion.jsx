@@ -0,0 +1,239 @@
+import { useState } from "react";
+import {
+  isNumericRank,
+  getRankingRowLabel,
+  getRankingRows,
+  OTHER_KEY,
+} from "../../utils/rankingRules";
+import { useTranslation } from "../../hooks/useTranslation";
+
+/**
+ * Clamp a grid coordinate into range
+ * @param {number} value - Coordinate
+ * @param {number} max - Highest allowed value
+ * @returns {number} Clamped coordinate
+ */
+function clamp(value, max) {
+  return Math.max(0, Math.min(value, max));
+}
+
+/**
+ * Ranking grid: rank columns (desktop) and stacked options (mobile)
+ * Each option is a radio group of its rank values, labelled like
+ * "Option text, rank 1". Only one cell per option is in the tab order
+ * (roving tabindex); arrow keys move between cells, Home/End jump to the
+ * first/last rank, and Space/Enter picks a rank or clears the picked one
+ * Limits from the question's rank rules are shown as a hint above the grid
+ * Once "Other" text is typed (or while the "Other" row holds a rank) it is
+ * shown as a last row that can be ranked like the listed options
+ *
+ * @param {Object} props
+ * @param {Object} props.question - Question object
+ * @param {Array<string>} props.ranks - Rank values shown as columns
+ * @param {Object} props.rankLabels - Display text by rank value (e.g. {"No": "না"})
+ * @param {Object} props.value - Current ranks for this question
+ * @param {string} props.otherText - Current "Other" text
+ * @param {Function} props.onRankChange - Called with (optIdx, rank); optIdx is
+ *   OTHER_KEY for the "Other" row
+ */
+export default function RankingQuestion({
+  question: q,
+  ranks,
+  rankLabels = {},
+  value: qData,
+  otherText = "",
+  onRankChange,
+}) {
+  const { t } = useTranslation();
+  const [activeCell, setActiveCell] = useState(null);
+  const rows = getRankingRows(
+    q,
+    otherText.trim() !== "" || Boolean(qData?.[OTHER_KEY])
+  );
+
+  /**
+   * Text of a row: the option, or the respondent's "Other" answer
+   * @param {number|string} key - Option index or OTHER_KEY
+   * @returns {string} Row label
+   */
+  const getRowLabel = (key) => getRankingRowLabel(q, key, otherText, t);
+
+  const rules = q.rankRules || {};
+  const hints = [
+    rules.maxRanked && t("ranking.hintMaxRanked", { count: rules.maxRanked }),
+    rules.contiguous && t("ranking.hintContiguous"),
+  ].filter(Boolean);
+
+  /**
+   * Text shown for a rank value
+   * @param {string} rank - Rank value
+   * @returns {string} Display label
+   */
+  const getRankText = (rank) => rankLabels[rank] || rank;
+
+  /**
+   * Describe a rank value for screen readers ("rank 1", "No")
+   * @param {string} rank - Rank value
+   * @returns {string} Spoken label
+   */
+  const getRankLabel = (rank) =>
+    isNumericRank(rank) ? t("ranking.rank", { rank }) : getRankText(rank);
+
+  /**
+   * Rank column that is in the tab order for an option: the last focused
+   * cell, else the picked rank, else the first rank
+   * @param {number|string} optIdx - Row key
+   * @returns {number} Rank index
+   */
+  const getTabStop = (optIdx) => {
+    if (activeCell?.optIdx === optIdx) return activeCell.rankIdx;
+    return Math.max(0, ranks.indexOf(qData?.[optIdx] || ""));
+  };
+
+  const toggle = (optIdx, rank) => {
+    onRankChange(optIdx, qData?.[optIdx] === rank ? "" : rank);
+  };
+
+  const handleKeyDown = (e, rowIdx, rankIdx) => {
+    if (e.key === " " || e.key === "Enter") {
+      e.preventDefault();
+      toggle(rows[rowIdx], ranks[rankIdx]);
+      return;
+    }
+
+    const targets = {
+      ArrowLeft: [rowIdx, rankIdx - 1],
+      ArrowRight: [rowIdx, rankIdx + 1],
+      ArrowUp: [rowIdx - 1, rankIdx],
+      ArrowDown: [rowIdx + 1, rankIdx],
+      Home: [rowIdx, 0],
+      End: [rowIdx, ranks.length - 1],
+    };
+    if (!targets[e.key]) return;
+
+    e.preventDefault();
+    const [nextRow, nextRank] = targets[e.key];
+    const cell = `${clamp(nextRow, rows.length - 1)}-${clamp(
+      nextRank,
+      ranks.length - 1
+    )}`;
+    e.currentTarget
+      .closest("[data-rank-grid]")
+      ?.querySelector(`[data-cell="${cell}"]`)
+      ?.focus();
+  };
+
+  /**
+   * Render one rank cell as a radio button
+   * @param {number} rowIdx - Row position in the grid
+   * @param {number} rankIdx - Rank index
+   * @param {boolean} showRank - Show the rank under the box (mobile)
+   * @returns {JSX.Element} Cell
+   */
+  const renderCell = (rowIdx, rankIdx, showRank) => {
+    const optIdx = rows[rowIdx];
+    const rank = ranks[rankIdx];
+    const checked = (qData?.[optIdx] || "") === rank;
+
+    return (
+      <button
+        key={rank}
+        type="button"
+        role="radio"
+        aria-checked={checked}
+        aria-label={t("ranking.cell", {
+          option: getRowLabel(optIdx),
+          rank: getRankLabel(rank),
+        })}
+        tabIndex={getTabStop(optIdx) === rankIdx ? 0 : -1}
+        data-cell={`${rowIdx}-${rankIdx}`}
+        className={`${
+          showRank
+            ? "flex flex-col items-center gap-1"
+            : "w-12 flex justify-center"
+        } rounded focus:outline-none focus-visible:ring-2 focus-visible:ring-purple-500`}
+        onClick={() => toggle(optIdx, rank)}
+        onFocus={() => setActiveCell({ optIdx, rankIdx })}
+        onKeyDown={(e) => handleKeyDown(e, rowIdx, rankIdx)}
+      >
+        <span
+          aria-hidden="true"
+          className={`w-[18px] h-[18px] rounded-sm border-2 flex items-center justify-center text-xs leading-none ${
+            checked
+              ? "bg-purple-600 border-purple-600 text-white"
+              : "bg-white border-gray-400"
+          }`}
+        >
+          {checked && "✓"}
+        </span>
+        {showRank && (
+          <span aria-hidden="true" className="text-xs text-gray-600">
+            {getRankText(rank)}
+          </span>
+        )}
+      </button>
+    );
+  };
+
+  return (
+    <>
+      {hints.length > 0 && (
+        <p className="text-xs text-gray-500 mb-3">{hints.join(" ")}</p>
+      )}
+      <div className="hidden md:block" data-rank-grid>
+        <div
+          className="flex items-center mb-2 pb-2 border-b"
+          aria-hidden="true"
+        >
+          <div className="flex-1"></div>
+          <div className="flex">
+            {ranks.map((r) => (
+              <div
+                key={r}
+                className="w-12 text-center text-sm text-gray-600 font-medium"
+              >
+                {getRankText(r)}
+              </div>
+            ))}
+          </div>
+        </div>
+        <div className="space-y-1">
+          {rows.map((key, rowIdx) => (
+            <div
+              key={key}
+              className="flex items-center py-3 border-b border-gray-100 hover:bg-gray-50"
+            >
+              <div className="flex-1 text-sm text-gray-700 pr-4 break-words min-w-0">
+                {getRowLabel(key)}
+              </div>
+              <div
+                role="radiogroup"
+                aria-label={getRowLabel(key)}
+                className="flex"
+              >
+                {ranks.map((_, rankIdx) => renderCell(rowIdx, rankIdx, false))}
+              </div>
+            </div>
+          ))}
+        </div>
+      </div>
+
+      <div className="md:hidden space-y-4" data-rank-grid>
+        {rows.map((key, rowIdx) => (
+          <div key={key} className="p-3 bg-gray-50 rounded-lg">
+            <p className="text-sm text-gray-700 mb-3 break-words">
+              {getRowLabel(key)}
+            </p>
+            <div
+              role="radiogroup"
+              aria-label={getRowLabel(key)}
+              className="flex justify-between items-center"
+            >
+              {ranks.map((_, rankIdx) => renderCell(rowIdx, rankIdx, true))}
+            </div>
+          </div>
+        ))}
+      </div>
+    </>
+  );
+}
@@ -0,0 +1,266 @@
+import { useEffect, useRef } from "react";
+import {
+  getRankedOrder,
+  getRankingRowLabel,
+  getRankingRows,
+  isNumericRank,
+  moveInOrder,
+  OTHER_KEY,
+  ranksFromOrder,
+} from "../../utils/rankingRules";
+import { useTranslation } from "../../hooks/useTranslation";
+
+/**
+ * Ranking as an ordered list: options are dragged (or moved with the
+ * keyboard) from the "Not selected" bin into the ranked list, and their
+ * position becomes their rank. Writes the same ranks shape as the grid
+ *
+ * Keyboard: on a ranked option, ArrowUp/ArrowDown reorder it and
+ * ArrowLeft/Delete move it back to the bin; on a bin option, Enter/Space
+ * or ArrowRight add it to the end of the ranked list
+ *
+ * Once "Other" text is typed it is offered as one more option
+ *
+ * @param {Object} props
+ * @param {Object} props.question - Question object
+ * @param {Array<string>} props.ranks - Rank values; the numeric ones set how many options can be ranked
+ * @param {Object} props.value - Current ranks for this question
+ * @param {string} props.otherText - Current "Other" text
+ * @param {Function} props.onChange - Called with the question's new ranks
+ */
+export default function ReorderRankingQuestion({
+  question: q,
+  ranks,
+  value,
+  otherText = "",
+  onChange,
+}) {
+  const { t } = useTranslation();
+  const order = getRankedOrder(value);
+  const rows = getRankingRows(
+    q,
+    otherText.trim() !== "" || Boolean(value?.[OTHER_KEY])
+  );
+  const unranked = rows.filter((optIdx) => !order.includes(optIdx));
+  const capacity = ranks.filter(isNumericRank).length;
+  const full = order.length >= capacity;
+  const helpId = `${q.id}-reorder-help`;
+
+  /**
+   * Text of an option, or of the respondent's "Other" answer
+   * @param {number|string} optIdx - Option index or OTHER_KEY
+   * @returns {string} Option label
+   */
+  const getLabel = (key) => getRankingRowLabel(q, key, otherText, t);
+
+  const itemRefs = useRef({});
+  const focusAfterRender = useRef(null);
+
+  // Keep keyboard focus on an option after it moves between lists
+  useEffect(() => {
+    if (focusAfterRender.current !== null) {
+      itemRefs.current[focusAfterRender.current]?.focus();
+      focusAfterRender.current = null;
+    }
+  });
+
+  /**
+   * Move an option and report the resulting ranks
+   * @param {number|string} optIdx - Option to move, or OTHER_KEY
+   * @param {number|null} position - Target position in the ranked list, or null to unrank
+   */
+  const move = (optIdx, position) => {
+    const next = moveInOrder(order, optIdx, position);
+    if (next.length > capacity) return;
+    focusAfterRender.current = optIdx;
+    onChange(ranksFromOrder(next, q.options.length));
+  };
+
+  const handleRankedKeyDown = (e, optIdx, position) => {
+    const actions = {
+      ArrowUp: () => move(optIdx, Math.max(0, position - 1)),
+      ArrowDown: () => move(optIdx, position + 1),
+      ArrowLeft: () => move(optIdx, null),
+      Delete: () => move(optIdx, null),
+      Backspace: () => move(optIdx, null),
+    };
+    if (actions[e.key]) {
+      e.preventDefault();
+      actions[e.key]();
+    }
+  };
+
+  const handleUnrankedKeyDown = (e, optIdx) => {
+    if (["Enter", " ", "ArrowRight"].includes(e.key)) {
+      e.preventDefault();
+      move(optIdx, order.length);
+    }
+  };
+
+  const handleDragStart = (e, optIdx) => {
+    e.dataTransfer.setData(`application/x-${q.id}-option`, String(optIdx));
+    e.dataTransfer.effectAllowed = "move";
+  };
+
+  /**
+   * Build a drop handler that moves the dragged option
+   * @param {number|null} position - Target position, or null for the bin
+   * @returns {Function} Drop event handler
+   */
+  const dropAt = (position) => (e) => {
+    e.preventDefault();
+    e.stopPropagation();
+    // Ignore drops of anything other than one of this question's rows
+    const data = e.dataTransfer.getData(`application/x-${q.id}-option`);
+    const optIdx = /^\d+$/.test(data) ? Number(data) : data;
+    if (rows.includes(optIdx)) {
+      move(optIdx, position);
+    }
+  };
+
+  const allowDrop = (e) => e.preventDefault();
+
+  const itemClass =
+    "flex items-center gap-3 p-3 bg-white border border-gray-200 rounded cursor-move text-sm text-gray-700 focus:outline-none focus:ring-2 focus:ring-purple-500";
+  const buttonClass =
+    "text-xs text-purple-700 px-2 py-1 rounded hover:bg-purple-50 disabled:text-gray-300 disabled:hover:bg-transparent";
+
+  return (
+    <div>
+      <p id={helpId} className="text-xs text-gray-500 mb-3">
+        {t("reorder.help")}
+      </p>
+
+      <div className="grid gap-4 md:grid-cols-2">
+        <div>
+          <p className="text-sm font-medium text-gray-700 mb-2">
+            {t("reorder.ranked", { count: order.length, capacity })}
+          </p>
+          <ol
+            aria-label={t("reorder.rankedList")}
+            aria-describedby={helpId}
+            className="min-h-[3.5rem] space-y-2 p-2 bg-purple-50 border-2 border-dashed border-purple-200 rounded"
+            onDragOver={allowDrop}
+            onDrop={dropAt(order.length)}
+          >
+            {order.length === 0 && (
+              <li className="text-xs text-gray-500 p-2">
+                {t("reorder.empty")}
+              </li>
+            )}
+            {order.map((optIdx, position) => (
+              <li
+                key={optIdx}
+                ref={(el) => {
+                  itemRefs.current[optIdx] = el;
+                }}
+                tabIndex={0}
+                draggable
+                aria-label={t("reorder.rankedItem", {
+                  option: getLabel(optIdx),
+                  rank: position + 1,
+                })}
+                className={itemClass}
+                onDragStart={(e) => handleDragStart(e, optIdx)}
+                onDragOver={allowDrop}
+                onDrop={dropAt(position)}
+                onKeyDown={(e) => handleRankedKeyDown(e, optIdx, position)}
+              >
+                <span className="w-6 h-6 flex-shrink-0 flex items-center justify-center rounded-full bg-purple-600 text-white text-xs font-medium">
+                  {position + 1}
+                </span>
+                <span className="flex-1 break-words min-w-0">
+                  {getLabel(optIdx)}
+                </span>
+                <button
+                  type="button"
+                  tabIndex={-1}
+                  className={buttonClass}
+                  disabled={position === 0}
+                  aria-label={t("reorder.moveUp", {
+                    option: getLabel(optIdx),
+                  })}
+                  onClick={() => move(optIdx, position - 1)}
+                >
+                  ↑
+                </button>
+                <button
+                  type="button"
+                  tabIndex={-1}
+                  className={buttonClass}
+                  disabled={position === order.length - 1}
+                  aria-label={t("reorder.moveDown", {
+                    option: getLabel(optIdx),
+                  })}
+                  onClick={() => move(optIdx, position + 1)}
+                >
+                  ↓
+                </button>
+                <button
+                  type="button"
+                  tabIndex={-1}
+                  className={buttonClass}
+                  aria-label={t("reorder.remove", {
+                    option: getLabel(optIdx),
+                  })}
+                  onClick={() => move(optIdx, null)}
+                >
+                  {t("reorder.removeButton")}
+                </button>
+              </li>
+            ))}
+          </ol>
+        </div>
+
+        <div>
+          <p className="text-sm font-medium text-gray-700 mb-2">
+            {t("reorder.notSelected")}
+          </p>
+          <ul
+            aria-label={t("reorder.notSelectedList")}
+            aria-describedby={helpId}
+            className="min-h-[3.5rem] space-y-2 p-2 bg-gray-50 border-2 border-dashed border-gray-200 rounded"
+            onDragOver={allowDrop}
+            onDrop={dropAt(null)}
+          >
+            {unranked.map((optIdx) => (
+              <li
+                key={optIdx}
+                ref={(el) => {
+                  itemRefs.current[optIdx] = el;
+                }}
+                tabIndex={0}
+                draggable
+                aria-label={t("reorder.notSelectedItem", {
+                  option: getLabel(optIdx),
+                })}
+                className={itemClass}
+                onDragStart={(e) => handleDragStart(e, optIdx)}
+                onKeyDown={(e) => handleUnrankedKeyDown(e, optIdx)}
+              >
+                <span className="flex-1 break-words min-w-0">
+                  {getLabel(optIdx)}
+                </span>
+                <button
+                  type="button"
+                  tabIndex={-1}
+                  className={buttonClass}
+                  disabled={full}
+                  aria-label={t("reorder.add", { option: getLabel(optIdx) })}
+                  onClick={() => move(optIdx, order.length)}
+                >
+                  {t("reorder.addButton")}
+                </button>
+              </li>
+            ))}
+          </ul>
+          {full && unranked.length > 0 && (
+            <p className="text-xs text-gray-500 mt-2">
+              {t("reorder.full", { capacity })}
+            </p>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
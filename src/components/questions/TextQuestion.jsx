@@ -0,0 +1,57 @@
+import { useTranslation } from "../../hooks/useTranslation";
+import CharacterCounter from "../CharacterCounter";
+
+/**
+ * Free-text answer: single line (short-text) or textarea (long-text), with a
+ * live count against the question's length limit
+ *
+ * @param {Object} props
+ * @param {Object} props.question - Question object
+ * @param {string} props.labelId - ID of the element holding the question text
+ * @param {boolean} props.multiline - Render a textarea
+ * @param {string} props.value - Current text
+ * @param {Function} props.onChange - Called with the new text
+ */
+export default function TextQuestion({
+  question: q,
+  labelId,
+  multiline = false,
+  value,
+  onChange,
+}) {
+  const { t } = useTranslation();
+  const className =
+    "w-full border-b-2 border-gray-300 focus:border-purple-600 outline-none py-2 text-sm bg-transparent";
+
+  const counterId = `${q.id}-count`;
+
+  return (
+    <>
+      {multiline ? (
+        <textarea
+          name={q.id}
+          aria-labelledby={labelId}
+          aria-describedby={counterId}
+          className={`${className} h-24 resize-none`}
+          placeholder={t("question.placeholder")}
+          value={value || ""}
+          onChange={(e) => onChange(e.target.value)}
+        />
+      ) : (
+        <input
+          type="text"
+          name={q.id}
+          aria-labelledby={labelId}
+          aria-describedby={counterId}
+          className={className}
+          placeholder={t("question.placeholder")}
+          value={value || ""}
+          onChange={(e) => onChange(e.target.value)}
+        />
+      )}
+      {q.maxLength !== undefined && (
+        <CharacterCounter id={counterId} value={value} max={q.maxLength} />
+      )}
+    </>
+  );
+}
@@ -0,0 +1,87 @@
+import { useState, useEffect, useRef, useCallback } from "react";
+import {
+  getRecentSubmissions,
+  recordSubmission,
+  solveProofOfWork,
+  waitUnlessAborted,
+  collectAntiBotSignals,
+} from "../utils/antiBot";
+
+/**
+ * Custom hook for the form's anti-bot signals
+ * The fill time is measured from the first render; the proof of work (when
+ * enabled) is solved in the background while the respondent fills in the
+ * form, so submitting does not have to wait for it
+ * collectSignals still waits for an unfinished proof; its signal stops that
+ * wait (the search itself carries on, so a later submit can use it)
+ *
+ * @param {string} surveyId - Survey definition ID (rate limits are per survey)
+ * @param {string} challenge - Proof-of-work challenge (the response ID)
+ * @param {Object} config - Anti-bot configuration (see utils/antiBot.js)
+ * @returns {Object} { honeypot, setHoneypot, isRateLimited, collectSignals, recordSubmitted }
+ */
+export function useAntiBot(surveyId, challenge, config) {
+  const [startedAt] = useState(() => Date.now());
+  const [honeypot, setHoneypot] = useState("");
+  const proofRef = useRef(null);
+  const { powDifficulty, rateLimit, rateWindowMs } = config;
+
+  useEffect(() => {
+    if (powDifficulty <= 0) return undefined;
+
+    const controller = new AbortController();
+    const proof = solveProofOfWork(challenge, powDifficulty, {
+      signal: controller.signal,
+    });
+    proof.catch(() => {}); // Only rejects when the form unmounts
+    proofRef.current = proof;
+
+    return () => controller.abort();
+  }, [challenge, powDifficulty]);
+
+  const isRateLimited = useCallback(
+    () =>
+      rateLimit > 0 &&
+      getRecentSubmissions(surveyId, { windowMs: rateWindowMs }).length >=
+        rateLimit,
+    [surveyId, rateLimit, rateWindowMs]
+  );
+
+  const collectSignals = useCallback(
+    async ({ signal } = {}) => {
+      let proofOfWork = null;
+      try {
+        proofOfWork = await waitUnlessAborted(proofRef.current, signal);
+      } catch (error) {
+        if (signal?.aborted) throw error;
+        console.warn("Proof of work unavailable:", error);
+      }
+
+      return collectAntiBotSignals(
+        {
+          honeypot,
+          startedAt,
+          submittedAt: Date.now(),
+          recentSubmissions: getRecentSubmissions(surveyId, {
+            windowMs: rateWindowMs,
+          }).length,
+          proofOfWork: proofOfWork || null,
+        },
+        config
+      );
+    },
+    [honeypot, startedAt, surveyId, rateWindowMs, config]
+  );
+
+  const recordSubmitted = useCallback(() => {
+    recordSubmission(surveyId, { windowMs: rateWindowMs });
+  }, [surveyId, rateWindowMs]);
+
+  return {
+    honeypot,
+    setHoneypot,
+    isRateLimited,
+    collectSignals,
+    recordSubmitted,
+  };
+}
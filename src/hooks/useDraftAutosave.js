@@ -0,0 +1,65 @@
+import { useState, useEffect, useCallback } from "react";
+import {
+  loadDraft,
+  saveDraft,
+  clearDraft,
+  isDraftEmpty,
+} from "../utils/draftStorage";
+
+const AUTOSAVE_DELAY_MS = 500;
+
+/**
+ * Custom hook for autosaving the draft and offering to resume it
+ * Autosave is paused while a saved draft is waiting for the user's
+ * "Resume / Start over" decision so the saved copy is not overwritten; the
+ * form hides the questions until then, so nothing typed can go unsaved
+ *
+ * @param {Object} definition - Current survey definition
+ * @param {Object} draft - Current { responses, otherText, finalComment, respondent }
+ * @param {Function} onRestore - Called with the saved draft when the user resumes
+ * @returns {Object} { pendingDraft, resumeDraft, discardDraft, clearSavedDraft }
+ */
+export function useDraftAutosave(definition, draft, onRestore) {
+  const [pendingDraft, setPendingDraft] = useState(() => loadDraft(definition));
+  const { responses, otherText, finalComment, respondent } = draft;
+
+  useEffect(() => {
+    if (pendingDraft) return undefined;
+
+    const timeoutId = setTimeout(() => {
+      const current = { responses, otherText, finalComment, respondent };
+      if (isDraftEmpty(current)) {
+        clearDraft(definition);
+      } else {
+        saveDraft(definition, current);
+      }
+    }, AUTOSAVE_DELAY_MS);
+
+    return () => clearTimeout(timeoutId);
+  }, [
+    definition,
+    pendingDraft,
+    responses,
+    otherText,
+    finalComment,
+    respondent,
+  ]);
+
+  const resumeDraft = useCallback(() => {
+    if (pendingDraft) {
+      onRestore(pendingDraft.draft);
+      setPendingDraft(null);
+    }
+  }, [pendingDraft, onRestore]);
+
+  const discardDraft = useCallback(() => {
+    clearDraft(definition);
+    setPendingDraft(null);
+  }, [definition]);
+
+  const clearSavedDraft = useCallback(() => {
+    clearDraft(definition);
+  }, [definition]);
+
+  return { pendingDraft, resumeDraft, discardDraft, clearSavedDraft };
+}
@@ -1,61 +1,61 @@
 import { useState, useCallback } from "react";
+import { applyRank } from "../utils/rankingRules";
+
+const NO_RULES = {};
 
 /**
  * Custom hook for managing exclusive ranking state
- * Ensures each rank value (1-5, No) can only be assigned to one option per question
+ * Ensures each exclusive rank value can only be assigned to one option per question
+ * Answers to other question types are stored in the same responses object
  * 
- * @returns {Object} { responses, updateRank }
+ * @param {Object} initialResponses - Responses to start from (default: {})
+ * @param {Object} rules - Resolved rank rules keyed by question ID (default: none);
+ *   should be memoized, since updateRank changes whenever it does
+ * @returns {Object} { responses, updateRank, setAnswer, restoreResponses }
  */
-export function useExclusiveRanking() {
-  const [responses, setResponses] = useState({});
+export function useExclusiveRanking(initialResponses = {}, rules = NO_RULES) {
+  const [responses, setResponses] = useState(initialResponses);
 
   /**
    * Update rank for an option with exclusive constraint
-   * Numeric ranks (1-5) are exclusive: only one option per rank per question
-   * "No" is non-exclusive: multiple options can be marked as "No"
+   * Values listed as exclusive in the question's rules move to the newly
+   * ranked option; without rules numeric ranks are exclusive and "No" is not.
+   * Range, contiguity and limit rules are reported by validateForm instead
+   * of being enforced here
    * 
    * @param {string} qId - Question ID (e.g., 'q1')
-   * @param {number} optIdx - Option index
+   * @param {number|string} optIdx - Option index, or "other" for the "Other" row
    * @param {string} rank - Rank value (e.g., '1', '2', 'No') or empty string to clear
    */
-  const updateRank = useCallback((qId, optIdx, rank) => {
-    setResponses((prevResponses) => {
-      const newResponses = { ...prevResponses };
-      if (!newResponses[qId]) {
-        newResponses[qId] = {};
-      }
-
-      // If unchecking (empty rank), just clear it
-      if (rank === "") {
-        newResponses[qId] = {
-          ...newResponses[qId],
-          [optIdx]: "",
-        };
-        return newResponses;
-      }
-
-      const updatedQData = { ...newResponses[qId] };
+  const updateRank = useCallback(
+    (qId, optIdx, rank) => {
+      setResponses((prevResponses) => ({
+        ...prevResponses,
+        [qId]: applyRank(prevResponses[qId], optIdx, rank, rules[qId]),
+      }));
+    },
+    [rules]
+  );
 
-      // "No" is non-exclusive - allow multiple options to be marked as "No"
-      // Only enforce exclusivity for numeric ranks (1-5)
-      if (rank !== "No") {
-        // For numeric ranks, remove that rank from other options in this question
-        Object.keys(updatedQData).forEach((key) => {
-          const keyNum = parseInt(key);
-          // If different option has the same numeric rank, clear it
-          if (keyNum !== optIdx && updatedQData[key] === rank) {
-            updatedQData[key] = "";
-          }
-        });
-      }
-
-      // Set the new rank
-      updatedQData[optIdx] = rank;
-      newResponses[qId] = updatedQData;
+  /**
+   * Set the whole answer for a non-ranking question
+   * (option index, list of indices, number as typed or text)
+   *
+   * @param {string} qId - Question ID
+   * @param {*} value - New answer
+   */
+  const setAnswer = useCallback((qId, value) => {
+    setResponses((prevResponses) => ({ ...prevResponses, [qId]: value }));
+  }, []);
 
-      return newResponses;
-    });
+  /**
+   * Replace all responses at once (e.g., when resuming a saved draft)
+   *
+   * @param {Object} nextResponses - Complete responses object
+   */
+  const restoreResponses = useCallback((nextResponses) => {
+    setResponses(nextResponses || {});
   }, []);
 
-  return { responses, updateRank };
+  return { responses, updateRank, setAnswer, restoreResponses };
 }
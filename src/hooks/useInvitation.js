@@ -0,0 +1,49 @@
+import { useState, useEffect, useCallback } from "react";
+import { checkInvitation } from "../services/invitations";
+
+/**
+ * Custom hook for checking the invitation token in the survey link
+ *
+ * @param {string|null} token - Token from the URL
+ * @param {Object|null} verifier - Invitation verifier (null while none could be created)
+ * @param {boolean} required - Visitors must have a token
+ * @returns {Object} { status: "checking" | status from checkInvitation, token, markUsed }
+ */
+export function useInvitation(token, verifier, required) {
+  const [status, setStatus] = useState("checking");
+
+  useEffect(() => {
+    if (!verifier) return undefined;
+    let cancelled = false;
+
+    checkInvitation(token, verifier, { required }).then((result) => {
+      if (!cancelled) {
+        setStatus(result.status);
+      }
+    });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [token, verifier, required]);
+
+  /**
+   * Mark the token used after a response went through
+   * Failures are logged only: the response itself was submitted
+   *
+   * @param {string} responseId - ID of the submitted response
+   */
+  const markUsed = useCallback(
+    async (responseId) => {
+      if (!token || !verifier) return;
+      try {
+        await verifier.markUsed(token, { responseId });
+      } catch (error) {
+        console.warn("Unable to mark invitation as used:", error);
+      }
+    },
+    [token, verifier]
+  );
+
+  return { status, token, markUsed };
+}
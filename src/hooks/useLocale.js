@@ -0,0 +1,64 @@
+import { useState, useEffect, useMemo, useCallback } from "react";
+import {
+  CATALOGS,
+  LOCALE_STORAGE_KEY,
+  createTranslator,
+  getAvailableLocales,
+  resolveLocale,
+} from "../utils/i18n";
+
+/**
+ * Read the language chosen on an earlier visit
+ * @returns {string|null} Stored locale code
+ */
+function loadStoredLocale() {
+  try {
+    return localStorage.getItem(LOCALE_STORAGE_KEY);
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Custom hook for the respondent's language
+ * The choice comes from `?lang=`, then the last choice on this device; until
+ * the definition has loaded any language with a message catalog may be shown,
+ * afterwards only the survey's own language and its translations
+ *
+ * @param {Object|null} definition - Survey definition with defaults applied
+ * @returns {Object} { locale, locales, setLocale, t }
+ */
+export function useLocale(definition) {
+  // Switching language replaces both the URL choice and the stored one
+  const [choice, setChoice] = useState(() => ({
+    search: window.location.search,
+    stored: loadStoredLocale(),
+  }));
+
+  const locales = useMemo(
+    () =>
+      definition ? getAvailableLocales(definition) : Object.keys(CATALOGS),
+    [definition]
+  );
+  const locale = resolveLocale(choice.search, locales, choice.stored);
+
+  useEffect(() => {
+    document.documentElement.lang = locale;
+  }, [locale]);
+
+  const setLocale = useCallback((next) => {
+    setChoice({ search: "", stored: next });
+    try {
+      localStorage.setItem(LOCALE_STORAGE_KEY, next);
+    } catch {
+      // Storage may be unavailable (private mode); the choice lasts this visit
+    }
+  }, []);
+
+  const t = useMemo(() => createTranslator(locale), [locale]);
+
+  return useMemo(
+    () => ({ locale, locales, setLocale, t }),
+    [locale, locales, setLocale, t]
+  );
+}
@@ -0,0 +1,65 @@
+import { useState, useEffect, useCallback } from "react";
+import {
+  enqueueSubmission,
+  getQueuedSubmissions,
+  replayQueue,
+} from "../services/submissionQueue";
+
+/**
+ * Custom hook for the offline submission outbox
+ * Replays queued responses on mount and whenever the browser comes back online
+ *
+ * @param {Function} send - Async function that submits one payload
+ * @returns {Object} { queuedCount, replaying, enqueue, replay }
+ */
+export function useSubmissionQueue(send) {
+  const [queuedCount, setQueuedCount] = useState(0);
+  const [replaying, setReplaying] = useState(false);
+
+  const refreshCount = useCallback(async () => {
+    try {
+      const items = await getQueuedSubmissions();
+      setQueuedCount(items.length);
+    } catch (error) {
+      console.warn("Unable to read submission queue:", error);
+    }
+  }, []);
+
+  const replay = useCallback(async () => {
+    if (typeof navigator !== "undefined" && navigator.onLine === false) {
+      return;
+    }
+
+    setReplaying(true);
+    try {
+      const { sent, dropped } = await replayQueue(send);
+      if (sent > 0) {
+        console.log(`Sent ${sent} queued response(s)`);
+      }
+      dropped.forEach(({ id, error }) => {
+        console.warn(`Dropped queued response ${id}: ${error}`);
+      });
+    } catch (error) {
+      console.warn("Unable to replay submission queue:", error);
+    } finally {
+      setReplaying(false);
+      await refreshCount();
+    }
+  }, [send, refreshCount]);
+
+  const enqueue = useCallback(
+    async (data) => {
+      await enqueueSubmission(data);
+      await refreshCount();
+    },
+    [refreshCount]
+  );
+
+  useEffect(() => {
+    replay();
+    window.addEventListener("online", replay);
+    return () => window.removeEventListener("online", replay);
+  }, [replay]);
+
+  return { queuedCount, replaying, enqueue, replay };
+}
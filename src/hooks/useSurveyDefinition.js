@@ -0,0 +1,38 @@
+import { useState, useEffect } from "react";
+import { loadSurveyDefinition } from "../services/surveyDefinitionService";
+
+/**
+ * Custom hook for loading the survey definition at startup
+ *
+ * @param {string} url - Definition URL
+ * @returns {Object} { status: "loading" | "ready" | "error", definition, error }
+ */
+export function useSurveyDefinition(url) {
+  const [state, setState] = useState({
+    status: "loading",
+    definition: null,
+    error: null,
+  });
+
+  useEffect(() => {
+    let cancelled = false;
+
+    loadSurveyDefinition(url)
+      .then((definition) => {
+        if (!cancelled) {
+          setState({ status: "ready", definition, error: null });
+        }
+      })
+      .catch((error) => {
+        if (!cancelled) {
+          setState({ status: "error", definition: null, error });
+        }
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [url]);
+
+  return state;
+}
@@ -0,0 +1,23 @@
+import { createContext, useContext } from "react";
+import { DEFAULT_LOCALE, translate } from "../utils/i18n";
+
+/**
+ * Current language, provided by App
+ * Without a provider (e.g. a component rendered on its own) everything is
+ * shown in English
+ */
+export const LocaleContext = createContext({
+  locale: DEFAULT_LOCALE,
+  locales: [DEFAULT_LOCALE],
+  setLocale: () => {},
+  t: translate,
+});
+
+/**
+ * Custom hook for translating interface text
+ *
+ * @returns {Object} { locale, locales, setLocale, t }
+ */
+export function useTranslation() {
+  return useContext(LocaleContext);
+}
@@ -0,0 +1,48 @@
+import { useState, useEffect, useCallback } from "react";
+
+const STEP_HASH_PATTERN = /^#step-(\d+)$/;
+
+/**
+ * Read the 0-based step index from a URL hash like "#step-2"
+ * @param {string} hash - Location hash
+ * @returns {number} Step index (0 when the hash is not a step)
+ */
+export function parseStepHash(hash) {
+  const match = STEP_HASH_PATTERN.exec(hash || "");
+  return match ? Math.max(0, parseInt(match[1], 10) - 1) : 0;
+}
+
+/**
+ * Custom hook for the current wizard step, mirrored in the URL hash
+ * Each step change adds a history entry so the browser back button
+ * moves to the previous step
+ *
+ * @param {number} stepCount - Number of steps
+ * @returns {Object} { step, goToStep }
+ */
+export function useWizardStep(stepCount) {
+  const [rawStep, setRawStep] = useState(() =>
+    parseStepHash(window.location.hash)
+  );
+
+  useEffect(() => {
+    const onHashChange = () => setRawStep(parseStepHash(window.location.hash));
+    window.addEventListener("hashchange", onHashChange);
+    return () => window.removeEventListener("hashchange", onHashChange);
+  }, []);
+
+  // Steps can disappear when skip logic hides a section
+  const step = Math.min(rawStep, Math.max(0, stepCount - 1));
+
+  const goToStep = useCallback(
+    (nextStep) => {
+      const clamped = Math.min(Math.max(0, nextStep), stepCount - 1);
+      window.location.hash = `step-${clamped + 1}`;
+      setRawStep(clamped);
+      window.scrollTo({ top: 0, behavior: "smooth" });
+    },
+    [stepCount]
+  );
+
+  return { step, goToStep };
+}
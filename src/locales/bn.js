@@ -0,0 +1,222 @@
+/**
+ * Bangla (বাংলা) Message Catalog
+ * Same keys as the English catalog; missing keys fall back to English
+ */
+
+export default {
+  "language.name": "বাংলা",
+  "language.label": "ভাষা",
+
+  "app.loading": "জরিপ লোড হচ্ছে...",
+  "definitionError.title": "এই জরিপটি লোড করা যায়নি",
+  "definitionError.unknown": "একটি অজানা ত্রুটি ঘটেছে।",
+  "definitionError.source": "উৎস: {url}",
+  "invitation.checking": "আপনার আমন্ত্রণ যাচাই করা হচ্ছে...",
+  "invitation.used.title": "এই আমন্ত্রণটি ইতিমধ্যে ব্যবহার করা হয়েছে",
+  "invitation.used.body":
+    "এই লিংক দিয়ে ইতিমধ্যে একটি উত্তর জমা দেওয়া হয়েছে। প্রতিটি আমন্ত্রণ একবারই ব্যবহার করা যায়। ভুল মনে হলে অনুগ্রহ করে জরিপ দলের সাথে যোগাযোগ করুন।",
+  "invitation.expired.title": "এই আমন্ত্রণের মেয়াদ শেষ হয়ে গেছে",
+  "invitation.expired.body":
+    "আপনি যে লিংকটি খুলেছেন তাতে আর উত্তর নেওয়া হচ্ছে না। এখনও অংশ নিতে চাইলে অনুগ্রহ করে জরিপ দলের সাথে যোগাযোগ করুন।",
+  "invitation.invalid.title": "এই আমন্ত্রণ লিংকটি সঠিক নয়",
+  "invitation.invalid.body":
+    "লিংকটি হয়তো সম্পূর্ণ কপি হয়নি। অনুগ্রহ করে আমন্ত্রণ বার্তা থেকে এটি আবার খুলুন।",
+  "invitation.missing.title": "আমন্ত্রণ প্রয়োজন",
+  "invitation.missing.body":
+    "এই জরিপটি শুধুমাত্র আমন্ত্রিত উত্তরদাতাদের জন্য। অনুগ্রহ করে আপনার আমন্ত্রণ বার্তার ব্যক্তিগত লিংকটি ব্যবহার করুন।",
+
+  "form.thankYou": "ধন্যবাদ!",
+  "form.recorded": "আপনার উত্তর সংরক্ষণ করা হয়েছে।",
+  "form.queuedOffline":
+    "আপনার উত্তর এই ডিভাইসে সংরক্ষিত হয়েছে এবং আপনি আবার অনলাইনে এলে স্বয়ংক্রিয়ভাবে পাঠানো হবে।",
+  "form.receipt": "রসিদ নম্বর:",
+  "form.instructions": "নির্দেশনা:",
+  "form.back": "পেছনে",
+  "form.next": "পরবর্তী",
+  "form.submit": "জমা দিন",
+  "form.submitting": "জমা দেওয়া হচ্ছে...",
+  "form.cancel": "বাতিল করুন",
+  "form.noPasswords": "এই ফর্মের মাধ্যমে কখনো পাসওয়ার্ড পাঠাবেন না।",
+
+  "review.title": "আপনার উত্তর যাচাই করুন",
+  "review.intro":
+    "পাঠানোর আগে আপনার উত্তরগুলো দেখে নিন। কোনো উত্তর বদলাতে সম্পাদনা করুন বোতাম চাপুন; আপনি নিশ্চিত না করা পর্যন্ত কিছুই পাঠানো হবে না।",
+  "review.edit": "সম্পাদনা করুন",
+  "review.editLabel": "উত্তর সম্পাদনা করুন: {question}",
+  "review.noAnswer": "উত্তর দেওয়া হয়নি",
+  "review.rank": "র‍্যাঙ্ক {rank}",
+  "review.notRanked": "র‍্যাঙ্ক দেওয়া হয়নি",
+  "review.back": "ফর্মে ফিরে যান",
+  "review.confirm": "নিশ্চিত করে জমা দিন",
+
+  "receipt.intro": "আপনার রেকর্ডের জন্য উত্তরের একটি কপি রেখে দিন।",
+  "receipt.print": "রসিদ প্রিন্ট করুন",
+  "receipt.html": "রসিদ সংরক্ষণ করুন (HTML)",
+  "receipt.json": "রসিদ সংরক্ষণ করুন (JSON)",
+  "receipt.title": "উত্তরের রসিদ",
+  "receipt.reference": "রসিদ নম্বর",
+  "receipt.submittedAt": "জমা দেওয়ার সময়",
+  "receipt.status": "অবস্থা",
+
+  "draft.region": "সংরক্ষিত খসড়া",
+  "draft.title": "আপনার একটি অসম্পূর্ণ উত্তর রয়েছে",
+  "draft.titleWithDate": "{date} তারিখের আপনার একটি অসম্পূর্ণ উত্তর রয়েছে",
+  "draft.migrated":
+    "এর পর প্রশ্নপত্রটি পরিবর্তিত হয়েছে। যে প্রশ্নগুলো বদলেছে সেগুলোর উত্তর রাখা সম্ভব হয়নি।",
+  "draft.choose": "প্রশ্নগুলোতে এগোতে একটি বেছে নিন।",
+  "draft.resume": "খসড়া থেকে আবার শুরু করুন",
+  "draft.startOver": "নতুন করে শুরু করুন",
+
+  "errors.summaryTitle": "অনুগ্রহ করে সব আবশ্যক প্রশ্নের উত্তর দিন",
+  "errors.summaryIntro": "নিচের বিষয়গুলোতে আপনার মনোযোগ প্রয়োজন:",
+  "errors.submissionTitle": "জমা দেওয়া যায়নি",
+  "errors.dismiss": "বন্ধ করুন",
+
+  "progress.step": "ধাপ {step} / {total}",
+  "progress.label": "জরিপের অগ্রগতি",
+
+  "queue.waitingOne": "১টি উত্তর পাঠানোর অপেক্ষায় আছে",
+  "queue.waitingMany": "{count}টি উত্তর পাঠানোর অপেক্ষায় আছে",
+  "queue.sending": " - এখন পাঠানো হচ্ছে...",
+
+  "question.required": "(আবশ্যক)",
+  "question.other": "অন্যান্য (অনুগ্রহ করে উল্লেখ করুন):",
+  "length.counter": "{count} / {max} অক্ষর",
+  "length.over": "সীমার চেয়ে {count} অক্ষর বেশি",
+  "question.placeholder": "আপনার উত্তর",
+
+  "profile.title": "আপনার সম্পর্কে",
+  "profile.intro":
+    "এই প্রশ্নগুলোর উত্তর দেওয়া ঐচ্ছিক। এগুলো বিভিন্ন গবেষক দলের উত্তর তুলনা করতে আমাদের সাহায্য করে।",
+  "profile.affiliation": "প্রতিষ্ঠানের ধরন",
+  "profile.affiliationPlaceholder": "একটি বেছে নিন",
+  "profile.affiliation.university": "বিশ্ববিদ্যালয় বা কলেজ",
+  "profile.affiliation.research-institute": "গবেষণা প্রতিষ্ঠান",
+  "profile.affiliation.government": "সরকারি সংস্থা (যেমন বন বিভাগ)",
+  "profile.affiliation.ngo": "এনজিও বা উন্নয়ন সংস্থা",
+  "profile.affiliation.independent": "স্বাধীন গবেষক বা পরামর্শক",
+  "profile.affiliation.student": "শিক্ষার্থী",
+  "profile.affiliation.other": "অন্যান্য",
+  "profile.years": "উদ্যানে গবেষণার বছর",
+  "profile.discipline": "বিষয় বা অধ্যয়নের ক্ষেত্র",
+  "profile.email": "যোগাযোগের ইমেইল",
+  "profile.emailHint": "আপনি যোগাযোগে সম্মতি দিলে তবেই পাঠানো হবে।",
+  "profile.consent":
+    "এই গবেষণা বিষয়ে এই ইমেইল ঠিকানায় আমার সঙ্গে যোগাযোগ করতে আমি সম্মত",
+
+  "ranking.rank": "র‍্যাঙ্ক {rank}",
+  "ranking.cell": "{option}, {rank}",
+  "ranking.hintMaxRanked": "সর্বোচ্চ {count}টি বিকল্পকে র‍্যাঙ্ক দিন।",
+  "ranking.hintContiguous": "১ থেকে শুরু করে ক্রমানুসারে র‍্যাঙ্ক দিন।",
+  "ranking.moved": "র‍্যাঙ্ক {rank} {from} থেকে {to}-এ সরানো হয়েছে।",
+  "ranking.otherRow": "অন্যান্য: {text}",
+  "ranking.otherRowEmpty": "অন্যান্য (উল্লেখ করা হয়নি)",
+
+  "reorder.help":
+    "বিকল্পগুলো টেনে এনে সবচেয়ে গুরুত্বপূর্ণটি প্রথমে রেখে সাজান, অথবা তীর কী ব্যবহার করুন: ওপরে/নিচে সাজাতে, বামে সরাতে, এন্টার যোগ করতে।",
+  "reorder.ranked": "আপনার র‍্যাঙ্কিং ({capacity}টির মধ্যে {count}টি)",
+  "reorder.rankedList": "র‍্যাঙ্ক দেওয়া বিকল্প",
+  "reorder.empty": "র‍্যাঙ্ক দিতে বিকল্পগুলো এখানে আনুন",
+  "reorder.rankedItem": "{option}, র‍্যাঙ্ক {rank}",
+  "reorder.notSelected": "নির্বাচিত নয়",
+  "reorder.notSelectedList": "যে বিকল্পগুলো নির্বাচিত নয়",
+  "reorder.notSelectedItem": "{option}, নির্বাচিত নয়",
+  "reorder.moveUp": "{option} ওপরে সরান",
+  "reorder.moveDown": "{option} নিচে সরান",
+  "reorder.remove": "{option} র‍্যাঙ্কিং থেকে সরান",
+  "reorder.removeButton": "সরান",
+  "reorder.add": "{option} র‍্যাঙ্কিংয়ে যোগ করুন",
+  "reorder.addButton": "যোগ করুন",
+  "reorder.full":
+    "{capacity}টি র‍্যাঙ্কই ব্যবহার হয়ে গেছে। আরেকটি যোগ করতে একটি বিকল্প সরান।",
+
+  "choice.between": "{min} থেকে {max}টি বেছে নিন",
+  "choice.atLeast": "অন্তত {min}টি বেছে নিন",
+  "choice.atMost": "সর্বোচ্চ {max}টি বেছে নিন",
+  "number.between": "{min} থেকে {max}-এর মধ্যে",
+  "number.atLeast": "অন্তত {min}",
+  "number.atMost": "সর্বোচ্চ {max}",
+
+  "validation.unanswered": "প্রশ্ন {number}: {text}...",
+  "validation.problem": "প্রশ্ন {number}: অনুগ্রহ করে {problem}",
+  "validation.finalComment": "অনুগ্রহ করে আপনার অতিরিক্ত সুপারিশগুলো লিখুন",
+  "validation.finalCommentTooLong":
+    "অনুগ্রহ করে আপনার অতিরিক্ত মন্তব্য {max} অক্ষরের মধ্যে সংক্ষিপ্ত করুন",
+  "validation.otherTooLong":
+    'প্রশ্ন {number}: অনুগ্রহ করে আপনার "অন্যান্য" উত্তরটি {max} অক্ষরের মধ্যে সংক্ষিপ্ত করুন',
+  "validation.otherTextMissing":
+    'প্রশ্ন {number}: আপনি যে "অন্যান্য" বিকল্পটি র‍্যাঙ্ক করেছেন তা উল্লেখ করুন',
+  "validation.rankOther": 'আপনার "অন্যান্য" উত্তরটিকে র‍্যাঙ্ক দিন',
+  "validation.tooLong": "আপনার উত্তরটি {max} অক্ষরের মধ্যে সংক্ষিপ্ত করুন",
+  "validation.selectOption": "তালিকার একটি বিকল্প বেছে নিন",
+  "validation.selectFromList": "তালিকা থেকে বিকল্প বেছে নিন",
+  "validation.selectAtLeast": "অন্তত {count}টি বেছে নিন",
+  "validation.selectAtMost": "সর্বোচ্চ {count}টি বেছে নিন",
+  "validation.enterNumber": "একটি সংখ্যা লিখুন",
+  "validation.enterWholeNumber": "একটি পূর্ণসংখ্যা লিখুন",
+  "validation.numberAtLeast": "অন্তত {min} বা তার বেশি একটি সংখ্যা লিখুন",
+  "validation.numberAtMost": "{max}-এর বেশি নয় এমন একটি সংখ্যা লিখুন",
+  "validation.rankUnknown": "শুধু এই র‍্যাঙ্কগুলো ব্যবহার করুন: {ranks}",
+  "validation.rankDuplicate": "র‍্যাঙ্ক {rank} শুধু একটি বিকল্পকে দিন",
+  "validation.rankMaxRanked": "সর্বোচ্চ {count}টি বিকল্পকে র‍্যাঙ্ক দিন",
+  "validation.rankGap": "র‍্যাঙ্ক {highest} দেওয়ার আগে র‍্যাঙ্ক {missing} দিন",
+  "validation.profileAffiliation":
+    "আপনার সম্পর্কে: তালিকা থেকে প্রতিষ্ঠানের ধরন বেছে নিন",
+  "validation.profileYears":
+    "আপনার সম্পর্কে: গবেষণার বছর 0 থেকে {max}-এর মধ্যে একটি পূর্ণসংখ্যা হিসেবে লিখুন",
+  "validation.profileEmail": "আপনার সম্পর্কে: একটি সঠিক ইমেইল ঠিকানা লিখুন",
+  "validation.profileConsent":
+    "আপনার সম্পর্কে: যোগাযোগের জন্য সম্মতির ঘরে টিক দিন, অথবা ইমেইল মুছে দিন",
+
+  "admin.title": "ফলাফল: {survey}",
+  "admin.intro":
+    "প্রতিটি র‍্যাঙ্কিং প্রশ্নের পরিসংখ্যান দেখতে রপ্তানি করা উত্তরগুলো (জমা দেওয়া উত্তরের JSON তালিকা বা CSV শিট) খুলুন। ফাইলগুলো শুধু এই ব্রাউজারে পড়া হয়, কোথাও আপলোড করা হয় না।",
+  "admin.files": "উত্তরের ফাইল",
+  "admin.loaded": "লোড করা হয়েছে: {files}",
+  "admin.duplicates": "{count}টি পুনরাবৃত্ত জমা বাদ দেওয়া হয়েছে",
+  "admin.loadError": "{file} পড়া যায়নি: {message}",
+  "admin.clear": "লোড করা উত্তরগুলো মুছুন",
+  "admin.empty": "এখনও কোনো উত্তর লোড করা হয়নি।",
+  "admin.export.wide": "ওয়াইড CSV ডাউনলোড করুন",
+  "admin.export.long": "লং CSV ডাউনলোড করুন",
+  "admin.export.codebook": "কোডবুক ডাউনলোড করুন",
+  "admin.import.title": "হাতে লেখা উত্তর যোগ করুন",
+  "admin.import.intro":
+    "কাগজের প্রশ্নপত্র থেকে টাইপ করা উত্তরের CSV যোগ করার আগে ওয়েব ফর্মের নিয়ম অনুযায়ী যাচাই করুন। ওয়াইড CSV-এর কলামগুলো ব্যবহার করুন।",
+  "admin.import.file": "স্প্রেডশিট (CSV)",
+  "admin.import.summary": "{rows}টি সারির মধ্যে {valid}টি যোগ করা যাবে।",
+  "admin.import.problems": "সমস্যাযুক্ত সারি (এগুলো যোগ করা হবে না):",
+  "admin.import.line": "লাইন {line}",
+  "admin.import.add": "{count}টি বৈধ সারি যোগ করুন",
+  "admin.total": "{count}টি উত্তর",
+  "admin.metric": "চার্ট",
+  "admin.metric.meanRank": "গড় র‍্যাঙ্ক",
+  "admin.metric.borda": "বোর্ডা গণনা",
+  "admin.metric.firstShare": "প্রথম স্থানে",
+  "admin.metric.noRate": '"না" উত্তর',
+  "admin.lowerIsBetter": "কম মান ভালো",
+  "admin.respondents": "{count} জন উত্তরদাতা",
+  "admin.option": "বিকল্প",
+  "admin.ranked": "র‍্যাঙ্ক দেওয়া",
+  "admin.otherRow": "অন্যান্য (নিজে লেখা)",
+
+  "import.rankConflict":
+    "প্রশ্ন {number}: র‍্যাঙ্ক {rank} একাধিক বিকল্পকে দেওয়া হয়েছে ({options})",
+  "import.duplicateId": "উত্তর আইডি {id} ইতিমধ্যে লাইন {line}-এ ব্যবহৃত হয়েছে",
+  "import.notANumber": 'প্রশ্ন {number}: "{value}" কোনো সংখ্যা নয়',
+
+  "antiBot.rateLimited":
+    "এই ব্রাউজার থেকে অল্প সময়ের মধ্যে ইতিমধ্যে কয়েকটি উত্তর পাঠানো হয়েছে। আবার জমা দেওয়ার আগে অনুগ্রহ করে কিছুক্ষণ অপেক্ষা করুন।",
+  "submitError.timeout":
+    "সার্ভার থেকে সাড়া পেতে অনেক দেরি হয়েছে। অনুগ্রহ করে সংযোগ পরীক্ষা করে আবার চেষ্টা করুন।",
+  "submitError.network":
+    "সার্ভারের সঙ্গে সংযোগ করা যাচ্ছে না। অনুগ্রহ করে আপনার ইন্টারনেট সংযোগ পরীক্ষা করুন।",
+  "submitError.configuration":
+    "ফর্মটি সঠিকভাবে কনফিগার করা হয়নি। অনুগ্রহ করে সহায়তা দলের সঙ্গে যোগাযোগ করুন।",
+  "submitError.cancelled":
+    "জমা দেওয়া বাতিল করা হয়েছে। আপনার উত্তরগুলো রয়ে গেছে।",
+  "submitError.client":
+    "সার্ভার এই উত্তরটি গ্রহণ করেনি। সমস্যা চলতে থাকলে সহায়তা দলের সঙ্গে যোগাযোগ করুন।",
+  "submitError.generic":
+    "আপনার উত্তর জমা দেওয়ার সময় একটি ত্রুটি ঘটেছে। অনুগ্রহ করে আবার চেষ্টা করুন।",
+};
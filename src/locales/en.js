@@ -0,0 +1,224 @@
+/**
+ * English Message Catalog
+ * Keys are shared by every catalog; `{name}` placeholders are filled in by
+ * the translator. English is the fallback for keys a catalog leaves out
+ */
+
+export default {
+  "language.name": "English",
+  "language.label": "Language",
+
+  "app.loading": "Loading survey...",
+  "definitionError.title": "This survey could not be loaded",
+  "definitionError.unknown": "An unknown error occurred.",
+  "definitionError.source": "Source: {url}",
+  "invitation.checking": "Checking your invitation...",
+  "invitation.used.title": "This invitation has already been used",
+  "invitation.used.body":
+    "A response has already been submitted with this link. Each invitation can be used once. If you think this is a mistake, please contact the survey team.",
+  "invitation.expired.title": "This invitation has expired",
+  "invitation.expired.body":
+    "The link you followed is no longer accepting responses. Please contact the survey team if you would still like to take part.",
+  "invitation.invalid.title": "This invitation link is not valid",
+  "invitation.invalid.body":
+    "The link may have been copied incompletely. Please open it again from your invitation message.",
+  "invitation.missing.title": "An invitation is required",
+  "invitation.missing.body":
+    "This survey is only open to invited respondents. Please use the personal link from your invitation message.",
+
+  "form.thankYou": "Thank You!",
+  "form.recorded": "Your response has been recorded.",
+  "form.queuedOffline":
+    "Your response has been saved on this device and will be sent automatically when you are back online.",
+  "form.receipt": "Receipt reference:",
+  "form.instructions": "Instructions:",
+  "form.back": "Back",
+  "form.next": "Next",
+  "form.submit": "Submit",
+  "form.submitting": "Submitting...",
+  "form.cancel": "Cancel",
+  "form.noPasswords": "Never submit passwords through this form.",
+
+  "review.title": "Review your answers",
+  "review.intro":
+    "Check your answers before sending them. Use Edit to change an answer; nothing is sent until you confirm.",
+  "review.edit": "Edit",
+  "review.editLabel": "Edit answer: {question}",
+  "review.noAnswer": "Not answered",
+  "review.rank": "Rank {rank}",
+  "review.notRanked": "Not ranked",
+  "review.back": "Back to the form",
+  "review.confirm": "Confirm and submit",
+
+  "receipt.intro": "Keep a copy of your answers for your records.",
+  "receipt.print": "Print receipt",
+  "receipt.html": "Save receipt (HTML)",
+  "receipt.json": "Save receipt (JSON)",
+  "receipt.title": "Response receipt",
+  "receipt.reference": "Reference ID",
+  "receipt.submittedAt": "Submitted",
+  "receipt.status": "Status",
+
+  "draft.region": "Saved draft",
+  "draft.title": "You have an unfinished response",
+  "draft.titleWithDate": "You have an unfinished response from {date}",
+  "draft.migrated":
+    "The questionnaire has changed since then. Answers to questions that were modified could not be kept.",
+  "draft.choose": "Choose one to continue with the questions.",
+  "draft.resume": "Resume your draft",
+  "draft.startOver": "Start over",
+
+  "errors.summaryTitle": "Please complete all required questions",
+  "errors.summaryIntro": "The following items need your attention:",
+  "errors.submissionTitle": "Submission Failed",
+  "errors.dismiss": "Dismiss",
+
+  "progress.step": "Step {step} of {total}",
+  "progress.label": "Survey progress",
+
+  "queue.waitingOne": "1 response waiting to send",
+  "queue.waitingMany": "{count} responses waiting to send",
+  "queue.sending": " - sending now...",
+
+  "question.required": "(required)",
+  "question.other": "Other (please specify):",
+  "length.counter": "{count} / {max} characters",
+  "length.over": "{count} characters over the limit",
+  "question.placeholder": "Your answer",
+
+  "profile.title": "About you",
+  "profile.intro":
+    "These questions are optional. They help us compare answers from different groups of researchers.",
+  "profile.affiliation": "Affiliation type",
+  "profile.affiliationPlaceholder": "Choose one",
+  "profile.affiliation.university": "University or college",
+  "profile.affiliation.research-institute": "Research institute",
+  "profile.affiliation.government":
+    "Government agency (e.g., Forest Department)",
+  "profile.affiliation.ngo": "NGO or development organization",
+  "profile.affiliation.independent": "Independent researcher or consultant",
+  "profile.affiliation.student": "Student",
+  "profile.affiliation.other": "Other",
+  "profile.years": "Years of research in the park",
+  "profile.discipline": "Discipline or field of study",
+  "profile.email": "Contact email",
+  "profile.emailHint": "Only sent if you agree to be contacted.",
+  "profile.consent":
+    "I agree to be contacted at this email address about this study",
+
+  "ranking.rank": "rank {rank}",
+  "ranking.cell": "{option}, {rank}",
+  "ranking.hintMaxRanked": "Rank up to {count} options.",
+  "ranking.hintContiguous": "Use ranks in order, starting from 1.",
+  "ranking.moved": "Rank {rank} moved from {from} to {to}.",
+  "ranking.otherRow": "Other: {text}",
+  "ranking.otherRowEmpty": "Other (not specified)",
+
+  "reorder.help":
+    "Drag options into your ranking, best first, or use the arrow keys: Up/Down to reorder, Left to remove, Enter to add.",
+  "reorder.ranked": "Your ranking ({count} of {capacity})",
+  "reorder.rankedList": "Ranked options",
+  "reorder.empty": "Drop options here to rank them",
+  "reorder.rankedItem": "{option}, rank {rank}",
+  "reorder.notSelected": "Not selected",
+  "reorder.notSelectedList": "Options not selected",
+  "reorder.notSelectedItem": "{option}, not selected",
+  "reorder.moveUp": "Move {option} up",
+  "reorder.moveDown": "Move {option} down",
+  "reorder.remove": "Remove {option} from ranking",
+  "reorder.removeButton": "Remove",
+  "reorder.add": "Add {option} to ranking",
+  "reorder.addButton": "Add",
+  "reorder.full":
+    "All {capacity} ranks are used. Remove an option to add another.",
+
+  "choice.between": "Select at least {min}, at most {max}",
+  "choice.atLeast": "Select at least {min}",
+  "choice.atMost": "Select at most {max}",
+  "number.between": "Between {min} and {max}",
+  "number.atLeast": "At least {min}",
+  "number.atMost": "At most {max}",
+
+  "validation.unanswered": "Question {number}: {text}...",
+  "validation.problem": "Question {number}: please {problem}",
+  "validation.finalComment": "Please share your additional recommendations",
+  "validation.finalCommentTooLong":
+    "Please shorten your additional comments to {max} characters or fewer",
+  "validation.otherTooLong":
+    'Question {number}: please shorten your "Other" answer to {max} characters or fewer',
+  "validation.otherTextMissing":
+    'Question {number}: please describe the "Other" option you ranked',
+  "validation.rankOther": 'rank your "Other" answer',
+  "validation.tooLong": "shorten your answer to {max} characters or fewer",
+  "validation.selectOption": "select one of the listed options",
+  "validation.selectFromList": "select from the listed options",
+  "validation.selectAtLeast": "select at least {count}",
+  "validation.selectAtMost": "select at most {count}",
+  "validation.enterNumber": "enter a number",
+  "validation.enterWholeNumber": "enter a whole number",
+  "validation.numberAtLeast": "enter a number of at least {min}",
+  "validation.numberAtMost": "enter a number no greater than {max}",
+  "validation.rankUnknown": "use only the ranks {ranks}",
+  "validation.rankDuplicate": "give rank {rank} to only one option",
+  "validation.rankMaxRanked": "rank at most {count} options",
+  "validation.rankGap": "give rank {missing} before using rank {highest}",
+  "validation.profileAffiliation":
+    "About you: choose an affiliation type from the list",
+  "validation.profileYears":
+    "About you: enter the years of research as a whole number from 0 to {max}",
+  "validation.profileEmail": "About you: enter a valid email address",
+  "validation.profileConsent":
+    "About you: tick the consent box to be contacted, or remove your email",
+
+  "admin.title": "Results: {survey}",
+  "admin.intro":
+    "Load exported responses (a JSON list of submitted payloads or a CSV sheet) to see rank statistics for each ranking question. Files are read in this browser and are not uploaded.",
+  "admin.files": "Response files",
+  "admin.loaded": "Loaded: {files}",
+  "admin.duplicates": "{count} repeated submissions were skipped",
+  "admin.loadError": "{file} could not be read: {message}",
+  "admin.clear": "Clear loaded responses",
+  "admin.empty": "No responses loaded yet.",
+  "admin.export.wide": "Download wide CSV",
+  "admin.export.long": "Download long CSV",
+  "admin.export.codebook": "Download codebook",
+  "admin.import.title": "Add typed-in responses",
+  "admin.import.intro":
+    "Check a CSV of responses typed in from paper questionnaires against the rules of the web form before adding them. Use the columns of the wide CSV.",
+  "admin.import.file": "Spreadsheet (CSV)",
+  "admin.import.summary": "{valid} of {rows} rows can be added.",
+  "admin.import.problems": "Rows with problems (these are not added):",
+  "admin.import.line": "Line {line}",
+  "admin.import.add": "Add {count} valid rows",
+  "admin.total": "{count} responses",
+  "admin.metric": "Chart",
+  "admin.metric.meanRank": "Mean rank",
+  "admin.metric.borda": "Borda count",
+  "admin.metric.firstShare": "Ranked first",
+  "admin.metric.noRate": 'Answered "No"',
+  "admin.lowerIsBetter": "Lower is better",
+  "admin.respondents": "{count} respondents",
+  "admin.option": "Option",
+  "admin.ranked": "Ranked",
+  "admin.otherRow": "Other (written in)",
+
+  "import.rankConflict":
+    "Question {number}: rank {rank} is given to more than one option ({options})",
+  "import.duplicateId": "Response ID {id} is already used on line {line}",
+  "import.notANumber": 'Question {number}: "{value}" is not a number',
+
+  "antiBot.rateLimited":
+    "This browser has already sent several responses in a short time. Please wait a while before submitting again.",
+  "submitError.timeout":
+    "The server took too long to respond. Please check your connection and try again.",
+  "submitError.network":
+    "Unable to connect to the server. Please check your internet connection.",
+  "submitError.configuration":
+    "Form is not properly configured. Please contact support.",
+  "submitError.cancelled":
+    "Submission was cancelled. Your answers are still here.",
+  "submitError.client":
+    "The server rejected this response. Please contact support if the problem continues.",
+  "submitError.generic":
+    "An error occurred while submitting your response. Please try again.",
+};
@@ -0,0 +1,44 @@
+/**
+ * App Setup
+ * Builds the services configured through environment variables once, when
+ * the app starts. A setting that cannot be used is returned as `setupError`
+ * so the app shows a configuration error instead of a blank page (or, for
+ * invitations, instead of letting every token in)
+ */
+
+import {
+  createSubmissionBackend,
+  getBackendConfigFromEnv,
+} from "./backends/index.js";
+import {
+  createInvitationVerifier,
+  getInvitationConfigFromEnv,
+} from "./invitations/index.js";
+
+/**
+ * Create the submission backend and invitation verifier from environment
+ * variables
+ *
+ * @param {Object} env - Environment variables (e.g., import.meta.env)
+ * @returns {{invitationConfig: Object, invitationVerifier: Object|null, submissionBackend: Object|null, setupError: Error|null}}
+ *   The verifier and backend are null when setupError is set
+ */
+export function createAppSetup(env = {}) {
+  const invitationConfig = getInvitationConfigFromEnv(env);
+
+  try {
+    return {
+      invitationConfig,
+      invitationVerifier: createInvitationVerifier(invitationConfig),
+      submissionBackend: createSubmissionBackend(getBackendConfigFromEnv(env)),
+      setupError: null,
+    };
+  } catch (error) {
+    return {
+      invitationConfig,
+      invitationVerifier: null,
+      submissionBackend: null,
+      setupError: error,
+    };
+  }
+}
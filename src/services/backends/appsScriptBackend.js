@@ -0,0 +1,47 @@
+/**
+ * Google Apps Script Backend
+ * POSTs in no-cors mode, so the response is opaque and cannot be confirmed
+ */
+
+import { callNetwork } from "../retryPolicy.js";
+
+/**
+ * Create an Apps Script submission backend
+ *
+ * @param {Object} config - Backend configuration
+ * @param {string} config.url - Apps Script deployment URL
+ * @param {Function} config.fetchImpl - fetch implementation (default: global fetch)
+ * @returns {Object} Submission backend
+ */
+export function createAppsScriptBackend({ url, fetchImpl } = {}) {
+  return {
+    name: "apps-script",
+
+    getConfigurationError() {
+      return url ? null : "Google Apps Script URL is not configured";
+    },
+
+    async send(data, { signal } = {}) {
+      const doFetch = fetchImpl || globalThis.fetch;
+
+      // Built outside callNetwork so a payload that can't be serialized is
+      // not mistaken for a network failure
+      const requestBody = JSON.stringify(data);
+      await callNetwork(() =>
+        doFetch(url, {
+          method: "POST",
+          mode: "no-cors",
+          headers: {
+            "Content-Type": "application/json",
+          },
+          body: requestBody,
+          signal,
+        })
+      );
+
+      // In no-cors mode, we can't check response.ok or the status
+      // Success is indicated by no exception being thrown
+      return { confirmed: false };
+    },
+  };
+}
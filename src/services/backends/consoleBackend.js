@@ -0,0 +1,52 @@
+/**
+ * Console Backend
+ * Development backend that logs the payload and can save it as a local file
+ */
+
+import { downloadFile } from "../../utils/download.js";
+
+/**
+ * Save a payload as a JSON file download
+ * @param {Object} data - Form data
+ */
+function downloadPayload(data) {
+  downloadFile(
+    JSON.stringify(data, null, 2),
+    `response-${(data.timestamp || Date.now()).toString().replace(/[:.]/g, "-")}.json`,
+    "application/json"
+  );
+}
+
+/**
+ * Create a console submission backend
+ *
+ * @param {Object} config - Backend configuration
+ * @param {boolean} config.download - Also save each payload as a .json file (default: false)
+ * @param {Object} config.logger - Logger with an info() method (default: console)
+ * @returns {Object} Submission backend
+ */
+export function createConsoleBackend({
+  download = false,
+  logger = console,
+} = {}) {
+  return {
+    name: "console",
+
+    getConfigurationError() {
+      return null;
+    },
+
+    async send(data, { signal } = {}) {
+      if (signal?.aborted) {
+        throw new DOMException("The operation was aborted", "AbortError");
+      }
+
+      logger.info("[console backend] Form submission:", data);
+      if (download) {
+        downloadPayload(data);
+      }
+
+      return { confirmed: true };
+    },
+  };
+}
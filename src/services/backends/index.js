@@ -0,0 +1,63 @@
+/**
+ * Submission Backends
+ * Selects the backend adapter used by submitForm from configuration
+ */
+
+import { createAppsScriptBackend } from "./appsScriptBackend.js";
+import { createRestBackend, HttpError } from "./restBackend.js";
+import { createConsoleBackend } from "./consoleBackend.js";
+
+export {
+  createAppsScriptBackend,
+  createRestBackend,
+  createConsoleBackend,
+  HttpError,
+};
+
+/**
+ * Create the submission backend described by configuration
+ *
+ * @param {Object} config - Backend configuration
+ * @param {string} config.type - "apps-script" (default), "rest" or "console"
+ * @param {string} config.url - Endpoint URL for apps-script and rest
+ * @param {Object} config.headers - Extra request headers for rest
+ * @param {boolean} config.download - Save payloads as files for console
+ * @returns {Object} Submission backend
+ * @throws {Error} When the backend type is unknown (createAppSetup catches it
+ *   so the app shows a configuration error)
+ */
+export function createSubmissionBackend(config = {}) {
+  const { type = "apps-script" } = config;
+
+  switch (type) {
+    case "apps-script":
+      return createAppsScriptBackend(config);
+    case "rest":
+      return createRestBackend(config);
+    case "console":
+      return createConsoleBackend(config);
+    default:
+      throw new Error(`Submission backend "${type}" is not configured`);
+  }
+}
+
+/**
+ * Read backend configuration from Vite environment variables
+ *
+ * VITE_SUBMISSION_BACKEND   - "apps-script" (default), "rest" or "console"
+ * VITE_SUBMISSION_URL       - Endpoint URL (falls back to VITE_GOOGLE_SCRIPT_URL)
+ * VITE_SUBMISSION_DOWNLOAD  - "true" to save payloads as files with the console backend
+ *
+ * There is no API key: every VITE_ variable ends up in the public bundle, so
+ * the rest endpoint has to accept anonymous posts and protect itself
+ *
+ * @param {Object} env - Environment variables (e.g., import.meta.env)
+ * @returns {Object} Backend configuration
+ */
+export function getBackendConfigFromEnv(env = {}) {
+  return {
+    type: env.VITE_SUBMISSION_BACKEND || "apps-script",
+    url: env.VITE_SUBMISSION_URL || env.VITE_GOOGLE_SCRIPT_URL,
+    download: env.VITE_SUBMISSION_DOWNLOAD === "true",
+  };
+}
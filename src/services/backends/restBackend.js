@@ -0,0 +1,73 @@
+/**
+ * JSON REST Backend
+ * POSTs JSON with CORS and checks the HTTP status, so writes are confirmed
+ * The response ID is also sent as an Idempotency-Key header
+ */
+
+import { callNetwork } from "../retryPolicy.js";
+
+/**
+ * Error for a non-2xx response from the submission endpoint
+ */
+export class HttpError extends Error {
+  constructor(status, statusText = "") {
+    super(
+      `Server responded with HTTP ${status}${statusText ? ` ${statusText}` : ""}`
+    );
+    this.name = "HttpError";
+    this.status = status;
+  }
+}
+
+/**
+ * Create a JSON REST submission backend
+ *
+ * @param {Object} config - Backend configuration
+ * @param {string} config.url - Endpoint URL
+ * @param {Object} config.headers - Extra request headers (never secrets: the
+ *   configuration is part of the public bundle)
+ * @param {Function} config.fetchImpl - fetch implementation (default: global fetch)
+ * @returns {Object} Submission backend
+ */
+export function createRestBackend({ url, headers = {}, fetchImpl } = {}) {
+  return {
+    name: "rest",
+
+    getConfigurationError() {
+      return url ? null : "Submission endpoint URL is not configured";
+    },
+
+    async send(data, { signal } = {}) {
+      const doFetch = fetchImpl || globalThis.fetch;
+
+      // Built outside callNetwork so a payload that can't be serialized is
+      // not mistaken for a network failure
+      const requestBody = JSON.stringify(data);
+      const response = await callNetwork(() =>
+        doFetch(url, {
+          method: "POST",
+          mode: "cors",
+          headers: {
+            "Content-Type": "application/json",
+            Accept: "application/json",
+            ...(data.responseId ? { "Idempotency-Key": data.responseId } : {}),
+            ...headers,
+          },
+          body: requestBody,
+          signal,
+        })
+      );
+
+      if (!response.ok) {
+        throw new HttpError(response.status, response.statusText);
+      }
+
+      let body = null;
+      if ((response.headers?.get("content-type") || "").includes("json")) {
+        body = await response.json();
+      }
+
+      return { confirmed: true, status: response.status, body };
+    },
+  };
+}
@@ -3,138 +3,360 @@
  * Handles API calls with retry logic, timeout, and error handling
  */
 
+import { createAppsScriptBackend } from "./backends/index.js";
+import {
+  createRetryPolicy,
+  classifySubmissionError,
+  SubmissionError,
+  DEFAULT_MAX_RETRIES,
+  DEFAULT_INITIAL_RETRY_DELAY_MS,
+  DEFAULT_MAX_RETRY_DELAY_MS,
+} from "./retryPolicy.js";
+import { generateResponseId } from "../utils/responseId.js";
+import { getVisibleQuestions } from "../utils/conditions.js";
+import { getQuestionType } from "../utils/questionTypes.js";
+import { OTHER_KEY } from "../utils/rankingRules.js";
+import { translate, DEFAULT_LOCALE } from "../utils/i18n.js";
+
 const DEFAULT_TIMEOUT_MS = 5000;
-const DEFAULT_MAX_RETRIES = 3;
-const DEFAULT_INITIAL_RETRY_DELAY_MS = 1000;
+
+const defaultClock = {
+  setTimeout: (...args) => globalThis.setTimeout(...args),
+  clearTimeout: (...args) => globalThis.clearTimeout(...args),
+};
+
+/**
+ * Error for a submission cancelled through the caller's AbortSignal
+ * @returns {SubmissionError} Cancellation error
+ */
+function createCancelledError() {
+  return new SubmissionError("Form submission was cancelled", {
+    kind: "cancelled",
+    retryable: false,
+  });
+}
 
 /**
  * Delay helper for retry backoff
+ * Rejects early (and clears its timer) if the signal is aborted
+ *
  * @param {number} ms - Milliseconds to delay
+ * @param {Object} clock - Timer implementation with setTimeout/clearTimeout
+ * @param {AbortSignal} signal - Optional signal that cancels the delay
  * @returns {Promise<void>}
  */
-function delay(ms) {
-  return new Promise((resolve) => setTimeout(resolve, ms));
+function delay(ms, clock = defaultClock, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+      reject(createCancelledError());
+      return;
+    }
+
+    const onAbort = () => {
+      clock.clearTimeout(timeoutId);
+      reject(createCancelledError());
+    };
+    const timeoutId = clock.setTimeout(() => {
+      signal?.removeEventListener("abort", onAbort);
+      resolve();
+    }, ms);
+
+    signal?.addEventListener("abort", onAbort, { once: true });
+  });
+}
+
+/**
+ * Ranking answer: every option gets a value ("No" if unselected), and so
+ * does the "Other" row when "Other" text was given
+ * @param {Object} q - Question object
+ * @param {Object} qData - Stored ranks
+ * @param {string} otherText - The question's "Other" text
+ * @returns {Object} Map of option index (or "other") to rank
+ */
+function normalizeRanking(q, qData = {}, otherText = "") {
+  const entry = {};
+  for (let i = 0; i < q.options.length; i++) {
+    entry[i] = qData[i] || "No";
+  }
+  if (otherText.trim() !== "") {
+    entry[OTHER_KEY] = qData[OTHER_KEY] || "No";
+  }
+  return entry;
+}
+
+/**
+ * Likert / single-choice answer: the picked option index, or null
+ * @param {Object} q - Question object
+ * @param {*} value - Stored option index
+ * @returns {number|null} Option index
+ */
+function normalizeChoice(q, value) {
+  return Number.isInteger(value) ? value : null;
+}
+
+/**
+ * Multiple-choice answer: picked option indices in option order
+ * @param {Object} q - Question object
+ * @param {*} value - Stored option indices
+ * @returns {Array<number>} Option indices
+ */
+function normalizeSelections(q, value) {
+  return Array.isArray(value) ? [...value].sort((a, b) => a - b) : [];
+}
+
+/**
+ * Numeric answer: the typed value as a number, or null if left blank
+ * @param {Object} q - Question object
+ * @param {*} value - Stored answer as typed
+ * @returns {number|null} Number
+ */
+function normalizeNumber(q, value) {
+  if (value === undefined || value === null || String(value).trim() === "") {
+    return null;
+  }
+  return Number(value);
+}
+
+/**
+ * Text answer: trimmed string ("" if left blank)
+ * @param {Object} q - Question object
+ * @param {*} value - Stored text
+ * @returns {string} Text
+ */
+function normalizeText(q, value) {
+  return typeof value === "string" ? value.trim() : "";
+}
+
+const ANSWER_NORMALIZERS = {
+  ranking: normalizeRanking,
+  likert: normalizeChoice,
+  "single-choice": normalizeChoice,
+  "multiple-choice": normalizeSelections,
+  number: normalizeNumber,
+  "short-text": normalizeText,
+  "long-text": normalizeText,
+};
+
+/**
+ * Respondent profile: blank fields become null, years become a number and
+ * the email is only kept when the respondent agreed to be contacted
+ * @param {Object} profile - Sanitized respondent profile
+ * @returns {Object} Profile ready for submission
+ */
+function normalizeRespondent(profile) {
+  const text = (value) => {
+    const trimmed = String(value ?? "").trim();
+    return trimmed === "" ? null : trimmed;
+  };
+  const contactConsent = profile.contactConsent === true;
+
+  return {
+    affiliation: text(profile.affiliation),
+    yearsOfResearch: normalizeNumber(null, profile.yearsOfResearch),
+    discipline: text(profile.discipline),
+    email: contactConsent ? text(profile.email) : null,
+    contactConsent,
+  };
 }
 
 /**
  * Normalize form data for submission
- * Ensures all options have a value (defaults to "No" if unselected)
+ * Each answer is normalized for its question type; ranking questions give
+ * every option a value (defaults to "No" if unselected), plus an "other"
+ * value when the question has "Other" text
+ * Questions hidden by skip logic are left out, along with their "Other" text
+ * Every payload carries a response ID so duplicates can be dropped on receipt;
+ * `attempt` is 0 here and set per try by submitForm; `locale` records the
+ * language the respondent answered in, `respondent` holds the profile
+ * (null when the survey does not ask for one), `invitationToken` the
+ * token from the invitation link (null for open links) and `antiBot` the
+ * signals from utils/antiBot.js
  * 
  * @param {Array} questions - Array of question objects
  * @param {Object} responses - Form responses
  * @param {Object} otherText - Other text responses
  * @param {string} finalComment - Final comments
+ * @param {Object} options - Normalization options
+ * @param {string} options.responseId - Response ID to reuse (default: a new UUID)
+ * @param {string} options.locale - Language the survey was shown in (default: "en")
+ * @param {Object} options.respondent - Sanitized respondent profile (default: none)
+ * @param {string} options.invitationToken - Token from the invitation link (default: none)
+ * @param {Object} options.antiBot - Anti-bot signals (default: none)
  * @returns {Object} Normalized data ready for submission
  */
-export function normalizeFormData(questions, responses, otherText, finalComment) {
+export function normalizeFormData(
+  questions,
+  responses,
+  otherText,
+  finalComment,
+  options = {}
+) {
+  const {
+    responseId = generateResponseId(),
+    locale = DEFAULT_LOCALE,
+    respondent = null,
+    invitationToken = null,
+    antiBot = null,
+  } = options;
   const normalizedResponses = {};
+  const visibleOtherText = {};
 
-  questions.forEach((q) => {
+  getVisibleQuestions(questions, responses).forEach((q) => {
     const qId = q.id;
-    const numOptions = q.options.length;
-    const qData = responses[qId] || {};
-    const entry = {};
+    const normalize = ANSWER_NORMALIZERS[getQuestionType(q)];
+    normalizedResponses[qId] = normalize(
+      q,
+      responses[qId],
+      otherText?.[qId] || ""
+    );
 
-    for (let i = 0; i < numOptions; i++) {
-      entry[i] = qData[i] || "No";
+    if (otherText && otherText[qId] !== undefined) {
+      visibleOtherText[qId] = otherText[qId];
     }
-
-    normalizedResponses[qId] = entry;
   });
 
   return {
+    responseId,
+    attempt: 0,
     timestamp: new Date().toISOString(),
+    locale,
+    invitationToken,
+    antiBot,
+    respondent: respondent ? normalizeRespondent(respondent) : null,
     responses: normalizedResponses,
-    otherText,
+    otherText: visibleOtherText,
     finalComment,
   };
 }
 
+/**
+ * Resolve the submission target into a backend adapter
+ * A plain URL string keeps the original behaviour (Google Apps Script)
+ *
+ * @param {Object|string} target - Backend adapter or Apps Script URL
+ * @param {Function} fetchImpl - fetch implementation for the URL form
+ * @returns {Object} Submission backend
+ */
+function resolveBackend(target, fetchImpl) {
+  if (target && typeof target.send === "function") {
+    return target;
+  }
+  return createAppsScriptBackend({ url: target, fetchImpl });
+}
+
 /**
  * Submit form with retry logic and timeout
+ * Retry, timeout and onRetry behaviour is shared by every backend adapter
+ * Each try is sent with the same responseId and an incremented `attempt`
+ * Configuration errors and 4xx responses fail fast without retrying
+ * Aborting `options.signal` stops immediately with a "cancelled" SubmissionError
  * 
  * @param {Object} data - Form data to submit
- * @param {string} scriptUrl - Google Apps Script deployment URL
+ * @param {Object|string} target - Submission backend, or a Google Apps Script deployment URL
  * @param {Object} options - Configuration options
  * @param {number} options.maxRetries - Max number of retries (default: 3)
  * @param {number} options.timeout - Request timeout in ms (default: 5000)
  * @param {number} options.initialRetryDelay - Initial delay before first retry in ms (default: 1000)
- * @param {Function} options.onRetry - Callback on retry attempt
- * @returns {Promise<{success: boolean, error?: Error}>}
+ * @param {number} options.maxRetryDelay - Cap on the backoff delay in ms (default: 10000)
+ * @param {Object} options.retryPolicy - Custom policy from createRetryPolicy (overrides the retry options above)
+ * @param {Object} options.clock - Timer implementation { setTimeout, clearTimeout } (default: global timers)
+ * @param {Function} options.fetchImpl - fetch implementation when target is a URL (default: global fetch)
+ * @param {AbortSignal} options.signal - Cancels the submission, including pending retries
+ * @param {Function} options.onRetry - Callback (attempt, error, delayMs, isLastAttempt) after each failed attempt
+ * @returns {Promise<{success: boolean, confirmed: boolean, backend: string}>}
  * 
  * @example
- * const result = await submitForm(data, scriptUrl, {
+ * const backend = createSubmissionBackend({ type: "rest", url: apiUrl });
+ * const result = await submitForm(data, backend, {
  *   maxRetries: 3,
  *   timeout: 5000,
  *   onRetry: (attempt, error) => console.log(`Retry ${attempt}: ${error.message}`)
  * });
  */
-export async function submitForm(data, scriptUrl, options = {}) {
+export async function submitForm(data, target, options = {}) {
   const {
     maxRetries = DEFAULT_MAX_RETRIES,
     timeout = DEFAULT_TIMEOUT_MS,
     initialRetryDelay = DEFAULT_INITIAL_RETRY_DELAY_MS,
+    maxRetryDelay = DEFAULT_MAX_RETRY_DELAY_MS,
+    retryPolicy = createRetryPolicy({
+      maxRetries,
+      initialDelay: initialRetryDelay,
+      maxDelay: maxRetryDelay,
+    }),
+    clock = defaultClock,
+    fetchImpl,
+    signal,
     onRetry = null,
   } = options;
 
-  if (!scriptUrl) {
-    throw new Error("Google Apps Script URL is not configured");
+  const backend = resolveBackend(target, fetchImpl);
+  const configurationError = backend.getConfigurationError();
+  if (configurationError) {
+    throw new SubmissionError(configurationError, { kind: "configuration" });
   }
 
   let lastError;
+  let attemptsMade = 0;
+
+  for (let attempt = 1; attempt <= retryPolicy.maxRetries; attempt++) {
+    if (signal?.aborted) {
+      throw createCancelledError();
+    }
+
+    attemptsMade = attempt;
+    const controller = new AbortController();
+    const abortAttempt = () => controller.abort();
+    const timeoutId = clock.setTimeout(abortAttempt, timeout);
+    signal?.addEventListener("abort", abortAttempt, { once: true });
 
-  for (let attempt = 1; attempt <= maxRetries; attempt++) {
     try {
-      const controller = new AbortController();
-      const timeoutId = setTimeout(() => controller.abort(), timeout);
-
-      await fetch(scriptUrl, {
-        method: "POST",
-        mode: "no-cors",
-        headers: {
-          "Content-Type": "application/json",
-        },
-        body: JSON.stringify(data),
-        signal: controller.signal,
-      });
-
-      clearTimeout(timeoutId);
-
-      // In no-cors mode, we can't check response.ok, but we can check status
-      // Success is indicated by no exception being thrown
-      console.log(`Form submitted successfully (attempt ${attempt})`);
-      return { success: true };
+      const result = await backend.send(
+        { ...data, attempt },
+        { signal: controller.signal }
+      );
+
+      console.log(
+        `Form submitted successfully via ${backend.name} (attempt ${attempt})`
+      );
+      return {
+        success: true,
+        confirmed: Boolean(result?.confirmed),
+        backend: backend.name,
+      };
     } catch (error) {
-      clearTimeout(undefined);
-      lastError = error;
-
-      // Determine error type
-      let errorMessage = error.message;
-      if (error.name === "AbortError") {
-        errorMessage = `Request timeout after ${timeout}ms`;
-      } else if (error instanceof TypeError) {
-        errorMessage = "Network error - unable to reach server";
+      if (signal?.aborted) {
+        throw createCancelledError();
       }
+      lastError = classifySubmissionError(error, { timeout });
+    } finally {
+      clock.clearTimeout(timeoutId);
+      signal?.removeEventListener("abort", abortAttempt);
+    }
 
-      const isLastAttempt = attempt === maxRetries;
-
-      if (!isLastAttempt) {
-        const delayMs = initialRetryDelay * attempt; // exponential backoff
-        if (onRetry) {
-          onRetry(attempt, new Error(errorMessage), delayMs);
-        }
-        await delay(delayMs);
-      } else {
-        if (onRetry) {
-          onRetry(attempt, new Error(errorMessage), 0);
-        }
+    if (retryPolicy.shouldRetry(lastError, attempt)) {
+      const delayMs = retryPolicy.getDelay(attempt);
+      if (onRetry) {
+        onRetry(attempt, lastError, delayMs, false);
+      }
+      await delay(delayMs, clock, signal);
+    } else {
+      if (onRetry) {
+        onRetry(attempt, lastError, 0, true);
       }
+      break;
     }
   }
 
-  // All retries failed
-  throw new Error(
-    `Form submission failed after ${maxRetries} attempts: ${lastError?.message || "Unknown error"}`
+  // Retries exhausted or the error is not retryable
+  throw new SubmissionError(
+    `Form submission failed after ${attemptsMade} attempt${attemptsMade === 1 ? "" : "s"}: ${lastError.message}`,
+    {
+      kind: lastError.kind,
+      retryable: lastError.retryable,
+      status: lastError.status,
+      cause: lastError,
+    }
   );
 }
 
@@ -142,22 +364,31 @@ export async function submitForm(data, scriptUrl, options = {}) {
  * Get user-friendly error message based on error type
  * 
  * @param {Error} error - Error object from submitForm
+ * @param {Function} t - Translator for the message (default: English)
  * @returns {string} User-friendly error message
  */
-export function getErrorMessage(error) {
+export function getErrorMessage(error, t = translate) {
   const message = error.message || "";
 
   if (message.includes("timeout")) {
-    return "The server took too long to respond. Please check your connection and try again.";
+    return t("submitError.timeout");
   }
 
   if (message.includes("Network error")) {
-    return "Unable to connect to the server. Please check your internet connection.";
+    return t("submitError.network");
   }
 
   if (message.includes("not configured")) {
-    return "Form is not properly configured. Please contact support.";
+    return t("submitError.configuration");
+  }
+
+  if (error.kind === "cancelled") {
+    return t("submitError.cancelled");
+  }
+
+  if (error.kind === "client") {
+    return t("submitError.client");
   }
 
-  return "An error occurred while submitting your response. Please try again.";
+  return t("submitError.generic");
 }
@@ -0,0 +1,147 @@
+/**
+ * Invitation Verifiers
+ * Per-respondent invitation links (`?token=...`): the token is checked by a
+ * pluggable verifier before the form is shown, carried in the payload and
+ * marked used once the response is submitted
+ *
+ * A verifier is any object with:
+ *   verify(token)              -> Promise<{ status: "valid" | "used" | "expired" | "invalid" }>
+ *   markUsed(token, { responseId }) -> Promise
+ */
+
+import {
+  createListVerifier,
+  hashInvitationToken,
+  MIN_LIST_TOKEN_LENGTH,
+} from "./listVerifier.js";
+import { createRestVerifier } from "./restVerifier.js";
+
+export {
+  createListVerifier,
+  createRestVerifier,
+  hashInvitationToken,
+  MIN_LIST_TOKEN_LENGTH,
+};
+
+// Tokens are URL-safe and long enough not to be guessed online (the list
+// verifier asks for longer ones, see MIN_LIST_TOKEN_LENGTH)
+const TOKEN_PATTERN = /^[A-Za-z0-9_-]{8,128}$/;
+
+/**
+ * Create a verifier that accepts every well-formed token
+ * Used when links carry tokens but there is no list to check them against
+ * @returns {Object} Invitation verifier
+ */
+function createOpenVerifier() {
+  return {
+    name: "none",
+    async verify() {
+      return { status: "valid" };
+    },
+    async markUsed() {},
+  };
+}
+
+/**
+ * Create the invitation verifier described by configuration
+ *
+ * @param {Object} config - Verifier configuration
+ * @param {string} config.type - "none" (default), "list" or "rest"
+ * @param {string} config.url - Token list URL (list) or endpoint base URL (rest)
+ * @param {Object} config.headers - Extra request headers for rest
+ * @returns {Object} Invitation verifier
+ * @throws {Error} When the verifier type is unknown, or list/rest has no URL
+ *   (a verifier that can never answer would let every token through as
+ *   "unverified")
+ */
+export function createInvitationVerifier(config = {}) {
+  const { type = "none" } = config;
+
+  if (["list", "rest"].includes(type) && !String(config.url ?? "").trim()) {
+    throw new Error(`Invitation verifier "${type}" needs a URL`);
+  }
+
+  switch (type) {
+    case "none":
+      return createOpenVerifier();
+    case "list":
+      return createListVerifier(config);
+    case "rest":
+      return createRestVerifier(config);
+    default:
+      throw new Error(`Invitation verifier "${type}" is not configured`);
+  }
+}
+
+/**
+ * Read invitation configuration from Vite environment variables
+ *
+ * VITE_INVITATION_VERIFIER  - "none" (default), "list" or "rest"
+ * VITE_INVITATION_URL       - Token list URL or endpoint base URL
+ * VITE_INVITATION_REQUIRED  - "true" to turn away visitors without a token
+ *
+ * There is no API key: anything given to the client ends up in the public
+ * bundle. The rest endpoint is called without credentials and must be
+ * rate-limited by the server
+ *
+ * @param {Object} env - Environment variables (e.g., import.meta.env)
+ * @returns {Object} Verifier configuration plus `required`
+ */
+export function getInvitationConfigFromEnv(env = {}) {
+  return {
+    type: env.VITE_INVITATION_VERIFIER || "none",
+    url: env.VITE_INVITATION_URL,
+    required: env.VITE_INVITATION_REQUIRED === "true",
+  };
+}
+
+/**
+ * Read the invitation token from the URL
+ * @param {string} search - Query string (e.g., window.location.search)
+ * @returns {string|null} Token, or null if the link has none
+ */
+export function resolveInvitationToken(search = "") {
+  const token = new URLSearchParams(search).get("token");
+  return token ? token.trim() : null;
+}
+
+/**
+ * Work out whether a visitor may answer the survey
+ * If the verifier cannot be reached the form is still shown ("unverified")
+ * so invited respondents are not locked out by a network problem; the
+ * token is still sent with the response
+ *
+ * @param {string|null} token - Token from the URL
+ * @param {Object} verifier - Invitation verifier
+ * @param {Object} options - Check options
+ * @param {boolean} options.required - Visitors must have a token (default: false)
+ * @returns {Promise<{status: string, token: string|null}>} One of "valid",
+ *   "unverified", "none" (no token, none needed), "missing", "invalid", "used", "expired"
+ */
+export async function checkInvitation(token, verifier, options = {}) {
+  const { required = false } = options;
+
+  if (!token) {
+    return { status: required ? "missing" : "none", token: null };
+  }
+  if (!TOKEN_PATTERN.test(token)) {
+    return { status: "invalid", token };
+  }
+
+  try {
+    const { status } = await verifier.verify(token);
+    return { status, token };
+  } catch (error) {
+    console.warn("Unable to verify invitation:", error);
+    return { status: "unverified", token };
+  }
+}
+
+/**
+ * Checks if an invitation check lets the visitor see the form
+ * @param {string} status - Status from checkInvitation
+ * @returns {boolean} True if the form may be shown
+ */
+export function canAnswer(status) {
+  return ["valid", "unverified", "none"].includes(status);
+}
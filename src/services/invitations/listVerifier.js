@@ -0,0 +1,138 @@
+/**
+ * Token List Verifier
+ * Checks invitation tokens against a static JSON list published next to the
+ * app. The list holds SHA-256 hashes rather than the tokens themselves, so
+ * publishing it does not give the links away:
+ *   {
+ *     "invitations": [
+ *       { "hash": "9f86d08...", "expiresAt": "2026-12-31T23:59:59Z" },
+ *       { "hash": "60303ae...", "used": true }
+ *     ]
+ *   }
+ *
+ * A static file cannot be updated from the browser, so "used" is also
+ * remembered on the device that submitted. The token travels in the payload
+ * for the receiving end to reject repeats from other devices
+ *
+ * Threat model: anyone can download the list and try candidate tokens
+ * against the hashes offline, as fast as their hardware allows, with no
+ * rate limit. A salt would be published next to the hashes and so would not
+ * slow this down; only the size of the token space does. Tokens therefore
+ * need at least MIN_LIST_TOKEN_LENGTH random URL-safe characters (about
+ * 128 bits), and shorter ones are refused without being looked up
+ */
+
+const USED_KEY_PREFIX = "survey-invitation-used:";
+// 22 random characters from [A-Za-z0-9_-] carry 132 bits
+export const MIN_LIST_TOKEN_LENGTH = 22;
+
+/**
+ * Hash a token the way the list stores it
+ * @param {string} token - Invitation token
+ * @returns {Promise<string>} Lower-case hex SHA-256 digest
+ */
+export async function hashInvitationToken(token) {
+  const digest = await globalThis.crypto.subtle.digest(
+    "SHA-256",
+    new TextEncoder().encode(token)
+  );
+  return [...new Uint8Array(digest)]
+    .map((byte) => byte.toString(16).padStart(2, "0"))
+    .join("");
+}
+
+/**
+ * Create a verifier backed by a token list file
+ *
+ * @param {Object} config - Verifier configuration
+ * @param {string} config.url - URL of the token list
+ * @param {Function} config.fetchImpl - fetch implementation (default: global fetch)
+ * @param {Storage} config.storage - Where used tokens are remembered (default: localStorage)
+ * @param {Function} config.now - Current time in ms (default: Date.now)
+ * @returns {Object} Invitation verifier
+ */
+export function createListVerifier({
+  url,
+  fetchImpl,
+  storage = globalThis.localStorage,
+  now = Date.now,
+} = {}) {
+  let listPromise = null;
+
+  /**
+   * Fetch the list once and reuse it
+   * @returns {Promise<Array>} Invitation entries
+   */
+  const loadList = () => {
+    if (!listPromise) {
+      const doFetch = fetchImpl || globalThis.fetch;
+      listPromise = doFetch(url, { headers: { Accept: "application/json" } })
+        .then((response) => {
+          if (!response.ok) {
+            throw new Error(
+              `Unable to load invitation list (HTTP ${response.status})`
+            );
+          }
+          return response.json();
+        })
+        .then((list) =>
+          Array.isArray(list?.invitations) ? list.invitations : []
+        )
+        .catch((error) => {
+          listPromise = null; // Try again on the next check
+          throw error;
+        });
+    }
+    return listPromise;
+  };
+
+  const usedKey = (hash) => `${USED_KEY_PREFIX}${hash}`;
+
+  /**
+   * Checks if this device already submitted with a token
+   * @param {string} hash - Token hash
+   * @returns {boolean} True if marked used locally
+   */
+  const isUsedHere = (hash) => {
+    try {
+      return Boolean(storage?.getItem(usedKey(hash)));
+    } catch {
+      return false;
+    }
+  };
+
+  return {
+    name: "list",
+
+    async verify(token) {
+      if (token.length < MIN_LIST_TOKEN_LENGTH) {
+        return { status: "invalid" };
+      }
+      const [hash, invitations] = await Promise.all([
+        hashInvitationToken(token),
+        loadList(),
+      ]);
+      const entry = invitations.find((item) => item.hash === hash);
+
+      if (!entry) {
+        return { status: "invalid" };
+      }
+      if (entry.used === true || isUsedHere(hash)) {
+        return { status: "used" };
+      }
+      if (entry.expiresAt && Date.parse(entry.expiresAt) < now()) {
+        return { status: "expired" };
+      }
+      return { status: "valid" };
+    },
+
+    async markUsed(token) {
+      const hash = await hashInvitationToken(token);
+      try {
+        storage?.setItem(usedKey(hash), new Date(now()).toISOString());
+      } catch (error) {
+        console.warn("Unable to remember used invitation:", error);
+      }
+    },
+  };
+}
@@ -0,0 +1,61 @@
+/**
+ * REST Invitation Verifier
+ * Asks a server about each token, so "used" and "expired" are enforced
+ * across devices:
+ *   GET  {url}/{token}      -> 200 { "status": "valid" | "used" | "expired" }, 404 if unknown
+ *   POST {url}/{token}/use  -> 2xx once the token is marked used
+ */
+
+import { HttpError } from "../backends/restBackend.js";
+
+const STATUSES = ["valid", "used", "expired"];
+
+/**
+ * Create a verifier backed by an HTTP endpoint
+ *
+ * @param {Object} config - Verifier configuration
+ * @param {string} config.url - Base URL of the invitation endpoint
+ * @param {Object} config.headers - Extra request headers (e.g., Authorization)
+ * @param {Function} config.fetchImpl - fetch implementation (default: global fetch)
+ * @returns {Object} Invitation verifier
+ */
+export function createRestVerifier({ url, headers = {}, fetchImpl } = {}) {
+  const tokenUrl = (token) =>
+    `${url.replace(/\/+$/, "")}/${encodeURIComponent(token)}`;
+
+  return {
+    name: "rest",
+
+    async verify(token) {
+      const doFetch = fetchImpl || globalThis.fetch;
+      const response = await doFetch(tokenUrl(token), {
+        headers: { Accept: "application/json", ...headers },
+      });
+
+      if (response.status === 404) {
+        return { status: "invalid" };
+      }
+      if (!response.ok) {
+        throw new HttpError(response.status, response.statusText);
+      }
+
+      const body = await response.json();
+      return STATUSES.includes(body?.status)
+        ? { status: body.status }
+        : { status: "invalid" };
+    },
+
+    async markUsed(token, { responseId } = {}) {
+      const doFetch = fetchImpl || globalThis.fetch;
+      const response = await doFetch(`${tokenUrl(token)}/use`, {
+        method: "POST",
+        headers: { "Content-Type": "application/json", ...headers },
+        body: JSON.stringify({ responseId }),
+      });
+
+      if (!response.ok) {
+        throw new HttpError(response.status, response.statusText);
+      }
+    },
+  };
+}
@@ -0,0 +1,210 @@
+/**
+ * Response Import
+ * Checks responses typed into a spreadsheet (e.g. from paper questionnaires)
+ * against the same rules the web form applies before they are merged with
+ * the collected responses. The CSV uses the columns described in
+ * utils/responseFiles.js; each row goes through:
+ *
+ * - the exclusivity rule of the ranking grid: ranks are entered one by one
+ *   with applyRank, and a rank that the grid would have moved away from
+ *   another option is reported as a conflict
+ * - numeric cells (option numbers, numbers) that are not numbers are reported
+ *   as such, rather than as unanswered questions
+ * - validateForm: missing answers, rank rules, option ranges, "Other" text
+ *   and length limits
+ * - the sanitizers used at submit, for every free-text field
+ *
+ * Rows are reported by the line of the file they start on (the header is
+ * line 1), counting blank lines and the lines inside multi-line cells
+ */
+
+import { parseCsvRecordLines } from "../utils/csv.js";
+import { recordToPayload } from "../utils/responseFiles.js";
+import {
+  applyRank,
+  getRankingRowLabel,
+  OTHER_KEY,
+} from "../utils/rankingRules.js";
+import { validateForm } from "../utils/formValidation.js";
+import { sanitize } from "../utils/sanitization.js";
+import { getVisibleQuestions } from "../utils/conditions.js";
+import { getQuestionType, TEXT_TYPES } from "../utils/questionTypes.js";
+import { generateResponseId } from "../utils/responseId.js";
+import { translate } from "../utils/i18n.js";
+import { normalizeFormData } from "./formSubmissionService.js";
+
+/**
+ * Find ranks that the ranking grid would not have allowed together
+ * Ranks are entered in row order; when entering one clears another
+ * option's rank, both options are reported
+ *
+ * @param {Object} q - Ranking question (with resolved rank rules)
+ * @param {Object} qData - Ranks as typed
+ * @param {string} otherText - The question's "Other" text, for its label
+ * @param {Function} t - Translator
+ * @returns {Array<{rank: string, options: Array<string>}>} Conflicting ranks
+ */
+function findRankConflicts(q, qData, otherText, t) {
+  const conflicts = {};
+  let entered = {};
+
+  Object.keys(qData).forEach((key) => {
+    const rowKey = key === OTHER_KEY ? OTHER_KEY : Number(key);
+    const rank = qData[key];
+    if (!rank) return;
+
+    const next = applyRank(entered, rowKey, rank, q.rankRules);
+    Object.keys(entered)
+      .filter((other) => entered[other] && !next[other])
+      .forEach((other) => {
+        const otherKey = other === OTHER_KEY ? OTHER_KEY : Number(other);
+        conflicts[rank] = conflicts[rank] || [otherKey];
+        conflicts[rank].push(rowKey);
+      });
+    entered = next;
+  });
+
+  return Object.entries(conflicts).map(([rank, keys]) => ({
+    rank,
+    options: keys.map((key) => getRankingRowLabel(q, key, otherText, t)),
+  }));
+}
+
+/**
+ * Check one imported row
+ * @param {Object} record - CSV record
+ * @param {Object} definition - Survey definition with defaults applied
+ * @param {Function} t - Translator
+ * @returns {{errors: Array<string>, payload: Object}} Problems, and the payload to merge if there are none
+ */
+function checkRecord(record, definition, t) {
+  const { questions } = definition;
+  const row = recordToPayload(record, questions);
+  const errors = [];
+  const duplicateMessages = new Set();
+  // Questions whose cell could not be read; validateForm would only call
+  // them unanswered
+  const unreadable = new Set();
+
+  getVisibleQuestions(questions, row.responses).forEach((q) => {
+    const qData = row.responses[q.id];
+    const number = questions.findIndex((item) => item.id === q.id) + 1;
+
+    if (getQuestionType(q) !== "ranking") {
+      if ([qData].flat().some((value) => Number.isNaN(value))) {
+        unreadable.add(q.id);
+        errors.push(
+          t("import.notANumber", {
+            number,
+            value: String(record[q.id]).trim(),
+          })
+        );
+      }
+      return;
+    }
+    if (!qData) return;
+
+    findRankConflicts(q, qData, row.otherText[q.id], t).forEach(
+      ({ rank, options }) => {
+        errors.push(
+          t("import.rankConflict", {
+            number,
+            rank,
+            options: options.join(", "),
+          })
+        );
+        // validateForm reports the same problem without naming the options
+        duplicateMessages.add(
+          t("validation.problem", {
+            number,
+            problem: t("validation.rankDuplicate", { rank }),
+          })
+        );
+      }
+    );
+  });
+
+  validateForm(questions, row.responses, row.finalComment, {
+    requireFinalComment: definition.finalComment?.required,
+    otherText: row.otherText,
+    finalCommentMaxLength: definition.finalComment?.maxLength,
+    t,
+  }).errors.forEach((error) => {
+    if (error.type === "question" && unreadable.has(error.qId)) return;
+    if (!duplicateMessages.has(error.message)) {
+      errors.push(error.message);
+    }
+  });
+
+  const responses = { ...row.responses };
+  questions.forEach((q) => {
+    if (
+      TEXT_TYPES.includes(getQuestionType(q)) &&
+      typeof responses[q.id] === "string"
+    ) {
+      responses[q.id] = sanitize(responses[q.id]);
+    }
+  });
+  const otherText = Object.fromEntries(
+    Object.entries(row.otherText).map(([qId, text]) => [qId, sanitize(text)])
+  );
+
+  const payload = normalizeFormData(
+    questions,
+    responses,
+    otherText,
+    sanitize(row.finalComment),
+    {
+      responseId: row.responseId || generateResponseId(),
+      locale: row.locale || definition.locale,
+    }
+  );
+  if (row.timestamp) {
+    payload.timestamp = row.timestamp;
+  }
+
+  return { errors, payload };
+}
+
+/**
+ * Check spreadsheet rows before they are merged with collected responses
+ *
+ * @param {string} text - CSV text with a header row
+ * @param {Object} definition - Survey definition with defaults applied
+ * @param {Object} options - Import options
+ * @param {Function} options.t - Translator for the messages (default: English)
+ * @returns {{rows: number, payloads: Array<Object>, invalid: Array<{line: number, responseId: string|null, errors: Array<string>}>}}
+ *   Payloads of the valid rows and the problems found in the others
+ * @throws {Error} When the CSV itself cannot be read
+ */
+export function importResponses(text, definition, options = {}) {
+  const { t = translate } = options;
+  const records = parseCsvRecordLines(text);
+  const payloads = [];
+  const invalid = [];
+  const firstLineById = {};
+
+  records.forEach(({ line, record }) => {
+    const responseId = String(record.responseId ?? "").trim() || null;
+    const { errors, payload } = checkRecord(record, definition, t);
+
+    if (responseId && firstLineById[responseId]) {
+      errors.unshift(
+        t("import.duplicateId", {
+          id: responseId,
+          line: firstLineById[responseId],
+        })
+      );
+    } else if (responseId) {
+      firstLineById[responseId] = line;
+    }
+
+    if (errors.length > 0) {
+      invalid.push({ line, responseId, errors });
+    } else {
+      payloads.push(payload);
+    }
+  });
+
+  return { rows: records.length, payloads, invalid };
+}
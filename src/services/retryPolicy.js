@@ -0,0 +1,177 @@
+/**
+ * Retry Policy
+ * Error classification and exponential backoff with jitter for submissions
+ */
+
+export const DEFAULT_MAX_RETRIES = 3;
+export const DEFAULT_INITIAL_RETRY_DELAY_MS = 1000;
+export const DEFAULT_MAX_RETRY_DELAY_MS = 10000;
+export const DEFAULT_BACKOFF_MULTIPLIER = 2;
+
+// 408 Request Timeout and 429 Too Many Requests are worth retrying
+const RETRYABLE_CLIENT_STATUSES = [408, 429];
+
+/**
+ * Error raised by the submission service, tagged with a kind
+ * kind: "configuration" | "client" | "server" | "timeout" | "network" | "cancelled" | "internal" | "unknown"
+ */
+export class SubmissionError extends Error {
+  constructor(
+    message,
+    { kind = "unknown", retryable = false, status, cause } = {}
+  ) {
+    super(message);
+    this.name = "SubmissionError";
+    this.kind = kind;
+    this.retryable = retryable;
+    this.status = status;
+    this.cause = cause;
+  }
+}
+
+/**
+ * Run the network call of a backend, reporting its failure as a network error
+ * fetch rejects with a TypeError when the server can't be reached; only that
+ * rejection is a network problem, so a TypeError thrown anywhere else (a bug
+ * while building the payload, say) is not retried
+ *
+ * @param {Function} request - Async function making the request (e.g., fetch)
+ * @returns {Promise<*>} The request's result
+ * @throws {SubmissionError} "network" when the request fails; an AbortError
+ *   is passed on so it can be classified as a timeout or cancellation
+ */
+export async function callNetwork(request) {
+  try {
+    return await request();
+  } catch (error) {
+    if (error?.name === "AbortError") {
+      throw error;
+    }
+    throw new SubmissionError("Network error - unable to reach server", {
+      kind: "network",
+      retryable: true,
+      cause: error,
+    });
+  }
+}
+
+/**
+ * Classify an error from a submission attempt
+ * Configuration errors, 4xx responses and errors in the code itself fail
+ * fast; timeouts, network errors (see callNetwork) and 5xx responses are
+ * retried
+ *
+ * @param {Error} error - Error thrown by a backend
+ * @param {Object} context - Attempt context
+ * @param {number} context.timeout - Request timeout in ms (used in the message)
+ * @returns {SubmissionError} Classified error
+ */
+export function classifySubmissionError(error, { timeout } = {}) {
+  if (error instanceof SubmissionError) {
+    return error;
+  }
+
+  if (error?.name === "AbortError") {
+    return new SubmissionError(`Request timeout after ${timeout}ms`, {
+      kind: "timeout",
+      retryable: true,
+      cause: error,
+    });
+  }
+
+  if (
+    error instanceof TypeError ||
+    error instanceof ReferenceError ||
+    error instanceof RangeError
+  ) {
+    return new SubmissionError(error.message, {
+      kind: "internal",
+      retryable: false,
+      cause: error,
+    });
+  }
+
+  const status = error?.status;
+  if (typeof status === "number") {
+    if (status >= 500) {
+      return new SubmissionError(error.message, {
+        kind: "server",
+        retryable: true,
+        status,
+        cause: error,
+      });
+    }
+    if (status >= 400) {
+      return new SubmissionError(error.message, {
+        kind: "client",
+        retryable: RETRYABLE_CLIENT_STATUSES.includes(status),
+        status,
+        cause: error,
+      });
+    }
+  }
+
+  if ((error?.message || "").includes("not configured")) {
+    return new SubmissionError(error.message, {
+      kind: "configuration",
+      retryable: false,
+      cause: error,
+    });
+  }
+
+  return new SubmissionError(error?.message || "Unknown error", {
+    kind: "unknown",
+    retryable: true,
+    cause: error,
+  });
+}
+
+/**
+ * Create a retry policy
+ * Delays grow exponentially from initialDelay, are capped at maxDelay and,
+ * with full jitter, are drawn uniformly from [0, capped delay]
+ *
+ * @param {Object} options - Policy options
+ * @param {number} options.maxRetries - Total attempts allowed (default: 3)
+ * @param {number} options.initialDelay - Base delay in ms (default: 1000)
+ * @param {number} options.maxDelay - Delay cap in ms (default: 10000)
+ * @param {number} options.multiplier - Growth factor per attempt (default: 2)
+ * @param {string} options.jitter - "full" (default) or "none"
+ * @param {Function} options.random - Random source returning [0, 1) (default: Math.random)
+ * @returns {Object} { maxRetries, getDelay(attempt), shouldRetry(error, attempt) }
+ */
+export function createRetryPolicy(options = {}) {
+  const {
+    maxRetries = DEFAULT_MAX_RETRIES,
+    initialDelay = DEFAULT_INITIAL_RETRY_DELAY_MS,
+    maxDelay = DEFAULT_MAX_RETRY_DELAY_MS,
+    multiplier = DEFAULT_BACKOFF_MULTIPLIER,
+    jitter = "full",
+    random = Math.random,
+  } = options;
+
+  return {
+    maxRetries,
+
+    /**
+     * Delay before the retry that follows the given attempt
+     * @param {number} attempt - Attempt that just failed (1-based)
+     * @returns {number} Delay in ms
+     */
+    getDelay(attempt) {
+      const exponential = initialDelay * multiplier ** (attempt - 1);
+      const capped = Math.min(maxDelay, exponential);
+      return jitter === "full" ? Math.floor(random() * capped) : capped;
+    },
+
+    /**
+     * Whether another attempt should follow the given failure
+     * @param {SubmissionError} error - Classified error
+     * @param {number} attempt - Attempt that just failed (1-based)
+     * @returns {boolean} True if the submission should be retried
+     */
+    shouldRetry(error, attempt) {
+      return attempt < maxRetries && error.retryable;
+    },
+  };
+}
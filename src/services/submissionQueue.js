@@ -0,0 +1,192 @@
+/**
+ * Submission Queue Service
+ * IndexedDB-backed outbox for responses that could not be sent,
+ * replayed when the browser comes back online or on the next visit
+ */
+
+const DB_NAME = "survey-outbox";
+const DB_VERSION = 1;
+const STORE_NAME = "submissions";
+
+let defaultStore = null;
+let activeReplay = null;
+
+/**
+ * Build a stable ID for a payload so the same response is only queued once
+ * Uses the payload's response ID; older payloads without one fall back to
+ * the original timestamp combined with a hash of the payload content
+ *
+ * @param {Object} data - Normalized form data
+ * @returns {string} Queue item ID
+ */
+export function getQueueItemId(data) {
+  if (data.responseId) {
+    return data.responseId;
+  }
+
+  const text = JSON.stringify(data);
+  let hash = 0;
+  for (let i = 0; i < text.length; i++) {
+    hash = (hash * 31 + text.charCodeAt(i)) | 0;
+  }
+  return `${data.timestamp}:${(hash >>> 0).toString(16)}`;
+}
+
+/**
+ * Check whether a failed submission should be kept for later
+ * Configuration problems, rejected (4xx) requests and errors in the code
+ * itself will not fix themselves, and cancelled ones were stopped on
+ * purpose, so they are not queued
+ *
+ * @param {Error} error - Error from submitForm
+ * @returns {boolean} True if the payload should go to the outbox
+ */
+export function shouldQueueSubmission(error) {
+  if (["configuration", "cancelled", "internal"].includes(error?.kind)) {
+    return false;
+  }
+  if (error?.kind === "client") {
+    return Boolean(error.retryable);
+  }
+  return !(error?.message || "").includes("not configured");
+}
+
+/**
+ * Wrap an IDBRequest in a promise
+ * @param {IDBRequest} request - IndexedDB request
+ * @returns {Promise<*>} Request result
+ */
+function promisifyRequest(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/**
+ * Create an IndexedDB-backed queue store
+ *
+ * @param {IDBFactory} idb - IndexedDB factory (default: globalThis.indexedDB)
+ * @returns {Object} Store with getAll(), put(item) and delete(id)
+ */
+export function createIndexedDbStore(idb = globalThis.indexedDB) {
+  let dbPromise = null;
+
+  const openDb = () => {
+    if (!dbPromise) {
+      if (!idb) {
+        return Promise.reject(new Error("IndexedDB is not available"));
+      }
+      const request = idb.open(DB_NAME, DB_VERSION);
+      request.onupgradeneeded = () => {
+        request.result.createObjectStore(STORE_NAME, { keyPath: "id" });
+      };
+      dbPromise = promisifyRequest(request);
+    }
+    return dbPromise;
+  };
+
+  const withStore = async (mode, callback) => {
+    const db = await openDb();
+    const tx = db.transaction(STORE_NAME, mode);
+    return promisifyRequest(callback(tx.objectStore(STORE_NAME)));
+  };
+
+  return {
+    getAll: () => withStore("readonly", (store) => store.getAll()),
+    put: (item) => withStore("readwrite", (store) => store.put(item)),
+    delete: (id) => withStore("readwrite", (store) => store.delete(id)),
+  };
+}
+
+/**
+ * Get the shared IndexedDB store used by the app
+ * @returns {Object} Queue store
+ */
+function getDefaultStore() {
+  if (!defaultStore) {
+    defaultStore = createIndexedDbStore();
+  }
+  return defaultStore;
+}
+
+/**
+ * Add a payload to the outbox
+ * Queuing the same payload twice keeps a single entry
+ *
+ * @param {Object} data - Normalized form data (keeps its original timestamp)
+ * @param {Object} store - Queue store (default: IndexedDB)
+ * @returns {Promise<string>} Queue item ID
+ */
+export async function enqueueSubmission(data, store = getDefaultStore()) {
+  const id = getQueueItemId(data);
+  await store.put({
+    id,
+    data,
+    queuedAt: new Date().toISOString(),
+    attempts: 0,
+    lastError: null,
+  });
+  return id;
+}
+
+/**
+ * List queued submissions, oldest first
+ * @param {Object} store - Queue store (default: IndexedDB)
+ * @returns {Promise<Array>} Queued items
+ */
+export async function getQueuedSubmissions(store = getDefaultStore()) {
+  const items = await store.getAll();
+  return [...items].sort((a, b) => a.queuedAt.localeCompare(b.queuedAt));
+}
+
+/**
+ * Send every queued submission and remove the ones that succeed
+ * Items are keyed by payload ID so a response is stored once, and
+ * concurrent calls share a single replay so an item is never in flight twice
+ * Items that fail in a way retrying cannot fix (see shouldQueueSubmission)
+ * are dropped instead of being retried on every replay
+ *
+ * @param {Function} send - Async function that submits one payload
+ * @param {Object} store - Queue store (default: IndexedDB)
+ * @returns {Promise<{sent: number, remaining: number, dropped: Array}>}
+ *   dropped holds { id, error } for each item removed without being sent
+ */
+export function replayQueue(send, store = getDefaultStore()) {
+  if (activeReplay) {
+    return activeReplay;
+  }
+
+  activeReplay = (async () => {
+    const items = await getQueuedSubmissions(store);
+    let sent = 0;
+    let remaining = 0;
+    const dropped = [];
+
+    for (const item of items) {
+      try {
+        await send(item.data);
+        await store.delete(item.id);
+        sent++;
+      } catch (error) {
+        if (!shouldQueueSubmission(error)) {
+          await store.delete(item.id);
+          dropped.push({ id: item.id, error: error.message });
+          continue;
+        }
+        remaining++;
+        await store.put({
+          ...item,
+          attempts: item.attempts + 1,
+          lastError: error.message,
+        });
+      }
+    }
+
+    return { sent, remaining, dropped };
+  })().finally(() => {
+    activeReplay = null;
+  });
+
+  return activeReplay;
+}
@@ -0,0 +1,209 @@
+/**
+ * Survey Definition Service
+ * Loads, parses and validates the questionnaire definition at startup
+ */
+
+import {
+  validateSurveyDefinition,
+  validateTranslation,
+  applyDefinitionDefaults,
+  LAYOUTS,
+} from "../utils/surveyDefinition.js";
+
+export const DEFAULT_DEFINITION_URL = "/surveys/satchari-ecotourism.json";
+
+/**
+ * Error thrown when a survey definition cannot be loaded or is malformed
+ * `details` carries the individual schema errors ({path, message})
+ */
+export class SurveyDefinitionError extends Error {
+  constructor(message, details = []) {
+    super(message);
+    this.name = "SurveyDefinitionError";
+    this.details = details;
+  }
+}
+
+/**
+ * Resolve which definition to load
+ * A `?survey=` URL parameter overrides the configured default
+ *
+ * @param {string} search - Query string (e.g., window.location.search)
+ * @returns {string} Definition URL
+ */
+export function resolveDefinitionUrl(search = "") {
+  const params = new URLSearchParams(search);
+  return (
+    params.get("survey") ||
+    import.meta.env?.VITE_SURVEY_DEFINITION_URL ||
+    DEFAULT_DEFINITION_URL
+  );
+}
+
+/**
+ * Resolve the form layout
+ * A `?layout=paged` or `?layout=single-page` URL parameter overrides the definition
+ *
+ * @param {string} search - Query string (e.g., window.location.search)
+ * @param {Object} definition - Survey definition with defaults applied
+ * @returns {string} "single-page" or "paged"
+ */
+export function resolveLayout(search = "", definition = {}) {
+  const requested = new URLSearchParams(search).get("layout");
+  if (LAYOUTS.includes(requested)) {
+    return requested;
+  }
+  return definition.layout || "single-page";
+}
+
+/**
+ * Parse raw definition text as JSON or YAML
+ * YAML is chosen by file extension or content type; the parser is only
+ * loaded when a YAML definition is actually requested
+ *
+ * @param {string} text - Raw definition text
+ * @param {string} url - Source URL (used to detect the format)
+ * @param {string} contentType - Response content type
+ * @returns {Promise<Object>} Parsed definition
+ */
+export async function parseDefinitionText(text, url = "", contentType = "") {
+  const isYaml =
+    /\.ya?ml(\?|#|$)/i.test(url) || /yaml/i.test(contentType || "");
+
+  try {
+    if (isYaml) {
+      const { parse } = await import("yaml");
+      return parse(text);
+    }
+    return JSON.parse(text);
+  } catch (error) {
+    throw new SurveyDefinitionError(
+      `Survey definition is not valid ${isYaml ? "YAML" : "JSON"}: ${error.message}`
+    );
+  }
+}
+
+/**
+ * Resolve a translation file path against the definition URL
+ * Relative paths are looked up next to the definition
+ *
+ * @param {string} path - Translation path from the definition
+ * @param {string} definitionUrl - URL the definition was loaded from
+ * @returns {string} Translation URL
+ */
+export function resolveTranslationUrl(path, definitionUrl) {
+  if (/^([a-z][a-z0-9+.-]*:|\/)/i.test(path)) {
+    return path;
+  }
+  return definitionUrl.replace(/[?#].*$/, "").replace(/[^/]*$/, "") + path;
+}
+
+/**
+ * Fetch and parse one translation file
+ * @param {string} url - Translation URL
+ * @param {Function} fetchImpl - fetch implementation
+ * @returns {Promise<Object>} Parsed translation
+ */
+async function fetchTranslation(url, fetchImpl) {
+  const response = await fetchImpl(url, {
+    headers: { Accept: "application/json, application/yaml" },
+  });
+  if (!response.ok) {
+    throw new Error(`HTTP ${response.status}`);
+  }
+  return parseDefinitionText(
+    await response.text(),
+    url,
+    response.headers?.get("content-type")
+  );
+}
+
+/**
+ * Load and check the translations a definition lists
+ * A translation that cannot be loaded or does not match the survey is left
+ * out with a warning, so the survey still opens in its own language
+ *
+ * @param {Object} definition - Validated definition
+ * @param {string} definitionUrl - URL the definition was loaded from
+ * @param {Function} fetchImpl - fetch implementation
+ * @returns {Promise<Object>} Translations by locale
+ */
+async function loadTranslations(definition, definitionUrl, fetchImpl) {
+  const entries = await Promise.all(
+    Object.entries(definition.translations || {}).map(
+      async ([locale, entry]) => {
+        try {
+          const translation =
+            typeof entry === "string"
+              ? await fetchTranslation(
+                  resolveTranslationUrl(entry, definitionUrl),
+                  fetchImpl
+                )
+              : entry;
+
+          const { isValid, errors } = validateTranslation(
+            translation,
+            definition
+          );
+          if (!isValid) {
+            console.warn(`Ignoring "${locale}" translation:`, errors);
+            return null;
+          }
+          return [locale, translation];
+        } catch (error) {
+          console.warn(`Unable to load "${locale}" translation:`, error);
+          return null;
+        }
+      }
+    )
+  );
+
+  return Object.fromEntries(entries.filter(Boolean));
+}
+
+/**
+ * Fetch and validate a survey definition
+ * Translations listed in the definition are loaded alongside it
+ *
+ * @param {string} url - Definition URL
+ * @param {Object} options - Configuration options
+ * @param {Function} options.fetchImpl - fetch implementation (default: global fetch)
+ * @returns {Promise<Object>} Validated definition with defaults applied
+ * @throws {SurveyDefinitionError} When the definition cannot be loaded or is malformed
+ */
+export async function loadSurveyDefinition(url, options = {}) {
+  const { fetchImpl = fetch } = options;
+
+  let response;
+  try {
+    response = await fetchImpl(url, {
+      headers: { Accept: "application/json, application/yaml" },
+    });
+  } catch (error) {
+    throw new SurveyDefinitionError(
+      `Unable to load survey definition from ${url}: ${error.message}`
+    );
+  }
+
+  if (!response.ok) {
+    throw new SurveyDefinitionError(
+      `Unable to load survey definition from ${url} (HTTP ${response.status})`
+    );
+  }
+
+  const text = await response.text();
+  const definition = await parseDefinitionText(
+    text,
+    url,
+    response.headers?.get("content-type")
+  );
+
+  const { isValid, errors } = validateSurveyDefinition(definition);
+  if (!isValid) {
+    throw new SurveyDefinitionError("Survey definition is malformed", errors);
+  }
+
+  const translations = await loadTranslations(definition, url, fetchImpl);
+
+  return applyDefinitionDefaults({ ...definition, translations });
+}
@@ -0,0 +1,21 @@
+/**
+ * Test helper: in-memory stand-in for localStorage
+ * Kept outside src/__tests__ so the test runner doesn't collect it as a suite
+ */
+
+/**
+ * Create an empty in-memory storage
+ * @returns {Object} Storage with getItem/setItem/removeItem
+ */
+export function createMemoryStorage() {
+  const items = {};
+  return {
+    getItem: (key) => (key in items ? items[key] : null),
+    setItem: (key, value) => {
+      items[key] = String(value);
+    },
+    removeItem: (key) => {
+      delete items[key];
+    },
+  };
+}
@@ -0,0 +1,252 @@
+/**
+ * Anti-Bot Utilities
+ * Self-contained signals for spotting automated submissions. None of these
+ * can stop a determined bot on their own, so apart from the rate limit the
+ * form does not refuse anything: the signals travel in the payload and the
+ * receiving end decides what to reject
+ *
+ * - honeypot: a field hidden from people that bots tend to fill in
+ * - fill time: time from the form's first render to submit
+ * - rate limit: submissions from this browser within a time window
+ * - proof of work: a nonce whose SHA-256 hash starts with `difficulty` zero bits
+ */
+
+const SUBMISSIONS_KEY_PREFIX = "survey-submissions:";
+const MAX_POW_DIFFICULTY = 24;
+
+export const HONEYPOT_FIELD = "website";
+
+export const ANTI_BOT_DEFAULTS = {
+  minFillTimeMs: 10 * 1000,
+  rateLimit: 3,
+  rateWindowMs: 60 * 60 * 1000,
+  powDifficulty: 0,
+};
+
+/**
+ * Read a non-negative number from an environment variable
+ * @param {string} value - Raw value
+ * @param {number} fallback - Used when the value is missing or not a number
+ * @returns {number} Parsed value
+ */
+function readNumber(value, fallback) {
+  const number = Number(value);
+  return value !== undefined && value !== "" && number >= 0 ? number : fallback;
+}
+
+/**
+ * Read anti-bot configuration from Vite environment variables
+ *
+ * VITE_ANTIBOT_MIN_FILL_SECONDS     - Faster submissions are flagged (default: 10)
+ * VITE_ANTIBOT_RATE_LIMIT           - Submissions allowed per window, 0 for no limit (default: 3)
+ * VITE_ANTIBOT_RATE_WINDOW_MINUTES  - Rate limit window (default: 60)
+ * VITE_ANTIBOT_POW_DIFFICULTY       - Proof-of-work zero bits, 0 to turn off (default: 0)
+ *
+ * @param {Object} env - Environment variables (e.g., import.meta.env)
+ * @returns {Object} Anti-bot configuration
+ */
+export function getAntiBotConfigFromEnv(env = {}) {
+  const defaults = ANTI_BOT_DEFAULTS;
+  return {
+    minFillTimeMs:
+      readNumber(
+        env.VITE_ANTIBOT_MIN_FILL_SECONDS,
+        defaults.minFillTimeMs / 1000
+      ) * 1000,
+    rateLimit: Math.floor(
+      readNumber(env.VITE_ANTIBOT_RATE_LIMIT, defaults.rateLimit)
+    ),
+    rateWindowMs:
+      readNumber(
+        env.VITE_ANTIBOT_RATE_WINDOW_MINUTES,
+        defaults.rateWindowMs / 60000
+      ) * 60000,
+    powDifficulty: Math.min(
+      Math.floor(
+        readNumber(env.VITE_ANTIBOT_POW_DIFFICULTY, defaults.powDifficulty)
+      ),
+      MAX_POW_DIFFICULTY
+    ),
+  };
+}
+
+/**
+ * Get the storage key for a survey's submission log
+ * @param {string} surveyId - Survey definition ID
+ * @returns {string} localStorage key
+ */
+function getSubmissionsKey(surveyId) {
+  return `${SUBMISSIONS_KEY_PREFIX}${surveyId}`;
+}
+
+/**
+ * Get the times this browser submitted the survey within the window
+ *
+ * @param {string} surveyId - Survey definition ID
+ * @param {Object} options - Lookup options
+ * @param {number} options.windowMs - Window length (default: one hour)
+ * @param {number} options.now - Current time in ms (default: Date.now())
+ * @param {Storage} options.storage - Storage backend (default: localStorage)
+ * @returns {Array<number>} Submission times in ms, oldest first
+ */
+export function getRecentSubmissions(surveyId, options = {}) {
+  const {
+    windowMs = ANTI_BOT_DEFAULTS.rateWindowMs,
+    now = Date.now(),
+    storage = globalThis.localStorage,
+  } = options;
+
+  try {
+    const stored = JSON.parse(storage.getItem(getSubmissionsKey(surveyId)));
+    return Array.isArray(stored)
+      ? stored.filter((time) => Number.isFinite(time) && now - time < windowMs)
+      : [];
+  } catch {
+    return [];
+  }
+}
+
+/**
+ * Log a submission from this browser, dropping entries outside the window
+ *
+ * @param {string} surveyId - Survey definition ID
+ * @param {Object} options - Same options as getRecentSubmissions
+ */
+export function recordSubmission(surveyId, options = {}) {
+  const { now = Date.now(), storage = globalThis.localStorage } = options;
+  const times = [...getRecentSubmissions(surveyId, options), now];
+
+  try {
+    storage.setItem(getSubmissionsKey(surveyId), JSON.stringify(times));
+  } catch (error) {
+    console.warn("Unable to record submission:", error);
+  }
+}
+
+/**
+ * Count the leading zero bits of a digest
+ * @param {Uint8Array} bytes - Digest bytes
+ * @returns {number} Number of leading zero bits
+ */
+function countLeadingZeroBits(bytes) {
+  let bits = 0;
+  for (const byte of bytes) {
+    if (byte === 0) {
+      bits += 8;
+      continue;
+    }
+    return bits + Math.clz32(byte) - 24;
+  }
+  return bits;
+}
+
+/**
+ * Hash a proof-of-work attempt
+ * @param {string} challenge - Challenge string
+ * @param {number} nonce - Attempt number
+ * @returns {Promise<Uint8Array>} SHA-256 digest of "challenge:nonce"
+ */
+async function hashAttempt(challenge, nonce) {
+  const digest = await globalThis.crypto.subtle.digest(
+    "SHA-256",
+    new TextEncoder().encode(`${challenge}:${nonce}`)
+  );
+  return new Uint8Array(digest);
+}
+
+/**
+ * Find a nonce whose hash with the challenge starts with enough zero bits
+ * Yields to the event loop regularly so the page stays responsive
+ *
+ * @param {string} challenge - Challenge string (the response ID)
+ * @param {number} difficulty - Required leading zero bits
+ * @param {Object} options - Solver options
+ * @param {AbortSignal} options.signal - Stops the search
+ * @returns {Promise<{challenge: string, difficulty: number, nonce: number}>}
+ * @throws {DOMException} AbortError when the signal fires
+ */
+export async function solveProofOfWork(challenge, difficulty, options = {}) {
+  const { signal } = options;
+
+  for (let nonce = 0; ; nonce++) {
+    if (signal?.aborted) {
+      throw new DOMException("Proof of work cancelled", "AbortError");
+    }
+    const bytes = await hashAttempt(challenge, nonce);
+    if (countLeadingZeroBits(bytes) >= difficulty) {
+      return { challenge, difficulty, nonce };
+    }
+    if (nonce % 500 === 499) {
+      await new Promise((resolve) => setTimeout(resolve, 0));
+    }
+  }
+}
+
+/**
+ * Wait for a promise unless the signal fires first
+ * @param {Promise} promise - Promise to wait for
+ * @param {AbortSignal} signal - Stops the wait (optional)
+ * @returns {Promise} Settles like the promise, or rejects with an AbortError
+ */
+export function waitUnlessAborted(promise, signal) {
+  if (!signal) return promise;
+  return new Promise((resolve, reject) => {
+    const abort = () =>
+      reject(new DOMException("Wait cancelled", "AbortError"));
+    if (signal.aborted) {
+      abort();
+      return;
+    }
+    signal.addEventListener("abort", abort, { once: true });
+    Promise.resolve(promise)
+      .then(resolve, reject)
+      .finally(() => signal.removeEventListener("abort", abort));
+  });
+}
+
+/**
+ * Check a proof of work (as the receiving end would)
+ * @param {Object} proof - { challenge, difficulty, nonce }
+ * @returns {Promise<boolean>} True if the hash has enough zero bits
+ */
+export async function verifyProofOfWork(proof) {
+  if (!proof || typeof proof.challenge !== "string") {
+    return false;
+  }
+  const bytes = await hashAttempt(proof.challenge, proof.nonce);
+  return countLeadingZeroBits(bytes) >= proof.difficulty;
+}
+
+/**
+ * Build the anti-bot signals sent with a response
+ * `flags` lists what looked automated: "honeypot" and/or "too-fast"
+ *
+ * @param {Object} input - Collected values
+ * @param {string} input.honeypot - Value of the hidden field
+ * @param {number} input.startedAt - First render time in ms
+ * @param {number} input.submittedAt - Submit time in ms
+ * @param {number} input.recentSubmissions - Earlier submissions in the window
+ * @param {Object} input.proofOfWork - Solved proof of work, or null
+ * @param {Object} config - Anti-bot configuration
+ * @returns {Object} Signals for the payload
+ */
+export function collectAntiBotSignals(input, config = ANTI_BOT_DEFAULTS) {
+  const {
+    honeypot = "",
+    startedAt,
+    submittedAt,
+    recentSubmissions = 0,
+    proofOfWork = null,
+  } = input;
+  const fillTimeMs = Math.max(0, submittedAt - startedAt);
+  const flags = [];
+
+  if (honeypot.trim() !== "") {
+    flags.push("honeypot");
+  }
+  if (fillTimeMs < config.minFillTimeMs) {
+    flags.push("too-fast");
+  }
+
+  return { fillTimeMs, recentSubmissions, proofOfWork, flags };
+}
@@ -0,0 +1,169 @@
+/**
+ * Conditional (Skip) Logic
+ * Evaluates `showIf` / `sectionShowIf` conditions against earlier answers
+ *
+ * Condition forms:
+ *   { question: "q7", option: 0, rankIn: ["1", "2"] }  - option 0 of q7 ranked 1 or 2
+ *   { question: "q7", rankIn: ["1", "2"] }             - any option of q7 ranked 1 or 2
+ *   { question: "q7", answered: true }                 - q7 has any answer
+ *   { question: "q10", valueIn: [3, 4] }               - choice/Likert q10 has option 3 or 4 picked
+ *   { all: [...] }, { any: [...] }, { not: {...} }     - combinators
+ */
+
+import { assignSections } from "./sections.js";
+import { isAnswered } from "./questionTypes.js";
+
+/**
+ * Get the ranks given to a question, optionally for one option only
+ * @param {Object} qData - Response data for a question
+ * @param {number} option - Option index (optional)
+ * @returns {Array<string>} Non-empty rank values
+ */
+function getRanks(qData, option) {
+  if (!qData || typeof qData !== "object" || Array.isArray(qData)) return [];
+  const values = option === undefined ? Object.values(qData) : [qData[option]];
+  return values.filter((rank) => rank && rank !== "");
+}
+
+/**
+ * Get the option indices picked in a choice or Likert answer
+ * @param {*} value - Stored answer
+ * @returns {Array<number>} Picked option indices
+ */
+function getPickedOptions(value) {
+  if (Array.isArray(value)) return value;
+  return typeof value === "number" ? [value] : [];
+}
+
+/**
+ * Evaluate a condition against responses
+ * A missing condition always passes
+ *
+ * @param {Object|null} condition - Condition object
+ * @param {Object} responses - Form responses object
+ * @returns {boolean} True if the condition holds
+ */
+export function evaluateCondition(condition, responses) {
+  if (!condition) return true;
+
+  if (Array.isArray(condition.all)) {
+    return condition.all.every((c) => evaluateCondition(c, responses));
+  }
+  if (Array.isArray(condition.any)) {
+    return condition.any.some((c) => evaluateCondition(c, responses));
+  }
+  if (condition.not) {
+    return !evaluateCondition(condition.not, responses);
+  }
+
+  const value = responses[condition.question];
+
+  if (Array.isArray(condition.rankIn)) {
+    return getRanks(value, condition.option).some((rank) =>
+      condition.rankIn.includes(rank)
+    );
+  }
+  if (Array.isArray(condition.valueIn)) {
+    return getPickedOptions(value).some((optIdx) =>
+      condition.valueIn.includes(optIdx)
+    );
+  }
+  if (condition.answered !== undefined) {
+    const answered =
+      condition.option === undefined
+        ? isAnswered(value)
+        : getRanks(value, condition.option).length > 0;
+    return answered === Boolean(condition.answered);
+  }
+
+  return false;
+}
+
+/**
+ * Get the questions currently shown to the respondent
+ * Conditions only see answers to visible questions, so hiding a question
+ * also hides anything that depends on it
+ *
+ * @param {Array} questions - Array of question objects
+ * @param {Object} responses - Form responses object
+ * @returns {Array} Visible questions, in order, annotated with their section
+ */
+export function getVisibleQuestions(questions, responses) {
+  const visibleResponses = {};
+
+  return assignSections(questions).filter((q) => {
+    const visible =
+      evaluateCondition(q.sectionShowIf, visibleResponses) &&
+      evaluateCondition(q.showIf, visibleResponses);
+
+    if (visible && responses[q.id] !== undefined) {
+      visibleResponses[q.id] = responses[q.id];
+    }
+    return visible;
+  });
+}
+
+/**
+ * Validate the structure of a condition
+ * Referenced questions must appear earlier in the survey
+ *
+ * @param {*} condition - Condition from the survey definition
+ * @param {string} path - Path used in error messages
+ * @param {Set<string>} earlierIds - IDs of questions before this one
+ * @returns {Array<{path, message}>} Errors found
+ */
+export function validateCondition(condition, path, earlierIds) {
+  if (!condition || typeof condition !== "object" || Array.isArray(condition)) {
+    return [{ path, message: "Condition must be an object" }];
+  }
+
+  for (const key of ["all", "any"]) {
+    if (condition[key] !== undefined) {
+      if (!Array.isArray(condition[key]) || condition[key].length === 0) {
+        return [
+          {
+            path: `${path}.${key}`,
+            message: `"${key}" must be a non-empty list`,
+          },
+        ];
+      }
+      return condition[key].flatMap((c, idx) =>
+        validateCondition(c, `${path}.${key}[${idx}]`, earlierIds)
+      );
+    }
+  }
+
+  if (condition.not !== undefined) {
+    return validateCondition(condition.not, `${path}.not`, earlierIds);
+  }
+
+  const errors = [];
+  if (!earlierIds.has(condition.question)) {
+    errors.push({
+      path: `${path}.question`,
+      message: `Condition must refer to an earlier question (got "${condition.question}")`,
+    });
+  }
+  if (condition.option !== undefined && !Number.isInteger(condition.option)) {
+    errors.push({ path: `${path}.option`, message: "Option must be an index" });
+  }
+  if (
+    condition.rankIn === undefined &&
+    condition.valueIn === undefined &&
+    condition.answered === undefined
+  ) {
+    errors.push({
+      path,
+      message: 'Condition needs "rankIn", "valueIn" or "answered"',
+    });
+  }
+  for (const key of ["rankIn", "valueIn"]) {
+    if (condition[key] !== undefined && !Array.isArray(condition[key])) {
+      errors.push({
+        path: `${path}.${key}`,
+        message: `"${key}" must be a list`,
+      });
+    }
+  }
+  return errors;
+}
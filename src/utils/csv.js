@@ -0,0 +1,140 @@
+/**
+ * CSV Utilities
+ * Reads and writes comma-separated text as used by spreadsheet exports
+ * (RFC 4180): fields may be quoted, quotes inside quoted fields are doubled,
+ * and quoted fields may span lines. A leading byte order mark is ignored
+ */
+
+/**
+ * Split CSV text into rows of fields, with the line each row starts on
+ * Blank lines are skipped but still counted, and a quoted field spanning
+ * lines counts every line it covers, so `line` matches the source text
+ *
+ * @param {string} text - CSV text
+ * @returns {Array<{line: number, fields: Array<string>}>} Rows, with 1-based line numbers
+ * @throws {Error} When a quoted field is never closed
+ */
+export function parseCsvRows(text) {
+  const source = String(text ?? "").replace(/^\uFEFF/, "");
+  const rows = [];
+  let row = [];
+  let field = "";
+  let quoted = false;
+  let quoteLine = 0;
+  let line = 1;
+  let rowLine = 1;
+
+  const endField = () => {
+    row.push(field);
+    field = "";
+  };
+  const endRow = () => {
+    endField();
+    if (row.length > 1 || row[0] !== "") {
+      rows.push({ line: rowLine, fields: row });
+    }
+    row = [];
+    rowLine = line;
+  };
+
+  for (let i = 0; i < source.length; i++) {
+    const char = source[i];
+
+    if (quoted) {
+      if (char === '"' && source[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        if (char === "\n" || (char === "\r" && source[i + 1] !== "\n")) {
+          line++;
+        }
+        field += char;
+      }
+    } else if (char === '"' && field === "") {
+      quoted = true;
+      quoteLine = line;
+    } else if (char === ",") {
+      endField();
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && source[i + 1] === "\n") i++;
+      line++;
+      endRow();
+    } else {
+      field += char;
+    }
+  }
+
+  if (quoted) {
+    throw new Error(`Unterminated quoted field starting on line ${quoteLine}`);
+  }
+  if (field !== "" || row.length > 0) {
+    endRow();
+  }
+  return rows;
+}
+
+/**
+ * Split CSV text into rows of fields
+ * Blank lines are skipped
+ *
+ * @param {string} text - CSV text
+ * @returns {Array<Array<string>>} Rows of field values
+ * @throws {Error} When a quoted field is never closed
+ */
+export function parseCsv(text) {
+  return parseCsvRows(text).map((row) => row.fields);
+}
+
+/**
+ * Read CSV text with a header row into one object per row, with the line
+ * each row starts on
+ * Missing trailing fields are read as ""; surrounding whitespace is trimmed
+ * from column names
+ *
+ * @param {string} text - CSV text
+ * @returns {Array<{line: number, record: Object}>} Records keyed by column name
+ */
+export function parseCsvRecordLines(text) {
+  const [header = { fields: [] }, ...rows] = parseCsvRows(text);
+  const columns = header.fields.map((name) => name.trim());
+
+  return rows.map(({ line, fields }) => ({
+    line,
+    record: Object.fromEntries(
+      columns.map((name, idx) => [name, fields[idx] ?? ""])
+    ),
+  }));
+}
+
+/**
+ * Read CSV text with a header row into one object per row
+ * Missing trailing fields are read as ""; surrounding whitespace is trimmed
+ * from column names
+ *
+ * @param {string} text - CSV text
+ * @returns {Array<Object>} Records keyed by column name
+ */
+export function parseCsvRecords(text) {
+  return parseCsvRecordLines(text).map(({ record }) => record);
+}
+
+/**
+ * Quote a field when it holds a comma, quote or line break
+ * @param {*} value - Field value; null and undefined are written as ""
+ * @returns {string} CSV field
+ */
+function formatField(value) {
+  const text = value === null || value === undefined ? "" : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Write rows of fields as CSV text, with CRLF line endings
+ * @param {Array<Array<*>>} rows - Rows of field values
+ * @returns {string} CSV text
+ */
+export function formatCsv(rows) {
+  return rows.map((row) => row.map(formatField).join(",") + "\r\n").join("");
+}
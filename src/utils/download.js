@@ -0,0 +1,55 @@
+/**
+ * File Downloads
+ * Saves generated text as a file from the browser, or prints a generated
+ * HTML page
+ */
+
+// Revoking a download URL right after the click can cancel the download in
+// Safari and older Firefox, which start it asynchronously
+const REVOKE_DELAY_MS = 10 * 1000;
+// Fallback for browsers that never fire "afterprint" for a frame
+const PRINT_FRAME_TIMEOUT_MS = 60 * 1000;
+
+/**
+ * Offer text as a file download
+ * @param {string} content - File contents
+ * @param {string} fileName - Suggested file name
+ * @param {string} type - MIME type (e.g. "text/csv")
+ */
+export function downloadFile(content, fileName, type) {
+  const blob = new Blob([content], { type });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = fileName;
+  link.click();
+  setTimeout(() => URL.revokeObjectURL(url), REVOKE_DELAY_MS);
+}
+
+/**
+ * Open the print dialog for an HTML document
+ * The document is printed from a hidden frame, so no popup is needed and
+ * the page itself is not printed. The frame is removed after printing, or
+ * a minute after the print call if the browser never says printing is done
+ *
+ * @param {string} html - HTML document
+ */
+export function printHtml(html) {
+  const frame = document.createElement("iframe");
+  frame.setAttribute("aria-hidden", "true");
+  frame.style.cssText = "position: fixed; width: 0; height: 0; border: 0";
+  frame.onload = () => {
+    const view = frame.contentWindow;
+    let fallback = null;
+    view.addEventListener("afterprint", () => {
+      clearTimeout(fallback);
+      frame.remove();
+    });
+    view.focus();
+    view.print();
+    // print() returns once the dialog closes, or at once where it does not block
+    fallback = setTimeout(() => frame.remove(), PRINT_FRAME_TIMEOUT_MS);
+  };
+  frame.srcdoc = html;
+  document.body.appendChild(frame);
+}
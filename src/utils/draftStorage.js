@@ -0,0 +1,179 @@
+/**
+ * Draft Storage Utilities
+ * Persists in-progress responses to localStorage, keyed per survey
+ */
+
+import { getQuestionType, isAnswered } from "./questionTypes.js";
+import { isProfileEmpty } from "./respondentProfile.js";
+
+const DRAFT_KEY_PREFIX = "survey-draft:";
+
+/**
+ * Get the storage key for a survey's draft
+ * @param {string} surveyId - Survey definition ID
+ * @returns {string} localStorage key
+ */
+export function getDraftKey(surveyId) {
+  return `${DRAFT_KEY_PREFIX}${surveyId}`;
+}
+
+/**
+ * Build a per-question fingerprint of a definition
+ * Used to decide whether saved answers still fit a question after an update
+ *
+ * @param {Array} questions - Array of question objects
+ * @returns {Object} Map of question ID to its type and joined option text
+ */
+export function getQuestionSignature(questions) {
+  return questions.reduce((acc, q) => {
+    const type = getQuestionType(q);
+    const options = (q.options || []).join("␞");
+    // Ranking signatures carry no type prefix so older drafts still match
+    return {
+      ...acc,
+      [q.id]: type === "ranking" ? options : `${type}:${options}`,
+    };
+  }, {});
+}
+
+/**
+ * Checks if a draft contains any user input
+ * @param {Object} draft - { responses, otherText, finalComment, respondent? }
+ * @returns {boolean} True if nothing has been entered
+ */
+export function isDraftEmpty(draft) {
+  const hasAnswers = Object.values(draft.responses || {}).some(isAnswered);
+  const hasOtherText = Object.values(draft.otherText || {}).some(
+    (text) => text && text.trim() !== ""
+  );
+  const hasComment = Boolean(draft.finalComment && draft.finalComment.trim());
+
+  return (
+    !hasAnswers &&
+    !hasOtherText &&
+    !hasComment &&
+    isProfileEmpty(draft.respondent)
+  );
+}
+
+/**
+ * Migrate a stored draft onto the current survey definition
+ * Answers are kept only for questions whose ID and options are unchanged;
+ * everything else from an older version is dropped. The respondent profile
+ * does not depend on the questions and is always kept
+ *
+ * @param {Object} stored - Draft as read from storage
+ * @param {Object} definition - Current survey definition
+ * @returns {Object|null} { draft, migrated } or null if nothing usable remains
+ */
+export function migrateDraft(stored, definition) {
+  if (!stored || typeof stored !== "object" || stored.surveyId !== definition.id) {
+    return null;
+  }
+
+  const responses = stored.responses || {};
+  const otherText = stored.otherText || {};
+  const finalComment =
+    typeof stored.finalComment === "string" ? stored.finalComment : "";
+  const profile = stored.respondent ? { respondent: stored.respondent } : {};
+
+  if (stored.version === definition.version) {
+    const draft = { responses, otherText, finalComment, ...profile };
+    return isDraftEmpty(draft) ? null : { draft, migrated: false };
+  }
+
+  const currentSignature = getQuestionSignature(definition.questions);
+  const storedSignature = stored.questionSignature || {};
+  const keptResponses = {};
+  const keptOtherText = {};
+
+  Object.keys(currentSignature).forEach((qId) => {
+    if (storedSignature[qId] !== currentSignature[qId]) {
+      return;
+    }
+    if (responses[qId] !== undefined) keptResponses[qId] = responses[qId];
+    if (otherText[qId]) keptOtherText[qId] = otherText[qId];
+  });
+
+  const draft = {
+    responses: keptResponses,
+    otherText: keptOtherText,
+    finalComment,
+    ...profile,
+  };
+
+  return isDraftEmpty(draft) ? null : { draft, migrated: true };
+}
+
+/**
+ * Save a draft for the given survey
+ * Storage failures (quota, private mode) are ignored - autosave is best effort
+ *
+ * @param {Object} definition - Current survey definition
+ * @param {Object} draft - { responses, otherText, finalComment, respondent? }
+ * @param {Storage} storage - Storage backend (default: localStorage)
+ * @returns {boolean} True if the draft was written
+ */
+export function saveDraft(definition, draft, storage = globalThis.localStorage) {
+  try {
+    storage.setItem(
+      getDraftKey(definition.id),
+      JSON.stringify({
+        surveyId: definition.id,
+        version: definition.version,
+        questionSignature: getQuestionSignature(definition.questions),
+        savedAt: new Date().toISOString(),
+        responses: draft.responses,
+        otherText: draft.otherText,
+        finalComment: draft.finalComment,
+        respondent: draft.respondent,
+      })
+    );
+    return true;
+  } catch (error) {
+    console.warn("Unable to save draft:", error);
+    return false;
+  }
+}
+
+/**
+ * Load the saved draft for the given survey
+ * Corrupt or incompatible drafts are removed so they cannot break the form
+ *
+ * @param {Object} definition - Current survey definition
+ * @param {Storage} storage - Storage backend (default: localStorage)
+ * @returns {Object|null} { draft, migrated, savedAt } or null if there is no usable draft
+ */
+export function loadDraft(definition, storage = globalThis.localStorage) {
+  let stored;
+  try {
+    const raw = storage.getItem(getDraftKey(definition.id));
+    if (!raw) return null;
+    stored = JSON.parse(raw);
+  } catch (error) {
+    console.warn("Discarding unreadable draft:", error);
+    clearDraft(definition, storage);
+    return null;
+  }
+
+  const result = migrateDraft(stored, definition);
+  if (!result) {
+    clearDraft(definition, storage);
+    return null;
+  }
+
+  return { ...result, savedAt: stored.savedAt || null };
+}
+
+/**
+ * Remove the saved draft for the given survey
+ * @param {Object} definition - Current survey definition
+ * @param {Storage} storage - Storage backend (default: localStorage)
+ */
+export function clearDraft(definition, storage = globalThis.localStorage) {
+  try {
+    storage.removeItem(getDraftKey(definition.id));
+  } catch (error) {
+    console.warn("Unable to clear draft:", error);
+  }
+}
@@ -3,6 +3,23 @@
  * Handles validation logic separated from component
  */
 
+import { getVisibleQuestions } from "./conditions.js";
+import { getQuestionType, isAnswered } from "./questionTypes.js";
+import {
+  resolveRankRules,
+  getRankViolations,
+  OTHER_KEY,
+} from "./rankingRules.js";
+import { translate } from "./i18n.js";
+import { isTextEmpty, isTextLengthValid } from "./sanitization.js";
+import {
+  AFFILIATION_TYPES,
+  MAX_YEARS_OF_RESEARCH,
+} from "./respondentProfile.js";
+
+// Deliberately loose: something@something.tld, no spaces
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
 /**
  * Checks if a question has at least one ranked option
  * @param {Object} qData - Response data for a question (e.g., {0: "1", 1: "2"})
@@ -12,31 +29,287 @@ export function hasAnyRank(qData) {
   return qData && Object.values(qData).some((rank) => rank && rank !== "");
 }
 
+/**
+ * Checks that a choice or Likert answer points at an existing option
+ * @param {Object} q - Question object
+ * @param {*} optIdx - Stored option index
+ * @param {Function} t - Translator
+ * @returns {string|null} Problem description, or null if valid
+ */
+function validateOptionIndex(q, optIdx, t) {
+  return Number.isInteger(optIdx) && optIdx >= 0 && optIdx < q.options.length
+    ? null
+    : t("validation.selectOption");
+}
+
+/**
+ * Checks the number of options picked in a multiple-choice answer
+ * @param {Object} q - Question object
+ * @param {Array<number>} picked - Stored option indices
+ * @param {Function} t - Translator
+ * @returns {string|null} Problem description, or null if valid
+ */
+function validateSelections(q, picked, t) {
+  if (
+    !Array.isArray(picked) ||
+    picked.some((i) => validateOptionIndex(q, i, t))
+  ) {
+    return t("validation.selectFromList");
+  }
+  if (q.minSelections !== undefined && picked.length < q.minSelections) {
+    return t("validation.selectAtLeast", { count: q.minSelections });
+  }
+  if (q.maxSelections !== undefined && picked.length > q.maxSelections) {
+    return t("validation.selectAtMost", { count: q.maxSelections });
+  }
+  return null;
+}
+
+/**
+ * Checks a numeric answer against the question's bounds
+ * @param {Object} q - Question object
+ * @param {string|number} value - Stored answer as typed
+ * @param {Function} t - Translator
+ * @returns {string|null} Problem description, or null if valid
+ */
+function validateNumber(q, value, t) {
+  const number = Number(value);
+  if (String(value).trim() === "" || !Number.isFinite(number)) {
+    return t("validation.enterNumber");
+  }
+  if (q.integer && !Number.isInteger(number)) {
+    return t("validation.enterWholeNumber");
+  }
+  if (q.min !== undefined && number < q.min) {
+    return t("validation.numberAtLeast", { min: q.min });
+  }
+  if (q.max !== undefined && number > q.max) {
+    return t("validation.numberAtMost", { max: q.max });
+  }
+  return null;
+}
+
+/**
+ * Checks a free-text answer against the question's length limit
+ * @param {Object} q - Question object
+ * @param {string} value - Stored answer
+ * @param {Function} t - Translator
+ * @returns {string|null} Problem description, or null if valid
+ */
+function validateText(q, value, t) {
+  return q.maxLength === undefined || isTextLengthValid(value, 0, q.maxLength)
+    ? null
+    : t("validation.tooLong", { max: q.maxLength });
+}
+
+/**
+ * Checks ranks against the question's rank rules
+ * @param {Object} q - Question object
+ * @param {Object} qData - Stored ranks
+ * @param {Function} t - Translator
+ * @returns {string|null} First problem found, or null if valid
+ */
+function validateRanking(q, qData, t) {
+  const [problem] = getRankViolations(qData, resolveRankRules(q), t);
+  return problem || null;
+}
+
+// Type-specific checks, run once a question has an answer
+const ANSWER_VALIDATORS = {
+  ranking: validateRanking,
+  likert: validateOptionIndex,
+  "single-choice": validateOptionIndex,
+  "multiple-choice": validateSelections,
+  number: validateNumber,
+  "short-text": validateText,
+  "long-text": validateText,
+};
+
+/**
+ * Validates a given answer against its question's type
+ * Whether a question must be answered at all is checked by validateForm
+ *
+ * @param {Object} q - Question object
+ * @param {*} value - Stored answer
+ * @param {Function} t - Translator for the problem text (default: English)
+ * @returns {string|null} Problem description, or null if valid (or unanswered)
+ */
+export function validateAnswer(q, value, t = translate) {
+  if (!isAnswered(value)) return null;
+
+  const validator = ANSWER_VALIDATORS[getQuestionType(q)];
+  return validator ? validator(q, value, t) : null;
+}
+
+/**
+ * Validates the optional respondent profile
+ * Every field may be left blank, but what is entered must make sense, and
+ * an email address is only accepted together with consent to be contacted
+ *
+ * @param {Object} profile - Respondent profile (see respondentProfile.js)
+ * @param {Function} t - Translator for the messages (default: English)
+ * @returns {Array<{type, field, message}>} Problems found
+ */
+export function validateRespondentProfile(profile, t = translate) {
+  const errors = [];
+  const add = (field, key, params) =>
+    errors.push({ type: "respondent", field, message: t(key, params) });
+
+  const { affiliation, yearsOfResearch, email, contactConsent } =
+    profile || {};
+
+  if (affiliation && !AFFILIATION_TYPES.includes(affiliation)) {
+    add("affiliation", "validation.profileAffiliation");
+  }
+
+  const years = String(yearsOfResearch ?? "").trim();
+  if (
+    years !== "" &&
+    !(
+      /^\d+$/.test(years) &&
+      Number(years) >= 0 &&
+      Number(years) <= MAX_YEARS_OF_RESEARCH
+    )
+  ) {
+    add("yearsOfResearch", "validation.profileYears", {
+      max: MAX_YEARS_OF_RESEARCH,
+    });
+  }
+
+  const address = String(email ?? "").trim();
+  if (address !== "" && !EMAIL_PATTERN.test(address)) {
+    add("email", "validation.profileEmail");
+  } else if (address !== "" && !contactConsent) {
+    add("contactConsent", "validation.profileConsent");
+  }
+
+  return errors;
+}
+
 /**
  * Validates all form responses
+ * Questions with `required: false` may be left unanswered, questions hidden
+ * by skip logic are not validated, and answers are checked against their
+ * question type (rank rules, option range, selection counts, numeric bounds,
+ * text length). "Other" text and the final comment are checked against their
+ * length limits, and on ranking questions "Other" text and a rank for the
+ * "Other" row must be given together
+ *
  * @param {Array} questions - Array of question objects
  * @param {Object} responses - Form responses object
  * @param {string} finalComment - Final comments text
+ * @param {Object} options - Validation options
+ * @param {boolean} options.requireFinalComment - Final comment must be filled (default: false)
+ * @param {Array<string>} options.questionIds - Only validate these questions (default: all);
+ *   visibility is still worked out against the full question list
+ * @param {Object} options.respondent - Respondent profile to check as well (default: none)
+ * @param {Object} options.otherText - "Other" text by question ID (default: none)
+ * @param {number} options.finalCommentMaxLength - Final comment length limit (default: none)
+ * @param {Function} options.t - Translator for the messages (default: English)
  * @returns {Object} { isValid: boolean, errors: Array<{type, qId?, message}> }
  */
-export function validateForm(questions, responses, finalComment) {
-  const errors = [];
+export function validateForm(questions, responses, finalComment, options = {}) {
+  const {
+    requireFinalComment = false,
+    questionIds = null,
+    respondent = null,
+    otherText = {},
+    finalCommentMaxLength,
+    t = translate,
+  } = options;
+  const errors = respondent ? validateRespondentProfile(respondent, t) : [];
+
+  const visibleIds = new Set(
+    getVisibleQuestions(questions, responses).map((q) => q.id)
+  );
 
-  // Validate each question
+  // Validate each visible question
   questions.forEach((q, idx) => {
-    const qData = responses[q.id];
-    if (!hasAnyRank(qData)) {
+    if (!visibleIds.has(q.id)) return;
+    if (questionIds && !questionIds.includes(q.id)) return;
+
+    const other = otherText[q.id];
+    if (
+      q.otherMaxLength !== undefined &&
+      !isTextLengthValid(other || "", 0, q.otherMaxLength)
+    ) {
+      errors.push({
+        type: "other-text",
+        qId: q.id,
+        qIdx: idx,
+        message: t("validation.otherTooLong", {
+          number: idx + 1,
+          max: q.otherMaxLength,
+        }),
+      });
+    }
+
+    const value = responses[q.id];
+    if (getQuestionType(q) === "ranking") {
+      const otherRank = value?.[OTHER_KEY];
+      if (otherRank && isTextEmpty(other)) {
+        errors.push({
+          type: "other-text",
+          qId: q.id,
+          qIdx: idx,
+          message: t("validation.otherTextMissing", { number: idx + 1 }),
+        });
+      } else if (!otherRank && !isTextEmpty(other)) {
+        errors.push({
+          type: "question",
+          qId: q.id,
+          qIdx: idx,
+          message: t("validation.problem", {
+            number: idx + 1,
+            problem: t("validation.rankOther"),
+          }),
+        });
+      }
+    }
+
+    if (!isAnswered(value)) {
+      if (q.required !== false) {
+        errors.push({
+          type: "question",
+          qId: q.id,
+          qIdx: idx,
+          message: t("validation.unanswered", {
+            number: idx + 1,
+            text: q.text.substring(0, 50),
+          }),
+        });
+      }
+      return;
+    }
+
+    const problem = validateAnswer(q, value, t);
+    if (problem) {
       errors.push({
         type: "question",
         qId: q.id,
         qIdx: idx,
-        message: `Question ${idx + 1}: ${q.text.substring(0, 50)}...`,
+        message: t("validation.problem", { number: idx + 1, problem }),
       });
     }
   });
 
-  // Final comments are optional
-  // No validation required
+  // Final comments are optional unless the survey definition requires them
+  if (requireFinalComment && (!finalComment || finalComment.trim() === "")) {
+    errors.push({
+      type: "final-comment",
+      message: t("validation.finalComment"),
+    });
+  } else if (
+    finalCommentMaxLength !== undefined &&
+    !isTextLengthValid(finalComment || "", 0, finalCommentMaxLength)
+  ) {
+    errors.push({
+      type: "final-comment",
+      message: t("validation.finalCommentTooLong", {
+        max: finalCommentMaxLength,
+      }),
+    });
+  }
 
   return {
     isValid: errors.length === 0,
@@ -50,9 +323,20 @@ export function validateForm(questions, responses, finalComment) {
  * @returns {string|null} Element ID of first unanswered question
  */
 export function getFirstUnansweredElementId(errors) {
-  const questionError = errors.find((e) => e.type === "question");
+  // The profile block comes before the questions
+  const respondentError = errors.find((e) => e.type === "respondent");
+  if (respondentError) {
+    return `respondent-${respondentError.field}`;
+  }
+
+  // Questions and their "Other" inputs, in question order
+  const questionError = errors.find(
+    (e) => e.type === "question" || e.type === "other-text"
+  );
   if (questionError) {
-    return `question-${questionError.qId}`;
+    return questionError.type === "other-text"
+      ? `${questionError.qId}-other`
+      : `question-${questionError.qId}`;
   }
 
   const commentError = errors.find((e) => e.type === "final-comment");
@@ -78,3 +362,24 @@ export function scrollToFirstError(elementId) {
     element.scrollIntoView({ behavior: "smooth", block: "center" });
   }
 }
+
+/**
+ * Move keyboard focus into an element (e.g. a question with an error)
+ * Focuses its first visible control in the tab order and scrolls it into view
+ *
+ * @param {string|null} elementId - Element ID to focus
+ */
+export function focusElement(elementId) {
+  const element = elementId && document.getElementById(elementId);
+  if (!element) return;
+
+  const controls = [
+    ...element.querySelectorAll('input, textarea, select, [tabindex="0"]'),
+  ];
+  // Desktop and mobile layouts are both rendered; skip the hidden one
+  const control =
+    controls.find((el) => el.offsetParent !== null) || controls[0] || element;
+
+  element.scrollIntoView?.({ behavior: "smooth", block: "center" });
+  control.focus({ preventScroll: true });
+}
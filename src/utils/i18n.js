@@ -0,0 +1,154 @@
+/**
+ * Internationalization Utilities
+ * Message catalogs for the interface and translated survey definitions
+ *
+ * Interface strings live in src/locales/<code>.js, keyed the same way in
+ * every catalog. Questionnaire text comes from the survey definition: the
+ * definition is written in its own `locale` and `translations` supply the
+ * other languages, keyed by the same question IDs:
+ *   "translations": {
+ *     "bn": {
+ *       "title": "...",
+ *       "questions": { "q1": { "text": "...", "options": ["...", ...] } }
+ *     }
+ *   }
+ */
+
+import en from "../locales/en.js";
+import bn from "../locales/bn.js";
+
+export const DEFAULT_LOCALE = "en";
+
+// localStorage key for the respondent's chosen language
+export const LOCALE_STORAGE_KEY = "survey-locale";
+
+export const CATALOGS = { en, bn };
+
+/**
+ * Fill `{name}` placeholders in a message
+ * Placeholders without a matching parameter are left as they are
+ *
+ * @param {string} template - Message with placeholders
+ * @param {Object} params - Values by placeholder name
+ * @returns {string} Message with the values filled in
+ */
+export function interpolate(template, params = {}) {
+  return template.replace(/\{(\w+)\}/g, (match, name) =>
+    params[name] !== undefined ? String(params[name]) : match
+  );
+}
+
+/**
+ * Create a translation function for a locale
+ * Keys missing from the locale's catalog fall back to English, then to the key
+ *
+ * @param {string} locale - Locale code (e.g., "bn")
+ * @returns {Function} t(key, params) returning the translated message
+ */
+export function createTranslator(locale) {
+  const catalog = CATALOGS[locale] || {};
+  return (key, params) =>
+    interpolate(catalog[key] ?? CATALOGS[DEFAULT_LOCALE][key] ?? key, params);
+}
+
+// English translator, the default wherever no locale is passed in
+export const translate = createTranslator(DEFAULT_LOCALE);
+
+/**
+ * Get a language's name in that language, for the language switcher
+ * @param {string} locale - Locale code
+ * @returns {string} Native language name, or the code if there is no catalog
+ */
+export function getLanguageName(locale) {
+  return CATALOGS[locale]?.["language.name"] || locale;
+}
+
+/**
+ * Get the languages a survey can be answered in
+ * @param {Object} definition - Survey definition with defaults applied
+ * @returns {Array<string>} Locale codes, the definition's own language first
+ */
+export function getAvailableLocales(definition) {
+  const base = definition?.locale || DEFAULT_LOCALE;
+  return [...new Set([base, ...Object.keys(definition?.translations || {})])];
+}
+
+/**
+ * Work out which language to show
+ * A `?lang=` URL parameter wins over the stored choice; anything that is not
+ * available falls back to the first available locale
+ *
+ * @param {string} search - Query string (e.g., window.location.search)
+ * @param {Array<string>} available - Locale codes that can be shown
+ * @param {string|null} stored - Previously chosen locale, if any
+ * @returns {string} Locale code
+ */
+export function resolveLocale(
+  search = "",
+  available = [DEFAULT_LOCALE],
+  stored = null
+) {
+  const requested = new URLSearchParams(search).get("lang");
+  return (
+    [requested, stored].find((locale) => available.includes(locale)) ||
+    available[0] ||
+    DEFAULT_LOCALE
+  );
+}
+
+/**
+ * Pick the translated value, keeping the original when there is none
+ * @param {*} translated - Value from the translation
+ * @param {*} original - Value from the definition
+ * @returns {*} Value to show
+ */
+function pick(translated, original) {
+  return translated === undefined ? original : translated;
+}
+
+/**
+ * Get the survey definition as shown in a language
+ * Only display text is replaced; IDs, rank values, rules and conditions stay
+ * as defined, so answers and drafts are the same in every language
+ *
+ * @param {Object} definition - Survey definition with defaults applied
+ * @param {string} locale - Locale code
+ * @returns {Object} Definition with translated text
+ */
+export function localizeDefinition(definition, locale) {
+  const translation = definition.translations?.[locale];
+  if (!translation || locale === definition.locale) {
+    return definition;
+  }
+
+  const questions = translation.questions || {};
+
+  return {
+    ...definition,
+    title: pick(translation.title, definition.title),
+    description: pick(translation.description, definition.description),
+    instructions: pick(translation.instructions, definition.instructions),
+    rankScale: {
+      ...definition.rankScale,
+      legend: pick(translation.rankScale?.legend, definition.rankScale.legend),
+      labels: {
+        ...definition.rankScale.labels,
+        ...translation.rankScale?.labels,
+      },
+    },
+    questions: definition.questions.map((q) => {
+      const translated = questions[q.id];
+      if (!translated) return q;
+      return {
+        ...q,
+        text: pick(translated.text, q.text),
+        section: pick(translated.section, q.section),
+        options: pick(translated.options, q.options),
+      };
+    }),
+    finalComment: {
+      ...definition.finalComment,
+      text: pick(translation.finalComment?.text, definition.finalComment.text),
+    },
+  };
+}
@@ -0,0 +1,61 @@
+/**
+ * Question Type Utilities
+ * Shared knowledge about each question type and the shape of its answer
+ *
+ * Answer shapes stored in `responses[qId]`:
+ *   ranking         - { [optIdx]: rank }      e.g. { 0: "1", 3: "No" }
+ *   likert          - number (index into options)
+ *   single-choice   - number (index into options)
+ *   multiple-choice - Array<number> (indices into options)
+ *   number          - string as typed (converted on submit)
+ *   short-text      - string
+ *   long-text       - string
+ */
+
+export const QUESTION_TYPES = [
+  "ranking",
+  "likert",
+  "single-choice",
+  "multiple-choice",
+  "number",
+  "short-text",
+  "long-text",
+];
+
+// Types whose answers are picked from `options`
+export const OPTION_TYPES = [
+  "ranking",
+  "likert",
+  "single-choice",
+  "multiple-choice",
+];
+
+export const TEXT_TYPES = ["short-text", "long-text"];
+
+// Inputs a ranking question can use: the checkbox grid or a reorderable list
+export const RANKING_WIDGETS = ["grid", "list"];
+
+/**
+ * Get a question's type (questions without one are ranking questions)
+ * @param {Object} q - Question object
+ * @returns {string} Question type
+ */
+export function getQuestionType(q) {
+  return q.type || "ranking";
+}
+
+/**
+ * Checks if an answer has been given, whatever its shape
+ * @param {*} value - Stored answer
+ * @returns {boolean} True if the respondent answered
+ */
+export function isAnswered(value) {
+  if (value === undefined || value === null) return false;
+  if (typeof value === "number") return Number.isFinite(value);
+  if (typeof value === "string") return value.trim() !== "";
+  if (Array.isArray(value)) return value.length > 0;
+  if (typeof value === "object") {
+    return Object.values(value).some((rank) => rank && rank !== "");
+  }
+  return false;
+}
@@ -0,0 +1,92 @@
+/**
+ * Rank Statistics
+ * Aggregates collected ranking answers per question and option:
+ *
+ * - meanRank: average of the numeric ranks given (lower is better), null if
+ *   nobody ranked the option
+ * - borda: Borda count; with ranks 1..n, rank r scores n - r + 1 points and
+ *   "No" or no rank scores 0
+ * - firstShare: share of respondents who ranked the option 1
+ * - noRate: share of respondents who answered "No"
+ *
+ * Shares are out of the respondents who were shown the question. The
+ * "Other" row is only listed when some respondent ranked an "Other" answer
+ */
+
+import { OTHER_KEY, isNumericRank, resolveRankRules } from "./rankingRules.js";
+import { getQuestionType } from "./questionTypes.js";
+import { groupQuestionsIntoSections } from "./sections.js";
+
+export const STATISTICS = ["meanRank", "borda", "firstShare", "noRate"];
+
+/**
+ * Format a statistic for display
+ * @param {string} statistic - One of STATISTICS
+ * @param {number|null} value - Statistic value
+ * @returns {string} Display text (shares as whole percentages)
+ */
+export function formatStatistic(statistic, value) {
+  if (value === null || value === undefined) return "–";
+  if (statistic === "meanRank") return value.toFixed(2);
+  if (statistic === "borda") return String(value);
+  return `${Math.round(value * 100)}%`;
+}
+
+/**
+ * Aggregate the answers to one ranking question
+ * @param {Object} q - Ranking question
+ * @param {Array<Object>} payloads - Submitted payloads
+ * @returns {Object} { question, respondents, rows: [{ key, ranked, meanRank, borda, firstShare, noRate }] }
+ */
+export function summarizeRanking(q, payloads) {
+  const answers = payloads
+    .map((payload) => payload.responses?.[q.id])
+    .filter((answer) => answer && typeof answer === "object");
+  const scaleSize = resolveRankRules(q).values.filter(isNumericRank).length;
+
+  const keys = q.options.map((_, optIdx) => optIdx);
+  if (answers.some((answer) => isNumericRank(answer[OTHER_KEY] || ""))) {
+    keys.push(OTHER_KEY);
+  }
+
+  const share = (count) => (answers.length ? count / answers.length : 0);
+
+  const rows = keys.map((key) => {
+    const given = answers.map((answer) => answer[key] || "");
+    const ranks = given.filter(isNumericRank).map(Number);
+    const total = ranks.reduce((sum, rank) => sum + rank, 0);
+
+    return {
+      key,
+      ranked: ranks.length,
+      meanRank: ranks.length ? total / ranks.length : null,
+      borda: ranks.reduce(
+        (sum, rank) => sum + Math.max(0, scaleSize - rank + 1),
+        0
+      ),
+      firstShare: share(ranks.filter((rank) => rank === 1).length),
+      noRate: share(given.filter((rank) => rank === "No").length),
+    };
+  });
+
+  return { question: q, respondents: answers.length, rows };
+}
+
+/**
+ * Aggregate every ranking question, grouped by the definition's sections
+ * Sections without ranking questions are left out
+ *
+ * @param {Array} questions - Question objects from the definition
+ * @param {Array<Object>} payloads - Submitted payloads
+ * @returns {Array<{title: string, questions: Array<Object>}>} Summaries by section
+ */
+export function summarizeResults(questions, payloads) {
+  return groupQuestionsIntoSections(questions)
+    .map((section) => ({
+      title: section.title,
+      questions: section.questions
+        .filter((q) => getQuestionType(q) === "ranking")
+        .map((q) => summarizeRanking(q, payloads)),
+    }))
+    .filter((section) => section.questions.length > 0);
+}
@@ -0,0 +1,279 @@
+/**
+ * Ranking Rules
+ * Per-question rank range, exclusivity, contiguity and limits for ranking
+ * questions, shared by the ranking hook and form validation
+ *
+ * Definition fields (all optional), on a ranking question:
+ *   "rankRules": {
+ *     "maxRank": 8,              - ranks 1..8 (default: rankScale, else option count)
+ *     "exclusive": ["1", "2"],   - values only one option may hold (default: numeric ranks)
+ *     "contiguous": true,        - no rank 3 without rank 2 (default: false)
+ *     "maxRanked": 3             - at most 3 options get a numeric rank (default: no limit)
+ *   }
+ *
+ * Ranks are stored by option index; once the respondent types an "Other"
+ * answer it becomes an extra row stored under the key "other", and takes
+ * part in exclusivity and the limits like any listed option
+ */
+
+import { translate } from "./i18n.js";
+
+// Values offered after the numeric ranks when the scale is generated
+export const DEFAULT_EXTRA_RANK_VALUES = ["No"];
+
+// Key of the "Other (please specify)" row in a question's ranks
+export const OTHER_KEY = "other";
+
+/**
+ * Turn a key of a question's ranks back into a row key
+ * @param {string} key - Object key ("0", "1", ... or "other")
+ * @returns {number|string} Option index, or OTHER_KEY
+ */
+function toRowKey(key) {
+  return key === OTHER_KEY ? OTHER_KEY : Number(key);
+}
+
+/**
+ * Get the rows of a ranking question: its option indices, followed by the
+ * "Other" row when it is shown
+ * @param {Object} q - Ranking question
+ * @param {boolean} includeOther - Add the "Other" row
+ * @returns {Array<number|string>} Row keys
+ */
+export function getRankingRows(q, includeOther) {
+  const rows = (q.options || []).map((_, optIdx) => optIdx);
+  return includeOther ? [...rows, OTHER_KEY] : rows;
+}
+
+/**
+ * Get the text of a ranking row: the option, or the respondent's "Other"
+ * answer
+ * @param {Object} q - Ranking question
+ * @param {number|string} key - Option index, or OTHER_KEY
+ * @param {string} otherText - Current "Other" text
+ * @param {Function} t - Translator (default: English)
+ * @returns {string} Row label
+ */
+export function getRankingRowLabel(q, key, otherText, t = translate) {
+  if (key !== OTHER_KEY) return q.options[key];
+  const text = (otherText || "").trim();
+  return text ? t("ranking.otherRow", { text }) : t("ranking.otherRowEmpty");
+}
+
+/**
+ * Checks if a rank value is a numeric rank ("1", "2", ...)
+ * @param {string} rank - Rank value
+ * @returns {boolean} True for numeric ranks
+ */
+export function isNumericRank(rank) {
+  return /^\d+$/.test(rank);
+}
+
+/**
+ * Build the rank values "1".."n" followed by the extra values
+ * @param {number} n - Highest numeric rank
+ * @param {Array<string>} extraValues - Non-numeric values such as "No"
+ * @returns {Array<string>} Rank values
+ */
+function buildRankValues(n, extraValues) {
+  const numeric = Array.from({ length: n }, (_, i) => String(i + 1));
+  return [...numeric, ...extraValues];
+}
+
+/**
+ * Checks if rules already have every field resolveRankRules fills in
+ * @param {Object} rules - Rank rules
+ * @returns {boolean} True for resolved rules
+ */
+function isResolved(rules) {
+  return (
+    Array.isArray(rules.values) &&
+    Array.isArray(rules.exclusive) &&
+    typeof rules.contiguous === "boolean" &&
+    rules.maxRanked !== undefined
+  );
+}
+
+/**
+ * Work out the full rules for a ranking question
+ * Rules that were already resolved are returned unchanged; anything else is
+ * resolved from the author-written fields, so a partial object that merely
+ * has `values` cannot slip through
+ *
+ * @param {Object} q - Ranking question (with optional `rankRules`)
+ * @param {Object} rankScale - Survey-wide rank scale, if the definition sets one
+ * @returns {Object} { values, exclusive, contiguous, maxRanked }
+ */
+export function resolveRankRules(q, rankScale) {
+  const rules = q.rankRules || {};
+  if (isResolved(rules)) {
+    return rules;
+  }
+
+  const scaleValues = rankScale?.values;
+  const extraValues = scaleValues
+    ? scaleValues.filter((value) => !isNumericRank(value))
+    : DEFAULT_EXTRA_RANK_VALUES;
+
+  let values;
+  if (rules.maxRank !== undefined) {
+    values = buildRankValues(rules.maxRank, extraValues);
+  } else if (scaleValues) {
+    values = scaleValues;
+  } else {
+    values = buildRankValues((q.options || []).length, extraValues);
+  }
+
+  return {
+    values,
+    exclusive: rules.exclusive || values.filter(isNumericRank),
+    contiguous: rules.contiguous === true,
+    maxRanked: rules.maxRanked ?? null,
+  };
+}
+
+/**
+ * Give an option a rank
+ * Other options holding the same exclusive value are cleared; with no rules,
+ * every value except "No" is exclusive
+ *
+ * @param {Object} qData - Current ranks for the question
+ * @param {number|string} optIdx - Option index, or OTHER_KEY
+ * @param {string} rank - Rank value, or "" to clear
+ * @param {Object} rules - Resolved rules (optional)
+ * @returns {Object} Updated ranks
+ */
+export function applyRank(qData, optIdx, rank, rules) {
+  const updatedQData = { ...qData };
+
+  if (rank !== "") {
+    const exclusive = rules ? rules.exclusive.includes(rank) : rank !== "No";
+    if (exclusive) {
+      Object.keys(updatedQData).forEach((key) => {
+        if (key !== String(optIdx) && updatedQData[key] === rank) {
+          updatedQData[key] = "";
+        }
+      });
+    }
+  }
+
+  updatedQData[optIdx] = rank;
+  return updatedQData;
+}
+
+/**
+ * Find the option indices that applyRank would clear
+ * @param {Object} qData - Current ranks for the question
+ * @param {number|string} optIdx - Option being ranked, or OTHER_KEY
+ * @param {string} rank - Rank value
+ * @param {Object} rules - Resolved rules (optional)
+ * @returns {Array<number|string>} Row keys that would lose their rank
+ */
+export function getDisplacedOptions(qData, optIdx, rank, rules) {
+  const updated = applyRank(qData, optIdx, rank, rules);
+  return Object.keys(qData || {})
+    .map(toRowKey)
+    .filter((key) => key !== optIdx && qData[key] && !updated[key]);
+}
+
+/**
+ * Check a question's ranks against its rules
+ * @param {Object} qData - Ranks for the question
+ * @param {Object} rules - Resolved rules
+ * @param {Function} t - Translator for the problem text (default: English)
+ * @returns {Array<string>} Problems found, phrased as instructions
+ */
+export function getRankViolations(qData, rules, t = translate) {
+  const given = Object.values(qData || {}).filter((rank) => rank);
+  const problems = [];
+
+  const unknown = given.find((rank) => !rules.values.includes(rank));
+  if (unknown) {
+    problems.push(
+      t("validation.rankUnknown", { ranks: rules.values.join(", ") })
+    );
+  }
+
+  const duplicate = rules.exclusive.find(
+    (value) => given.filter((rank) => rank === value).length > 1
+  );
+  if (duplicate) {
+    problems.push(t("validation.rankDuplicate", { rank: duplicate }));
+  }
+
+  const numeric = given.filter(isNumericRank);
+
+  if (rules.maxRanked !== null && numeric.length > rules.maxRanked) {
+    problems.push(t("validation.rankMaxRanked", { count: rules.maxRanked }));
+  }
+
+  if (rules.contiguous) {
+    const used = new Set(numeric.map(Number));
+    const highest = Math.max(0, ...used);
+    for (let rank = 1; rank < highest; rank++) {
+      if (!used.has(rank)) {
+        problems.push(t("validation.rankGap", { missing: rank, highest }));
+        break;
+      }
+    }
+  }
+
+  return problems;
+}
+
+/**
+ * Get the ranked options in rank order
+ * Ties (which validation reports) keep option order, with "Other" last
+ *
+ * @param {Object} qData - Ranks for the question
+ * @returns {Array<number|string>} Row keys holding a numeric rank, best first
+ */
+export function getRankedOrder(qData) {
+  const position = (key) => (key === OTHER_KEY ? Infinity : key);
+  return Object.keys(qData || {})
+    .map(toRowKey)
+    .filter((key) => isNumericRank(qData[key]))
+    .sort(
+      (a, b) =>
+        Number(qData[a]) - Number(qData[b]) ||
+        (position(a) > position(b) ? 1 : -1)
+    );
+}
+
+/**
+ * Turn an ordered list of options back into ranks
+ * Listed options are ranked 1, 2, 3...; every other option is left unranked
+ * The "Other" row only gets an entry while it is in the list
+ *
+ * @param {Array<number|string>} order - Row keys, best first
+ * @param {number} optionCount - Number of options in the question
+ * @returns {Object} Ranks in the same shape as applyRank produces
+ */
+export function ranksFromOrder(order, optionCount) {
+  const qData = {};
+  for (let optIdx = 0; optIdx < optionCount; optIdx++) {
+    const position = order.indexOf(optIdx);
+    qData[optIdx] = position === -1 ? "" : String(position + 1);
+  }
+  if (order.includes(OTHER_KEY)) {
+    qData[OTHER_KEY] = String(order.indexOf(OTHER_KEY) + 1);
+  }
+  return qData;
+}
+
+/**
+ * Move an option within (or into, or out of) a ranked order
+ * @param {Array<number|string>} order - Row keys, best first
+ * @param {number|string} optIdx - Option to move, or OTHER_KEY
+ * @param {number|null} position - Target position, or null to unrank it
+ * @returns {Array<number|string>} New order
+ */
+export function moveInOrder(order, optIdx, position) {
+  const next = order.filter((idx) => idx !== optIdx);
+  if (position === null) {
+    return next;
+  }
+  const clamped = Math.max(0, Math.min(position, next.length));
+  next.splice(clamped, 0, optIdx);
+  return next;
+}
@@ -0,0 +1,51 @@
+/**
+ * Respondent Profile
+ * Optional "About you" block shown before the questions when the survey
+ * definition sets `"respondentProfile": true`, so results can be segmented
+ * by who answered
+ *
+ * Profile shape (as entered):
+ *   {
+ *     affiliation: "university",   - one of AFFILIATION_TYPES, or ""
+ *     yearsOfResearch: "4",        - string as typed
+ *     discipline: "Ornithology",
+ *     email: "",                   - only sent with contactConsent
+ *     contactConsent: false
+ *   }
+ */
+
+export const AFFILIATION_TYPES = [
+  "university",
+  "research-institute",
+  "government",
+  "ngo",
+  "independent",
+  "student",
+  "other",
+];
+
+// Upper bound for "years of research in the park"
+export const MAX_YEARS_OF_RESEARCH = 60;
+
+export const EMPTY_PROFILE = {
+  affiliation: "",
+  yearsOfResearch: "",
+  discipline: "",
+  email: "",
+  contactConsent: false,
+};
+
+/**
+ * Checks if anything has been entered in a profile
+ * @param {Object} profile - Respondent profile
+ * @returns {boolean} True if every field is blank
+ */
+export function isProfileEmpty(profile) {
+  if (!profile) return true;
+  return (
+    !profile.contactConsent &&
+    ["affiliation", "yearsOfResearch", "discipline", "email"].every(
+      (field) => String(profile[field] ?? "").trim() === ""
+    )
+  );
+}
@@ -0,0 +1,210 @@
+/**
+ * Response Export
+ * Turns a batch of submitted payloads into files for R/SPSS analysis:
+ *
+ * - wide CSV: one row per response, one column per question option
+ *   ("q1_opt3"), laid out as described in responseFiles.js so the file can
+ *   be loaded back into the results dashboard
+ * - long CSV: one row per response, ranking question and option
+ *   (respondent, question, option, rank)
+ * - codebook CSV: what each wide column holds, with question and option text
+ */
+
+import { formatCsv } from "./csv.js";
+import { getQuestionType } from "./questionTypes.js";
+import { OTHER_KEY, resolveRankRules } from "./rankingRules.js";
+import {
+  BASE_COLUMNS,
+  FINAL_COMMENT_COLUMN,
+  getRankColumn,
+  getOtherTextColumn,
+} from "./responseFiles.js";
+
+const BASE_COLUMN_DESCRIPTIONS = {
+  responseId: "Response ID (the same on every retry of one response)",
+  timestamp: "Time the response was submitted (ISO 8601)",
+  locale: "Language the survey was answered in",
+};
+
+/**
+ * Describe the codes an answer column holds
+ * @param {Object} q - Question object
+ * @returns {string} Value description
+ */
+function describeAnswerValues(q) {
+  const type = getQuestionType(q);
+  const codes = (q.options || [])
+    .map((option, idx) => `${idx} = ${option}`)
+    .join("; ");
+
+  switch (type) {
+    case "likert":
+    case "single-choice":
+      return codes;
+    case "multiple-choice":
+      return `Option indices separated by ";": ${codes}`;
+    case "number":
+      return [
+        "Number",
+        q.min !== undefined && `min ${q.min}`,
+        q.max !== undefined && `max ${q.max}`,
+      ]
+        .filter(Boolean)
+        .join(", ");
+    default:
+      return "Free text";
+  }
+}
+
+/**
+ * List the wide columns for one question
+ * @param {Object} q - Question object
+ * @returns {Array<Object>} Columns: { name, question, option, optionText, values, read(payload) }
+ */
+function getQuestionColumns(q) {
+  if (getQuestionType(q) !== "ranking") {
+    return [
+      {
+        name: q.id,
+        question: q,
+        option: "",
+        optionText: "",
+        values: describeAnswerValues(q),
+        read: (payload) => {
+          const value = payload.responses?.[q.id];
+          return Array.isArray(value) ? value.join(";") : value;
+        },
+      },
+    ];
+  }
+
+  const ranks = resolveRankRules(q).values.join(", ");
+  const rankColumn = (key, optionText) => ({
+    name: getRankColumn(q.id, key),
+    question: q,
+    option: key === OTHER_KEY ? OTHER_KEY : key + 1,
+    optionText,
+    values: `Rank: ${ranks}`,
+    read: (payload) => payload.responses?.[q.id]?.[key],
+  });
+
+  return [
+    ...q.options.map((option, optIdx) => rankColumn(optIdx, option)),
+    rankColumn(OTHER_KEY, "Other (please specify)"),
+    {
+      name: getOtherTextColumn(q.id),
+      question: q,
+      option: OTHER_KEY,
+      optionText: "Other (please specify): text",
+      values: "Free text",
+      read: (payload) => payload.otherText?.[q.id],
+    },
+  ];
+}
+
+/**
+ * List every wide column in order: response details, each question's
+ * columns, then the final comment
+ * @param {Object} definition - Survey definition
+ * @returns {Array<Object>} Columns: { name, question, option, optionText, values, read(payload) }
+ */
+function getWideColumns(definition) {
+  const base = BASE_COLUMNS.map((name) => ({
+    name,
+    question: null,
+    option: "",
+    optionText: "",
+    values: BASE_COLUMN_DESCRIPTIONS[name],
+    read: (payload) => payload[name],
+  }));
+  const finalComment = {
+    name: FINAL_COMMENT_COLUMN,
+    question: null,
+    option: "",
+    optionText: "",
+    values: `Free text: ${definition.finalComment?.text || "final comment"}`,
+    read: (payload) => payload.finalComment,
+  };
+
+  return [
+    ...base,
+    ...definition.questions.flatMap(getQuestionColumns),
+    finalComment,
+  ];
+}
+
+/**
+ * Wide CSV: one row per response and one column per question option
+ * Questions a respondent was not shown are left empty
+ *
+ * @param {Array<Object>} payloads - Submitted payloads
+ * @param {Object} definition - Survey definition
+ * @returns {string} CSV text
+ */
+export function toWideCsv(payloads, definition) {
+  const columns = getWideColumns(definition);
+  return formatCsv([
+    columns.map((column) => column.name),
+    ...payloads.map((payload) => columns.map((column) => column.read(payload))),
+  ]);
+}
+
+/**
+ * Long (tidy) CSV: one row per response, ranking question and option
+ * Options are numbered from 1, like the wide columns; the "Other" row is
+ * listed as "other" when the response has one
+ *
+ * @param {Array<Object>} payloads - Submitted payloads
+ * @param {Object} definition - Survey definition
+ * @returns {string} CSV text
+ */
+export function toLongCsv(payloads, definition) {
+  const rows = [["respondent", "question", "option", "rank"]];
+  const rankingQuestions = definition.questions.filter(
+    (q) => getQuestionType(q) === "ranking"
+  );
+
+  payloads.forEach((payload) => {
+    rankingQuestions.forEach((q) => {
+      const ranks = payload.responses?.[q.id];
+      if (!ranks || typeof ranks !== "object") return;
+
+      q.options.forEach((_, optIdx) => {
+        rows.push([payload.responseId, q.id, optIdx + 1, ranks[optIdx]]);
+      });
+      if (ranks[OTHER_KEY] !== undefined) {
+        rows.push([payload.responseId, q.id, OTHER_KEY, ranks[OTHER_KEY]]);
+      }
+    });
+  });
+
+  return formatCsv(rows);
+}
+
+/**
+ * Codebook CSV: the question and option behind each wide column, and the
+ * values the column can hold
+ *
+ * @param {Object} definition - Survey definition
+ * @returns {string} CSV text
+ */
+export function toCodebookCsv(definition) {
+  return formatCsv([
+    [
+      "column",
+      "question_id",
+      "question_text",
+      "option",
+      "option_text",
+      "values",
+    ],
+    ...getWideColumns(definition).map((column) => [
+      column.name,
+      column.question?.id,
+      column.question?.text,
+      column.option,
+      column.optionText,
+      column.values,
+    ]),
+  ]);
+}
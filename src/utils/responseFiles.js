@@ -0,0 +1,174 @@
+/**
+ * Response Files
+ * Reads collected responses back from a file: either a JSON list of
+ * normalizeFormData payloads, or a CSV sheet with one row per response
+ * (such as the wide CSV written by responseExport.js)
+ *
+ * CSV columns (any may be missing; unknown columns are ignored):
+ *   responseId, timestamp, locale          - as in the payload
+ *   q1_opt1, q1_opt2, ...                   - rank of each ranking option (1-based)
+ *   q1_other, q1_other_text                 - rank and text of the "Other" answer
+ *   q2                                      - answer to any other question type;
+ *                                             multiple-choice indices joined by ";"
+ *   final_comment                           - final comment
+ *
+ * A question whose cells are all empty is treated as not shown, the same
+ * way normalizeFormData leaves out questions hidden by skip logic
+ */
+
+import { parseCsvRecords } from "./csv.js";
+import { getQuestionType } from "./questionTypes.js";
+import { OTHER_KEY } from "./rankingRules.js";
+
+export const BASE_COLUMNS = ["responseId", "timestamp", "locale"];
+export const FINAL_COMMENT_COLUMN = "final_comment";
+
+/**
+ * Column name for one row of a ranking question
+ * @param {string} qId - Question ID
+ * @param {number|string} key - Option index, or OTHER_KEY
+ * @returns {string} Column name (e.g. "q1_opt3", "q1_other")
+ */
+export function getRankColumn(qId, key) {
+  return key === OTHER_KEY ? `${qId}_${OTHER_KEY}` : `${qId}_opt${key + 1}`;
+}
+
+/**
+ * Column name for a ranking question's "Other" text
+ * @param {string} qId - Question ID
+ * @returns {string} Column name (e.g. "q1_other_text")
+ */
+export function getOtherTextColumn(qId) {
+  return `${qId}_other_text`;
+}
+
+/**
+ * Read a cell as an option index list, number or text for a question type
+ * @param {string} type - Question type
+ * @param {string} cell - Cell text (not empty)
+ * @returns {*} Answer in the payload's shape
+ */
+function parseAnswerCell(type, cell) {
+  switch (type) {
+    case "likert":
+    case "single-choice":
+    case "number":
+      return Number(cell);
+    case "multiple-choice":
+      return cell
+        .split(";")
+        .filter((part) => part.trim() !== "")
+        .map(Number);
+    default:
+      return cell;
+  }
+}
+
+/**
+ * Turn one CSV record into a payload shaped like normalizeFormData's
+ * @param {Object} record - CSV record keyed by column name
+ * @param {Array} questions - Question objects from the definition
+ * @returns {Object} { responseId, timestamp, locale, responses, otherText, finalComment }
+ */
+export function recordToPayload(record, questions) {
+  const cell = (column) => String(record[column] ?? "").trim();
+  const responses = {};
+  const otherText = {};
+
+  questions.forEach((q) => {
+    if (getQuestionType(q) !== "ranking") {
+      if (cell(q.id) !== "") {
+        responses[q.id] = parseAnswerCell(getQuestionType(q), cell(q.id));
+      }
+      return;
+    }
+
+    const ranks = {};
+    q.options.forEach((_, optIdx) => {
+      ranks[optIdx] = cell(getRankColumn(q.id, optIdx));
+    });
+    if (cell(getRankColumn(q.id, OTHER_KEY)) !== "") {
+      ranks[OTHER_KEY] = cell(getRankColumn(q.id, OTHER_KEY));
+    }
+    if (cell(getOtherTextColumn(q.id)) !== "") {
+      otherText[q.id] = cell(getOtherTextColumn(q.id));
+    }
+    if (Object.values(ranks).some((rank) => rank !== "")) {
+      responses[q.id] = ranks;
+    }
+  });
+
+  return {
+    ...Object.fromEntries(
+      BASE_COLUMNS.map((name) => [name, cell(name) || null])
+    ),
+    responses,
+    otherText,
+    finalComment: cell(FINAL_COMMENT_COLUMN),
+  };
+}
+
+/**
+ * Check that a JSON entry looks like a submitted payload
+ * @param {*} entry - Parsed JSON value
+ * @returns {boolean} True when it has a responses object
+ */
+function isPayload(entry) {
+  return (
+    entry !== null &&
+    typeof entry === "object" &&
+    entry.responses !== null &&
+    typeof entry.responses === "object" &&
+    !Array.isArray(entry.responses)
+  );
+}
+
+/**
+ * Drop payloads that were received more than once
+ * A payload sent again after a retry keeps its responseId; the first copy
+ * is kept. Payloads without a responseId are always kept
+ *
+ * @param {Array<Object>} payloads - Payloads in the order received
+ * @returns {{payloads: Array<Object>, duplicates: number}} Unique payloads and the number dropped
+ */
+export function dropDuplicateResponses(payloads) {
+  const seen = new Set();
+  const unique = payloads.filter((payload) => {
+    if (!payload.responseId) return true;
+    if (seen.has(payload.responseId)) return false;
+    seen.add(payload.responseId);
+    return true;
+  });
+  return { payloads: unique, duplicates: payloads.length - unique.length };
+}
+
+/**
+ * Read collected responses from a JSON or CSV file
+ * JSON may hold a list of payloads or a single payload
+ *
+ * @param {string} text - File contents
+ * @param {string} fileName - File name; ".csv" selects the CSV reader
+ * @param {Array} questions - Question objects from the definition
+ * @returns {Array<Object>} Payloads, in file order
+ * @throws {Error} When the file cannot be read as responses
+ */
+export function parseResponseFile(text, fileName, questions) {
+  if (/\.csv$/i.test(fileName || "")) {
+    return parseCsvRecords(text).map((record) =>
+      recordToPayload(record, questions)
+    );
+  }
+
+  let parsed;
+  try {
+    parsed = JSON.parse(text);
+  } catch (error) {
+    throw new Error(`Not a valid JSON file: ${error.message}`);
+  }
+  const entries = Array.isArray(parsed) ? parsed : [parsed];
+  const invalid = entries.findIndex((entry) => !isPayload(entry));
+  if (invalid !== -1) {
+    throw new Error(`Entry ${invalid + 1} is not a survey response`);
+  }
+  return entries;
+}
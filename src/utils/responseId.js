@@ -0,0 +1,58 @@
+/**
+ * Response ID Utilities
+ * Client-generated IDs that let the receiving side drop duplicate submissions
+ */
+
+/**
+ * Format 16 random bytes as an RFC 4122 version 4 UUID
+ * @param {Uint8Array} bytes - 16 random bytes
+ * @returns {string} UUID string
+ */
+function formatUuidV4(bytes) {
+  bytes[6] = (bytes[6] & 0x0f) | 0x40;
+  bytes[8] = (bytes[8] & 0x3f) | 0x80;
+
+  const hex = Array.from(bytes, (b) => b.toString(16).padStart(2, "0"));
+  return [
+    hex.slice(0, 4).join(""),
+    hex.slice(4, 6).join(""),
+    hex.slice(6, 8).join(""),
+    hex.slice(8, 10).join(""),
+    hex.slice(10, 16).join(""),
+  ].join("-");
+}
+
+/**
+ * Generate a random response ID (UUID v4)
+ * Uses crypto.randomUUID where available and falls back to getRandomValues
+ *
+ * @param {Crypto} cryptoImpl - Web Crypto implementation (default: globalThis.crypto)
+ * @returns {string} UUID string
+ */
+export function generateResponseId(cryptoImpl = globalThis.crypto) {
+  if (typeof cryptoImpl?.randomUUID === "function") {
+    return cryptoImpl.randomUUID();
+  }
+
+  const bytes = new Uint8Array(16);
+  if (typeof cryptoImpl?.getRandomValues === "function") {
+    cryptoImpl.getRandomValues(bytes);
+  } else {
+    for (let i = 0; i < bytes.length; i++) {
+      bytes[i] = Math.floor(Math.random() * 256);
+    }
+  }
+  return formatUuidV4(bytes);
+}
+
+/**
+ * Check whether a value looks like a UUID
+ * @param {string} value - Value to check
+ * @returns {boolean} True if value is a UUID string
+ */
+export function isResponseId(value) {
+  return (
+    typeof value === "string" &&
+    /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i.test(value)
+  );
+}
@@ -0,0 +1,187 @@
+/**
+ * Response Receipt
+ * A copy of a submitted response for the respondent, built in the browser
+ * from the normalized payload:
+ *
+ *   {
+ *     referenceId: "…",             - the payload's responseId
+ *     survey: { id, version, title },
+ *     submittedAt: "2026-…Z",
+ *     locale: "en",
+ *     status: "recorded",           - or "queued" (saved offline, not yet sent)
+ *     answers: [
+ *       { questionId: "q1", question: "Rank these", answer: [
+ *           { label: "Birding", rank: "1", rankText: "Rank 1" }, ... ] }
+ *     ],
+ *     finalComment: { question: "Anything else?", answer: "…" },
+ *     payload: { … }                - as submitted, without the anti-bot signals
+ *   }
+ *
+ * The receipt can be saved as JSON or as a standalone HTML page that prints
+ * cleanly (and so can be saved as PDF from the print dialog)
+ */
+
+import { translate } from "./i18n.js";
+import { formatRankValue, summarizeAnswer } from "./responseSummary.js";
+
+/**
+ * Escape text for use in HTML
+ * @param {*} value - Text to escape
+ * @returns {string} Escaped text
+ */
+function escapeHtml(value) {
+  return String(value ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+}
+
+/**
+ * Build the receipt for a submitted payload
+ * Question, option and rank text come from the definition as passed in, so
+ * pass it localized (see localizeDefinition) for the respondent's language
+ * Questions hidden by skip logic are not in the payload and are left out
+ *
+ * @param {Object} payload - Normalized payload, as submitted
+ * @param {Object} definition - Survey definition in the display language
+ * @param {Object} options
+ * @param {boolean} options.queued - The response is waiting in the offline outbox (default: false)
+ * @param {Function} options.t - Translator (default: English)
+ * @returns {Object} Receipt
+ */
+export function buildReceipt(
+  payload,
+  definition,
+  { queued = false, t = translate } = {}
+) {
+  const rankLabels = definition.rankScale?.labels || {};
+  const submitted = { ...payload };
+  delete submitted.antiBot;
+
+  const answers = definition.questions
+    .filter((q) => q.id in (payload.responses || {}))
+    .map((q) => ({
+      questionId: q.id,
+      question: q.text,
+      answer: summarizeAnswer(q, payload.responses[q.id], {
+        otherText: payload.otherText?.[q.id] || "",
+        t,
+      }).map((line) =>
+        "rank" in line
+          ? { ...line, rankText: formatRankValue(line.rank, { rankLabels, t }) }
+          : line
+      ),
+    }));
+
+  return {
+    referenceId: payload.responseId,
+    survey: {
+      id: definition.id,
+      version: definition.version,
+      title: definition.title,
+    },
+    submittedAt: payload.timestamp,
+    locale: payload.locale,
+    status: queued ? "queued" : "recorded",
+    answers,
+    finalComment: {
+      question: definition.finalComment?.text || "",
+      answer: payload.finalComment || "",
+    },
+    payload: submitted,
+  };
+}
+
+/**
+ * Receipt as a JSON file
+ * @param {Object} receipt - Receipt from buildReceipt
+ * @returns {string} JSON text
+ */
+export function receiptToJson(receipt) {
+  return JSON.stringify(receipt, null, 2);
+}
+
+/**
+ * Receipt as a standalone, printable HTML page
+ * All text is escaped; the page has no scripts or external resources
+ *
+ * @param {Object} receipt - Receipt from buildReceipt
+ * @param {Object} options
+ * @param {Function} options.t - Translator (default: English)
+ * @returns {string} HTML document
+ */
+export function receiptToHtml(receipt, { t = translate } = {}) {
+  const noAnswer = `<p class="empty">${escapeHtml(t("review.noAnswer"))}</p>`;
+
+  const renderAnswer = ({ answer }) => {
+    if (answer.length === 0) return noAnswer;
+    const ranked = answer.some((line) => "rank" in line);
+    const items = answer
+      .map((line) =>
+        ranked
+          ? `<li><span class="rank">${escapeHtml(line.rankText)}</span> ${escapeHtml(line.label)}</li>`
+          : `<li>${escapeHtml(line.label)}</li>`
+      )
+      .join("\n");
+    return `<ul${ranked ? ' class="ranking"' : ""}>\n${items}\n</ul>`;
+  };
+
+  const sections = receipt.answers.map(
+    (item) =>
+      `<section>\n<h2>${escapeHtml(item.question)}</h2>\n${renderAnswer(item)}\n</section>`
+  );
+  sections.push(
+    `<section>\n<h2>${escapeHtml(receipt.finalComment.question)}</h2>\n${
+      receipt.finalComment.answer.trim()
+        ? `<p class="text">${escapeHtml(receipt.finalComment.answer)}</p>`
+        : noAnswer
+    }\n</section>`
+  );
+
+  const submittedAt = new Date(receipt.submittedAt);
+  const submittedText = Number.isNaN(submittedAt.getTime())
+    ? receipt.submittedAt
+    : submittedAt.toLocaleString(receipt.locale);
+  const status =
+    receipt.status === "queued" ? t("form.queuedOffline") : t("form.recorded");
+
+  return `<!DOCTYPE html>
+<html lang="${escapeHtml(receipt.locale)}">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${escapeHtml(`${t("receipt.title")}: ${receipt.survey.title}`)}</title>
+<style>
+body { font-family: system-ui, sans-serif; color: #1f2937; line-height: 1.5; max-width: 42rem; margin: 2rem auto; padding: 0 1rem; }
+h1 { color: #6b21a8; font-size: 1.5rem; margin-bottom: 0.25rem; }
+h2 { font-size: 1rem; font-weight: 600; margin: 0 0 0.5rem; }
+dl { display: grid; grid-template-columns: max-content 1fr; gap: 0.25rem 1rem; margin: 1rem 0 1.5rem; }
+dt { color: #6b7280; }
+dd { margin: 0; word-break: break-all; }
+section { border-left: 4px solid #9333ea; padding: 0.5rem 1rem; margin-bottom: 1rem; break-inside: avoid; }
+ul { margin: 0; padding-left: 1.25rem; }
+.ranking { list-style: none; padding-left: 0; }
+.rank { display: inline-block; min-width: 5rem; font-weight: 600; color: #7e22ce; }
+.empty { color: #6b7280; font-style: italic; margin: 0; }
+.text { white-space: pre-wrap; margin: 0; }
+@media print { body { margin: 0; max-width: none; } }
+</style>
+</head>
+<body>
+<h1>${escapeHtml(t("receipt.title"))}</h1>
+<p>${escapeHtml(receipt.survey.title)}</p>
+<dl>
+<dt>${escapeHtml(t("receipt.reference"))}</dt>
+<dd><code>${escapeHtml(receipt.referenceId)}</code></dd>
+<dt>${escapeHtml(t("receipt.submittedAt"))}</dt>
+<dd><time datetime="${escapeHtml(receipt.submittedAt)}">${escapeHtml(submittedText)}</time></dd>
+<dt>${escapeHtml(t("receipt.status"))}</dt>
+<dd>${escapeHtml(status)}</dd>
+</dl>
+${sections.join("\n")}
+</body>
+</html>
+`;
+}
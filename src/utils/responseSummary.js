@@ -0,0 +1,102 @@
+/**
+ * Response Summary
+ * Readable answers for the review step and the receipt: each answer as a
+ * list of lines in the respondent's language, with ranking rows sorted by
+ * the rank they were given
+ *
+ * Line shape:
+ *   { label: "Birding", rank: "1" }   - ranking row: its rank value ("" when
+ *                                       not ranked)
+ *   { label: "Agree" }                - any other answer
+ */
+
+import { translate } from "./i18n.js";
+import { getQuestionType, isAnswered } from "./questionTypes.js";
+import {
+  OTHER_KEY,
+  getRankedOrder,
+  getRankingRows,
+  getRankingRowLabel,
+  isNumericRank,
+} from "./rankingRules.js";
+
+/**
+ * Text for a rank value: "Rank 2" for numeric ranks, the value's label
+ * (e.g. "No") otherwise
+ *
+ * @param {string} rank - Rank value, or "" when not ranked
+ * @param {Object} options
+ * @param {Object} options.rankLabels - Display text by rank value
+ * @param {Function} options.t - Translator (default: English)
+ * @returns {string} Display text
+ */
+export function formatRankValue(rank, { rankLabels = {}, t = translate } = {}) {
+  if (!rank) return t("review.notRanked");
+  const text = rankLabels[rank] || rank;
+  return isNumericRank(rank) ? t("review.rank", { rank: text }) : text;
+}
+
+/**
+ * Summarize a ranking answer: ranked rows best first, then rows holding
+ * another value (e.g. "No"), then rows left blank, each in option order
+ *
+ * @param {Object} q - Ranking question
+ * @param {Object} qData - Ranks for the question
+ * @param {string} otherText - "Other" text for the question
+ * @param {Function} t - Translator
+ * @returns {Array<{label: string, rank: string}>} Rows
+ */
+function summarizeRanking(q, qData, otherText, t) {
+  const ranks = qData || {};
+  const rows = getRankingRows(
+    q,
+    otherText.trim() !== "" || Boolean(ranks[OTHER_KEY])
+  );
+  const ranked = getRankedOrder(ranks);
+  const unranked = rows.filter((key) => !ranked.includes(key));
+
+  return [
+    ...ranked,
+    ...unranked.filter((key) => ranks[key]),
+    ...unranked.filter((key) => !ranks[key]),
+  ].map((key) => ({
+    label: getRankingRowLabel(q, key, otherText, t),
+    rank: ranks[key] || "",
+  }));
+}
+
+/**
+ * Summarize one answer for display
+ * Unanswered questions give no lines
+ *
+ * @param {Object} q - Question object (in the display language)
+ * @param {*} value - Stored answer
+ * @param {Object} options
+ * @param {string} options.otherText - "Other" text for the question
+ * @param {Function} options.t - Translator (default: English)
+ * @returns {Array<{label: string, rank?: string}>} Lines
+ */
+export function summarizeAnswer(
+  q,
+  value,
+  { otherText = "", t = translate } = {}
+) {
+  const type = getQuestionType(q);
+
+  if (type === "ranking") {
+    return summarizeRanking(q, value, otherText, t);
+  }
+  if (!isAnswered(value)) return [];
+
+  switch (type) {
+    case "likert":
+    case "single-choice":
+      return [{ label: q.options[value] }];
+    case "multiple-choice":
+      return [...value]
+        .sort((a, b) => a - b)
+        .map((optIdx) => ({ label: q.options[optIdx] }));
+    default:
+      return [{ label: String(value).trim() }];
+  }
+}
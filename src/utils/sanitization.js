@@ -1,35 +1,213 @@
 /**
  * Input Sanitization Utilities
- * Prevents XSS attacks and validates user input
+ * Cleans free text before it is submitted. Text is sanitized under a policy:
+ *
+ * - "plain": HTML tags are removed (after decoding HTML entities, so
+ *   `&lt;svg onload=...&gt;` cannot slip through), Unicode is normalized to
+ *   NFC and invisible control characters are dropped. Only tag syntax is
+ *   removed: prose such as "a<b, c>d", "1 < 2" or "Our data: 12 sites" is
+ *   kept
+ * - "markdown": the same, but a limited Markdown subset is kept (emphasis,
+ *   code, lists, headings and links to http(s)/mailto URLs); images and links
+ *   with other schemes are reduced to their text
+ *
+ * Plain responses end up in spreadsheets, so under the plain policy values
+ * that a spreadsheet would read as a formula (starting with =, +, -, @) are
+ * prefixed with a single quote. Markdown is left as written, since a leading
+ * "-" or "+" there starts a list
  */
 
-// Maximum allowed text input length
-const MAX_TEXT_LENGTH = 5000;
-const MAX_COMMENT_LENGTH = 10000;
+// Maximum allowed text input length (also the default field limits, see
+// applyDefinitionDefaults)
+export const MAX_TEXT_LENGTH = 5000;
+export const MAX_COMMENT_LENGTH = 10000;
+const MAX_PROFILE_FIELD_LENGTH = 200;
+const MAX_EMAIL_LENGTH = 254;
+
+export const SANITIZE_POLICIES = ["plain", "markdown"];
+
+const NAMED_ENTITIES = {
+  amp: "&",
+  lt: "<",
+  gt: ">",
+  quot: '"',
+  apos: "'",
+  nbsp: "\u00a0",
+};
+
+// An opening or closing tag: "<", an element name ended by whitespace, "/"
+// or ">", then anything up to the closing ">" (quoted values may hold one).
+// A tag left open runs to the end of the text, as it would in a browser
+const TAG_PATTERN =
+  /<\/?[a-z][a-z0-9-]*(?=[\s/>]|$)(?:"[^"]*"?|'[^']*'?|[^>"'])*(?:>|$)/gi;
+// Comments, doctypes, CDATA sections and processing instructions
+const DECLARATION_PATTERN = /<!--[\s\S]*?-->|<![a-z[][^>]*>|<\?[^>]*>/gi;
+// C0/C1 controls other than tab and newline, zero-width space, BOM and
+// bidirectional overrides. ZWJ/ZWNJ are kept because Bangla needs them
+// (built from ranges, since a regex literal holding controls is a lint error)
+const CONTROL_RANGES = [
+  "\u0000-\u0008",
+  "\u000B-\u001F",
+  "\u007F-\u009F",
+  "\u200B",
+  "\u202A-\u202E",
+  "\u2066-\u2069",
+  "\uFEFF",
+];
+const CONTROL_PATTERN = new RegExp(`[${CONTROL_RANGES.join("")}]`, "g");
+const FORMULA_PREFIXES = ["=", "+", "-", "@"];
+const SAFE_LINK_PATTERN = /^(?:https?:\/\/|mailto:)/i;
 
 /**
- * Sanitize general text input
- * Removes potentially dangerous patterns and enforces length limits
- * 
+ * Decode HTML character references (named basics, decimal and hex)
+ * Unknown named references are left as they are
+ *
+ * @param {string} text - Text that may contain entities
+ * @returns {string} Decoded text
+ */
+export function decodeEntities(text) {
+  return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (match, entity) => {
+    if (entity[0] !== "#") {
+      return NAMED_ENTITIES[entity.toLowerCase()] ?? match;
+    }
+    const code =
+      entity[1] === "x" || entity[1] === "X"
+        ? parseInt(entity.slice(2), 16)
+        : parseInt(entity.slice(1), 10);
+    return code > 0 && code <= 0x10ffff ? String.fromCodePoint(code) : "";
+  });
+}
+
+/**
+ * Remove one pass of tags and declarations
+ * @param {string} text - Text to clean
+ * @returns {string} Text without the tags found
+ */
+function removeTags(text) {
+  return text.replace(DECLARATION_PATTERN, "").replace(TAG_PATTERN, "");
+}
+
+/**
+ * Remove every HTML tag
+ * Entities are decoded first and tags are stripped until nothing changes, so
+ * encoded or nested tags (`<scr<script>ipt>`) do not survive. Text between
+ * tags is kept, and so is a "<" that does not start a tag (e.g. "1 < 2" or
+ * "a<b, c>d"); "<b and c>" is a tag and is removed
+ *
+ * @param {string} text - Text to clean
+ * @returns {string} Text without markup
+ */
+export function stripMarkup(text) {
+  let current = decodeEntities(text);
+  let previous;
+  do {
+    previous = current;
+    current = decodeEntities(removeTags(current));
+  } while (current !== previous);
+  return current;
+}
+
+/**
+ * Remove control characters and normalize line endings
+ * @param {string} text - Text to clean
+ * @returns {string} Text with only printable characters, tabs and newlines
+ */
+export function removeControlCharacters(text) {
+  return text.replace(/\r\n?/g, "\n").replace(CONTROL_PATTERN, "");
+}
+
+/**
+ * Keep a value from being read as a spreadsheet formula
+ * @param {string} text - Sanitized text
+ * @returns {string} Text prefixed with "'" if it starts with =, +, - or @
+ */
+export function neutralizeFormula(text) {
+  return FORMULA_PREFIXES.includes(text.charAt(0)) ? `'${text}` : text;
+}
+
+/**
+ * Reduce Markdown to the allowed subset
+ * Images become their alt text; links keep their target only when it is an
+ * http(s) or mailto URL; reference definitions with other targets are dropped
+ *
+ * @param {string} text - Markdown source
+ * @returns {string} Markdown without unsafe links or images
+ */
+function limitMarkdown(text) {
+  return text
+    .replace(/!\[([^\]]*)\]\([^)]*\)/g, "$1")
+    .replace(
+      /\[([^\]]*)\]\(\s*((?:[^()\s]|\([^()\s]*\))*)[^()]*\)/g,
+      (match, label, url) =>
+        SAFE_LINK_PATTERN.test(url) ? `[${label}](${url})` : label
+    )
+    .replace(/^\s*\[[^\]]+\]:\s*(\S+).*$/gm, (match, url) =>
+      SAFE_LINK_PATTERN.test(url) ? match : ""
+    );
+}
+
+/**
+ * Sanitize text under a policy
+ *
  * @param {string} text - Input text to sanitize
- * @param {number} maxLength - Maximum allowed length (default: 5000)
+ * @param {Object} options - Sanitization options
+ * @param {string} options.policy - "plain" (default) or "markdown"
+ * @param {number} options.maxLength - Maximum allowed length (default: no limit;
+ *   the form checks field limits in validateForm so nothing is cut at submit)
+ * @param {boolean} options.neutralizeFormulas - Prefix formula-like values
+ *   (default: true for the plain policy, false for markdown)
  * @returns {string} Sanitized text
+ * @throws {Error} When the policy is unknown
  */
-export function sanitizeTextInput(text, maxLength = MAX_TEXT_LENGTH) {
+export function sanitize(text, options = {}) {
+  const {
+    policy = "plain",
+    maxLength = Infinity,
+    neutralizeFormulas = policy === "plain",
+  } = options;
+
+  if (!SANITIZE_POLICIES.includes(policy)) {
+    throw new Error(`Unknown sanitization policy "${policy}"`);
+  }
   if (!text || typeof text !== "string") {
     return "";
   }
 
-  return text
-    .trim()
-    .slice(0, maxLength)
-    .replace(/<script|<iframe|javascript:|onerror=/gi, ""); // Remove dangerous patterns
+  let clean = text.normalize("NFC");
+  if (policy === "markdown") {
+    // Keep autolinks such as <https://example.org> as bare URLs
+    clean = clean.replace(/<((?:https?:\/\/|mailto:)[^\s<>]+)>/gi, "$1");
+  }
+  clean = stripMarkup(clean);
+  if (policy === "markdown") {
+    clean = limitMarkdown(clean);
+  }
+  // Link targets other than http(s) and mailto were dropped by limitMarkdown;
+  // in running text a "javascript:" or "data:" is just a word
+  clean = removeControlCharacters(clean).trim();
+
+  if (neutralizeFormulas) {
+    clean = neutralizeFormula(clean);
+  }
+  return clean.slice(0, maxLength);
+}
+
+/**
+ * Sanitize general text input
+ * Plain-text policy with the default length limit
+ *
+ * @param {string} text - Input text to sanitize
+ * @param {number} maxLength - Maximum allowed length (default: 5000)
+ * @returns {string} Sanitized text
+ */
+export function sanitizeTextInput(text, maxLength = MAX_TEXT_LENGTH) {
+  return sanitize(text, { policy: "plain", maxLength });
 }
 
 /**
  * Sanitize longer form input (comments)
  * Similar to sanitizeTextInput but with higher length limit
- * 
+ *
  * @param {string} text - Input text to sanitize
  * @returns {string} Sanitized text
  */
@@ -37,9 +215,34 @@ export function sanitizeCommentInput(text) {
   return sanitizeTextInput(text, MAX_COMMENT_LENGTH);
 }
 
+/**
+ * Sanitize the respondent profile
+ * Free-text fields get the usual treatment; the email is lower-cased and
+ * the consent flag is forced to a boolean
+ *
+ * @param {Object} profile - Respondent profile as entered
+ * @returns {Object} Sanitized profile
+ */
+export function sanitizeRespondentProfile(profile) {
+  const source = profile || {};
+  return {
+    affiliation: sanitizeTextInput(
+      source.affiliation,
+      MAX_PROFILE_FIELD_LENGTH
+    ),
+    yearsOfResearch: sanitizeTextInput(
+      String(source.yearsOfResearch ?? ""),
+      MAX_PROFILE_FIELD_LENGTH
+    ),
+    discipline: sanitizeTextInput(source.discipline, MAX_PROFILE_FIELD_LENGTH),
+    email: sanitizeTextInput(source.email, MAX_EMAIL_LENGTH).toLowerCase(),
+    contactConsent: source.contactConsent === true,
+  };
+}
+
 /**
  * Validate text is not empty (after trim)
- * 
+ *
  * @param {string} text - Text to validate
  * @returns {boolean} True if text is not empty
  */
@@ -49,13 +252,17 @@ export function isTextEmpty(text) {
 
 /**
  * Validate text length
- * 
+ *
  * @param {string} text - Text to validate
  * @param {number} minLength - Minimum length (inclusive)
  * @param {number} maxLength - Maximum length (inclusive)
  * @returns {boolean} True if text length is within range
  */
-export function isTextLengthValid(text, minLength = 0, maxLength = MAX_TEXT_LENGTH) {
+export function isTextLengthValid(
+  text,
+  minLength = 0,
+  maxLength = MAX_TEXT_LENGTH
+) {
   if (!text || typeof text !== "string") {
     return minLength === 0;
   }
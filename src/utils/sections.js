@@ -0,0 +1,51 @@
+/**
+ * Section Utilities
+ * A question's `section` field starts a new section that runs until the next one
+ */
+
+/**
+ * Annotate each question with the section it belongs to
+ * The header question's `sectionShowIf` applies to the whole section
+ *
+ * @param {Array} questions - Array of question objects
+ * @returns {Array} Questions with `sectionTitle` and `sectionShowIf` set
+ */
+export function assignSections(questions) {
+  let sectionTitle = "";
+  let sectionShowIf = null;
+
+  return questions.map((q) => {
+    if (q.section) {
+      sectionTitle = q.section;
+      sectionShowIf = q.sectionShowIf || null;
+    }
+    return { ...q, sectionTitle, sectionShowIf };
+  });
+}
+
+/**
+ * Group questions into consecutive sections
+ * Questions before the first section header form an untitled section.
+ * Questions already annotated by assignSections (e.g., the visible subset
+ * from getVisibleQuestions) keep their section even if its header is hidden
+ *
+ * @param {Array} questions - Array of question objects
+ * @returns {Array<{title: string, questions: Array}>} Sections in order
+ */
+export function groupQuestionsIntoSections(questions) {
+  const annotated = questions.every((q) => "sectionTitle" in q)
+    ? questions
+    : assignSections(questions);
+  const sections = [];
+
+  annotated.forEach((q) => {
+    const last = sections[sections.length - 1];
+    if (!last || q.sectionTitle !== last.title) {
+      sections.push({ title: q.sectionTitle, questions: [q] });
+    } else {
+      last.questions.push(q);
+    }
+  });
+
+  return sections;
+}
@@ -0,0 +1,653 @@
+/**
+ * Survey Definition Utilities
+ * Schema validation and defaults for versioned survey definitions
+ */
+
+import { validateCondition } from "./conditions.js";
+import {
+  QUESTION_TYPES,
+  OPTION_TYPES,
+  TEXT_TYPES,
+  RANKING_WIDGETS,
+  getQuestionType,
+} from "./questionTypes.js";
+import { resolveRankRules } from "./rankingRules.js";
+import { DEFAULT_LOCALE } from "./i18n.js";
+import { MAX_TEXT_LENGTH, MAX_COMMENT_LENGTH } from "./sanitization.js";
+
+export const LAYOUTS = ["single-page", "paged"];
+
+/**
+ * Checks if a value is a non-empty string (after trim)
+ * @param {*} value - Value to check
+ * @returns {boolean} True if value is a non-empty string
+ */
+function isNonEmptyString(value) {
+  return typeof value === "string" && value.trim().length > 0;
+}
+
+/**
+ * Checks if a value is a non-empty array of non-empty strings
+ * @param {*} value - Value to check
+ * @returns {boolean} True if value is a list of strings
+ */
+function isStringList(value) {
+  return (
+    Array.isArray(value) &&
+    value.length > 0 &&
+    value.every((item) => isNonEmptyString(item))
+  );
+}
+
+/**
+ * Checks if a value is a non-negative integer
+ * @param {*} value - Value to check
+ * @returns {boolean} True if value is a whole number >= 0
+ */
+function isCount(value) {
+  return Number.isInteger(value) && value >= 0;
+}
+
+/**
+ * Checks if a value is a whole number >= 1
+ * @param {*} value - Value to check
+ * @returns {boolean} True if value is a positive integer
+ */
+function isPositiveInteger(value) {
+  return Number.isInteger(value) && value >= 1;
+}
+
+// Fields an author may set in a question's `rankRules`
+const RANK_RULE_KEYS = ["maxRank", "exclusive", "contiguous", "maxRanked"];
+
+/**
+ * Validates the rank rules of a ranking question
+ * @param {*} rules - `rankRules` entry from the definition
+ * @param {string} path - Path of the rules in the definition
+ * @returns {Array<{path, message}>} Errors for these rules
+ */
+function validateRankRules(rules, path) {
+  if (!rules || typeof rules !== "object" || Array.isArray(rules)) {
+    return [{ path, message: "Rank rules must be an object" }];
+  }
+
+  const errors = Object.keys(rules)
+    .filter((key) => !RANK_RULE_KEYS.includes(key))
+    .map((key) => ({
+      path: `${path}.${key}`,
+      message: `Unknown rank rule "${key}" (use ${RANK_RULE_KEYS.join(", ")})`,
+    }));
+  for (const key of ["maxRank", "maxRanked"]) {
+    if (rules[key] !== undefined && !isPositiveInteger(rules[key])) {
+      errors.push({
+        path: `${path}.${key}`,
+        message: `${key} must be a whole number of at least 1`,
+      });
+    }
+  }
+  if (
+    rules.exclusive !== undefined &&
+    !(Array.isArray(rules.exclusive) && rules.exclusive.every(isNonEmptyString))
+  ) {
+    errors.push({
+      path: `${path}.exclusive`,
+      message: "Exclusive values must be a list of strings",
+    });
+  }
+  if (rules.contiguous !== undefined && typeof rules.contiguous !== "boolean") {
+    errors.push({
+      path: `${path}.contiguous`,
+      message: "Contiguous flag must be true or false",
+    });
+  }
+  return errors;
+}
+
+/**
+ * Validates the fields that only apply to some question types
+ * @param {Object} q - Question entry from the definition
+ * @param {string} path - Path of the question in the definition
+ * @returns {Array<{path, message}>} Errors for these fields
+ */
+function validateTypeFields(q, path) {
+  const type = getQuestionType(q);
+  const errors = [];
+
+  if (!QUESTION_TYPES.includes(type)) {
+    return [
+      {
+        path: `${path}.type`,
+        message: `Question type must be one of: ${QUESTION_TYPES.join(", ")}`,
+      },
+    ];
+  }
+
+  if (OPTION_TYPES.includes(type) && !isStringList(q.options)) {
+    errors.push({
+      path: `${path}.options`,
+      message: "Options must be a non-empty list of strings",
+    });
+  }
+
+  if (q.rankRules !== undefined) {
+    if (type !== "ranking") {
+      errors.push({
+        path: `${path}.rankRules`,
+        message: "Rank rules only apply to ranking questions",
+      });
+    } else {
+      errors.push(...validateRankRules(q.rankRules, `${path}.rankRules`));
+    }
+  }
+
+  if (q.widget !== undefined) {
+    if (type !== "ranking") {
+      errors.push({
+        path: `${path}.widget`,
+        message: "Widget only applies to ranking questions",
+      });
+    } else if (!RANKING_WIDGETS.includes(q.widget)) {
+      errors.push({
+        path: `${path}.widget`,
+        message: `Widget must be one of: ${RANKING_WIDGETS.join(", ")}`,
+      });
+    }
+  }
+
+  if (q.otherMaxLength !== undefined) {
+    if (type !== "ranking") {
+      errors.push({
+        path: `${path}.otherMaxLength`,
+        message: "otherMaxLength only applies to ranking questions",
+      });
+    } else if (!isPositiveInteger(q.otherMaxLength)) {
+      errors.push({
+        path: `${path}.otherMaxLength`,
+        message: "otherMaxLength must be a whole number of at least 1",
+      });
+    }
+  }
+
+  if (q.maxLength !== undefined) {
+    if (!TEXT_TYPES.includes(type)) {
+      errors.push({
+        path: `${path}.maxLength`,
+        message: "maxLength only applies to text questions",
+      });
+    } else if (!isPositiveInteger(q.maxLength)) {
+      errors.push({
+        path: `${path}.maxLength`,
+        message: "maxLength must be a whole number of at least 1",
+      });
+    }
+  }
+
+  if (type === "likert" && isStringList(q.options) && q.options.length < 2) {
+    errors.push({
+      path: `${path}.options`,
+      message: "A Likert scale needs at least two points",
+    });
+  }
+
+  if (type === "multiple-choice") {
+    for (const key of ["minSelections", "maxSelections"]) {
+      if (q[key] !== undefined && !isCount(q[key])) {
+        errors.push({
+          path: `${path}.${key}`,
+          message: `${key} must be a whole number`,
+        });
+      }
+    }
+    if (
+      isCount(q.minSelections) &&
+      isCount(q.maxSelections) &&
+      q.minSelections > q.maxSelections
+    ) {
+      errors.push({
+        path: `${path}.minSelections`,
+        message: "minSelections cannot be greater than maxSelections",
+      });
+    }
+  }
+
+  if (type === "number") {
+    for (const key of ["min", "max", "step"]) {
+      if (q[key] !== undefined && !Number.isFinite(q[key])) {
+        errors.push({
+          path: `${path}.${key}`,
+          message: `${key} must be a number`,
+        });
+      }
+    }
+    if (Number.isFinite(q.min) && Number.isFinite(q.max) && q.min > q.max) {
+      errors.push({
+        path: `${path}.min`,
+        message: "min cannot be greater than max",
+      });
+    }
+    if (q.integer !== undefined && typeof q.integer !== "boolean") {
+      errors.push({
+        path: `${path}.integer`,
+        message: "Integer flag must be true or false",
+      });
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Validates a single question entry
+ * @param {*} q - Question entry from the definition
+ * @param {number} idx - Position of the question in the definition
+ * @param {Set<string>} seenIds - IDs of questions validated so far
+ * @returns {Array<{path, message}>} Errors for this question
+ */
+function validateQuestion(q, idx, seenIds) {
+  const path = `questions[${idx}]`;
+  const errors = [];
+
+  if (!q || typeof q !== "object" || Array.isArray(q)) {
+    return [{ path, message: "Question must be an object" }];
+  }
+
+  // Conditions may only refer to questions before this one
+  if (q.showIf !== undefined) {
+    errors.push(...validateCondition(q.showIf, `${path}.showIf`, seenIds));
+  }
+
+  if (q.sectionShowIf !== undefined) {
+    if (!q.section) {
+      errors.push({
+        path: `${path}.sectionShowIf`,
+        message:
+          "sectionShowIf is only allowed on a question that starts a section",
+      });
+    } else {
+      errors.push(
+        ...validateCondition(q.sectionShowIf, `${path}.sectionShowIf`, seenIds)
+      );
+    }
+  }
+
+  if (!isNonEmptyString(q.id)) {
+    errors.push({ path: `${path}.id`, message: "Question ID is required" });
+  } else if (seenIds.has(q.id)) {
+    errors.push({
+      path: `${path}.id`,
+      message: `Duplicate question ID "${q.id}"`,
+    });
+  } else {
+    seenIds.add(q.id);
+  }
+
+  if (!isNonEmptyString(q.text)) {
+    errors.push({ path: `${path}.text`, message: "Question text is required" });
+  }
+
+  errors.push(...validateTypeFields(q, path));
+
+  if (q.section !== undefined && !isNonEmptyString(q.section)) {
+    errors.push({
+      path: `${path}.section`,
+      message: "Section header must be a non-empty string",
+    });
+  }
+
+  if (q.required !== undefined && typeof q.required !== "boolean") {
+    errors.push({
+      path: `${path}.required`,
+      message: "Required flag must be true or false",
+    });
+  }
+
+  return errors;
+}
+
+/**
+ * Checks if a value is a plain object
+ * @param {*} value - Value to check
+ * @returns {boolean} True for objects that are not arrays or null
+ */
+function isPlainObject(value) {
+  return Boolean(value) && typeof value === "object" && !Array.isArray(value);
+}
+
+/**
+ * Validates rank labels (display text by rank value, e.g. {"No": "না"})
+ * @param {*} labels - `rankScale.labels` entry
+ * @param {string} path - Path of the labels in the definition
+ * @returns {Array<{path, message}>} Errors for these labels
+ */
+function validateRankLabels(labels, path) {
+  if (
+    !isPlainObject(labels) ||
+    !Object.values(labels).every((label) => isNonEmptyString(label))
+  ) {
+    return [{ path, message: "Rank labels must map rank values to strings" }];
+  }
+  return [];
+}
+
+/**
+ * Validates one question's entry in a translation
+ * @param {*} entry - Translated question fields
+ * @param {Object} q - Question it translates
+ * @param {string} path - Path of the entry in the translation
+ * @returns {Array<{path, message}>} Errors for this entry
+ */
+function validateQuestionTranslation(entry, q, path) {
+  if (!isPlainObject(entry)) {
+    return [{ path, message: "Translated question must be an object" }];
+  }
+
+  const errors = [];
+  if (entry.text !== undefined && !isNonEmptyString(entry.text)) {
+    errors.push({
+      path: `${path}.text`,
+      message: "Question text must be a non-empty string",
+    });
+  }
+  if (entry.section !== undefined && !isNonEmptyString(q.section)) {
+    errors.push({
+      path: `${path}.section`,
+      message: "Only a question that starts a section can translate it",
+    });
+  } else if (entry.section !== undefined && !isNonEmptyString(entry.section)) {
+    errors.push({
+      path: `${path}.section`,
+      message: "Section header must be a non-empty string",
+    });
+  }
+  if (
+    entry.options !== undefined &&
+    !(
+      isStringList(entry.options) &&
+      entry.options.length === (q.options || []).length
+    )
+  ) {
+    errors.push({
+      path: `${path}.options`,
+      message: `Options must be a list of ${(q.options || []).length} strings, one per original option`,
+    });
+  }
+  return errors;
+}
+
+/**
+ * Validates a translation of a survey definition
+ * Questions are matched by ID and must keep the same number of options, so
+ * answers mean the same thing in every language
+ *
+ * @param {*} translation - Parsed translation
+ * @param {Object} definition - Definition being translated
+ * @returns {Object} { isValid: boolean, errors: Array<{path, message}> }
+ */
+export function validateTranslation(translation, definition) {
+  if (!isPlainObject(translation)) {
+    return {
+      isValid: false,
+      errors: [{ path: "", message: "Translation must be an object" }],
+    };
+  }
+
+  const errors = [];
+
+  for (const key of ["title", "description", "instructions"]) {
+    if (translation[key] !== undefined && !isNonEmptyString(translation[key])) {
+      errors.push({ path: key, message: `${key} must be a non-empty string` });
+    }
+  }
+
+  const { rankScale, finalComment } = translation;
+  if (rankScale !== undefined) {
+    if (!isPlainObject(rankScale)) {
+      errors.push({
+        path: "rankScale",
+        message: "Rank scale must be an object",
+      });
+    } else {
+      if (
+        rankScale.legend !== undefined &&
+        !isNonEmptyString(rankScale.legend)
+      ) {
+        errors.push({
+          path: "rankScale.legend",
+          message: "Rank legend must be a non-empty string",
+        });
+      }
+      if (rankScale.labels !== undefined) {
+        errors.push(
+          ...validateRankLabels(rankScale.labels, "rankScale.labels")
+        );
+      }
+    }
+  }
+
+  if (finalComment !== undefined && !isNonEmptyString(finalComment?.text)) {
+    errors.push({
+      path: "finalComment.text",
+      message: "Final comment prompt must be a non-empty string",
+    });
+  }
+
+  if (translation.questions !== undefined) {
+    if (!isPlainObject(translation.questions)) {
+      errors.push({
+        path: "questions",
+        message: "Questions must be an object keyed by question ID",
+      });
+    } else {
+      Object.entries(translation.questions).forEach(([qId, entry]) => {
+        const q = definition.questions.find((item) => item.id === qId);
+        if (!q) {
+          errors.push({
+            path: `questions.${qId}`,
+            message: `No question with ID "${qId}" in the survey`,
+          });
+        } else {
+          errors.push(
+            ...validateQuestionTranslation(entry, q, `questions.${qId}`)
+          );
+        }
+      });
+    }
+  }
+
+  return {
+    isValid: errors.length === 0,
+    errors,
+  };
+}
+
+/**
+ * Validates a survey definition against the expected schema
+ * @param {*} definition - Parsed survey definition
+ * @returns {Object} { isValid: boolean, errors: Array<{path, message}> }
+ */
+export function validateSurveyDefinition(definition) {
+  if (
+    !definition ||
+    typeof definition !== "object" ||
+    Array.isArray(definition)
+  ) {
+    return {
+      isValid: false,
+      errors: [{ path: "", message: "Survey definition must be an object" }],
+    };
+  }
+
+  const errors = [];
+
+  if (!isNonEmptyString(definition.id)) {
+    errors.push({ path: "id", message: "Survey ID is required" });
+  }
+
+  if (!isNonEmptyString(definition.version)) {
+    errors.push({ path: "version", message: "Survey version is required" });
+  }
+
+  if (!isNonEmptyString(definition.title)) {
+    errors.push({ path: "title", message: "Survey title is required" });
+  }
+
+  const { rankScale } = definition;
+  if (rankScale !== undefined) {
+    if (
+      !rankScale ||
+      typeof rankScale !== "object" ||
+      Array.isArray(rankScale)
+    ) {
+      errors.push({
+        path: "rankScale",
+        message: "Rank scale must be an object",
+      });
+    } else if (rankScale.values === undefined) {
+      // No survey-wide values: each question ranks 1..option count
+    } else if (!isStringList(rankScale.values)) {
+      errors.push({
+        path: "rankScale.values",
+        message: "Rank scale values must be a non-empty list of strings",
+      });
+    } else if (new Set(rankScale.values).size !== rankScale.values.length) {
+      errors.push({
+        path: "rankScale.values",
+        message: "Rank scale values must be unique",
+      });
+    }
+    if (isPlainObject(rankScale) && rankScale.labels !== undefined) {
+      errors.push(...validateRankLabels(rankScale.labels, "rankScale.labels"));
+    }
+  }
+
+  if (
+    !Array.isArray(definition.questions) ||
+    definition.questions.length === 0
+  ) {
+    errors.push({
+      path: "questions",
+      message: "Survey must contain at least one question",
+    });
+  } else {
+    const seenIds = new Set();
+    definition.questions.forEach((q, idx) => {
+      errors.push(...validateQuestion(q, idx, seenIds));
+    });
+  }
+
+  if (definition.layout !== undefined && !LAYOUTS.includes(definition.layout)) {
+    errors.push({
+      path: "layout",
+      message: `Layout must be one of: ${LAYOUTS.join(", ")}`,
+    });
+  }
+
+  const { finalComment } = definition;
+  if (finalComment !== undefined && !isNonEmptyString(finalComment?.text)) {
+    errors.push({
+      path: "finalComment.text",
+      message: "Final comment prompt must be a non-empty string",
+    });
+  }
+  if (
+    finalComment?.maxLength !== undefined &&
+    !isPositiveInteger(finalComment.maxLength)
+  ) {
+    errors.push({
+      path: "finalComment.maxLength",
+      message: "maxLength must be a whole number of at least 1",
+    });
+  }
+
+  if (
+    definition.respondentProfile !== undefined &&
+    typeof definition.respondentProfile !== "boolean"
+  ) {
+    errors.push({
+      path: "respondentProfile",
+      message: "Respondent profile flag must be true or false",
+    });
+  }
+
+  if (definition.locale !== undefined && !isNonEmptyString(definition.locale)) {
+    errors.push({
+      path: "locale",
+      message: 'Locale must be a language code such as "en"',
+    });
+  }
+
+  // Translations are inline objects or URLs of translation files
+  const { translations } = definition;
+  if (translations !== undefined) {
+    if (!isPlainObject(translations)) {
+      errors.push({
+        path: "translations",
+        message: "Translations must be an object keyed by locale",
+      });
+    } else {
+      Object.entries(translations).forEach(([locale, entry]) => {
+        if (!isNonEmptyString(entry) && !isPlainObject(entry)) {
+          errors.push({
+            path: `translations.${locale}`,
+            message: "Translation must be an object or the URL of one",
+          });
+        }
+      });
+    }
+  }
+
+  return {
+    isValid: errors.length === 0,
+    errors,
+  };
+}
+
+/**
+ * Fills in optional fields of a validated survey definition
+ * Questions default to required ranking questions, ranking questions get
+ * their resolved rank rules (ranks 1..option count plus "No" unless the
+ * definition says otherwise), free-text fields get the default length
+ * limits, the layout defaults to a single page and the text is taken to be
+ * English
+ *
+ * @param {Object} definition - Survey definition that passed validation
+ * @returns {Object} Definition with defaults applied
+ */
+export function applyDefinitionDefaults(definition) {
+  return {
+    ...definition,
+    description: definition.description || "",
+    layout: definition.layout || "single-page",
+    respondentProfile: definition.respondentProfile === true,
+    instructions: definition.instructions || "",
+    locale: definition.locale || DEFAULT_LOCALE,
+    translations: definition.translations || {},
+    rankScale: {
+      values: definition.rankScale?.values || null,
+      legend: definition.rankScale?.legend || "",
+      labels: definition.rankScale?.labels || {},
+    },
+    questions: definition.questions.map((q) => {
+      const type = getQuestionType(q);
+      return {
+        ...q,
+        type,
+        required: q.required !== false,
+        ...(type === "ranking" && {
+          rankRules: resolveRankRules(q, definition.rankScale),
+          otherMaxLength: q.otherMaxLength || MAX_TEXT_LENGTH,
+        }),
+        ...(TEXT_TYPES.includes(type) && {
+          maxLength:
+            q.maxLength ||
+            (type === "long-text" ? MAX_COMMENT_LENGTH : MAX_TEXT_LENGTH),
+        }),
+      };
+    }),
+    finalComment: {
+      text: definition.finalComment?.text || "Additional comments",
+      required: definition.finalComment?.required === true,
+      maxLength: definition.finalComment?.maxLength || MAX_COMMENT_LENGTH,
+    },
+  };
+}